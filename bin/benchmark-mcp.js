@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+import { main } from '../src/cli.js'
+
+main(process.argv.slice(2))
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`Error: ${error.message}`)
+    process.exit(1)
+  })
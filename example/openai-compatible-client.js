@@ -0,0 +1,17 @@
+import { run } from '../src/index.js'
+
+// Any Chat Completions API works, such as a local Ollama server
+run({
+  serverUrl: 'https://gitmcp.io/anandkumarpatel/benchmark-mcp',
+  numCalls: 5,
+  aiClient: {
+    client: 'openai-compatible',
+    model: process.env.MODEL || 'llama3.1',
+    prompt: 'How do I get started using this?',
+    maxTurns: 5,
+    config: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+      key: process.env.OPENAI_API_KEY,
+    },
+  },
+}).then(() => process.exit(0))
@@ -1,76 +1,603 @@
 import { Faker } from '@faker-js/faker'
 
+export type StepKind = 'callTool' | 'listResources' | 'readResource' | 'listPrompts' | 'getPrompt' | 'complete' | 'ping'
+
+export type CompletionRef = { type: 'ref/prompt'; name: string } | { type: 'ref/resource'; uri: string }
+
 export interface ToolSequenceStep {
-  toolName: string
+  kind?: StepKind
+  toolName?: string
+  uri?: string
+  promptName?: string
+  ref?: CompletionRef
+  argument?: { name: string; value?: string }
   inputMapping?: Record<string, string | object>
   staticInputs?: Record<string, unknown>
   outputMapping?: Record<string, string>
   outputType?: 'json' | 'text'
+  expect?: ExpectConfig
+  steps?: ToolSequenceStep[]
+  parallel?: ToolSequenceStep[]
+  when?: string
+  forEach?: string
+  as?: string
+  concurrency?: number
+  retry?: number
+  backoff?: string | number | { delay: string | number; factor?: number; max?: string | number }
+  continueOnError?: boolean
+  delay?: string | number
+  timeout?: string | number
+  thinkTime?: string | number | { min: string | number; max: string | number }
+}
+
+export interface ExpectConfig {
+  jq?: string | string[]
+  contentType?: 'json' | 'text' | 'image' | 'audio' | 'resource' | 'resource_link'
+  maxLatency?: number
+  outputSchema?: boolean
 }
 
 export interface MockDataConfig {
   locale?: string
   fieldGenerators?: Record<string, (faker: Faker) => unknown>
   fieldFormats?: Record<string, string>
+  fields?: 'all' | 'required'
+  preferDefaults?: boolean
+}
+
+export interface Stage {
+  duration: string | number
+  target: number
+}
+
+export interface ArrivalRateConfig {
+  rate: number
+  duration: string | number
+  preAllocatedVUs?: number
+  maxVUs?: number
+}
+
+export interface AuthConfig {
+  type: 'client-credentials' | 'oauth'
+  clientId?: string
+  clientSecret?: string
+  scope?: string
+  issuer?: string
+  accessToken?: string
+  refreshToken?: string
+  redirectUrl?: string
+  credentialsFile?: string
+}
+
+export interface TransportConfig {
+  type?: 'streamable-http' | 'sse' | 'stdio'
+  fallback?: boolean
+  command?: string
+  args?: string[]
+  env?: Record<string, string>
+  cwd?: string
 }
 
 export interface LoadTestConfig {
-  serverUrl: string
+  serverUrl?: string
   headers?: Record<string, string>
+  auth?: AuthConfig
+  transport?: TransportConfig
   numCalls?: number
+  concurrency?: number
+  shareConnection?: boolean
+  duration?: string | number
+  stages?: Stage[]
+  arrivalRate?: ArrivalRateConfig
   delayBetweenCalls?: number
+  timeout?: string | number
+  toolTimeouts?: Record<string, string | number>
+  shutdownTimeout?: string | number
+  signal?: AbortSignal
+  handleSignals?: boolean
   toolNames?: string[]
+  toolWeights?: Record<string, number>
   paramOverrides?: Record<string, Record<string, unknown>>
+  feeders?: Record<string, FeederConfig>
+  assertions?: Record<string, ExpectConfig>
+  validateOutputSchema?: boolean
   randomizeParams?: boolean
   mockData?: MockDataConfig
   sequence?: ToolSequenceStep[]
   runAll?: boolean
+  scenarios?: Record<string, ScenarioConfig>
+  mode?: 'random' | 'all' | 'sequence' | 'ai' | 'replay' | 'fuzz' | 'churn' | Exclude<StepKind, 'callTool'>
+  fuzz?: FuzzConfig
+  churn?: ChurnConfig
+  serverRequests?: ServerRequestsConfig
+  terminateSession?: boolean
   fakerConfig?: import('@faker-js/faker').FakerOptions
-  aiClient?: {
-    prompt: string
-    client: 'gemini' | 'chatgpt'
-    config: import('./src/aiClients/gemini-client.js').GeminiConfig | import('./src/aiClients/chatgpt-client.js').ChatGPTConfig
-  }
+  seed?: number
+  record?: string
+  maxDetails?: number
+  replay?: ReplayConfig
+  thresholds?: ThresholdsConfig | string[]
+  progress?: boolean | ProgressConfig
+  prometheus?: PrometheusConfig
+  compare?: CompareConfig
+  reporters?: (string | ReporterOptions)[]
+  aiClient?: AIClientConfig
+  workers?: number | WorkersConfig
+}
+
+export interface SamplingStubConfig {
+  text?: string
+  model?: string
+  latency?: LatencyConfig
+}
+
+export interface ElicitationStubConfig {
+  action?: 'accept' | 'decline' | 'cancel'
+  content?: Record<string, unknown>
+  latency?: LatencyConfig
+}
+
+export interface ServerRequestsConfig {
+  sampling?: boolean | SamplingStubConfig
+  elicitation?: boolean | ElicitationStubConfig
+}
+
+export interface FeederConfig {
+  file: string
+  format?: 'csv' | 'jsonl'
+  delimiter?: string
+  strategy?: 'sequential' | 'random' | 'unique'
+  onEnd?: 'recycle' | 'stop'
+  tools?: string[]
+  sequence?: boolean
+  mapping?: Record<string, string | Record<string, any>>
+  partition?: { index: number; count: number }
+}
+
+export interface FeederPool {
+  get(name: string, config: FeederConfig): { take(owner: object, faker: Faker): Record<string, unknown> | undefined }
+  load(feeders?: Record<string, FeederConfig>): void
+}
+
+export interface WorkersConfig {
+  count?: number
+  type?: 'process' | 'thread'
+  remote?: string[]
+  token?: string
+}
+
+export interface AIClientConfig {
+  prompt: string
+  client?: 'gemini' | 'chatgpt' | 'openai-compatible' | (string & {})
+  model?: string
+  systemPrompt?: string
+  maxTurns?: number
+  config?: Record<string, any>
+}
+
+export interface AIRunContext {
+  tools: any[]
+  callTool(name: string, args: Record<string, unknown>): Promise<any | undefined>
+  serverUrl?: string
+}
+
+export interface AIRunResult {
+  text: string
+  model?: string
+  toolCalls: string[]
+  turns: number
+  usage?: { input: number; output: number }
+}
+
+export interface AIProvider {
+  run(prompt: string, options: AIClientConfig, context: AIRunContext): Promise<AIRunResult>
+}
+
+export interface ScenarioConfig extends Omit<LoadTestConfig, 'scenarios'> {
+  weight?: number
+}
+
+export interface ChurnConfig {
+  callsPerSession?: number
+  mode?: Exclude<LoadTestConfig['mode'], 'churn' | 'fuzz'>
+}
+
+export interface ReplayConfig {
+  file: string
+  preserveTiming?: boolean
+}
+
+export interface RecordedCall {
+  toolName: string
+  args: Record<string, unknown>
+  offset: number
+  duration: number
+  success: boolean
+  error: string | null
+}
+
+export interface CallLog {
+  version: number
+  recordedAt: string
+  serverUrl?: string
+  seed?: number
+  calls: RecordedCall[]
+}
+
+export type ThresholdCondition = string | string[]
+
+export type ThresholdsConfig = {
+  perTool?: Record<string, Record<string, ThresholdCondition>>
+  perScenario?: Record<string, Record<string, ThresholdCondition>>
+} & Record<string, ThresholdCondition | Record<string, Record<string, ThresholdCondition>>>
+
+export interface ThresholdResult {
+  scope: string
+  metric: string
+  condition: string
+  actual: number | null
+  passed: boolean
+}
+
+export interface ThresholdsOutcome {
+  passed: boolean
+  results: ThresholdResult[]
 }
 
 export interface ToolCallDetail {
+  toolName: string
+  scenario?: string
+  startedAt: number
+  duration: number
+  success: boolean
+  failureType: string | null
   args: Record<string, unknown>
   result: unknown | null
   error: Error | null
+  progress?: CallProgress
+}
+
+export interface CallProgress {
+  notifications: number
+  first: number
+  gaps: number[]
+}
+
+export interface LatencyStats {
+  avg: number
+  min: number
+  max: number
+  p50: number
+  p90: number
+  p95: number
+  p99: number
+  p999: number
 }
 
-export interface PerToolStats {
+export interface PerToolStats extends LatencyStats {
   total: number
   success: number
   failure: number
+}
+
+export type SessionPhase = 'connect' | 'initialize' | 'listTools' | 'terminate' | 'close'
+
+export interface SessionSummary {
+  opened: number
+  closed: number
+  open: number
+  phases: Partial<Record<SessionPhase, PerToolStats>>
+}
+
+export interface AISummary extends LatencyStats {
+  prompts: number
+  success: number
+  failure: number
+  turns: number
+  toolCalls: { total: number; perPrompt: number; perTool: Record<string, number> }
+  tokens: { input: number; output: number; total: number; perPrompt: number }
+  models: Record<string, number>
+}
+
+export interface ProgressSummary {
+  calls: number
+  notifications: number
+  perCall: number
+  timeToFirst: LatencyStats
+  gap: LatencyStats
+}
+
+export interface PerScenarioStats extends PerToolStats {
+  iterations: number
+}
+
+export interface TimeSeriesPoint {
+  start: number
+  requests: number
+  success: number
+  failure: number
+  throughput: number
   avg: number
+  p50: number
+  p95: number
+  p99: number
+  max: number
 }
 
-export interface MetricsSummary {
+export interface MetricsSummary extends LatencyStats {
   total: number
   success: number
   failure: number
-  avg: number
+  dropped: number
   median: number
-  p95: number
   throughput: number
   errors: Record<string, number>
+  failureTypes: Record<string, number>
+  assertionFailures: Record<string, number>
   perTool: Record<string, PerToolStats>
+  perScenario: Record<string, PerScenarioStats>
+  sessions: SessionSummary
+  ai: AISummary
+  progress: ProgressSummary & { perTool: Record<string, ProgressSummary> }
+  serverMessages: Record<string, number>
+  timeSeries: TimeSeriesPoint[]
+  startTime: number
   totalTime: number
   details: ToolCallDetail[]
+  detailsTruncated: boolean
+  thresholds?: ThresholdsOutcome
+  comparison?: Comparison
+  fuzz?: FuzzSummary
+  interrupted?: string
+}
+
+export type CompareMetric = 'avg' | 'min' | 'max' | 'p50' | 'p90' | 'p95' | 'p99' | 'p999' | 'errorRate' | 'throughput'
+
+export type Tolerance = number | string
+
+export interface CompareConfig {
+  baseline?: string
+  tolerance?: Tolerance | Partial<Record<CompareMetric | 'default', Tolerance>>
+  alpha?: number
+  metrics?: CompareMetric[]
+}
+
+export interface MetricComparison {
+  scope: string
+  metric: CompareMetric
+  baseline: number | null
+  current: number | null
+  change: number | null
+  pValue: number | null
+  verdict: 'regression' | 'improvement' | 'unchanged' | 'added' | 'removed'
+}
+
+export interface Comparison {
+  passed: boolean
+  regressions: number
+  improvements: number
+  results: MetricComparison[]
+}
+
+export interface FuzzConfig {
+  categories?: FuzzCategory[]
+  timeout?: string | number
+  oversizedLength?: number
+  depth?: number
+}
+
+export type FuzzCategory =
+  | 'missing-required'
+  | 'wrong-type'
+  | 'null-value'
+  | 'out-of-range'
+  | 'oversized-string'
+  | 'enum-violation'
+  | 'pattern-violation'
+  | 'unicode'
+  | 'extra-property'
+  | 'deep-nesting'
+  | 'non-object'
+
+export type FuzzOutcome = 'rejected' | 'protocol-error' | 'accepted' | 'invalid-response' | 'crash' | 'timeout'
+
+export interface FuzzResult {
+  toolName: string
+  category: FuzzCategory
+  description: string
+  expectRejection: boolean
+  outcome: FuzzOutcome
+  passed: boolean
+  message: string | null
+  duration: number
+}
+
+export interface FuzzToolSummary {
+  total: number
+  passed: number
+  failed: number
+  outcomes: Partial<Record<FuzzOutcome, number>>
+  categories: Partial<Record<FuzzCategory, { total: number; failed: number }>>
+  failures: FuzzResult[]
+}
+
+export interface FuzzSummary {
+  total: number
+  passed: number
+  failed: number
+  outcomes: Partial<Record<FuzzOutcome, number>>
+  tools: Record<string, FuzzToolSummary>
+}
+
+export declare class Metrics {
+  constructor(options?: { bucketSize?: number; maxDetails?: number })
+  record(params: {
+    toolName: string
+    success: boolean
+    duration: number
+    error?: Error | null
+    failureType?: string | null
+    assertion?: string | null
+    result?: string | null
+    args?: Record<string, unknown>
+    startedAt?: number
+    scenario?: string
+    progress?: CallProgress | null
+  }): void
+  recordIteration(scenario: string): void
+  recordServerMessage(method: string): void
+  recordSession(phase: SessionPhase, result: { success: boolean; duration: number; error?: Error }): void
+  recordPrompt(result: { success: boolean; duration: number; model?: string; toolCalls?: string[]; turns?: number; usage?: { input: number; output: number }; error?: Error }): void
+  recordDropped(): void
+  getRecent(windowMs?: number): { requests: number; failure: number; throughput: number; p95: number }
+  getSummary(): MetricsSummary
+  printSummary(): void
 }
 
 export declare class MCPClient {
-  constructor(params: { fakerInstance: Faker; serverUrl: string; config: LoadTestConfig })
+  constructor(params: { fakerInstance: Faker; serverUrl?: string; config: LoadTestConfig; metrics?: Metrics; auth?: AuthConfig; signal?: AbortSignal; feeders?: FeederPool })
+
+  tools: any[]
+  scenario: string | null
+  auth: AuthConfig | undefined
+  resources: { uri: string; name: string }[]
+  resourceTemplates: { uriTemplate: string; name: string }[]
+  prompts: { name: string; arguments?: { name: string; required?: boolean }[] }[]
 
+  fork(fakerInstance?: Faker, config?: LoadTestConfig): MCPClient
+  setTools(tools: any[]): void
+  refreshTools(): Promise<void>
   connectToServer(): Promise<void>
-  callTool(tool: any, params: Record<string, unknown>): Promise<any>
-  executeSequence(sequence: ToolSequenceStep[]): Promise<void>
+  closeSession(): Promise<void>
+  callTool(tool: any, params: Record<string, unknown>, options?: { expect?: ExpectConfig; timeout?: string | number }): Promise<any>
+  measureRequest(kind: Exclude<StepKind, 'callTool'>, params?: Record<string, unknown>, options?: { timeout?: string | number }): Promise<any>
+  runOperation(
+    kind: Exclude<StepKind, 'callTool'>,
+    target?: { uri?: string; promptName?: string; ref?: CompletionRef; argument?: { name: string; value?: string }; inputs?: Record<string, unknown>; fields?: 'all' | 'required'; timeout?: string | number }
+  ): Promise<any>
+  fedArgs(tool: any): Promise<Record<string, unknown>>
+  seedSequenceContext(): Promise<void>
+  executeSequence(sequence: ToolSequenceStep[], locals?: Record<string, unknown>): Promise<void>
+  executeStep(step: ToolSequenceStep, locals?: Record<string, unknown>): Promise<void>
   runAll(): Promise<void>
   runRandomToolCall(): Promise<void>
+  runFuzz(): Promise<void>
+  runChurn(): Promise<void>
   runAIClient(): Promise<void>
+  runReplay(replay: ReplayConfig): Promise<void>
+  runIteration(mode?: LoadTestConfig['mode']): Promise<void>
   runLoadTest(): Promise<MetricsSummary>
   cleanup(): Promise<void>
 }
 
+export interface ProgressConfig {
+  interval?: number
+  window?: number
+}
+
+export interface PushgatewayConfig {
+  url: string
+  job?: string
+  interval?: string | number
+}
+
+export interface PrometheusConfig {
+  port?: number
+  host?: string
+  path?: string
+  prefix?: string
+  labels?: Record<string, string>
+  buckets?: number[]
+  pushgateway?: PushgatewayConfig
+}
+
+export interface ReporterOptions {
+  type: string
+  output?: string
+}
+
+export interface Reporter {
+  extension?: string
+  render(summary: MetricsSummary, options: ReporterOptions): string | undefined | Promise<string | undefined>
+}
+
+export declare function registerReporter(name: string, reporter: Reporter): void
+
+export declare function registerAIProvider(name: string, provider: AIProvider): void
+
+export type LatencyConfig =
+  | string
+  | number
+  | { distribution: 'fixed'; value: string | number }
+  | { distribution: 'uniform'; min: string | number; max: string | number }
+  | { distribution: 'normal'; mean: string | number; stddev: string | number }
+  | { distribution: 'lognormal'; median: string | number; sigma?: number }
+  | { distribution: 'exponential'; mean: string | number }
+
+export interface SlowStreamConfig {
+  chunks: number
+  interval?: string | number
+}
+
+export interface MockFaults {
+  latency?: LatencyConfig
+  errorRate?: number
+  isErrorRate?: number
+  dropRate?: number
+  stream?: SlowStreamConfig
+}
+
+export interface MockToolConfig extends MockFaults {
+  name: string
+  description?: string
+  inputSchema?: Record<string, unknown>
+  outputSchema?: Record<string, unknown>
+  response?: string | Record<string, unknown> | unknown[]
+  validateInput?: boolean
+}
+
+export interface MockServerConfig extends MockFaults {
+  name?: string
+  version?: string
+  tools?: MockToolConfig[]
+  port?: number
+  host?: string
+  path?: string
+  jsonResponse?: boolean
+  seed?: number
+}
+
+export declare function startMockServer(config?: MockServerConfig): Promise<{ url: string; close: () => Promise<void> }>
+
+export interface CapturedCall {
+  toolName: string
+  args: Record<string, unknown>
+  result?: any
+  success: boolean
+  startedAt: number
+  duration: number
+}
+
+export interface ProxyOptions {
+  output: string
+  port?: number
+  host?: string
+  path?: string
+  minLength?: number
+}
+
+export interface Recording {
+  target: Pick<LoadTestConfig, 'serverUrl' | 'transport'>
+  sessions: CapturedCall[][]
+  startSession(): CapturedCall[]
+  toConfig(): LoadTestConfig
+  write(file: string): void
+}
+
+export declare function startRecordingProxy(config: LoadTestConfig, options: ProxyOptions): Promise<{ url: string; recording: Recording; close: () => Promise<void> }>
+
+export declare function inferSequence(calls: CapturedCall[], options?: { minLength?: number }): ToolSequenceStep[]
+
 export declare function run(config: LoadTestConfig): Promise<MetricsSummary>
+
+export declare function compareRuns(baseline: MetricsSummary, current: MetricsSummary, options?: CompareConfig): Comparison
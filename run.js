@@ -1,26 +1,9 @@
-import { run } from './src/index.js'
-import fs from 'fs'
-// If running directly from command line, parse config from arguments
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const serverUrl = process.argv[2]
-  if (!serverUrl) {
-    console.log('Usage: node run.js <server_url> <config_file>')
-    process.exit(1)
-  }
-  let config = {}
-  const configFilePath = process.argv[3]
-  if (configFilePath) {
-    if (!fs.existsSync(configFilePath)) {
-      console.error(`Config file not found: ${configFilePath}`)
-      process.exit(1)
-    }
-    try {
-      config = JSON.parse(fs.readFileSync(configFilePath, 'utf8'))
-    } catch (error) {
-      console.error(`Error parsing config file: ${error}`)
-      process.exit(1)
-    }
-  }
+import { main } from './src/cli.js'
 
-  run({ serverUrl, ...config }).then(() => process.exit(0))
-}
+// Kept for `node run.js <target> [config]`; same as `benchmark-mcp run`
+main(['run', ...process.argv.slice(2)])
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`Load test failed: ${error.message}`)
+    process.exit(1)
+  })
@@ -1,5 +1,6 @@
 import { Agent, hostedMcpTool, run, setDefaultOpenAIKey } from '@openai/agents'
 import { logger } from '../logger.js'
+import { DEFAULT_MAX_TURNS, DEFAULT_SYSTEM_PROMPT } from './common.js'
 
 /**
  * @typedef {Object} OpenAIConfig
@@ -7,22 +8,28 @@ import { logger } from '../logger.js'
  */
 
 /**
- * Run AI prompt using OpenAI with MCP server integration
+ * Run AI prompt using OpenAI with MCP server integration. OpenAI calls the server itself through
+ * its hosted MCP tool, so the server must be publicly reachable and its tool calls aren't timed here.
  * @param {string} prompt - The prompt to send to OpenAI
- * @param {string} serverUrl - MCP server URL
- * @param {OpenAIConfig} config - OpenAI configuration
- * @returns {Promise<string>} The AI response
+ * @param {import('./index.js').AIClientConfig} options - Model, system prompt, max turns and OpenAIConfig
+ * @param {import('./index.js').AIRunContext} context - Needs serverUrl
+ * @returns {Promise<import('./index.js').AIRunResult>}
  */
-async function runOpenAIWithMCP(prompt, serverUrl, config) {
+async function runOpenAIWithMCP(prompt, options, { serverUrl }) {
+  const { model, systemPrompt = DEFAULT_SYSTEM_PROMPT, maxTurns = DEFAULT_MAX_TURNS, config = {} } = options
   const apiKey = config.key
   if (!apiKey) {
     throw new Error('key is required')
   }
+  if (!serverUrl) {
+    throw new Error('The chatgpt client uses a hosted MCP tool and requires a serverUrl')
+  }
   setDefaultOpenAIKey(apiKey)
   try {
     const agent = new Agent({
       name: 'MCP Assistant',
-      instructions: 'You must always use the MCP tools to answer questions.',
+      instructions: systemPrompt,
+      ...(model && { model }),
       tools: [
         hostedMcpTool({
           serverLabel: 'tool',
@@ -31,8 +38,21 @@ async function runOpenAIWithMCP(prompt, serverUrl, config) {
       ],
     })
 
-    const res = await run(agent, prompt)
-    return res.finalOutput || ''
+    const res = await run(agent, prompt, { maxTurns })
+    // Hosted MCP calls come back as 'mcp_call' items, with the tool name in the provider data
+    const toolCalls = res.newItems
+      .filter((item) => item.type === 'tool_call_item' && item.rawItem.type === 'hosted_tool_call' && item.rawItem.name === 'mcp_call')
+      .map((item) => item.rawItem.providerData?.name || 'mcp_call')
+    return {
+      text: res.finalOutput || '',
+      model,
+      toolCalls,
+      turns: res.rawResponses.length,
+      usage: {
+        input: res.rawResponses.reduce((sum, response) => sum + (response.usage?.inputTokens || 0), 0),
+        output: res.rawResponses.reduce((sum, response) => sum + (response.usage?.outputTokens || 0), 0),
+      },
+    }
   } catch (error) {
     logger.error({ error: error.message }, 'Error running OpenAI with MCP')
     throw error
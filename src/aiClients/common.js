@@ -0,0 +1,28 @@
+export const DEFAULT_SYSTEM_PROMPT = 'You must always use the MCP tools to answer questions.'
+export const DEFAULT_MAX_TURNS = 10
+
+/**
+ * Raised when the model is still calling tools after `maxTurns` requests. Carries what was done so far.
+ */
+export class MaxTurnsError extends Error {
+  /**
+   * @param {number} maxTurns - Turns allowed
+   * @param {AIRunResult} result - Tool calls and usage up to the last turn
+   */
+  constructor(maxTurns, result) {
+    super(`No final answer after ${maxTurns} turns`)
+    this.name = 'MaxTurnsError'
+    this.result = result
+  }
+}
+
+/**
+ * Text of a tool result, to hand back to the model
+ * @param {import('@modelcontextprotocol/sdk/types.js').CallToolResult | undefined} result - Result of the call, undefined when it failed
+ * @returns {string}
+ */
+export function toolResultText(result) {
+  if (!result) return 'Tool call failed'
+  if (result.structuredContent) return JSON.stringify(result.structuredContent)
+  return (result.content || []).map((part) => (part.type === 'text' ? part.text : JSON.stringify(part))).join('\n')
+}
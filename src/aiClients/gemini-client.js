@@ -1,6 +1,6 @@
-import { FunctionCallingConfigMode, GoogleGenAI, mcpToTool } from '@google/genai'
-import { Client } from '@modelcontextprotocol/sdk/client/index.js'
+import { FunctionCallingConfigMode, GoogleGenAI } from '@google/genai'
 import { logger } from '../logger.js'
+import { DEFAULT_MAX_TURNS, DEFAULT_SYSTEM_PROMPT, MaxTurnsError, toolResultText } from './common.js'
 
 /**
  * @typedef {Object} GeminiConfig
@@ -8,33 +8,53 @@ import { logger } from '../logger.js'
  */
 
 /**
- * Run AI prompt using Gemini with MCP server integration
+ * Run AI prompt using Gemini, calling the MCP tools it asks for until it answers
  * @param {string} prompt - The prompt to send to Gemini
- * @param {Client} mcpClient - MCP client
- * @param {GeminiConfig} config - Gemini configuration
- * @returns {Promise<string>} The AI response
+ * @param {import('./index.js').AIClientConfig} options - Model, system prompt, max turns and GeminiConfig
+ * @param {import('./index.js').AIRunContext} context - MCP tools to offer and call
+ * @returns {Promise<import('./index.js').AIRunResult>}
  */
-async function runGeminiWithMCP(prompt, mcpClient, config) {
+async function runGeminiWithMCP(prompt, options, { tools, callTool }) {
+  const { model = 'gemini-2.5-flash', systemPrompt = DEFAULT_SYSTEM_PROMPT, maxTurns = DEFAULT_MAX_TURNS, config = {} } = options
   if (!config.key) {
     throw new Error('key is required')
   }
   try {
     const ai = new GoogleGenAI({ vertexai: false, apiKey: config.key })
-    const mcpTool = mcpToTool(mcpClient)
-
-    const result = await ai.models.generateContent({
-      model: 'gemini-2.5-flash',
-      contents: prompt,
-      config: {
-        tools: [mcpTool],
-        toolConfig: {
-          functionCallingConfig: {
-            mode: FunctionCallingConfigMode.AUTO,
+    const contents = [{ role: 'user', parts: [{ text: prompt }] }]
+    const result = { text: '', model, toolCalls: [], turns: 0, usage: { input: 0, output: 0 } }
+    while (result.turns < maxTurns) {
+      const response = await ai.models.generateContent({
+        model,
+        contents,
+        config: {
+          systemInstruction: systemPrompt,
+          tools: [{ functionDeclarations: tools.map((tool) => ({ name: tool.name, description: tool.description, parametersJsonSchema: tool.inputSchema })) }],
+          toolConfig: {
+            functionCallingConfig: {
+              mode: FunctionCallingConfigMode.AUTO,
+            },
           },
         },
-      },
-    })
-    return result.candidates?.[0]?.content?.parts?.[0]?.text || ''
+      })
+      result.turns++
+      result.usage.input += response.usageMetadata?.promptTokenCount || 0
+      result.usage.output += response.usageMetadata?.candidatesTokenCount || 0
+      const calls = response.functionCalls || []
+      if (!calls.length) {
+        result.text = response.text || ''
+        return result
+      }
+      contents.push(response.candidates[0].content)
+      const parts = []
+      for (const call of calls) {
+        result.toolCalls.push(call.name)
+        const output = await callTool(call.name, call.args || {})
+        parts.push({ functionResponse: { id: call.id, name: call.name, response: output ? { output: toolResultText(output) } : { error: 'Tool call failed' } } })
+      }
+      contents.push({ role: 'user', parts })
+    }
+    throw new MaxTurnsError(maxTurns, result)
   } catch (error) {
     logger.error({ error: error.message }, 'Error running Gemini with MCP')
     throw error
@@ -0,0 +1,55 @@
+import runGeminiWithMCP from './gemini-client.js'
+import runOpenAIWithMCP from './chatgpt-client.js'
+import runOpenAICompatible from './openai-compatible-client.js'
+
+/**
+ * @typedef {Object} AIClientConfig
+ * @property {string} prompt - Prompt sent on every iteration
+ * @property {string} [client] - Registered provider: 'gemini', 'chatgpt', 'openai-compatible' or a custom one (default: 'gemini')
+ * @property {string} [model] - Model to prompt (default: the provider's)
+ * @property {string} [systemPrompt] - System instructions (default: DEFAULT_SYSTEM_PROMPT)
+ * @property {number} [maxTurns] - Model requests allowed per prompt before giving up on a final answer (default: 10)
+ * @property {Record<string, any>} [config] - Provider settings, such as `key` or `baseUrl`
+ */
+
+/**
+ * What a provider gets to reach the MCP server
+ * @typedef {Object} AIRunContext
+ * @property {import('@modelcontextprotocol/sdk/types.js').Tool[]} tools - Tools the model may call
+ * @property {(name: string, args: Record<string, unknown>) => Promise<import('@modelcontextprotocol/sdk/types.js').CallToolResult | undefined>} callTool -
+ *   Call a tool on the virtual user's session, recorded in the metrics like any other call; resolves to undefined when the call failed
+ * @property {string} [serverUrl] - URL of the MCP server, for providers that reach it themselves
+ */
+
+/**
+ * @typedef {Object} AIRunResult
+ * @property {string} text - Final answer
+ * @property {string} [model] - Model that answered
+ * @property {string[]} toolCalls - Tools the model called, in order
+ * @property {number} turns - Model requests made
+ * @property {{ input: number, output: number }} [usage] - Tokens used across all turns
+ */
+
+/**
+ * @typedef {Object} AIProvider
+ * @property {(prompt: string, options: AIClientConfig, context: AIRunContext) => Promise<AIRunResult>} run - Run one prompt to a final answer
+ */
+
+/** @type {Map<string, AIProvider>} */
+export const aiProviders = new Map([
+  ['gemini', { run: runGeminiWithMCP }],
+  ['chatgpt', { run: runOpenAIWithMCP }],
+  ['openai-compatible', { run: runOpenAICompatible }],
+])
+
+/**
+ * Register a custom AI provider, or replace a built-in one
+ * @param {string} name - Name used in `aiClient.client`
+ * @param {AIProvider} provider - Provider implementation
+ */
+export function registerAIProvider(name, provider) {
+  if (typeof provider?.run !== 'function') {
+    throw new Error(`AI provider '${name}' must have a run function`)
+  }
+  aiProviders.set(name, provider)
+}
@@ -0,0 +1,75 @@
+import { logger } from '../logger.js'
+import { DEFAULT_MAX_TURNS, DEFAULT_SYSTEM_PROMPT, MaxTurnsError, toolResultText } from './common.js'
+
+/**
+ * @typedef {Object} OpenAICompatibleConfig
+ * @property {string} baseUrl - Base URL of an OpenAI-compatible API, e.g. 'https://api.openai.com/v1' or 'http://localhost:11434/v1'
+ * @property {string} [key] - API key, sent as a bearer token
+ * @property {Record<string, string>} [headers] - Extra headers sent with every request
+ * @property {Record<string, unknown>} [parameters] - Extra request fields, e.g. { temperature: 0 }
+ */
+
+/**
+ * Run AI prompt against any Chat Completions API, calling the MCP tools the model asks for until it answers
+ * @param {string} prompt - The prompt to send
+ * @param {import('./index.js').AIClientConfig} options - Model, system prompt, max turns and OpenAICompatibleConfig
+ * @param {import('./index.js').AIRunContext} context - MCP tools to offer and call
+ * @returns {Promise<import('./index.js').AIRunResult>}
+ */
+async function runOpenAICompatible(prompt, options, { tools, callTool }) {
+  const { model, systemPrompt = DEFAULT_SYSTEM_PROMPT, maxTurns = DEFAULT_MAX_TURNS, config = {} } = options
+  if (!config.baseUrl) {
+    throw new Error('baseUrl is required')
+  }
+  if (!model) {
+    throw new Error('model is required')
+  }
+  const url = `${config.baseUrl.replace(/\/+$/, '')}/chat/completions`
+  const headers = { 'Content-Type': 'application/json', ...(config.key && { Authorization: `Bearer ${config.key}` }), ...config.headers }
+  const functions = tools.map((tool) => ({ type: 'function', function: { name: tool.name, description: tool.description, parameters: tool.inputSchema } }))
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: prompt },
+  ]
+  const result = { text: '', model, toolCalls: [], turns: 0, usage: { input: 0, output: 0 } }
+  try {
+    while (result.turns < maxTurns) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ ...config.parameters, model, messages, ...(functions.length && { tools: functions }) }),
+      })
+      if (!res.ok) {
+        throw new Error(`${url} answered ${res.status}: ${(await res.text()).slice(0, 200)}`)
+      }
+      const completion = await res.json()
+      result.turns++
+      result.model = completion.model || model
+      result.usage.input += completion.usage?.prompt_tokens || 0
+      result.usage.output += completion.usage?.completion_tokens || 0
+      const message = completion.choices?.[0]?.message
+      if (!message?.tool_calls?.length) {
+        result.text = message?.content || ''
+        return result
+      }
+      messages.push(message)
+      for (const call of message.tool_calls) {
+        result.toolCalls.push(call.function.name)
+        let content
+        try {
+          content = toolResultText(await callTool(call.function.name, JSON.parse(call.function.arguments || '{}')))
+        } catch (error) {
+          // Malformed arguments never reach the server; the model is told so it can try again
+          content = `Invalid tool arguments: ${error.message}`
+        }
+        messages.push({ role: 'tool', tool_call_id: call.id, content })
+      }
+    }
+    throw new MaxTurnsError(maxTurns, result)
+  } catch (error) {
+    logger.error({ error: error.message }, 'Error running OpenAI-compatible client with MCP')
+    throw error
+  }
+}
+
+export default runOpenAICompatible
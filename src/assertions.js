@@ -0,0 +1,131 @@
+import Ajv from 'ajv'
+import addFormats from 'ajv-formats'
+import jq from 'node-jq'
+
+/**
+ * @typedef {Object} ExpectConfig
+ * @property {string|string[]} [jq] - jq expressions evaluated against the tool output that must all be truthy
+ * @property {('json'|'text'|'image'|'audio'|'resource'|'resource_link')} [contentType] - Expected type of the first content item; 'json' means text that parses as JSON
+ * @property {number} [maxLatency] - Maximum call duration in milliseconds
+ * @property {boolean} [outputSchema] - Validate `structuredContent` against the tool's `outputSchema` (default: true)
+ */
+
+/**
+ * @typedef {Object} AssertionFailure
+ * @property {string} assertion - The rule that failed, e.g. `jq: .items | length > 0`
+ * @property {string} message - Why it failed
+ */
+
+/**
+ * Thrown when a tool call succeeds but its response breaks an `expect` rule
+ */
+export class AssertionError extends Error {
+  /**
+   * @param {AssertionFailure[]} failures - Every rule that failed for the call
+   */
+  constructor(failures) {
+    super(failures.map((f) => `${f.assertion} (${f.message})`).join('; '))
+    this.name = 'AssertionError'
+    this.failures = failures
+    this.assertion = failures[0]?.assertion
+  }
+}
+
+const ajv = new Ajv({ strict: false, allErrors: true })
+addFormats(ajv)
+/** @type {WeakMap<object, import('ajv').ValidateFunction>} */
+const validators = new WeakMap()
+
+function getValidator(schema) {
+  let validate = validators.get(schema)
+  if (!validate) {
+    validate = ajv.compile(schema)
+    validators.set(schema, validate)
+  }
+  return validate
+}
+
+/**
+ * The value jq assertions run against: `structuredContent` when the tool returns it,
+ * otherwise the first text content parsed as JSON, or the raw text if it isn't JSON
+ * @param {any} result - Tool call result
+ * @returns {unknown}
+ */
+export function getToolOutput(result) {
+  if (result?.structuredContent !== undefined) {
+    return result.structuredContent
+  }
+  const text = result?.content?.[0]?.text
+  if (typeof text !== 'string') {
+    return null
+  }
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+/**
+ * Check a successful tool call against its expectations
+ * @param {Object} params - Check parameters
+ * @param {{ name: string, outputSchema?: object }} params.tool - Tool definition from listTools
+ * @param {any} params.result - Tool call result
+ * @param {number} params.duration - Call duration in milliseconds
+ * @param {ExpectConfig} [params.expect] - Rules the response must satisfy
+ * @returns {Promise<AssertionFailure[]>} Failed rules, empty when the response passes
+ */
+export async function checkExpectations({ tool, result, duration, expect = {} }) {
+  /** @type {AssertionFailure[]} */
+  const failures = []
+
+  if (expect.outputSchema !== false && tool.outputSchema) {
+    if (result?.structuredContent === undefined) {
+      failures.push({ assertion: 'outputSchema', message: 'tool has an outputSchema but returned no structuredContent' })
+    } else {
+      const validate = getValidator(tool.outputSchema)
+      if (!validate(result.structuredContent)) {
+        failures.push({ assertion: 'outputSchema', message: ajv.errorsText(validate.errors) })
+      }
+    }
+  }
+
+  if (expect.maxLatency !== undefined && duration > expect.maxLatency) {
+    failures.push({ assertion: `maxLatency: ${expect.maxLatency}`, message: `took ${duration} ms` })
+  }
+
+  if (expect.contentType) {
+    const first = result?.content?.[0]
+    let ok = false
+    if (expect.contentType === 'json') {
+      try {
+        JSON.parse(first?.text)
+        ok = first?.type === 'text'
+      } catch {
+        ok = false
+      }
+    } else {
+      ok = first?.type === expect.contentType
+    }
+    if (!ok) {
+      failures.push({ assertion: `contentType: ${expect.contentType}`, message: `got ${first ? first.type : 'no content'}` })
+    }
+  }
+
+  const expressions = typeof expect.jq === 'string' ? [expect.jq] : expect.jq || []
+  if (expressions.length) {
+    const output = getToolOutput(result)
+    for (const expression of expressions) {
+      try {
+        const value = await jq.run(expression, output, { input: 'json', output: 'json' })
+        if (value === false || value === null || value === undefined || value === '') {
+          failures.push({ assertion: `jq: ${expression}`, message: `evaluated to ${JSON.stringify(value ?? null)}` })
+        }
+      } catch (err) {
+        failures.push({ assertion: `jq: ${expression}`, message: err.message })
+      }
+    }
+  }
+
+  return failures
+}
@@ -0,0 +1,136 @@
+import fs from 'fs'
+import { ClientCredentialsProvider } from '@modelcontextprotocol/sdk/client/auth-extensions.js'
+import { loadConfigFile } from './config.js'
+import { logger } from './logger.js'
+
+export const AUTH_TYPES = ['client-credentials', 'oauth']
+
+/**
+ * OAuth for HTTP transports. The SDK discovers the authorization server from the MCP server, sends the
+ * access token with every request and, when the server answers 401, gets a new one and retries.
+ * @typedef {Object} AuthConfig
+ * @property {'client-credentials'|'oauth'} type - 'client-credentials' requests tokens with the client's id and secret;
+ *   'oauth' uses a client registered beforehand and tokens obtained beforehand, refreshed with the refresh token
+ * @property {string} [clientId] - Client id registered with the authorization server
+ * @property {string} [clientSecret] - Client secret; required for 'client-credentials'
+ * @property {string} [scope] - Space-separated scopes to request
+ * @property {string} [issuer] - URL of the authorization server the client is registered with; credentials are only sent to it
+ * @property {string} [accessToken] - For 'oauth', the access token to start with
+ * @property {string} [refreshToken] - For 'oauth', the refresh token used to get new access tokens
+ * @property {string} [redirectUrl] - For 'oauth', the redirect URL the client is registered with (default: 'http://localhost/callback')
+ * @property {string} [credentialsFile] - JSON or YAML file with a list of credentials (any of the options above), one per
+ *   virtual user, wrapping around when there are more virtual users than entries. Entries override the options set here.
+ */
+
+/**
+ * Client registered beforehand, with tokens obtained beforehand. It can refresh its tokens but not start
+ * an interactive authorization, which needs a browser.
+ * @implements {import('@modelcontextprotocol/sdk/client/auth.js').OAuthClientProvider}
+ */
+class PreRegisteredClientProvider {
+  /**
+   * @param {AuthConfig} credentials - Client and tokens
+   */
+  constructor({ clientId, clientSecret, scope, issuer, accessToken, refreshToken, redirectUrl = 'http://localhost/callback' }) {
+    // A redirect URL marks this as an interactive client to the SDK, which is what makes it use the refresh token
+    this.redirectUrl = redirectUrl
+    this.clientMetadata = { client_name: 'benchmark-mcp', redirect_uris: [redirectUrl], scope }
+    this._clientInfo = { client_id: clientId, ...(clientSecret && { client_secret: clientSecret }), ...(issuer && { issuer }) }
+    this._tokens = accessToken || refreshToken ? { access_token: accessToken || '', token_type: 'Bearer', refresh_token: refreshToken, ...(issuer && { issuer }) } : undefined
+  }
+
+  clientInformation() {
+    return this._clientInfo
+  }
+
+  saveClientInformation(info) {
+    this._clientInfo = info
+  }
+
+  tokens() {
+    return this._tokens
+  }
+
+  saveTokens(tokens) {
+    this._tokens = tokens
+  }
+
+  redirectToAuthorization() {
+    throw new Error('The server requires interactive OAuth authorization. Set auth.refreshToken to a valid refresh token obtained beforehand')
+  }
+
+  saveCodeVerifier() {}
+
+  codeVerifier() {
+    throw new Error('codeVerifier is not used by pre-registered clients')
+  }
+}
+
+/**
+ * Credentials for each virtual user: the entries of `credentialsFile` over the rest of the config, or the config itself
+ * @param {AuthConfig} auth - Auth configuration
+ * @returns {AuthConfig[]}
+ */
+export function loadCredentials(auth) {
+  const { credentialsFile, ...base } = auth
+  if (!credentialsFile) {
+    return [base]
+  }
+  if (!fs.existsSync(credentialsFile)) {
+    throw new Error(`Credentials file not found: ${credentialsFile}`)
+  }
+  const entries = loadConfigFile(credentialsFile)
+  if (!Array.isArray(entries) || !entries.length) {
+    throw new Error(`Credentials file ${credentialsFile} must contain a non-empty list`)
+  }
+  return entries.map((entry) => ({ ...base, ...entry }))
+}
+
+/**
+ * Check an auth config, including every entry of its credentials file
+ * @param {AuthConfig} auth - Auth configuration
+ * @returns {string[]} Problems found, empty when the config is valid
+ */
+export function validateAuth(auth) {
+  let credentials
+  try {
+    credentials = loadCredentials(auth)
+  } catch (error) {
+    return [error.message]
+  }
+  const errors = []
+  credentials.forEach((entry, i) => {
+    const at = auth.credentialsFile ? `${auth.credentialsFile}[${i}]` : 'auth'
+    if (!AUTH_TYPES.includes(entry.type)) {
+      errors.push(`${at} has unknown type '${entry.type}'. Supported: ${AUTH_TYPES.join(', ')}`)
+    }
+    if (!entry.clientId) {
+      errors.push(`${at} is missing clientId`)
+    }
+    if (entry.type === 'client-credentials' && !entry.clientSecret) {
+      errors.push(`${at} is missing clientSecret`)
+    }
+    if (entry.type === 'oauth' && !entry.accessToken && !entry.refreshToken) {
+      errors.push(`${at} needs accessToken or refreshToken`)
+    }
+  })
+  return errors
+}
+
+/**
+ * Create the SDK auth provider for one virtual user's credentials
+ * @param {AuthConfig} credentials - Credentials of the virtual user
+ * @returns {import('@modelcontextprotocol/sdk/client/auth.js').OAuthClientProvider}
+ */
+export function createAuthProvider(credentials) {
+  const provider =
+    credentials.type === 'client-credentials'
+      ? new ClientCredentialsProvider({ clientId: credentials.clientId, clientSecret: credentials.clientSecret, scope: credentials.scope, expectedIssuer: credentials.issuer })
+      : new PreRegisteredClientProvider(credentials)
+  const saveTokens = provider.saveTokens.bind(provider)
+  provider.saveTokens = (tokens) => {
+    logger.debug({ clientId: credentials.clientId, expiresIn: tokens.expires_in }, 'Obtained OAuth tokens')
+    return saveTokens(tokens)
+  }
+  return provider
+}
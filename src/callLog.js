@@ -0,0 +1,77 @@
+import fs from 'fs'
+
+/**
+ * @typedef {Object} RecordedCall
+ * @property {string} toolName - Name of the tool that was called
+ * @property {Record<string, unknown>} args - Arguments the tool was called with
+ * @property {number} offset - Milliseconds between the first recorded call and this one
+ * @property {number} duration - How long the call took, in milliseconds
+ * @property {boolean} success - Whether the call succeeded
+ * @property {string|null} error - Error message for failed calls
+ */
+
+/**
+ * @typedef {Object} CallLog
+ * @property {number} version - Format version of the call log
+ * @property {string} recordedAt - ISO timestamp of when the log was written
+ * @property {string} [serverUrl] - Server the calls were made against
+ * @property {number} [seed] - Seed the run used, if any
+ * @property {RecordedCall[]} calls - Calls in the order they started
+ */
+
+/**
+ * @typedef {Object} ReplayConfig
+ * @property {string} file - Path of a call log written by the `record` option
+ * @property {boolean} [preserveTiming] - Re-issue calls at their original offsets, overlapping them like the original run did (default: false)
+ */
+
+const CALL_LOG_VERSION = 1
+
+/**
+ * Build a call log from the per-call details collected by a Metrics instance
+ * @param {import('./metrics.js').Metrics} metrics - Metrics holding the recorded calls
+ * @param {{ serverUrl?: string, seed?: number }} [meta] - Run information stored alongside the calls
+ * @returns {CallLog}
+ */
+export function buildCallLog(metrics, meta = {}) {
+  const details = [...metrics.details].sort((a, b) => a.startedAt - b.startedAt)
+  const first = details[0]?.startedAt ?? 0
+  return {
+    version: CALL_LOG_VERSION,
+    recordedAt: new Date().toISOString(),
+    ...meta,
+    calls: details.map((detail) => ({
+      toolName: detail.toolName,
+      args: detail.args,
+      offset: detail.startedAt - first,
+      duration: detail.duration,
+      success: detail.success,
+      error: detail.error ? detail.error.message || String(detail.error) : null,
+    })),
+  }
+}
+
+/**
+ * Write a call log as JSON
+ * @param {string} file - Destination path
+ * @param {CallLog} log - Call log to write
+ */
+export function writeCallLog(file, log) {
+  fs.writeFileSync(file, JSON.stringify(log, null, 2))
+}
+
+/**
+ * Read and validate a call log written by `writeCallLog`
+ * @param {string} file - Path of the call log
+ * @returns {CallLog}
+ */
+export function readCallLog(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Replay file not found: ${file}`)
+  }
+  const log = JSON.parse(fs.readFileSync(file, 'utf8'))
+  if (log.version !== CALL_LOG_VERSION || !Array.isArray(log.calls)) {
+    throw new Error(`Unsupported replay file format in ${file}`)
+  }
+  return log
+}
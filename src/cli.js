@@ -0,0 +1,495 @@
+import fs from 'fs'
+import os from 'node:os'
+import { parseArgs } from 'node:util'
+import { Faker, en } from '@faker-js/faker'
+import { run, MCPClient } from './index.js'
+import { RUN_MODES, interpolateEnv, loadConfigFile, maskSecrets, validateConfig } from './config.js'
+import { evaluateThresholds, printThresholds } from './thresholds.js'
+import { writeReports } from './reporters/index.js'
+import { compareRuns, loadResults, printComparison } from './compare.js'
+import { serveMockStdio, startMockServer, validateMockConfig } from './mockServer.js'
+import { startWorkerServer } from './worker.js'
+import { WORKER_TOKEN_ENV } from './distributed.js'
+import { serveRecordingProxyStdio, startRecordingProxy } from './proxy.js'
+import { logger } from './logger.js'
+
+const USAGE = `Usage: benchmark-mcp <command> [options]
+
+Commands:
+  run [target] [config]       Run a load test (the default command)
+  list-tools [target]         Connect and print the server's tools
+  validate [config]           Check a config file and flags without connecting
+  report <results.json>       Render reports from a saved JSON report
+  compare <baseline> <current>  Compare two saved JSON reports and flag regressions
+  mock [config]               Serve a mock MCP server with the tools, latency and faults of a config file
+  worker                      Wait for load tests from a coordinator run with --remote-worker
+  proxy [target] [config]     Forward a real client's session to the server and record it as a sequence config
+
+The target is an http(s) URL, or the command line of a server to launch over stdio.
+Quote the command line as one argument, or pass it after --: benchmark-mcp run -c load.yaml -- node server.js
+It can also come from serverUrl / transport.command in the config file.
+
+Options:
+  -c, --config <file>         JSON or YAML config file; \${VAR} and \${VAR:-default} are read from the environment
+  -n, --calls <n>             Iterations across all virtual users (numCalls)
+      --concurrency <n>       Virtual users running in parallel
+  -d, --duration <time>       Run for a duration instead of a number of calls ('30s', '5m')
+      --delay <ms>            Delay between calls (delayBetweenCalls)
+      --timeout <time>        Fail calls that take longer than this as timeouts ('30s')
+  -t, --tools <a,b>           Only call these tools (toolNames)
+  -H, --header <'K: V'>       Request header, repeatable
+  -m, --mode <mode>           ${RUN_MODES.join(' | ')}
+      --transport <type>      streamable-http | sse | stdio (mock, proxy: stdio serves over stdin/stdout)
+      --share-connection      Virtual users share one MCP session
+      --workers <n>           Split the load across n local worker processes
+      --remote-worker <url>   Also send a share of the load to this worker, repeatable
+      --seed <n>              Seed generated data and tool choice
+      --record <file>         Write every call to a call log
+      --replay <file>         Replay a call log
+      --threshold <expr>      Pass/fail limit such as 'p95 < 500', repeatable
+  -r, --reporter <type[:file]>  json, junit, csv or html report, repeatable
+      --baseline <file>       Compare the run against a saved JSON report
+      --tolerance <[metric=]v>  Allowed regression, e.g. 10% or p99=20%, repeatable
+      --alpha <p>             Significance level for comparisons (default: 0.05)
+      --progress              Print live progress (calls, req/s, rolling p95, errors)
+      --prometheus-port <n>   Serve Prometheus metrics on this port during the run
+      --pushgateway <url>     Push Prometheus metrics to this Pushgateway during the run
+      --set <path=value>      Set any config field, e.g. --set mockData.fields=required, repeatable
+      --dry-run               Print the resolved config (secrets masked) and exit
+      --port <n>              mock: port to serve streamable HTTP on (default: 3000); worker: port to listen on (default: 7700); proxy: port to serve on (default: 7800)
+      --host <host>           mock, worker, proxy: interface to listen on (worker and proxy default: 127.0.0.1)
+  -o, --output <file>         proxy: where to write the recorded config, YAML or JSON (default: recording.yaml)
+      --token <token>         worker: token coordinators must send (default: $${WORKER_TOKEN_ENV}); coordinators set workers.token or the same variable
+      --allow-commands        worker: run configs whose transport.command launches a local stdio server
+      --dir <path>            worker: directory the files a config names are read from and written to (default: the working directory)
+      --json                  list-tools: print the full tool definitions as JSON; compare: print the verdict as JSON
+  -h, --help                  Show this help`
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  calls: { type: 'string', short: 'n' },
+  concurrency: { type: 'string' },
+  duration: { type: 'string', short: 'd' },
+  delay: { type: 'string' },
+  timeout: { type: 'string' },
+  tools: { type: 'string', short: 't' },
+  header: { type: 'string', short: 'H', multiple: true },
+  mode: { type: 'string', short: 'm' },
+  transport: { type: 'string' },
+  'share-connection': { type: 'boolean' },
+  workers: { type: 'string' },
+  'remote-worker': { type: 'string', multiple: true },
+  seed: { type: 'string' },
+  record: { type: 'string' },
+  replay: { type: 'string' },
+  threshold: { type: 'string', multiple: true },
+  reporter: { type: 'string', short: 'r', multiple: true },
+  baseline: { type: 'string' },
+  tolerance: { type: 'string', multiple: true },
+  alpha: { type: 'string' },
+  progress: { type: 'boolean' },
+  'prometheus-port': { type: 'string' },
+  pushgateway: { type: 'string' },
+  set: { type: 'string', multiple: true },
+  'dry-run': { type: 'boolean' },
+  port: { type: 'string' },
+  host: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  token: { type: 'string' },
+  'allow-commands': { type: 'boolean' },
+  dir: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+}
+
+const COMMANDS = ['run', 'list-tools', 'validate', 'report', 'compare', 'mock', 'worker', 'proxy']
+
+/**
+ * Build the target part of the config from a CLI argument: an http(s) URL,
+ * or the command line of a local server to launch over stdio. A command line given
+ * as one string is split like a shell would, so quoted arguments can hold spaces.
+ * @param {string | string[]} target - URL, command line, or the command and its arguments
+ * @returns {Pick<import('./index.js').LoadTestConfig, 'serverUrl' | 'transport'>}
+ */
+export function parseTarget(target) {
+  if (typeof target === 'string' && /^https?:\/\//i.test(target)) {
+    return { serverUrl: target }
+  }
+  const [command, ...args] = Array.isArray(target) ? target : splitCommandLine(target)
+  return { transport: { type: 'stdio', command, args } }
+}
+
+// Split on whitespace outside quotes. Single quotes keep everything, double quotes and bare words allow backslash escapes
+function splitCommandLine(line) {
+  const words = []
+  let word
+  for (const [, space, single, double, escaped, bare, stray] of line.matchAll(/(\s+)|'([^']*)'|"((?:\\.|[^"\\])*)"|\\(.)|([^\s'"\\]+)|(['"\\])/gs)) {
+    if (stray) {
+      throw new Error(`Unterminated quote or escape in the command line: ${line}`)
+    }
+    if (space) {
+      if (word !== undefined) words.push(word)
+      word = undefined
+    } else {
+      word = (word ?? '') + (single ?? double?.replace(/\\(.)/gs, '$1') ?? escaped ?? bare)
+    }
+  }
+  if (word !== undefined) words.push(word)
+  return words
+}
+
+function toNumber(flag, value) {
+  const number = Number(value)
+  if (value === '' || !Number.isFinite(number)) {
+    throw new Error(`--${flag} expects a number. Got: '${value}'`)
+  }
+  return number
+}
+
+// '10%' sets the default tolerance, 'p99=20%' the tolerance of one metric
+function parseToleranceFlags(flags) {
+  const entries = flags.map((flag) => (flag.includes('=') ? flag.split('=', 2).map((part) => part.trim()) : ['default', flag]))
+  return entries.length === 1 && entries[0][0] === 'default' ? entries[0][1] : Object.fromEntries(entries)
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.')
+  let node = target
+  for (const key of keys.slice(0, -1)) {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {}
+    node = node[key]
+  }
+  node[keys[keys.length - 1]] = value
+}
+
+/**
+ * Turn parsed flags into config fields. Later sources win: config file, target, flags, then --set.
+ * @param {Record<string, any>} values - Flags from parseArgs
+ * @returns {Partial<import('./index.js').LoadTestConfig>}
+ */
+function flagsToConfig(values) {
+  const config = {}
+  if (values.calls !== undefined) config.numCalls = toNumber('calls', values.calls)
+  if (values.concurrency !== undefined) config.concurrency = toNumber('concurrency', values.concurrency)
+  if (values.duration !== undefined) config.duration = /^\d+$/.test(values.duration) ? Number(values.duration) : values.duration
+  if (values.delay !== undefined) config.delayBetweenCalls = toNumber('delay', values.delay)
+  if (values.timeout !== undefined) config.timeout = /^\d+$/.test(values.timeout) ? Number(values.timeout) : values.timeout
+  if (values.tools !== undefined) config.toolNames = values.tools.split(',').map((name) => name.trim()).filter(Boolean)
+  if (values.header) {
+    config.headers = {}
+    for (const header of values.header) {
+      const separator = header.indexOf(':')
+      if (separator <= 0) {
+        throw new Error(`--header expects 'Name: value'. Got: '${header}'`)
+      }
+      config.headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim()
+    }
+  }
+  if (values.mode !== undefined) config.mode = values.mode
+  if (values.transport !== undefined) config.transport = { type: values.transport }
+  if (values['share-connection']) config.shareConnection = true
+  if (values.workers !== undefined) config.workers = { count: toNumber('workers', values.workers) }
+  if (values['remote-worker']) config.workers = { ...config.workers, remote: values['remote-worker'] }
+  if (values.seed !== undefined) config.seed = toNumber('seed', values.seed)
+  if (values.record !== undefined) config.record = values.record
+  if (values.replay !== undefined) config.replay = { file: values.replay }
+  if (values.threshold) config.thresholds = values.threshold
+  if (values.reporter) config.reporters = values.reporter
+  if (values.progress) config.progress = true
+  if (values['prometheus-port'] !== undefined) config.prometheus = { port: toNumber('prometheus-port', values['prometheus-port']) }
+  if (values.pushgateway !== undefined) config.prometheus = { ...config.prometheus, pushgateway: { url: values.pushgateway } }
+  if (values.baseline !== undefined) config.compare = { baseline: values.baseline }
+  if (values.tolerance) config.compare = { ...config.compare, tolerance: parseToleranceFlags(values.tolerance) }
+  if (values.alpha !== undefined) config.compare = { ...config.compare, alpha: toNumber('alpha', values.alpha) }
+  return config
+}
+
+/**
+ * Resolve the full config for a command from the config file, target and flags
+ * @param {Record<string, any>} values - Flags from parseArgs
+ * @param {{ target?: string | string[], configFile?: string }} sources - Positional target and config file
+ * @returns {import('./index.js').LoadTestConfig}
+ */
+export function resolveConfig(values, { target, configFile } = {}) {
+  const file = values.config || configFile
+  const config = file ? loadConfigFile(file) : {}
+  const overrides = interpolateEnv(flagsToConfig(values))
+  const resolved = { ...config, headers: { ...config.headers }, transport: { ...config.transport } }
+  // A target on the command line replaces the config file's server, whichever kind it was
+  if (target) {
+    const { serverUrl, transport } = parseTarget(target)
+    delete resolved.serverUrl
+    delete resolved.transport.command
+    delete resolved.transport.args
+    if (serverUrl) {
+      resolved.serverUrl = serverUrl
+      if (resolved.transport.type === 'stdio') delete resolved.transport.type
+    } else {
+      Object.assign(resolved.transport, transport)
+    }
+  }
+  Object.assign(resolved, {
+    ...overrides,
+    headers: { ...resolved.headers, ...overrides.headers },
+    transport: { ...resolved.transport, ...overrides.transport },
+    ...(overrides.prometheus && { prometheus: { ...config.prometheus, ...overrides.prometheus } }),
+    ...(overrides.compare && { compare: { ...config.compare, ...overrides.compare } }),
+    ...(overrides.workers && { workers: { ...(typeof config.workers === 'number' ? { count: config.workers } : config.workers), ...overrides.workers } }),
+  })
+  if (!Object.keys(resolved.headers).length) delete resolved.headers
+  if (!Object.keys(resolved.transport).length) delete resolved.transport
+  // Flag thresholds and reporters add to the config file's instead of replacing them
+  if (overrides.reporters && config.reporters) resolved.reporters = [...config.reporters, ...overrides.reporters]
+  if (overrides.thresholds && Array.isArray(config.thresholds)) resolved.thresholds = [...config.thresholds, ...overrides.thresholds]
+  for (const assignment of values.set || []) {
+    const separator = assignment.indexOf('=')
+    if (separator <= 0) {
+      throw new Error(`--set expects 'path=value'. Got: '${assignment}'`)
+    }
+    const raw = interpolateEnv(assignment.slice(separator + 1))
+    let value
+    try {
+      value = JSON.parse(raw)
+    } catch {
+      value = raw
+    }
+    setPath(resolved, assignment.slice(0, separator), value)
+  }
+  return resolved
+}
+
+function printErrors(errors) {
+  console.error('Invalid config:')
+  for (const error of errors) {
+    console.error(`  - ${error}`)
+  }
+}
+
+/**
+ * Turn logging down while stdout carries something that must stay parseable
+ * @param {'warn' | 'silent'} level - 'warn' for JSON output, 'silent' for the MCP protocol
+ */
+function reserveStdout(level) {
+  logger.level = level
+}
+
+/**
+ * Wait until the process is told to stop: SIGINT, SIGTERM or, for a server on stdio, the client closing stdin.
+ * The listeners stay registered, so other SIGINT handlers (e.g. @openai/agents tracing) don't exit the process first.
+ * @param {Object} [options]
+ * @param {boolean} [options.stdin] - Also stop when stdin ends (default: false)
+ * @returns {Promise<void>}
+ */
+function waitForShutdown({ stdin = false } = {}) {
+  return new Promise((resolve) => {
+    process.on('SIGINT', () => resolve())
+    process.on('SIGTERM', () => resolve())
+    if (stdin) process.stdin.once('end', () => resolve())
+  })
+}
+
+async function runCommand(values, positionals) {
+  // A single positional that is a config file rather than a target: `benchmark-mcp run load.yaml`
+  const [first, second] = positionals
+  const firstIsConfig = typeof first === 'string' && !second && !values.config && /\.(ya?ml|json)$/i.test(first) && fs.existsSync(first)
+  const config = resolveConfig(values, firstIsConfig ? { configFile: first } : { target: first, configFile: second })
+  const errors = validateConfig(config)
+  if (values['dry-run']) {
+    console.log(JSON.stringify(maskSecrets(config), null, 2))
+    if (errors.length) printErrors(errors)
+    return errors.length ? 1 : 0
+  }
+  if (errors.length) {
+    printErrors(errors)
+    return 1
+  }
+  const summary = await run(config)
+  // Like a process killed by the signal would, so scripts see the run didn't complete
+  if (summary?.interrupted) {
+    const signal = os.constants.signals[summary.interrupted]
+    return signal ? 128 + signal : 1
+  }
+  return summary?.thresholds?.passed === false || summary?.fuzz?.failed > 0 || summary?.comparison?.passed === false ? 1 : 0
+}
+
+async function listToolsCommand(values, positionals) {
+  const config = resolveConfig(values, { target: positionals[0], configFile: positionals[1] })
+  if (!config.serverUrl && !config.transport?.command) {
+    throw new Error('list-tools needs a target URL or command, or a config file with serverUrl / transport.command')
+  }
+  if (values.json) {
+    reserveStdout('warn')
+  }
+  const client = new MCPClient({ fakerInstance: new Faker({ locale: [en] }), serverUrl: config.serverUrl, config })
+  try {
+    await client.connectToServer()
+    if (values.json) {
+      console.log(JSON.stringify(client.tools, null, 2))
+      return 0
+    }
+    for (const tool of client.tools) {
+      const properties = Object.keys(tool.inputSchema?.properties || {})
+      const required = new Set(tool.inputSchema?.required || [])
+      const params = properties.map((name) => (required.has(name) ? name : `${name}?`)).join(', ')
+      console.log(`${tool.name}(${params})${tool.description ? ` - ${tool.description}` : ''}`)
+    }
+    return 0
+  } finally {
+    await client.cleanup()
+  }
+}
+
+async function validateCommand(values, positionals) {
+  const config = resolveConfig(values, { configFile: positionals[0] })
+  const errors = validateConfig(config)
+  if (errors.length) {
+    printErrors(errors)
+    return 1
+  }
+  console.log('Config is valid')
+  return 0
+}
+
+async function reportCommand(values, positionals) {
+  const file = positionals[0]
+  if (!file) {
+    throw new Error('report needs the path of a JSON report written with --reporter json')
+  }
+  if (!values.reporter?.length) {
+    throw new Error('report needs at least one --reporter')
+  }
+  const summary = JSON.parse(fs.readFileSync(file, 'utf8'))
+  if (values.threshold) {
+    summary.thresholds = evaluateThresholds(summary, values.threshold)
+    printThresholds(summary.thresholds)
+  }
+  if (values.baseline) {
+    summary.comparison = compareRuns(loadResults(values.baseline), summary, resolveConfig(values).compare)
+    printComparison(summary.comparison)
+  }
+  await writeReports(summary, values.reporter)
+  return summary.thresholds?.passed === false || summary.comparison?.passed === false ? 1 : 0
+}
+
+async function compareCommand(values, positionals) {
+  const [baselineFile, currentFile] = positionals
+  if (!baselineFile || !currentFile) {
+    throw new Error('compare needs two JSON reports written with --reporter json: the baseline, then the run to check')
+  }
+  const { compare: options = {} } = resolveConfig(values)
+  if (values.json) {
+    reserveStdout('warn')
+  }
+  const comparison = compareRuns(loadResults(baselineFile), loadResults(currentFile), options)
+  if (values.json) {
+    console.log(JSON.stringify(comparison, null, 2))
+  } else {
+    printComparison(comparison)
+  }
+  return comparison.passed ? 0 : 1
+}
+
+async function mockCommand(values, positionals) {
+  const file = values.config || positionals[0]
+  const config = file ? loadConfigFile(file) : {}
+  if (values.port !== undefined) config.port = toNumber('port', values.port)
+  if (values.seed !== undefined) config.seed = toNumber('seed', values.seed)
+  if (values.host !== undefined) config.host = values.host
+  const errors = validateMockConfig(config)
+  if (errors.length) {
+    printErrors(errors)
+    return 1
+  }
+  const stdio = values.transport === 'stdio'
+  if (stdio) {
+    reserveStdout('silent')
+  }
+  const server = stdio ? await serveMockStdio(config) : await startMockServer(config)
+  await waitForShutdown({ stdin: stdio })
+  await server.close()
+  return 0
+}
+
+async function workerCommand(values) {
+  const token = values.token ?? process.env[WORKER_TOKEN_ENV]
+  if (!token) {
+    throw new Error(`worker needs a token shared with its coordinators: --token or ${WORKER_TOKEN_ENV}`)
+  }
+  const server = await startWorkerServer({
+    token,
+    allowCommands: Boolean(values['allow-commands']),
+    ...(values.dir !== undefined && { dir: values.dir }),
+    ...(values.port !== undefined && { port: toNumber('port', values.port) }),
+    ...(values.host !== undefined && { host: values.host }),
+  })
+  await waitForShutdown()
+  await server.close()
+  return 0
+}
+
+async function proxyCommand(values, positionals) {
+  const [target, configFile] = positionals
+  // --transport picks how the proxy serves its client, as for mock; the server's transport comes from the target or config file
+  const config = resolveConfig({ ...values, transport: undefined }, { target, configFile })
+  if (values.transport !== undefined && !['streamable-http', 'stdio'].includes(values.transport)) {
+    throw new Error(`proxy serves over streamable-http or stdio. Got: '${values.transport}'`)
+  }
+  if (!config.serverUrl && !config.transport?.command) {
+    throw new Error('proxy needs the server to forward to: a URL or command line, or serverUrl / transport.command in the config file')
+  }
+  const options = { output: values.output || 'recording.yaml' }
+  if (values.transport === 'stdio') {
+    reserveStdout('silent')
+    const proxy = await serveRecordingProxyStdio(config, options)
+    await waitForShutdown({ stdin: true })
+    await proxy.close()
+    return 0
+  }
+  const proxy = await startRecordingProxy(config, {
+    ...options,
+    ...(values.port !== undefined && { port: toNumber('port', values.port) }),
+    ...(values.host !== undefined && { host: values.host }),
+  })
+  console.error(`Recording proxy listening on ${proxy.url}, press Ctrl-C to stop and write ${options.output}`)
+  await waitForShutdown()
+  await proxy.close()
+  return 0
+}
+
+/**
+ * Run the benchmark-mcp command line
+ * @param {string[]} argv - Arguments after the executable name
+ * @returns {Promise<number>} Process exit code
+ */
+export async function main(argv) {
+  const { values, positionals, tokens } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true, tokens: true })
+  // Everything after `--` is the server's command and arguments, taken as the shell split them
+  const terminator = tokens.find((token) => token.kind === 'option-terminator')
+  if (terminator) {
+    const commandLine = argv.slice(terminator.index + 1)
+    positionals.splice(positionals.length - commandLine.length, commandLine.length, commandLine)
+  }
+  const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : 'run'
+  if (values.help || (command === 'run' && !positionals.length && !values.config)) {
+    console.log(USAGE)
+    return values.help ? 0 : 1
+  }
+  switch (command) {
+    case 'list-tools':
+      return listToolsCommand(values, positionals)
+    case 'validate':
+      return validateCommand(values, positionals)
+    case 'report':
+      return reportCommand(values, positionals)
+    case 'compare':
+      return compareCommand(values, positionals)
+    case 'mock':
+      return mockCommand(values, positionals)
+    case 'worker':
+      return workerCommand(values)
+    case 'proxy':
+      return proxyCommand(values, positionals)
+    default:
+      return runCommand(values, positionals)
+  }
+}
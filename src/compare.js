@@ -0,0 +1,283 @@
+import fs from 'fs'
+
+/**
+ * A fraction (0.1) or a percentage string ('10%')
+ * @typedef {number | string} Tolerance
+ */
+
+/**
+ * @typedef {Object} CompareConfig
+ * @property {string} [baseline] - JSON report of an earlier run (written with the json reporter) to compare the run against
+ * @property {Tolerance | Record<string, Tolerance>} [tolerance] - How much worse a metric may get before it counts as a regression, overall or per metric
+ *   with a `default` key. Relative for latency and throughput, in absolute percentage points for errorRate (default: '10%', and '1%' for errorRate)
+ * @property {number} [alpha] - Significance level; a change must be this unlikely to be noise to count (default: 0.05)
+ * @property {string[]} [metrics] - Metrics to compare (default: p50, p95, p99, errorRate, throughput)
+ */
+
+/**
+ * @typedef {Object} MetricComparison
+ * @property {string} scope - 'global', the tool name, or 'scenario:' followed by the scenario name
+ * @property {string} metric - Metric compared
+ * @property {number|null} baseline - Value in the baseline run, null if the tool or scenario didn't run
+ * @property {number|null} current - Value in the current run, null if the tool or scenario didn't run
+ * @property {number|null} change - Relative change for latency and throughput, absolute for errorRate
+ * @property {number|null} pValue - Probability the difference is noise, null when there weren't enough samples to test
+ * @property {'regression'|'improvement'|'unchanged'|'added'|'removed'} verdict - Outcome for this metric
+ */
+
+/**
+ * @typedef {Object} Comparison
+ * @property {boolean} passed - True when no metric regressed
+ * @property {number} regressions - Number of regressed metrics
+ * @property {number} improvements - Number of significantly improved metrics
+ * @property {MetricComparison[]} results - One entry per scope and metric
+ */
+
+const PERCENTILES = ['p50', 'p90', 'p95', 'p99', 'p999']
+export const COMPARE_METRICS = ['avg', 'min', 'max', ...PERCENTILES, 'errorRate', 'throughput']
+const DEFAULT_METRICS = ['p50', 'p95', 'p99', 'errorRate', 'throughput']
+const SCENARIO_SCOPE = 'scenario:'
+// Below this many samples per side the normal approximations aren't trustworthy
+const MIN_SAMPLES = 10
+
+/**
+ * Parse a tolerance
+ * @param {Tolerance} value - 0.1 or '10%'
+ * @returns {number} The tolerance as a fraction
+ */
+export function parseTolerance(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(%?)\s*$/.exec(String(value))
+  if (!match) {
+    throw new Error(`Invalid tolerance '${value}'. Use a fraction like 0.1 or a percentage like '10%'`)
+  }
+  return match[2] ? Number(match[1]) / 100 : Number(match[1])
+}
+
+/**
+ * Tolerance for a metric, from a single value or a per-metric map
+ * @param {CompareConfig['tolerance']} tolerance - Configured tolerance
+ * @param {string} metric - Metric name
+ * @returns {number}
+ */
+function toleranceFor(tolerance, metric) {
+  const fallback = metric === 'errorRate' ? '1%' : '10%'
+  if (tolerance !== null && typeof tolerance === 'object') {
+    return parseTolerance(tolerance[metric] ?? (metric === 'errorRate' ? fallback : (tolerance.default ?? fallback)))
+  }
+  // A single tolerance is relative, so it doesn't carry over to the error rate's percentage points
+  return parseTolerance(metric === 'errorRate' || tolerance === undefined ? fallback : tolerance)
+}
+
+// Abramowitz and Stegun 7.1.26, accurate to about 1e-7
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2
+  const t = 1 / (1 + 0.3275911 * x)
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x)
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2
+}
+
+/**
+ * Two-sided Mann-Whitney U test: whether values in `a` tend to be larger or smaller than in `b`.
+ * Uses the normal approximation with a tie correction.
+ * @param {number[]} a - First sample
+ * @param {number[]} b - Second sample
+ * @returns {number|null} p-value, or null with too few samples
+ */
+export function mannWhitneyU(a, b) {
+  const n1 = a.length
+  const n2 = b.length
+  if (n1 < MIN_SAMPLES || n2 < MIN_SAMPLES) return null
+  const values = [...a.map((value) => ({ value, first: true })), ...b.map((value) => ({ value, first: false }))].sort((x, y) => x.value - y.value)
+  let rankSum = 0
+  let tieTerm = 0
+  for (let i = 0; i < values.length; ) {
+    let j = i
+    while (j < values.length && values[j].value === values[i].value) j++
+    // Tied values share the average of the ranks they span (ranks are 1-based)
+    const rank = (i + 1 + j) / 2
+    for (let k = i; k < j; k++) {
+      if (values[k].first) rankSum += rank
+    }
+    const ties = j - i
+    tieTerm += ties ** 3 - ties
+    i = j
+  }
+  const n = n1 + n2
+  const u = rankSum - (n1 * (n1 + 1)) / 2
+  const mean = (n1 * n2) / 2
+  const variance = ((n1 * n2) / 12) * (n + 1 - tieTerm / (n * (n - 1)))
+  if (variance <= 0) return 1
+  const z = (u - mean) / Math.sqrt(variance)
+  return 2 * (1 - normalCdf(Math.abs(z)))
+}
+
+/**
+ * Two-sided two-proportion z-test
+ * @param {number} failures1 - Failures in the first sample
+ * @param {number} total1 - Size of the first sample
+ * @param {number} failures2 - Failures in the second sample
+ * @param {number} total2 - Size of the second sample
+ * @returns {number|null} p-value, or null with too few samples
+ */
+export function proportionTest(failures1, total1, failures2, total2) {
+  if (total1 < MIN_SAMPLES || total2 < MIN_SAMPLES) return null
+  const pooled = (failures1 + failures2) / (total1 + total2)
+  if (pooled === 0 || pooled === 1) return 1
+  const z = (failures1 / total1 - failures2 / total2) / Math.sqrt(pooled * (1 - pooled) * (1 / total1 + 1 / total2))
+  return 2 * (1 - normalCdf(Math.abs(z)))
+}
+
+/**
+ * Whether a percentile moved: compares the share of calls slower than the baseline's value of it
+ * @param {number[]} baseline - Baseline call durations
+ * @param {number[]} current - Current call durations
+ * @param {number} threshold - The baseline's value of the percentile
+ * @returns {number|null} p-value, or null with too few samples
+ */
+function quantileTest(baseline, current, threshold) {
+  const slower = (durations) => durations.filter((duration) => duration > threshold).length
+  return proportionTest(slower(baseline), baseline.length, slower(current), current.length)
+}
+
+/**
+ * Stats, durations and throughput samples for every scope of a summary
+ * @param {any} summary - Summary from Metrics.getSummary() or a JSON report
+ * @returns {Map<string, { stats: any, durations: number[], throughput: number, samples: number[] | null }>}
+ */
+function scopes(summary) {
+  const details = summary.details || []
+  const seconds = summary.totalTime || 0
+  const result = new Map()
+  const add = (scope, stats, calls, samples = null) => {
+    result.set(scope, { stats, durations: calls.map((detail) => detail.duration), throughput: seconds > 0 ? stats.total / seconds : 0, samples })
+  }
+  add('global', summary, details, (summary.timeSeries || []).map((point) => point.throughput))
+  for (const [tool, stats] of Object.entries(summary.perTool || {})) {
+    add(tool, stats, details.filter((detail) => detail.toolName === tool))
+  }
+  for (const [scenario, stats] of Object.entries(summary.perScenario || {})) {
+    add(`${SCENARIO_SCOPE}${scenario}`, stats, details.filter((detail) => detail.scenario === scenario))
+  }
+  return result
+}
+
+/**
+ * Compare a run against a baseline, globally and per tool and scenario. A metric regresses when it got
+ * worse by more than its tolerance and the change is statistically significant (or can't be tested).
+ * Percentiles are tested by comparing the share of calls slower than the baseline's value, avg with a Mann-Whitney U test
+ * on call durations, error rate with a two-proportion z-test and global throughput with a Mann-Whitney U test on the
+ * per-second throughput of the time series. min and max are only held to the tolerance.
+ * @param {any} baseline - Summary of the baseline run
+ * @param {any} current - Summary of the run to check
+ * @param {CompareConfig} [options] - Tolerance, significance level and metrics
+ * @returns {Comparison}
+ */
+export function compareRuns(baseline, current, options = {}) {
+  const { alpha = 0.05, metrics = DEFAULT_METRICS } = options
+  for (const metric of metrics) {
+    if (!COMPARE_METRICS.includes(metric)) {
+      throw new Error(`Unknown compare metric '${metric}'. Supported: ${COMPARE_METRICS.join(', ')}`)
+    }
+  }
+  const before = scopes(baseline)
+  const after = scopes(current)
+  const results = []
+  for (const scope of new Set([...before.keys(), ...after.keys()])) {
+    const b = before.get(scope)
+    const a = after.get(scope)
+    for (const metric of metrics) {
+      if (!b || !a) {
+        const value = (side) => (side ? valueOf(side, metric) : null)
+        results.push({ scope, metric, baseline: value(b), current: value(a), change: null, pValue: null, verdict: b ? 'removed' : 'added' })
+        continue
+      }
+      const baseValue = valueOf(b, metric)
+      const currentValue = valueOf(a, metric)
+      let change
+      let pValue
+      if (metric === 'errorRate') {
+        change = currentValue - baseValue
+        pValue = proportionTest(b.stats.failure, b.stats.total, a.stats.failure, a.stats.total)
+      } else if (metric === 'throughput') {
+        change = baseValue > 0 ? (currentValue - baseValue) / baseValue : null
+        pValue = b.samples && a.samples ? mannWhitneyU(b.samples, a.samples) : null
+      } else {
+        change = baseValue > 0 ? (currentValue - baseValue) / baseValue : null
+        pValue = PERCENTILES.includes(metric) ? quantileTest(b.durations, a.durations, baseValue) : metric === 'avg' ? mannWhitneyU(b.durations, a.durations) : null
+      }
+      // Throughput is better higher, latency and error rate lower
+      const worse = change !== null && (metric === 'throughput' ? -change : change) > toleranceFor(options.tolerance, metric)
+      const better = change !== null && (metric === 'throughput' ? change : -change) > toleranceFor(options.tolerance, metric)
+      const significant = pValue === null || pValue < alpha
+      const verdict = worse && significant ? 'regression' : better && significant ? 'improvement' : 'unchanged'
+      results.push({ scope, metric, baseline: baseValue, current: currentValue, change, pValue, verdict })
+    }
+  }
+  const regressions = results.filter((r) => r.verdict === 'regression').length
+  return {
+    passed: regressions === 0,
+    regressions,
+    improvements: results.filter((r) => r.verdict === 'improvement').length,
+    results,
+  }
+}
+
+function valueOf(side, metric) {
+  if (metric === 'throughput') return side.throughput
+  if (metric === 'errorRate') return side.stats.total > 0 ? side.stats.failure / side.stats.total : 0
+  return side.stats[metric] ?? null
+}
+
+/**
+ * Read a run summary saved by the json reporter
+ * @param {string} file - Path of the JSON report
+ * @returns {any}
+ */
+export function loadResults(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Results file not found: ${file}`)
+  }
+  const summary = JSON.parse(fs.readFileSync(file, 'utf8'))
+  if (typeof summary?.total !== 'number' || !summary.perTool) {
+    throw new Error(`${file} is not a JSON report written with --reporter json`)
+  }
+  return summary
+}
+
+/**
+ * Print a comparison as a table, changed metrics first
+ * @param {Comparison} comparison - Result of compareRuns
+ */
+export function printComparison(comparison) {
+  const format = (metric, value) => {
+    if (value === null) return 'n/a'
+    if (metric === 'errorRate') return `${(value * 100).toFixed(2)}%`
+    if (metric === 'throughput') return `${value.toFixed(2)} req/s`
+    return `${value.toFixed(2)} ms`
+  }
+  const formatChange = (metric, change) => {
+    if (change === null) return ''
+    const sign = change > 0 ? '+' : ''
+    return metric === 'errorRate' ? `${sign}${(change * 100).toFixed(2)} pts` : `${sign}${(change * 100).toFixed(1)}%`
+  }
+  const order = { regression: 0, removed: 1, added: 2, improvement: 3, unchanged: 4 }
+  const rows = [...comparison.results]
+    .sort((x, y) => order[x.verdict] - order[y.verdict])
+    .map((r) => [
+      r.verdict.toUpperCase(),
+      r.scope === 'global' ? r.metric : `${r.scope}.${r.metric}`,
+      format(r.metric, r.baseline),
+      format(r.metric, r.current),
+      formatChange(r.metric, r.change),
+      r.pValue === null ? 'n/a' : r.pValue < 0.0001 ? '<0.0001' : r.pValue.toFixed(4),
+    ])
+  const header = ['Verdict', 'Metric', 'Baseline', 'Current', 'Change', 'p-value']
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)))
+  const line = (row) => `  ${row.map((cell, i) => cell.padEnd(widths[i])).join('  ')}`.trimEnd()
+  console.log('\n--- Comparison ---')
+  console.log(line(header))
+  for (const row of rows) {
+    console.log(line(row))
+  }
+  console.log(comparison.passed ? 'No regressions' : `${comparison.regressions} regression${comparison.regressions === 1 ? '' : 's'} found`)
+}
@@ -0,0 +1,351 @@
+import fs from 'fs'
+import path from 'path'
+import YAML from 'yaml'
+import { parseDuration } from './runner.js'
+import { parseThresholds } from './thresholds.js'
+import { parseReporterOption, reporters } from './reporters/index.js'
+import { FUZZ_CATEGORIES } from './fuzz.js'
+import { resolveScenarios } from './scenarios.js'
+import { COMPARE_METRICS, parseTolerance } from './compare.js'
+import { validateAuth } from './auth.js'
+import { resolveTransportType } from './transports.js'
+import { aiProviders } from './aiClients/index.js'
+import { WORKER_TOKEN_ENV, WORKER_TYPES } from './distributed.js'
+import { validateServerRequests } from './serverRequests.js'
+import { validateFeeders } from './feeders.js'
+
+export const OPERATION_KINDS = ['listResources', 'readResource', 'listPrompts', 'getPrompt', 'complete', 'ping']
+export const RUN_MODES = ['random', 'all', 'sequence', 'ai', 'replay', 'fuzz', 'churn', ...OPERATION_KINDS]
+
+const SECRET_KEY = /key|token|secret|password|authorization|cookie/i
+
+/**
+ * Which run mode iterations use: the explicit `mode`, otherwise inferred from the config
+ * in the order replay, sequence, runAll, aiClient, random
+ * @param {import('./index.js').LoadTestConfig} config - Load test configuration
+ * @returns {string}
+ */
+export function resolveMode(config) {
+  if (config.mode) return config.mode
+  if (config.replay) return 'replay'
+  if (config.sequence) return 'sequence'
+  if (config.runAll) return 'all'
+  if (config.aiClient) return 'ai'
+  return 'random'
+}
+
+/**
+ * Replace `${VAR}` and `${VAR:-default}` in every string of a config with environment variables
+ * @template T
+ * @param {T} value - Parsed config, or any part of it
+ * @param {Record<string, string | undefined>} [env] - Variables to substitute (default: process.env)
+ * @returns {T}
+ */
+export function interpolateEnv(value, env = process.env) {
+  const missing = new Set()
+  const walk = (node) => {
+    if (typeof node === 'string') {
+      return node.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+        if (env[name] !== undefined) return env[name]
+        if (fallback !== undefined) return fallback
+        missing.add(name)
+        return match
+      })
+    }
+    if (Array.isArray(node)) return node.map(walk)
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(Object.entries(node).map(([key, child]) => [key, walk(child)]))
+    }
+    return node
+  }
+  const result = walk(value)
+  if (missing.size) {
+    throw new Error(`Missing environment variables referenced in config: ${[...missing].join(', ')}`)
+  }
+  return result
+}
+
+/**
+ * Load a JSON or YAML config file (chosen by extension) and interpolate environment variables
+ * @param {string} file - Path to a .json, .yaml or .yml file
+ * @param {Record<string, string | undefined>} [env] - Variables to substitute (default: process.env)
+ * @returns {import('./index.js').LoadTestConfig}
+ */
+export function loadConfigFile(file, env = process.env) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${file}`)
+  }
+  const text = fs.readFileSync(file, 'utf8')
+  const ext = path.extname(file).toLowerCase()
+  let parsed
+  try {
+    parsed = ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Error parsing config file ${file}: ${error.message}`)
+  }
+  return interpolateEnv(parsed || {}, env)
+}
+
+/**
+ * Copy of a config with values under secret-looking keys (key, token, authorization, ...) masked, for printing
+ * @param {unknown} value - Config, or any part of it
+ * @returns {unknown}
+ */
+export function maskSecrets(value) {
+  if (Array.isArray(value)) return value.map(maskSecrets)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [key, SECRET_KEY.test(key) && (typeof child === 'string' || typeof child === 'number') ? '***' : maskSecrets(child)])
+    )
+  }
+  return value
+}
+
+/**
+ * Check that a timeout is a positive duration
+ * @param {string|number} value - Timeout to check
+ * @param {string} path - Where the timeout is, for error messages
+ * @param {string[]} errors - Collects problems found
+ */
+function checkTimeout(value, path, errors) {
+  try {
+    if (!(parseDuration(value) > 0)) {
+      errors.push(`${path} must be a positive duration. Got: ${value}`)
+    }
+  } catch (error) {
+    errors.push(`${path}: ${error.message}`)
+  }
+}
+
+/**
+ * Check sequence steps, recursing into nested and parallel steps
+ * @param {import('./index.js').ToolSequenceStep[]} steps - Steps to check
+ * @param {string} path - Where the steps are, for error messages
+ * @param {string[]} errors - Collects problems found
+ */
+function validateSteps(steps, path, errors) {
+  steps.forEach((step, i) => {
+    const at = `${path}[${i}]`
+    const kind = step.kind || 'callTool'
+    const groupKey = step.parallel ? 'parallel' : step.steps ? 'steps' : null
+    if (step.steps && step.parallel) {
+      errors.push(`${at} sets both steps and parallel`)
+    }
+    if (groupKey && !Array.isArray(step[groupKey])) {
+      errors.push(`${at}.${groupKey} must be an array`)
+    } else if (groupKey) {
+      validateSteps(step[groupKey], `${at}.${groupKey}`, errors)
+    } else {
+      if (kind !== 'callTool' && !OPERATION_KINDS.includes(kind)) {
+        errors.push(`${at} has unknown kind '${kind}'. Supported: callTool, ${OPERATION_KINDS.join(', ')}`)
+      }
+      if (kind === 'callTool' && !step.toolName) errors.push(`${at} is missing toolName`)
+      if (kind === 'complete' && step.ref && !step.argument?.name) errors.push(`${at} sets ref without argument.name`)
+    }
+    for (const key of ['retry', 'concurrency']) {
+      if (step[key] !== undefined && !(Number.isInteger(step[key]) && step[key] >= 0)) {
+        errors.push(`${at}.${key} must be a non-negative integer. Got: ${step[key]}`)
+      }
+    }
+    const { delay, thinkTime, backoff } = step
+    if (step.timeout !== undefined) {
+      checkTimeout(step.timeout, `${at}.timeout`, errors)
+    }
+    const durations = [delay, ...(typeof thinkTime === 'object' ? [thinkTime.min, thinkTime.max] : [thinkTime]), ...(typeof backoff === 'object' ? [backoff.delay, backoff.max] : [backoff])]
+    for (const value of durations.filter((d) => d !== undefined)) {
+      try {
+        parseDuration(value)
+      } catch (error) {
+        errors.push(`${at}: ${error.message}`)
+      }
+    }
+  })
+}
+
+/**
+ * Check a resolved config for mistakes that would otherwise only show up mid-run
+ * @param {import('./index.js').LoadTestConfig} config - Load test configuration
+ * @returns {string[]} Problems found, empty when the config is valid
+ */
+export function validateConfig(config) {
+  const errors = []
+  const check = (fn) => {
+    try {
+      fn()
+    } catch (error) {
+      errors.push(error.message)
+    }
+  }
+
+  if (!config.serverUrl && !config.transport?.command) {
+    errors.push('serverUrl or transport.command is required')
+  }
+  if (config.serverUrl) {
+    check(() => new URL(config.serverUrl))
+  }
+  if (config.serverRequests) {
+    errors.push(...validateServerRequests(config.serverRequests))
+  }
+  if (config.feeders) {
+    errors.push(...validateFeeders(config.feeders))
+  }
+  if (config.auth) {
+    errors.push(...validateAuth(config.auth))
+    if (resolveTransportType(config.transport) === 'stdio') {
+      errors.push('auth only applies to HTTP transports')
+    }
+  }
+  for (const key of ['numCalls', 'concurrency', 'delayBetweenCalls', 'maxDetails']) {
+    if (config[key] !== undefined && !(Number.isFinite(config[key]) && config[key] >= 0)) {
+      errors.push(`${key} must be a non-negative number. Got: ${config[key]}`)
+    }
+  }
+  if (config.duration !== undefined) {
+    check(() => parseDuration(config.duration))
+  }
+  for (const key of ['timeout', 'shutdownTimeout']) {
+    if (config[key] !== undefined) {
+      checkTimeout(config[key], key, errors)
+    }
+  }
+  for (const [name, timeout] of Object.entries(config.toolTimeouts || {})) {
+    checkTimeout(timeout, `toolTimeouts.${name}`, errors)
+  }
+  for (const stage of config.stages || []) {
+    check(() => parseDuration(stage.duration))
+  }
+  if (config.arrivalRate) {
+    check(() => parseDuration(config.arrivalRate.duration))
+    if (!(config.arrivalRate.rate > 0)) {
+      errors.push(`arrivalRate.rate must be a positive number. Got: ${config.arrivalRate.rate}`)
+    }
+  }
+  const mode = resolveMode(config)
+  if (!RUN_MODES.includes(mode)) {
+    errors.push(`Unknown mode '${mode}'. Supported: ${RUN_MODES.join(', ')}`)
+  }
+  if (mode === 'sequence' && !Array.isArray(config.sequence)) {
+    errors.push("mode 'sequence' requires a sequence array")
+  }
+  validateSteps(config.sequence || [], 'sequence', errors)
+  if (mode === 'churn') {
+    const { callsPerSession, mode: inner = 'random' } = config.churn || {}
+    if (callsPerSession !== undefined && !(Number.isInteger(callsPerSession) && callsPerSession >= 0)) {
+      errors.push(`churn.callsPerSession must be a non-negative integer. Got: ${callsPerSession}`)
+    }
+    if (!RUN_MODES.includes(inner) || ['churn', 'fuzz'].includes(inner)) {
+      errors.push(`churn.mode can't be '${inner}'`)
+    }
+  }
+  if (mode === 'ai' && !config.aiClient?.prompt) {
+    errors.push("mode 'ai' requires aiClient.prompt")
+  }
+  if (config.aiClient) {
+    const { client = 'gemini', maxTurns } = config.aiClient
+    if (!aiProviders.has(client)) {
+      errors.push(`Unknown AI client '${client}'. Registered: ${[...aiProviders.keys()].join(', ')}`)
+    }
+    if (maxTurns !== undefined && !(Number.isInteger(maxTurns) && maxTurns > 0)) {
+      errors.push(`aiClient.maxTurns must be a positive integer. Got: ${maxTurns}`)
+    }
+  }
+  if (config.workers !== undefined) {
+    const { count, type = 'process', remote = [] } = typeof config.workers === 'number' ? { count: config.workers } : config.workers
+    if (count !== undefined && !(Number.isInteger(count) && count >= 0)) {
+      errors.push(`workers must be a non-negative integer. Got: ${count}`)
+    }
+    if (!WORKER_TYPES.includes(type)) {
+      errors.push(`Unknown worker type '${type}'. Supported: ${WORKER_TYPES.join(', ')}`)
+    }
+    if (!Array.isArray(remote)) {
+      errors.push('workers.remote must be a list of worker URLs')
+    } else {
+      remote.forEach((url) => check(() => new URL(url)))
+    }
+    if (Array.isArray(remote) && remote.length && !(config.workers.token ?? process.env[WORKER_TOKEN_ENV])) {
+      errors.push(`workers.remote needs the token the workers were started with: set workers.token or ${WORKER_TOKEN_ENV}`)
+    }
+    if (count === 0 && !remote.length) {
+      errors.push('workers needs at least one local or remote worker')
+    }
+    if (mode === 'fuzz') {
+      errors.push("mode 'fuzz' can't be split across workers")
+    }
+  }
+  if (mode === 'replay' && !fs.existsSync(config.replay?.file || '')) {
+    errors.push(`Replay file not found: ${config.replay?.file}`)
+  }
+  for (const category of config.fuzz?.categories || []) {
+    if (!FUZZ_CATEGORIES.includes(category)) {
+      errors.push(`Unknown fuzz category '${category}'. Supported: ${FUZZ_CATEGORIES.join(', ')}`)
+    }
+  }
+  if (config.fuzz?.timeout !== undefined) {
+    check(() => parseDuration(config.fuzz.timeout))
+  }
+  if (config.prometheus?.port !== undefined && !(Number.isInteger(config.prometheus.port) && config.prometheus.port >= 0 && config.prometheus.port < 65536)) {
+    errors.push(`prometheus.port must be a port number. Got: ${config.prometheus.port}`)
+  }
+  if (config.prometheus?.pushgateway) {
+    check(() => new URL(config.prometheus.pushgateway.url))
+    if (config.prometheus.pushgateway.interval !== undefined) {
+      check(() => parseDuration(config.prometheus.pushgateway.interval))
+    }
+  }
+  if (config.thresholds) {
+    check(() => parseThresholds(config.thresholds))
+  }
+  if (config.compare) {
+    const { baseline, tolerance, alpha, metrics = [] } = config.compare
+    if (baseline !== undefined && !fs.existsSync(baseline)) {
+      errors.push(`Baseline file not found: ${baseline}`)
+    }
+    const tolerances = tolerance !== null && typeof tolerance === 'object' ? tolerance : tolerance === undefined ? {} : { default: tolerance }
+    for (const [metric, value] of Object.entries(tolerances)) {
+      if (metric !== 'default' && !COMPARE_METRICS.includes(metric)) {
+        errors.push(`Unknown compare metric '${metric}' in compare.tolerance. Supported: ${COMPARE_METRICS.join(', ')}`)
+      }
+      check(() => parseTolerance(value))
+    }
+    if (alpha !== undefined && !(alpha > 0 && alpha < 1)) {
+      errors.push(`compare.alpha must be between 0 and 1. Got: ${alpha}`)
+    }
+    for (const metric of metrics.filter((m) => !COMPARE_METRICS.includes(m))) {
+      errors.push(`Unknown compare metric '${metric}'. Supported: ${COMPARE_METRICS.join(', ')}`)
+    }
+  }
+  for (const [tool, weight] of Object.entries(config.toolWeights || {})) {
+    if (!(Number.isFinite(weight) && weight >= 0)) {
+      errors.push(`toolWeights.${tool} must be a non-negative number. Got: ${weight}`)
+    }
+  }
+  if (config.scenarios) {
+    const { independent, weighted } = resolveScenarios(config)
+    for (const { name, config: scenarioConfig, weight } of [...independent, ...weighted]) {
+      const scenarioMode = resolveMode(scenarioConfig)
+      if (scenarioMode === 'fuzz') {
+        errors.push(`scenarios.${name} can't use mode 'fuzz'`)
+      }
+      if (scenarioMode === 'churn' && weighted.some((scenario) => scenario.name === name)) {
+        errors.push(`scenarios.${name} needs its own load profile to use mode 'churn'`)
+      }
+      // Its own profile replaces the run's, so concurrency alone would fall back to a single call for the whole scenario
+      const own = config.scenarios[name]
+      if (own.concurrency !== undefined && ['numCalls', 'duration', 'stages', 'arrivalRate'].every((key) => own[key] === undefined)) {
+        errors.push(`scenarios.${name} sets concurrency, so it needs its own numCalls or duration too`)
+      }
+      if (!(Number.isFinite(weight) && weight > 0)) {
+        errors.push(`scenarios.${name}.weight must be a positive number. Got: ${weight}`)
+      }
+      // Problems inherited from the top level are already reported once
+      errors.push(...validateConfig(scenarioConfig).filter((error) => !errors.includes(error)).map((error) => `scenarios.${name}: ${error}`))
+    }
+  }
+  for (const entry of config.reporters || []) {
+    const { type } = parseReporterOption(entry)
+    if (!reporters.has(type)) {
+      errors.push(`Unknown reporter '${type}'. Registered: ${[...reporters.keys()].join(', ')}`)
+    }
+  }
+  return errors
+}
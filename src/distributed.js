@@ -0,0 +1,278 @@
+import os from 'node:os'
+import { fork } from 'node:child_process'
+import { Worker } from 'node:worker_threads'
+import { PROFILE_KEYS, resolveScenarios } from './scenarios.js'
+import { logger } from './logger.js'
+
+export const WORKER_TYPES = ['process', 'thread']
+// Shared secret between coordinators and remote workers, when not passed explicitly
+export const WORKER_TOKEN_ENV = 'BENCHMARK_MCP_WORKER_TOKEN'
+
+/**
+ * @typedef {Object} WorkersConfig
+ * @property {number} [count] - Local workers to start (default: one per CPU, or none when `remote` is set)
+ * @property {'process'|'thread'} [type] - Run local workers as child processes or worker threads (default: 'process')
+ * @property {string[]} [remote] - URLs of workers started with `benchmark-mcp worker`, used alongside the local ones
+ * @property {string} [token] - Token the remote workers were started with (default: the BENCHMARK_MCP_WORKER_TOKEN environment variable)
+ */
+
+// Worker N seeds its virtual users from seed + N * SEED_STRIDE, so no two virtual users share a seed
+const SEED_STRIDE = 1000000
+// Options the coordinator applies to the merged metrics; workers only generate load
+const COORDINATOR_KEYS = ['workers', 'metrics', 'signal', 'handleSignals', 'progress', 'prometheus', 'thresholds', 'compare', 'reporters', 'record']
+const SAMPLE_METHODS = ['record', 'recordSession', 'recordPrompt', 'recordDropped', 'recordIteration', 'recordServerMessage']
+const WORKER_ENTRY = new URL('./workerEntry.js', import.meta.url)
+
+/**
+ * Where each worker runs: local workers first, then remote ones
+ * @param {number | WorkersConfig} workers - Number of local workers, or worker settings
+ * @returns {({ type: 'process'|'thread' } | { url: string, token?: string })[]}
+ */
+export function resolveWorkers(workers) {
+  const { count, type = 'process', remote = [], token = process.env[WORKER_TOKEN_ENV] } = typeof workers === 'number' ? { count: workers } : workers
+  const local = count ?? (remote.length ? 0 : os.availableParallelism())
+  return [...Array.from({ length: local }, () => ({ type })), ...remote.map((url) => ({ url, token }))]
+}
+
+/**
+ * Split a total into `parts` whole shares that add up to it, larger shares first
+ * @param {number} total - Amount to split
+ * @param {number} parts - Number of shares
+ * @returns {number[]}
+ */
+function splitShares(total, parts) {
+  const base = Math.floor(total / parts)
+  return Array.from({ length: parts }, (_, i) => base + (i < total - base * parts ? 1 : 0))
+}
+
+/**
+ * Most workers a load profile can keep busy: one per virtual user, or per call for short fixed runs
+ * @param {Partial<import('./index.js').LoadTestConfig>} profile - Load profile options
+ * @returns {number}
+ */
+function maxWorkers(profile) {
+  if (profile.arrivalRate || profile.stages?.length) return Infinity
+  const concurrency = Math.max(1, profile.concurrency || 1)
+  return profile.duration !== undefined ? concurrency : Math.min(concurrency, profile.numCalls || 1)
+}
+
+/**
+ * One worker's share of a load profile
+ * @param {Partial<import('./index.js').LoadTestConfig>} profile - Load profile options
+ * @param {number} index - Worker index
+ * @param {number} parts - Number of workers
+ * @returns {Partial<import('./index.js').LoadTestConfig>}
+ */
+function splitProfile(profile, index, parts) {
+  const share = (total) => splitShares(total, parts)[index]
+  if (profile.arrivalRate) {
+    const { rate, preAllocatedVUs = 1, maxVUs = 100 } = profile.arrivalRate
+    return { arrivalRate: { ...profile.arrivalRate, rate: rate / parts, preAllocatedVUs: share(preAllocatedVUs), maxVUs: Math.max(1, share(maxVUs)) } }
+  }
+  if (profile.stages?.length) {
+    return { stages: profile.stages.map((stage) => ({ ...stage, target: share(stage.target) })) }
+  }
+  const concurrency = share(Math.max(1, profile.concurrency || 1))
+  return profile.duration !== undefined ? { concurrency, duration: profile.duration } : { concurrency, numCalls: share(profile.numCalls || 1) }
+}
+
+/**
+ * Split a run into one config per worker. Every load profile (the run's and those of scenarios with their own)
+ * is divided so the workers together generate the configured load, and each worker gets its own seed.
+ * @param {import('./index.js').LoadTestConfig} config - Load test configuration
+ * @param {number} count - Workers available
+ * @returns {import('./index.js').LoadTestConfig[]} Configs for as many workers as the load can keep busy
+ */
+export function splitConfig(config, count) {
+  const { independent, weighted } = config.scenarios ? resolveScenarios(config) : { independent: [], weighted: [config] }
+  const profiles = [...independent.map((scenario) => scenario.config), ...(weighted.length ? [config] : [])]
+  const parts = Math.max(1, Math.min(count, ...profiles.map(maxWorkers)))
+  const withoutProfile = (options) => Object.fromEntries(Object.entries(options).filter(([key]) => !PROFILE_KEYS.includes(key)))
+  const shared = Object.fromEntries(Object.entries(withoutProfile(config)).filter(([key]) => !COORDINATOR_KEYS.includes(key)))
+  return Array.from({ length: parts }, (_, index) => {
+    // Each worker takes every parts-th row of a dataset, so no two workers hand out the same rows
+    const partition = (feeders) => Object.fromEntries(Object.entries(feeders).map(([name, feeder]) => [name, { ...feeder, partition: { index, count: parts } }]))
+    const withFeeders = (options) => (options.feeders ? { ...options, feeders: partition(options.feeders) } : options)
+    const workerConfig = withFeeders({ ...shared, ...(weighted.length && splitProfile(config, index, parts)) })
+    if (config.scenarios) {
+      workerConfig.scenarios = Object.fromEntries(
+        Object.entries(config.scenarios).map(([name, scenario]) =>
+          independent.some((s) => s.name === name) ? [name, withFeeders({ ...withoutProfile(scenario), ...splitProfile(scenario, index, parts) })] : [name, withFeeders(scenario)]
+        )
+      )
+    }
+    if (config.seed !== undefined) {
+      workerConfig.seed = config.seed + index * SEED_STRIDE
+    }
+    return workerConfig
+  })
+}
+
+// Errors can't cross process boundaries, so samples carry their messages
+function serializeArg(arg) {
+  return arg?.error ? { ...arg, error: { message: arg.error.message || String(arg.error) } } : arg
+}
+
+function reviveArg(arg) {
+  return arg?.error ? { ...arg, error: new Error(arg.error.message) } : arg
+}
+
+/**
+ * Turn a Metrics method call into a sample that can be sent to the coordinator
+ * @param {string} method - Metrics method, e.g. 'record'
+ * @param {unknown[]} args - Arguments it was called with
+ * @returns {[string, ...unknown[]]}
+ */
+export function toSample(method, args) {
+  return [method, ...args.map(serializeArg)]
+}
+
+/**
+ * Replay samples from a worker into the coordinator's metrics
+ * @param {import('./metrics.js').Metrics} metrics - Merged metrics
+ * @param {[string, ...unknown[]][]} samples - Samples in the order the worker recorded them
+ */
+export function applySamples(metrics, samples) {
+  for (const [method, ...args] of samples) {
+    if (!SAMPLE_METHODS.includes(method)) {
+      throw new Error(`Unknown metrics sample '${method}'`)
+    }
+    metrics[method](...args.map(reviveArg))
+  }
+}
+
+/**
+ * @typedef {Object} WorkerSignals
+ * @property {AbortSignal} failed - Another worker failed: stop this one and give up on its results
+ * @property {AbortSignal} stopped - The run is stopping: no new iterations, in-flight calls drain
+ * @property {AbortSignal} cancelled - The run is cancelling in-flight calls
+ */
+
+/**
+ * Run one worker's share of the load until it reports done
+ * @param {{ type: 'process'|'thread' } | { url: string, token?: string }} target - Where the worker runs
+ * @param {import('./index.js').LoadTestConfig} config - The worker's config
+ * @param {(message: { type: string, samples?: [string, ...unknown[]][], message?: string }) => void} onMessage - Called with every message from the worker
+ * @param {WorkerSignals} signals - When to stop the worker
+ * @returns {Promise<void>}
+ */
+function startWorker(target, config, onMessage, signals) {
+  return 'url' in target ? runRemoteWorker(target, config, onMessage, signals) : runLocalWorker(target.type, config, onMessage, signals)
+}
+
+function runLocalWorker(type, config, onMessage, { failed, stopped, cancelled }) {
+  return new Promise((resolve, reject) => {
+    const worker = type === 'thread' ? new Worker(WORKER_ENTRY) : fork(WORKER_ENTRY, { serialization: 'advanced' })
+    const send = (message) => (worker instanceof Worker ? worker.postMessage(message) : worker.connected && worker.send(message))
+    const onFailed = () => finish(new Error('Stopped'))
+    // Workers stop like a run getting signals: the first stop drains in-flight calls, the second cancels them
+    const onStop = () => send({ type: 'stop' })
+    let finished = false
+    const finish = (error) => {
+      if (finished) return
+      finished = true
+      failed.removeEventListener('abort', onFailed)
+      stopped.removeEventListener('abort', onStop)
+      cancelled.removeEventListener('abort', onStop)
+      if (worker instanceof Worker) worker.terminate()
+      else worker.kill()
+      if (error) reject(error)
+      else resolve()
+    }
+    failed.addEventListener('abort', onFailed)
+    stopped.addEventListener('abort', onStop)
+    cancelled.addEventListener('abort', onStop)
+    worker.on('message', (message) => {
+      onMessage(message)
+      if (message.type === 'done') finish()
+      if (message.type === 'error') finish(new Error(message.message))
+    })
+    worker.on('error', (error) => finish(error))
+    worker.on('exit', (code) => finish(new Error(`Worker exited with code ${code} before finishing`)))
+    try {
+      send({ type: 'run', config })
+      if (stopped.aborted) onStop()
+      if (cancelled.aborted) onStop()
+    } catch (error) {
+      finish(error)
+    }
+  })
+}
+
+async function runRemoteWorker({ url, token }, config, onMessage, { failed, stopped }) {
+  // Remote workers stop their run when the coordinator disconnects, so stopping gives up on their in-flight calls
+  const signal = AbortSignal.any([failed, stopped])
+  try {
+    const headers = { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) }
+    const response = await fetch(new URL('/run', url), { method: 'POST', headers, body: JSON.stringify({ config }), signal })
+    if (!response.ok || !response.body) {
+      throw new Error(`Worker answered ${response.status}: ${await response.text()}`)
+    }
+    // Newline-delimited JSON messages, streamed until the run is over
+    const decoder = new TextDecoder()
+    let buffered = ''
+    for await (const chunk of response.body) {
+      buffered += decoder.decode(chunk, { stream: true })
+      const lines = buffered.split('\n')
+      buffered = lines.pop()
+      for (const line of lines.filter(Boolean)) {
+        const message = JSON.parse(line)
+        onMessage(message)
+        if (message.type === 'done') return
+        if (message.type === 'error') throw new Error(message.message)
+      }
+    }
+    throw new Error('Connection closed before the run finished')
+  } catch (error) {
+    if (stopped.aborted && !failed.aborted) return
+    throw error
+  }
+}
+
+/**
+ * Split a run across workers and merge the samples they stream back into `metrics` as they arrive.
+ * If a worker fails, the others are stopped and the run fails with its error. When the run is stopped,
+ * local workers drain like a single process run would and remote workers are disconnected.
+ * @param {Object} params - Coordinator parameters
+ * @param {import('./index.js').LoadTestConfig} params.config - Load test configuration with `workers`
+ * @param {import('./metrics.js').Metrics} params.metrics - Metrics to merge into
+ * @param {import('./shutdown.js').Shutdown} params.shutdown - Stops the workers on SIGINT or SIGTERM
+ * @returns {Promise<void>}
+ */
+export async function runWorkers({ config, metrics, shutdown }) {
+  const targets = resolveWorkers(/** @type {number | WorkersConfig} */ (config.workers))
+  const configs = splitConfig(config, targets.length)
+  if (configs.length < targets.length) {
+    logger.warn({ workers: targets.length, used: configs.length }, 'The load profile has fewer virtual users than workers, leaving some workers out')
+  }
+  logger.info({ workers: configs.map((_, i) => ('url' in targets[i] ? targets[i].url : targets[i].type)) }, 'Starting distributed load test')
+
+  const controller = new AbortController()
+  const signals = { failed: controller.signal, stopped: shutdown.stopped, cancelled: shutdown.cancelled }
+  let firstError
+  let started = false
+  const onMessage = (message) => {
+    // Start the clock once a worker is up rather than while workers load, as a single process run would
+    if (message.type === 'ready' && !started) {
+      started = true
+      metrics.startTime = Date.now()
+    }
+    if (message.type === 'samples') applySamples(metrics, message.samples)
+  }
+  await Promise.all(
+    configs.map(async (workerConfig, i) => {
+      const target = targets[i]
+      try {
+        await startWorker(target, workerConfig, onMessage, signals)
+      } catch (error) {
+        if (!firstError) {
+          firstError = new Error(`Worker ${i + 1} (${'url' in target ? target.url : target.type}) failed: ${error.message}`)
+          controller.abort()
+        }
+      }
+    })
+  )
+  if (firstError) {
+    throw firstError
+  }
+}
@@ -0,0 +1,273 @@
+import fs from 'fs'
+import path from 'node:path'
+import { logger } from './logger.js'
+
+/**
+ * A dataset whose rows are handed out to tool calls or sequence iterations instead of generated values
+ * @typedef {Object} FeederConfig
+ * @property {string} file - CSV file with a header row, or JSONL file with one JSON object per line
+ * @property {'csv'|'jsonl'} [format] - File format (default: from the extension, .csv or .jsonl / .ndjson)
+ * @property {string} [delimiter] - CSV field delimiter (default: ',')
+ * @property {'sequential'|'random'|'unique'} [strategy] - Which row a take gets: the next one in file order, shared by all virtual users,
+ *   a random one, or one row per virtual user that it keeps for all its iterations (default: 'sequential')
+ * @property {'recycle'|'stop'} [onEnd] - Once every row has been handed out, start over or stop the run (default: 'recycle')
+ * @property {string[]} [tools] - Tools whose calls each take a row, merged into the arguments over generated values and `paramOverrides`
+ * @property {boolean} [sequence] - Take a row at the start of every sequence iteration and merge it into the sequence context
+ * @property {Object<string, string|Object>} [mapping] - jq expressions shaping a row into arguments or sequence context keys (default: the row as it is)
+ * @property {{ index: number, count: number }} [partition] - Only use every `count`-th row, starting at `index`; set by the coordinator so workers don't share rows
+ */
+
+export const FEEDER_STRATEGIES = ['sequential', 'random', 'unique']
+export const FEEDER_END_ACTIONS = ['recycle', 'stop']
+const FORMATS = { '.csv': 'csv', '.jsonl': 'jsonl', '.ndjson': 'jsonl' }
+
+function formatOf(config) {
+  return config.format || FORMATS[path.extname(config.file).toLowerCase()]
+}
+
+/**
+ * Parse CSV into one object per record, keyed by the header row. Quoted fields may hold delimiters,
+ * line breaks and doubled quotes. Empty cells are left out, so the generated or overridden value is used instead.
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Field delimiter (default: ',')
+ * @returns {Record<string, string>[]}
+ */
+export function parseCsv(text, delimiter = ',') {
+  const records = []
+  let record = []
+  let field = ''
+  let quoted = false
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === delimiter) {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      records.push([...record, field])
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (quoted) {
+    throw new Error('unterminated quoted field')
+  }
+  if (field !== '' || record.length) {
+    records.push([...record, field])
+  }
+  const [header = [], ...rows] = records.filter((fields) => fields.length > 1 || fields[0] !== '')
+  const names = header.map((name) => name.trim())
+  return rows.map((fields) => Object.fromEntries(names.map((name, i) => [name, fields[i]]).filter(([, value]) => value !== undefined && value !== '')))
+}
+
+/**
+ * Parse JSON Lines, skipping blank lines
+ * @param {string} text - JSONL text
+ * @returns {unknown[]}
+ */
+export function parseJsonl(text) {
+  return text.split(/\r?\n/).flatMap((line, i) => {
+    if (!line.trim()) return []
+    try {
+      return [JSON.parse(line)]
+    } catch (error) {
+      throw new Error(`line ${i + 1}: ${error.message}`)
+    }
+  })
+}
+
+/**
+ * Read a feeder's rows, keeping only its partition's share
+ * @param {FeederConfig} config - Feeder configuration
+ * @returns {Record<string, unknown>[]}
+ */
+export function loadRows(config) {
+  const text = fs.readFileSync(config.file, 'utf8')
+  let rows
+  try {
+    rows = formatOf(config) === 'csv' ? parseCsv(text, config.delimiter) : parseJsonl(text)
+  } catch (error) {
+    throw new Error(`${config.file}: ${error.message}`)
+  }
+  const invalid = rows.findIndex((row) => !row || typeof row !== 'object' || Array.isArray(row))
+  if (invalid !== -1) {
+    throw new Error(`${config.file}: row ${invalid + 1} is not an object`)
+  }
+  const { index = 0, count = 1 } = config.partition || {}
+  return rows.filter((_, i) => i % count === index)
+}
+
+/**
+ * Check feeders for mistakes before the run
+ * @param {Record<string, FeederConfig>} feeders - Feeders by name
+ * @returns {string[]} Problems found, empty when the config is valid
+ */
+export function validateFeeders(feeders) {
+  if (typeof feeders !== 'object' || feeders === null || Array.isArray(feeders)) {
+    return ['feeders must be an object of feeders by name']
+  }
+  const errors = []
+  for (const [name, feeder] of Object.entries(feeders)) {
+    if (typeof feeder?.file !== 'string') {
+      errors.push(`feeders.${name}.file is required`)
+      continue
+    }
+    if (!fs.existsSync(feeder.file)) {
+      errors.push(`Feeder file not found: ${feeder.file}`)
+    }
+    if (!Object.values(FORMATS).includes(formatOf(feeder))) {
+      errors.push(`feeders.${name}: can't tell the format of ${feeder.file}. Set format to csv or jsonl`)
+    }
+    if (feeder.delimiter !== undefined && !(typeof feeder.delimiter === 'string' && feeder.delimiter.length === 1 && !'"\r\n'.includes(feeder.delimiter))) {
+      errors.push(`feeders.${name}.delimiter must be a single character other than a quote or line break. Got: ${JSON.stringify(feeder.delimiter)}`)
+    }
+    if (feeder.strategy !== undefined && !FEEDER_STRATEGIES.includes(feeder.strategy)) {
+      errors.push(`Unknown feeders.${name}.strategy '${feeder.strategy}'. Supported: ${FEEDER_STRATEGIES.join(', ')}`)
+    }
+    if (feeder.onEnd !== undefined && !FEEDER_END_ACTIONS.includes(feeder.onEnd)) {
+      errors.push(`Unknown feeders.${name}.onEnd '${feeder.onEnd}'. Supported: ${FEEDER_END_ACTIONS.join(', ')}`)
+    }
+    if (feeder.tools !== undefined && !Array.isArray(feeder.tools)) {
+      errors.push(`feeders.${name}.tools must be a list of tool names`)
+    }
+    if (!feeder.tools?.length && !feeder.sequence) {
+      errors.push(`feeders.${name} feeds nothing: set tools or sequence`)
+    }
+  }
+  return errors
+}
+
+function coerce(value, type) {
+  const types = Array.isArray(type) ? type : [type]
+  if (!type || types.includes('string')) return value
+  if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value)
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true'
+  if (types.includes('object') || types.includes('array')) {
+    try {
+      return JSON.parse(value)
+    } catch {
+      return value
+    }
+  }
+  return value
+}
+
+/**
+ * Convert string values, such as CSV cells, to the types a tool's input schema asks for. Only top-level properties are converted.
+ * @param {Record<string, unknown>} args - Tool arguments
+ * @param {any} schema - The tool's input schema
+ * @returns {Record<string, unknown>}
+ */
+export function coerceToSchema(args, schema) {
+  const properties = schema?.properties || {}
+  return Object.fromEntries(Object.entries(args).map(([key, value]) => [key, typeof value === 'string' ? coerce(value, properties[key]?.type) : value]))
+}
+
+/**
+ * Hands out the rows of one dataset to the virtual users of a run
+ */
+export class Feeder {
+  /**
+   * @param {string} name - Feeder name, for logs
+   * @param {FeederConfig} config - Feeder configuration
+   * @param {(name: string) => void} [onExhausted] - Called the first time a take finds no rows left with `onEnd: 'stop'`
+   */
+  constructor(name, config, onExhausted) {
+    this.name = name
+    this.strategy = config.strategy || 'sequential'
+    this.recycle = (config.onEnd || 'recycle') === 'recycle'
+    this.rows = loadRows(config)
+    if (!this.rows.length) {
+      throw new Error(`Feeder '${name}' has no rows in ${config.file}${config.partition ? ` for worker ${config.partition.index + 1} of ${config.partition.count}` : ''}`)
+    }
+    this.cursor = 0
+    /** @type {WeakMap<object, Record<string, unknown>>} */
+    this.assigned = new WeakMap()
+    this.onExhausted = onExhausted
+    this.exhausted = false
+    logger.info({ feeder: name, file: config.file, rows: this.rows.length, strategy: this.strategy }, 'Loaded feeder')
+  }
+
+  /**
+   * Take a row
+   * @param {object} owner - Virtual user taking the row; with the 'unique' strategy it keeps the first row it took
+   * @param {import('@faker-js/faker').Faker} faker - Picks rows for the 'random' strategy, so seeded runs pick the same rows
+   * @returns {Record<string, unknown> | undefined} The row, or undefined once the rows have run out with `onEnd: 'stop'`
+   */
+  take(owner, faker) {
+    if (this.strategy === 'random') {
+      return faker.helpers.arrayElement(this.rows)
+    }
+    if (this.strategy === 'unique' && this.assigned.has(owner)) {
+      return this.assigned.get(owner)
+    }
+    if (this.cursor >= this.rows.length) {
+      if (!this.recycle) {
+        if (!this.exhausted) {
+          this.exhausted = true
+          logger.warn({ feeder: this.name, rows: this.rows.length }, 'Feeder ran out of rows')
+          this.onExhausted?.(this.name)
+        }
+        return undefined
+      }
+      if (this.strategy === 'unique' && this.cursor === this.rows.length) {
+        logger.warn({ feeder: this.name, rows: this.rows.length }, 'More virtual users than rows, so some virtual users share rows')
+      }
+    }
+    const row = this.rows[this.cursor++ % this.rows.length]
+    if (this.strategy === 'unique') {
+      this.assigned.set(owner, row)
+    }
+    return row
+  }
+}
+
+/**
+ * The feeders of a run, shared by all its virtual users so rows are handed out across all of them
+ */
+export class FeederPool {
+  /**
+   * @param {(name: string) => void} [onExhausted] - Called when a feeder with `onEnd: 'stop'` runs out of rows, e.g. to stop the run
+   */
+  constructor(onExhausted) {
+    this.onExhausted = onExhausted
+    /** @type {Map<FeederConfig, Feeder>} */
+    this.feeders = new Map()
+  }
+
+  /**
+   * The feeder for a config, loading its rows on first use
+   * @param {string} name - Feeder name
+   * @param {FeederConfig} config - Feeder configuration
+   * @returns {Feeder}
+   */
+  get(name, config) {
+    if (!this.feeders.has(config)) {
+      this.feeders.set(config, new Feeder(name, config, this.onExhausted))
+    }
+    return this.feeders.get(config)
+  }
+
+  /**
+   * Load every feeder up front, so a missing or malformed file fails before any traffic starts
+   * @param {Record<string, FeederConfig>} [feeders] - Feeders by name
+   */
+  load(feeders = {}) {
+    for (const [name, config] of Object.entries(feeders)) {
+      this.get(name, config)
+    }
+  }
+}
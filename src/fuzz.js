@@ -0,0 +1,263 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js'
+
+/**
+ * @typedef {Object} FuzzConfig
+ * @property {string[]} [categories] - Categories of invalid input to send (default: all of FUZZ_CATEGORIES)
+ * @property {string|number} [timeout] - How long to wait for each response before classifying it as a timeout (default: '10s')
+ * @property {number} [oversizedLength] - Length of oversized strings when the schema sets no maxLength (default: 100000)
+ * @property {number} [depth] - Nesting depth of deeply nested values (default: 64)
+ */
+
+/**
+ * @typedef {Object} FuzzCase
+ * @property {string} category - One of FUZZ_CATEGORIES
+ * @property {string} description - What was made invalid, e.g. "'count' as string"
+ * @property {unknown} args - Arguments sent to the tool
+ * @property {boolean} expectRejection - Whether the schema forbids this input, so accepting it is a failure
+ */
+
+/**
+ * How the server reacted to a fuzz case:
+ * - rejected: a tool result with `isError`, the clean way to refuse bad input
+ * - protocol-error: a JSON-RPC error response, e.g. -32602 invalid params
+ * - accepted: a normal result
+ * - invalid-response: a response that isn't a valid tool result
+ * - crash: the connection or transport failed
+ * - timeout: no response in time
+ * @typedef {'rejected'|'protocol-error'|'accepted'|'invalid-response'|'crash'|'timeout'} FuzzOutcome
+ */
+
+export const FUZZ_CATEGORIES = [
+  'missing-required',
+  'wrong-type',
+  'null-value',
+  'out-of-range',
+  'oversized-string',
+  'enum-violation',
+  'pattern-violation',
+  'unicode',
+  'extra-property',
+  'deep-nesting',
+  'non-object',
+]
+
+const UNICODE_EDGE_CASES = [
+  ['null byte', 'a\u0000b'],
+  ['emoji with modifiers', '\u{1F469}\u{1F3FD}\u200D\u{1F4BB} \u{1F3F3}\uFE0F\u200D\u{1F308}'],
+  ['right-to-left override', 'abc\u202Edef'],
+  ['zero-width characters', 'a\u200Bb\u200Cc\u200Dd\uFEFF'],
+  ['lone surrogate', 'x\uD800y'],
+  ['combining marks', `Z${'\u0336\u0337'.repeat(200)}`],
+  ['mixed scripts', 'Ωmega ѕсrірt 日本語 عربى'],
+]
+
+const WRONG_VALUES = {
+  string: 12345,
+  number: 'not-a-number',
+  integer: 'not-an-integer',
+  boolean: 'not-a-boolean',
+  array: 'not-an-array',
+  object: 'not-an-object',
+}
+
+function types(schema) {
+  if (Array.isArray(schema.type)) return schema.type
+  return schema.type ? [schema.type] : []
+}
+
+function nest(depth) {
+  let value = { leaf: true }
+  for (let i = 0; i < depth; i++) {
+    value = { nested: value }
+  }
+  return value
+}
+
+/**
+ * Build invalid inputs for a tool, each starting from a valid set of generated arguments
+ * with one thing broken
+ * @param {{ name: string, inputSchema?: object }} tool - Tool definition from listTools
+ * @param {import('./paramGenerator.js').ParamGenerator} generator - Generator for the valid baseline
+ * @param {FuzzConfig} [options] - Fuzz options
+ * @returns {FuzzCase[]}
+ */
+export function buildFuzzCases(tool, generator, options = {}) {
+  const { categories = FUZZ_CATEGORIES, oversizedLength = 100000, depth = 64 } = options
+  const schema = generator.resolve(tool.inputSchema || { type: 'object' }, tool.inputSchema)
+  const baseline = generator.generateParams(schema)
+  const properties = Object.entries(schema.properties || {}).map(([name, prop]) => [name, generator.resolve(prop, schema)])
+  const required = Array.isArray(schema.required) ? schema.required : []
+  const closed = schema.additionalProperties === false
+  const cases = []
+  const add = (category, description, args, expectRejection) => {
+    if (categories.includes(category)) {
+      cases.push({ category, description, args, expectRejection })
+    }
+  }
+  const withValue = (name, value) => ({ ...baseline, [name]: value })
+
+  for (const name of required) {
+    const { [name]: _, ...rest } = baseline
+    add('missing-required', `'${name}' missing`, rest, true)
+  }
+
+  for (const [name, prop] of properties) {
+    const propTypes = types(prop)
+    if (propTypes.length === 1 && WRONG_VALUES[propTypes[0]] !== undefined) {
+      add('wrong-type', `'${name}' as ${typeof WRONG_VALUES[propTypes[0]]}`, withValue(name, WRONG_VALUES[propTypes[0]]), true)
+    }
+    if (propTypes.length && !propTypes.includes('null')) {
+      add('null-value', `'${name}' is null`, withValue(name, null), true)
+    }
+
+    if (propTypes.includes('number') || propTypes.includes('integer')) {
+      if (prop.minimum !== undefined) add('out-of-range', `'${name}' below minimum ${prop.minimum}`, withValue(name, prop.minimum - 1), true)
+      if (prop.exclusiveMinimum !== undefined) add('out-of-range', `'${name}' at exclusive minimum ${prop.exclusiveMinimum}`, withValue(name, prop.exclusiveMinimum), true)
+      if (prop.maximum !== undefined) add('out-of-range', `'${name}' above maximum ${prop.maximum}`, withValue(name, prop.maximum + 1), true)
+      if (prop.exclusiveMaximum !== undefined) add('out-of-range', `'${name}' at exclusive maximum ${prop.exclusiveMaximum}`, withValue(name, prop.exclusiveMaximum), true)
+      if (propTypes.includes('integer') && !propTypes.includes('number')) add('out-of-range', `'${name}' is fractional`, withValue(name, 1.5), true)
+      const bounded = prop.maximum !== undefined || prop.exclusiveMaximum !== undefined
+      add('out-of-range', `'${name}' is ${Number.MAX_VALUE}`, withValue(name, Number.MAX_VALUE), bounded)
+      add('out-of-range', `'${name}' is ${-Number.MAX_VALUE}`, withValue(name, -Number.MAX_VALUE), prop.minimum !== undefined || prop.exclusiveMinimum !== undefined)
+    }
+
+    if (propTypes.includes('string')) {
+      if (prop.minLength > 0) add('out-of-range', `'${name}' shorter than minLength ${prop.minLength}`, withValue(name, 'x'.repeat(prop.minLength - 1)), true)
+      const length = prop.maxLength !== undefined ? prop.maxLength + 1 : oversizedLength
+      add('oversized-string', `'${name}' is ${length} characters`, withValue(name, 'A'.repeat(length)), prop.maxLength !== undefined)
+      for (const [label, value] of UNICODE_EDGE_CASES) {
+        add('unicode', `'${name}' with ${label}`, withValue(name, value), false)
+      }
+    }
+
+    if (propTypes.includes('array')) {
+      if (prop.minItems > 0) add('out-of-range', `'${name}' with fewer than ${prop.minItems} items`, withValue(name, []), true)
+      if (prop.maxItems !== undefined) {
+        const items = Array.isArray(baseline[name]) && baseline[name].length ? baseline[name] : [null]
+        add('out-of-range', `'${name}' with more than ${prop.maxItems} items`, withValue(name, Array.from({ length: prop.maxItems + 1 }, (_, i) => items[i % items.length])), true)
+      }
+    }
+
+    if (Array.isArray(prop.enum) && prop.enum.length) {
+      add('enum-violation', `'${name}' outside its enum`, withValue(name, `not-one-of-${prop.enum.length}-options`), true)
+    }
+
+    if (prop.pattern) {
+      const invalid = ['', '!!!', ' ', '\n'].find((candidate) => {
+        try {
+          return !new RegExp(prop.pattern, 'u').test(candidate)
+        } catch {
+          return false
+        }
+      })
+      if (invalid !== undefined) add('pattern-violation', `'${name}' not matching ${prop.pattern}`, withValue(name, invalid), true)
+    }
+
+    if (propTypes.includes('object') || propTypes.includes('array')) {
+      add('deep-nesting', `'${name}' nested ${depth} levels deep`, withValue(name, propTypes.includes('array') ? [nest(depth)] : nest(depth)), false)
+    }
+  }
+
+  add('extra-property', 'unexpected extra property', { ...baseline, __unexpected: 'value' }, closed)
+  if (!properties.some(([, prop]) => types(prop).includes('object') || types(prop).includes('array'))) {
+    add('deep-nesting', `extra property nested ${depth} levels deep`, { ...baseline, __nested: nest(depth) }, closed)
+  }
+  add('non-object', 'arguments as an array', [baseline], true)
+  add('non-object', 'arguments as a string', 'not-an-object', true)
+  return cases
+}
+
+/**
+ * Classify an error thrown by a tool call
+ * @param {unknown} error - Error from the request
+ * @returns {FuzzOutcome}
+ */
+export function classifyError(error) {
+  if (error instanceof McpError) {
+    if (error.code === ErrorCode.RequestTimeout) return 'timeout'
+    if (error.code === ErrorCode.ConnectionClosed) return 'crash'
+    return 'protocol-error'
+  }
+  if (error?.name === 'ZodError') {
+    return 'invalid-response'
+  }
+  return 'crash'
+}
+
+/**
+ * Whether a fuzz case got an acceptable reaction: refused when the input is invalid,
+ * and never a crash, timeout or malformed response
+ * @param {FuzzCase} fuzzCase - The case that was sent
+ * @param {FuzzOutcome} outcome - How the server reacted
+ * @returns {boolean}
+ */
+export function isRobust(fuzzCase, outcome) {
+  if (outcome === 'rejected' || outcome === 'protocol-error') return true
+  if (outcome === 'accepted') return !fuzzCase.expectRejection
+  return false
+}
+
+/**
+ * Collects fuzz case outcomes per tool into a robustness report
+ */
+export class FuzzReport {
+  constructor() {
+    /** @type {{ toolName: string, category: string, description: string, expectRejection: boolean, outcome: FuzzOutcome, passed: boolean, message: string | null, duration: number }[]} */
+    this.results = []
+  }
+
+  /**
+   * Record how the server reacted to one fuzz case
+   * @param {string} toolName - Tool the case was sent to
+   * @param {FuzzCase} fuzzCase - The case that was sent
+   * @param {FuzzOutcome} outcome - How the server reacted
+   * @param {{ message?: string | null, duration: number }} details - Error or result text, and response time in milliseconds
+   */
+  record(toolName, fuzzCase, outcome, { message = null, duration }) {
+    const { category, description, expectRejection } = fuzzCase
+    // Servers often echo the input back, which for oversized strings would bloat the report
+    this.results.push({ toolName, category, description, expectRejection, outcome, passed: isRobust(fuzzCase, outcome), message: message?.slice(0, 500) ?? null, duration })
+  }
+
+  /**
+   * @returns {{ total: number, passed: number, failed: number, outcomes: Record<string, number>, tools: Record<string, { total: number, passed: number, failed: number, outcomes: Record<string, number>, categories: Record<string, { total: number, failed: number }>, failures: FuzzReport['results'] }> }}
+   */
+  getSummary() {
+    const summary = { total: 0, passed: 0, failed: 0, outcomes: {}, tools: {} }
+    for (const result of this.results) {
+      const tool = (summary.tools[result.toolName] ||= { total: 0, passed: 0, failed: 0, outcomes: {}, categories: {}, failures: [] })
+      const category = (tool.categories[result.category] ||= { total: 0, failed: 0 })
+      for (const target of [summary, tool]) {
+        target.total++
+        target[result.passed ? 'passed' : 'failed']++
+        target.outcomes[result.outcome] = (target.outcomes[result.outcome] || 0) + 1
+      }
+      category.total++
+      if (!result.passed) {
+        category.failed++
+        tool.failures.push(result)
+      }
+    }
+    return summary
+  }
+
+  /**
+   * Print the per-tool robustness report to the console
+   */
+  printSummary() {
+    const summary = this.getSummary()
+    const outcomes = (counts) =>
+      Object.entries(counts)
+        .map(([outcome, count]) => `${outcome} ${count}`)
+        .join(', ')
+    console.log('\n--- Fuzz Report ---')
+    for (const [tool, stats] of Object.entries(summary.tools)) {
+      console.log(`${tool}: ${stats.total} cases, ${stats.passed} passed, ${stats.failed} failed (${outcomes(stats.outcomes)})`)
+      for (const failure of stats.failures) {
+        const message = failure.message ? `: ${failure.message.slice(0, 120)}` : ''
+        console.log(`  FAIL  ${failure.category}: ${failure.description} -> ${failure.outcome}${message}`)
+      }
+    }
+    console.log(`Total: ${summary.total} cases, ${summary.passed} passed, ${summary.failed} failed`)
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Latency histogram with bounded memory, in the spirit of HdrHistogram.
+ * Values are stored in microseconds: below `subBuckets` they are exact, above that each power of two
+ * is split into `subBuckets` linear buckets, so any recorded value is reported within 1/subBuckets
+ * of its true value no matter how many samples are recorded.
+ */
+export class Histogram {
+  /**
+   * @param {Object} [options] - Histogram options
+   * @param {number} [options.subBuckets] - Linear buckets per power of two, a power of two itself (default: 128, under 1% error)
+   */
+  constructor({ subBuckets = 128 } = {}) {
+    /** @type {number} */
+    this.subBuckets = subBuckets
+    /** @type {Map<number, number>} */
+    this.counts = new Map()
+    /** @type {number} */
+    this.count = 0
+    /** @type {number} */
+    this.sum = 0
+    /** @type {number} */
+    this.min = Infinity
+    /** @type {number} */
+    this.max = -Infinity
+  }
+
+  indexOf(micros) {
+    const shift = Math.max(0, Math.floor(Math.log2(Math.max(1, micros))) - Math.log2(this.subBuckets))
+    return shift * 2 * this.subBuckets + Math.floor(micros / 2 ** shift)
+  }
+
+  valueOf(index) {
+    const shift = Math.floor(index / (2 * this.subBuckets))
+    const bucket = index - shift * 2 * this.subBuckets
+    // Middle of the bucket, exact when buckets are one microsecond wide
+    return shift === 0 ? bucket : (bucket + 0.5) * 2 ** shift
+  }
+
+  /**
+   * Record one value
+   * @param {number} value - Value in milliseconds
+   */
+  record(value) {
+    const index = this.indexOf(Math.max(0, Math.round(value * 1000)))
+    this.counts.set(index, (this.counts.get(index) || 0) + 1)
+    this.count++
+    this.sum += value
+    this.min = Math.min(this.min, value)
+    this.max = Math.max(this.max, value)
+  }
+
+  /**
+   * Add every value of another histogram with the same precision into this one
+   * @param {Histogram} other - Histogram to merge
+   */
+  merge(other) {
+    for (const [index, count] of other.counts) {
+      this.counts.set(index, (this.counts.get(index) || 0) + count)
+    }
+    this.count += other.count
+    this.sum += other.sum
+    this.min = Math.min(this.min, other.min)
+    this.max = Math.max(this.max, other.max)
+  }
+
+  /**
+   * @returns {number} Mean in milliseconds, 0 when empty
+   */
+  mean() {
+    return this.count > 0 ? this.sum / this.count : 0
+  }
+
+  /**
+   * @param {number} p - Percentile between 0 and 100
+   * @returns {number} Value in milliseconds at or below which `p` percent of values fall, 0 when empty
+   */
+  percentile(p) {
+    if (this.count === 0) return 0
+    const rank = Math.max(1, Math.ceil((p / 100) * this.count))
+    let seen = 0
+    for (const index of [...this.counts.keys()].sort((a, b) => a - b)) {
+      seen += this.counts.get(index)
+      if (seen >= rank) {
+        return Math.min(this.max, Math.max(this.min, this.valueOf(index) / 1000))
+      }
+    }
+    return this.max
+  }
+
+  /**
+   * Number of values at or below each bound, e.g. for Prometheus histogram buckets
+   * @param {number[]} bounds - Upper bounds in milliseconds, ascending
+   * @returns {number[]} Cumulative count for each bound
+   */
+  cumulative(bounds) {
+    const indexes = [...this.counts.keys()].sort((a, b) => a - b)
+    const result = []
+    let seen = 0
+    let i = 0
+    for (const bound of bounds) {
+      while (i < indexes.length && this.valueOf(indexes[i]) / 1000 <= bound) {
+        seen += this.counts.get(indexes[i++])
+      }
+      result.push(seen)
+    }
+    return result
+  }
+
+  /**
+   * @returns {{ count: number, min: number, max: number, avg: number, p50: number, p90: number, p95: number, p99: number, p999: number }}
+   */
+  stats() {
+    return {
+      count: this.count,
+      min: this.count > 0 ? this.min : 0,
+      max: this.count > 0 ? this.max : 0,
+      avg: this.mean(),
+      p50: this.percentile(50),
+      p90: this.percentile(90),
+      p95: this.percentile(95),
+      p99: this.percentile(99),
+      p999: this.percentile(99.9),
+    }
+  }
+
+  /**
+   * Serializable form, e.g. to send a histogram between processes
+   * @returns {{ subBuckets: number, counts: [number, number][], count: number, sum: number, min: number, max: number }}
+   */
+  toJSON() {
+    return { subBuckets: this.subBuckets, counts: [...this.counts], count: this.count, sum: this.sum, min: this.min, max: this.max }
+  }
+
+  /**
+   * Rebuild a histogram from `toJSON()` output
+   * @param {ReturnType<Histogram['toJSON']>} json - Serialized histogram
+   * @returns {Histogram}
+   */
+  static fromJSON(json) {
+    const histogram = new Histogram({ subBuckets: json.subBuckets })
+    histogram.counts = new Map(json.counts)
+    histogram.count = json.count
+    histogram.sum = json.sum
+    histogram.min = json.min ?? Infinity
+    histogram.max = json.max ?? -Infinity
+    return histogram
+  }
+}
@@ -1,22 +1,68 @@
+import { setTimeout as sleep } from 'node:timers/promises'
 import { Faker, en } from '@faker-js/faker'
 import { Client } from '@modelcontextprotocol/sdk/client/index.js'
-import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js'
+import { CallToolResultSchema, ErrorCode, McpError, ToolListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js'
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js'
 import dotenv from 'dotenv'
 import jq from 'node-jq'
 import { Metrics } from './metrics.js'
 import { logger } from './logger.js'
-import runGeminiWithMCP from './aiClients/gemini-client.js'
-import runOpenAIWithMCP from './aiClients/chatgpt-client.js'
+import { parseDuration, runLoadProfile } from './runner.js'
+import { connectClient } from './transports.js'
+import { ParamGenerator } from './paramGenerator.js'
+import { buildCallLog, readCallLog, writeCallLog } from './callLog.js'
+import { AssertionError, checkExpectations } from './assertions.js'
+import { evaluateThresholds, parseThresholds, printThresholds } from './thresholds.js'
+import { registerReporter, writeReports } from './reporters/index.js'
+import { compareRuns, loadResults, printComparison } from './compare.js'
+import { RUN_MODES, resolveMode } from './config.js'
+import { resolveScenarios } from './scenarios.js'
+import { startProgress } from './progress.js'
+import { FuzzReport, buildFuzzCases, classifyError } from './fuzz.js'
+import { startMetricsServer, startPushgateway } from './prometheus.js'
+import { startMockServer } from './mockServer.js'
+import { startRecordingProxy } from './proxy.js'
+import { inferSequence } from './recorder.js'
+import { createAuthProvider, loadCredentials } from './auth.js'
+import { aiProviders, registerAIProvider } from './aiClients/index.js'
+import { runWorkers } from './distributed.js'
+import { Shutdown } from './shutdown.js'
+import { clientCapabilities, registerStubs } from './serverRequests.js'
+import { FeederPool, coerceToSchema } from './feeders.js'
 
-dotenv.config()
+// Quiet, so the banner doesn't end up in --json output
+dotenv.config({ quiet: true })
+
+/**
+ * @typedef {'callTool'|'listResources'|'readResource'|'listPrompts'|'getPrompt'|'complete'|'ping'} StepKind
+ */
 
 /**
  * @typedef {Object} ToolSequenceStep
- * @property {string} toolName - Name of the tool to call
- * @property {Object<string, string|Object>} [inputMapping] - For tool calls, maps input parameters to previous step outputs using jq expressions or nested objects. All mapping strings must be valid jq expressions.
+ * @property {StepKind} [kind] - What the step does (default: 'callTool')
+ * @property {string} [toolName] - Name of the tool to call, required for 'callTool' steps
+ * @property {string} [uri] - For 'readResource', the resource URI or URI template; template variables come from the step inputs or are generated (default: a random resource)
+ * @property {string} [promptName] - For 'getPrompt', the prompt to get; its arguments come from the step inputs or are generated (default: a random prompt)
+ * @property {{ type: 'ref/prompt', name: string } | { type: 'ref/resource', uri: string }} [ref] - For 'complete', the prompt or resource template to complete an argument of (default: a random one)
+ * @property {{ name: string, value?: string }} [argument] - For 'complete', the argument and the partial value to complete
+ * @property {Object<string, string|Object>} [inputMapping] - Maps input parameters (tool arguments, prompt arguments or URI template variables) to previous step outputs using jq expressions or nested objects. All mapping strings must be valid jq expressions.
  * @property {Object} [staticInputs] - Static input values
  * @property {Object<string, string>} [outputMapping] - Object mapping output keys to jq expressions (e.g., { bar: '.foo', b: '.a.b' }). All mapping strings must be valid jq expressions.
+ *   Tool steps map the first text content; other steps map the whole result
  * @property {('json'|'text')} [outputType] - Output type: 'json' (default) or 'text'
+ * @property {import('./assertions.js').ExpectConfig} [expect] - Rules the step's response must satisfy, merged over `assertions[toolName]`
+ * @property {ToolSequenceStep[]} [steps] - Nested steps to run in order instead of a request, so control flow options apply to the group
+ * @property {ToolSequenceStep[]} [parallel] - Steps to run at the same time instead of a request; the group fails if any branch fails
+ * @property {string} [when] - jq condition on the sequence context; the step is skipped when it yields false or null
+ * @property {string} [forEach] - jq expression selecting an array from the sequence context; the step runs once per element
+ * @property {string} [as] - Key the current `forEach` element is visible under in jq expressions (default: 'item')
+ * @property {number} [concurrency] - How many `forEach` elements run at the same time (default: 1)
+ * @property {number} [retry] - Times to retry the step when it fails (default: 0)
+ * @property {string|number|{ delay: string|number, factor?: number, max?: string|number }} [backoff] - Wait before each retry: a fixed duration, or exponential backoff (factor default: 2)
+ * @property {boolean} [continueOnError] - Carry on with the next step when this one still fails after its retries (default: false)
+ * @property {string|number} [delay] - Wait before the step ('500ms', or milliseconds)
+ * @property {string|number} [timeout] - How long to wait for the step's response before failing it as a timeout (default: the tool's or the run's)
+ * @property {string|number|{ min: string|number, max: string|number }} [thinkTime] - Wait after the step, a fixed duration or a random one between min and max
  */
 
 /**
@@ -24,25 +70,76 @@ dotenv.config()
  * @property {string} [locale] - Faker locale (e.g., 'en', 'fr')
  * @property {Object} [fieldGenerators] - Custom field generators for specific fields
  * @property {Object} [fieldFormats] - Format specifications for fields (e.g., { email: 'company' })
+ * @property {('all'|'required')} [fields] - Generate every schema property or only required ones (default: 'all', or 'required' when filling sequence steps)
+ * @property {boolean} [preferDefaults] - Use a property's schema `default` instead of generating a value (default: false)
  */
 
 /**
  * @typedef {Object} LoadTestConfig
- * @property {string} serverUrl - URL of the MCP server
+ * @property {string} [serverUrl] - URL of the MCP server (required unless `transport.command` starts a stdio server)
  * @property {Record<string, string>} [headers] - Optional headers to send with the request
+ * @property {import('./auth.js').AuthConfig} [auth] - OAuth for HTTP transports, with tokens refreshed when the server answers 401
+ * @property {import('./transports.js').TransportConfig} [transport] - How to reach the server: streamable HTTP, legacy SSE or a stdio subprocess
  * @property {number} [numCalls] - Number of tool calls to make (default: 1)
+ * @property {number} [concurrency] - Number of virtual users running in parallel (default: 1)
+ * @property {boolean} [shareConnection] - Whether virtual users share one MCP session instead of opening their own (default: false)
+ * @property {string|number} [duration] - Run the virtual users for this long ('30s', '5m', or milliseconds) instead of a fixed number of calls
+ * @property {import('./runner.js').Stage[]} [stages] - Ramp virtual users up and down through these stages
+ * @property {import('./runner.js').ArrivalRateConfig} [arrivalRate] - Start iterations at a constant rate regardless of server response time
  * @property {number} [delayBetweenCalls] - Delay in milliseconds between calls
+ * @property {string|number} [timeout] - How long to wait for each response before failing the call as a timeout ('30s', or milliseconds; default: the SDK's 60s).
+ *   The request is cancelled on the server with `notifications/cancelled`
+ * @property {Record<string, string|number>} [toolTimeouts] - Timeouts for specific tools or operations (e.g. 'resources/read'), over `timeout`
+ * @property {string|number} [shutdownTimeout] - After SIGINT or SIGTERM, how long in-flight calls may finish before they're cancelled (default: '10s')
+ * @property {AbortSignal} [signal] - Stops the run when aborted, as SIGINT does, and returns the summary so far
+ * @property {boolean} [handleSignals] - Stop the run gracefully on SIGINT and SIGTERM instead of exiting (default: true)
  * @property {string[]} [toolNames] - Optional list of specific tool names to call
+ * @property {Record<string, number>} [toolWeights] - Relative chance of each tool being picked in 'random' mode; unlisted tools weigh 1 and 0 leaves a tool out
  * @property {Record<string, Record<string, unknown>>} [paramOverrides] - Optional parameter overrides for specific tools
+ * @property {Record<string, import('./feeders.js').FeederConfig>} [feeders] - CSV or JSONL datasets whose rows feed tool arguments or seed the sequence context, by name
+ * @property {Record<string, import('./assertions.js').ExpectConfig>} [assertions] - Rules each tool's responses must satisfy, keyed by tool name
+ * @property {boolean} [validateOutputSchema] - Validate `structuredContent` against each tool's `outputSchema` (default: true)
  * @property {boolean} [randomizeParams] - Whether to randomize parameters (default: true)
  * @property {MockDataConfig} [mockData] - Configuration for mock data generation
  * @property {ToolSequenceStep[]} [sequence] - Optional sequence of tool calls with data dependencies
  * @property {boolean} [runAll] - Optional run all tools
+ * @property {Record<string, import('./scenarios.js').ScenarioConfig & Partial<LoadTestConfig>>} [scenarios] - Named scenarios making up the run's traffic, each overriding top-level options.
+ *   Scenarios with their own load profile run alongside each other; the rest are picked by weight for every iteration of the run's load profile
+ * @property {('random'|'all'|'sequence'|'ai'|'replay'|'fuzz'|'churn'|Exclude<StepKind, 'callTool'>)} [mode] - What each iteration does (default: inferred from `replay`, `sequence`, `runAll`, `aiClient`, else 'random').
+ *   The non-tool modes send one request of that kind per iteration against a random resource, prompt or completion target.
+ *   'fuzz' sends invalid inputs to every tool and reports how the server reacted instead of latency.
+ *   'churn' opens and closes a session every iteration
+ * @property {import('./fuzz.js').FuzzConfig} [fuzz] - Options for 'fuzz' mode
+ * @property {{ callsPerSession?: number, mode?: string }} [churn] - Options for 'churn' mode: each iteration opens a session, runs `callsPerSession` iterations of `mode` (default: 10 of 'random') and closes it
+ * @property {import('./serverRequests.js').ServerRequestsConfig} [serverRequests] - Answer the server's sampling and elicitation requests with stubs
+ * @property {boolean} [terminateSession] - Explicitly terminate streamable HTTP sessions (HTTP DELETE) before closing them (default: true)
  * @property {import('@faker-js/faker').FakerOptions} [fakerConfig] - Configuration for Faker instance
- * @property {{ prompt: string, client: 'gemini' | 'chatgpt', config: import('./aiClients/gemini-client.js').GeminiConfig | import('./aiClients/chatgpt-client.js').ChatGPTConfig }} [aiClient] - Prompt to run
+ * @property {number} [seed] - Seed for generated data and random tool choice; virtual user N is seeded with `seed + N`
+ * @property {string} [record] - Write every call (tool, args, timing) to this file after the run, for use with `replay`
+ * @property {number} [maxDetails] - Calls whose details (args, result, timing) are kept for `record`, reports and `compare`. Past it a random sample of all calls is kept
+ *   and `summary.detailsTruncated` is set; 0 keeps none. Every call counts towards the statistics either way (default: 100000)
+ * @property {import('./callLog.js').ReplayConfig} [replay] - Re-issue the calls from a recorded call log instead of generating them
+ * @property {import('./thresholds.js').ThresholdsConfig | string[]} [thresholds] - Pass/fail limits on the summary; the result is returned as `summary.thresholds`
+ * @property {boolean | import('./progress.js').ProgressConfig} [progress] - Print live progress (calls, req/s, rolling p95, errors) to stderr during the run (default: false)
+ * @property {import('./prometheus.js').PrometheusConfig} [prometheus] - Expose metrics in Prometheus format over HTTP and/or push them to a Pushgateway during the run
+ * @property {import('./compare.js').CompareConfig} [compare] - Compare the run against a saved baseline; the result is returned as `summary.comparison`
+ * @property {(string | import('./reporters/index.js').ReporterOptions)[]} [reporters] - Reports to write after the run, e.g. ['html', { type: 'junit', output: 'junit.xml' }]
+ * @property {import('./aiClients/index.js').AIClientConfig} [aiClient] - Prompt an AI model that calls the server's tools, timed per prompt
+ * @property {number | import('./distributed.js').WorkersConfig} [workers] - Split the load across this many local worker processes, or as configured,
+ *   and merge the samples they stream back into one summary
  * @property {import('./metrics.js').Metrics} [metrics] - Optional metrics instance to use for tracking
  */
 
+// Requests other than tool calls, keyed by mode / step kind, and the operation name each is recorded under
+const OPERATIONS = {
+  listResources: { name: 'resources/list', send: (mcp, params, options) => mcp.listResources(undefined, options) },
+  readResource: { name: 'resources/read', send: (mcp, params, options) => mcp.readResource(params, options) },
+  listPrompts: { name: 'prompts/list', send: (mcp, params, options) => mcp.listPrompts(undefined, options) },
+  getPrompt: { name: 'prompts/get', send: (mcp, params, options) => mcp.getPrompt(params, options) },
+  complete: { name: 'completion/complete', send: (mcp, params, options) => mcp.complete(params, options) },
+  ping: { name: 'ping', send: (mcp, params, options) => mcp.ping(options) },
+}
+
 async function assignInputMapping({ target, mapping, context }) {
   for (const [inputKey, jqExprOrObj] of Object.entries(mapping)) {
     if (typeof jqExprOrObj === 'string') {
@@ -60,121 +157,317 @@ async function assignInputMapping({ target, mapping, context }) {
   }
 }
 
+/**
+ * Name a sequence step in logs
+ * @param {ToolSequenceStep} step - Sequence step
+ * @returns {string}
+ */
+function stepLabel(step) {
+  if (step.parallel) return `parallel(${step.parallel.map(stepLabel).join(', ')})`
+  if (step.steps) return `steps(${step.steps.map(stepLabel).join(', ')})`
+  return step.kind && step.kind !== 'callTool' ? step.kind : step.toolName
+}
+
+/**
+ * Milliseconds to wait before the retry that follows `attempt`
+ * @param {ToolSequenceStep['backoff']} backoff - Fixed duration, or exponential backoff options
+ * @param {number} attempt - Attempts made so far, starting at 1
+ * @returns {number}
+ */
+function backoffDelay(backoff, attempt) {
+  if (backoff === undefined) return 0
+  if (typeof backoff !== 'object') return parseDuration(backoff)
+  const { delay, factor = 2, max = Infinity } = backoff
+  return Math.min(parseDuration(delay) * factor ** (attempt - 1), max === Infinity ? max : parseDuration(max))
+}
+
 class MCPClient {
   /**
    * Creates a new MCPClient instance
    * @param {Object} params - Constructor parameters
    * @param {Faker} params.fakerInstance - Faker instance for generating mock data
-   * @param {string} params.serverUrl - URL of the MCP server to connect to
+   * @param {string} [params.serverUrl] - URL of the MCP server to connect to
    * @param {LoadTestConfig} params.config - Optional configuration for load testing
    * @param {import('./metrics.js').Metrics} params.metrics - Metrics instance for tracking
+   * @param {FuzzReport} [params.fuzzReport] - Collects outcomes in 'fuzz' mode (default: a new report)
+   * @param {import('./auth.js').AuthConfig} [params.auth] - This virtual user's credentials (default: the first of config.auth)
+   * @param {AbortSignal} [params.signal] - Cancels calls in flight, and fails new ones, when aborted
+   * @param {FeederPool} [params.feeders] - Feeders shared with the run's other virtual users (default: a new pool)
    */
-  constructor({ fakerInstance, serverUrl, config, metrics }) {
+  constructor({ fakerInstance, serverUrl, config, metrics, fuzzReport, auth, signal, feeders }) {
     this.mcp = new Client({ name: 'mcp-client', version: '1.0.0' })
     this.tools = []
+    /** @type {{ uri: string, name: string }[]} */
+    this.resources = []
+    /** @type {{ uriTemplate: string, name: string }[]} */
+    this.resourceTemplates = []
+    /** @type {{ name: string, arguments?: { name: string, required?: boolean }[] }[]} */
+    this.prompts = []
     this.faker = fakerInstance
     this.sequenceContext = {}
-    const transportOpts = {}
-    if (config.headers) {
-      transportOpts.requestInit = { headers: config.headers }
-    }
-    this.transport = new StreamableHTTPClientTransport(new URL(serverUrl), transportOpts)
+    this.serverUrl = serverUrl
+    /** @type {import('@modelcontextprotocol/sdk/shared/transport.js').Transport | null} */
+    this.transport = null
     /** @type {LoadTestConfig} */
     this.config = config
     /** @type {import('./metrics.js').Metrics} */
     this.metrics = metrics || new Metrics()
+    /** @type {FuzzReport} */
+    this.fuzzReport = fuzzReport || new FuzzReport()
+    /** @type {boolean} */
+    this.shared = false
+    /** @type {import('./callLog.js').CallLog | null} */
+    this.replayLog = null
+    /** @type {number} */
+    this.sessionCount = 0
+    /** @type {string | null} */
+    this.scenario = null
+    /** @type {import('./auth.js').AuthConfig | undefined} */
+    this.auth = auth || (config.auth && loadCredentials(config.auth)[0])
+    // Kept across reconnects, so a churning virtual user reuses its tokens like a real client would
+    /** @type {import('@modelcontextprotocol/sdk/client/auth.js').OAuthClientProvider | undefined} */
+    this.authProvider = undefined
+    /** @type {AbortSignal | undefined} */
+    this.signal = signal
+    /** @type {FeederPool} */
+    this.feeders = feeders || new FeederPool()
+    // Forks sharing this client's session, told when the server's tools change
+    /** @type {MCPClient[]} */
+    this.forks = []
+  }
+
+  /**
+   * Create a virtual user that reuses this client's connection, tools, resources and prompts.
+   * The fork has its own sequence context but does not close the shared session on cleanup.
+   * @param {Faker} [fakerInstance] - Faker instance for the fork (default: share this client's)
+   * @param {LoadTestConfig} [config] - Config for the fork, e.g. a scenario's; its `toolNames` narrow the tools (default: this client's)
+   * @returns {MCPClient}
+   */
+  fork(fakerInstance = this.faker, config = this.config) {
+    const client = new MCPClient({ fakerInstance, serverUrl: this.serverUrl, config, metrics: this.metrics, fuzzReport: this.fuzzReport, auth: this.auth, signal: this.signal, feeders: this.feeders })
+    client.mcp = this.mcp
+    client.setTools(this.tools)
+    client.scenario = this.scenario
+    client.resources = this.resources
+    client.resourceTemplates = this.resourceTemplates
+    client.prompts = this.prompts
+    client.shared = true
+    this.forks.push(client)
+    return client
+  }
+
+  /**
+   * Use these tools, narrowed to `toolNames`, and pass them on to the forks sharing the session
+   * @param {any[]} tools - Tools from listTools
+   */
+  setTools(tools) {
+    this.tools = this.config.toolNames ? tools.filter((tool) => this.config.toolNames.includes(tool.name)) : tools
+    for (const fork of this.forks) {
+      fork.setTools(this.tools)
+    }
+  }
+
+  /**
+   * A new SDK client declaring the capabilities of the configured stubs. Messages the server sends on its own are counted,
+   * and the tools are listed again when the server says they changed.
+   * @returns {Client}
+   */
+  createClient() {
+    const { serverRequests } = this.config
+    const client = new Client({ name: 'mcp-client', version: '1.0.0' }, { capabilities: clientCapabilities(serverRequests) })
+    const record = (method) => this.metrics.recordServerMessage(method)
+    registerStubs(client, serverRequests, {
+      generate: (schema) => this.generateRandomParams(schema, this.config.mockData),
+      record,
+      random: () => this.faker.number.float(),
+    })
+    client.setNotificationHandler(ToolListChangedNotificationSchema, (notification) => {
+      record(notification.method)
+      return this.refreshTools()
+    })
+    client.fallbackNotificationHandler = async (notification) => record(notification.method)
+    client.fallbackRequestHandler = async (request) => {
+      record(request.method)
+      throw new McpError(ErrorCode.MethodNotFound, `Method not found: ${request.method}`)
+    }
+    return client
+  }
+
+  /**
+   * List the tools again after `notifications/tools/list_changed`, so later iterations call the current ones
+   * @returns {Promise<void>}
+   */
+  async refreshTools() {
+    try {
+      const { tools } = await this.mcp.listTools()
+      this.setTools(tools)
+      logger.info({ tools: this.tools.map(({ name }) => name) }, 'Server tools changed')
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to list tools after they changed, keeping the old ones')
+    }
   }
 
   async connectToServer() {
-    logger.info({ serverUrl: this.config.serverUrl }, 'Connecting to MCP server')
+    // Session churn reconnects every iteration; only the first connection is worth an info line
+    const log = this.sessionCount++ === 0 ? logger.info.bind(logger) : logger.debug.bind(logger)
+    log({ serverUrl: this.serverUrl, command: this.config.transport?.command }, 'Connecting to MCP server')
     try {
-      // Initialize transport and connect to server
-      await this.mcp.connect(this.transport)
-
-      // List available tools
-      const toolsResult = await this.mcp.listTools()
-      // Set tools to all tools initially
-      this.tools = toolsResult.tools
-      logger.info({ tools: this.tools.map(({ name }) => name) }, 'Connected to server with tools')
+      if (this.auth && !this.authProvider) {
+        this.authProvider = createAuthProvider(this.auth)
+      }
+      // Initialize transport and connect to server, possibly on a fresh client after falling back to SSE
+      const { client, transport, type } = await connectClient({
+        createClient: () => this.createClient(),
+        serverUrl: this.serverUrl,
+        headers: this.config.headers,
+        transport: this.config.transport,
+        authProvider: this.authProvider,
+        onPhase: (phase, result) => this.metrics.recordSession(phase, result),
+      })
+      this.mcp = client
+      this.transport = transport
+      logger.debug({ transport: type }, 'Connected transport')
+
+      const capabilities = this.mcp.getServerCapabilities() || {}
+      // List available tools, timed as the last step of setting up a session
+      const toolsResult = capabilities.tools ? await this.timeSessionPhase('listTools', () => this.mcp.listTools(), { rethrow: true }) : { tools: [] }
+      log({ tools: toolsResult.tools.map(({ name }) => name) }, 'Connected to server with tools')
+      this.setTools(toolsResult.tools)
       if (this.config.toolNames) {
-        this.tools = this.tools.filter((tool) => this.config?.toolNames?.includes(tool.name))
-        logger.info({ filteredTools: this.tools.map((t) => t.name) }, 'Filtered tools')
+        log({ filteredTools: this.tools.map((t) => t.name) }, 'Filtered tools')
+      }
+      if (capabilities.resources) {
+        this.resources = (await this.mcp.listResources()).resources
+        this.resourceTemplates = (await this.mcp.listResourceTemplates()).resourceTemplates
       }
+      if (capabilities.prompts) {
+        this.prompts = (await this.mcp.listPrompts()).prompts
+      }
+      logger.debug({ resources: this.resources.length, resourceTemplates: this.resourceTemplates.length, prompts: this.prompts.length }, 'Listed resources and prompts')
     } catch (e) {
       logger.error({ error: e.message }, 'Failed to connect to MCP server')
       throw e
     }
-    if (this.tools.length === 0) {
-      throw new Error('No matching tools found')
+    // With scenarios, each scenario is checked against its own mode instead
+    if (!this.config.scenarios) {
+      this.checkTargets(resolveMode(this.config))
     }
   }
 
-  generateValueForField(fieldName, prop, mockConfig = {}) {
-    const { fieldGenerators = {}, fieldFormats = {}, fakerEnabled = true } = mockConfig
-    if (fakerEnabled) {
-      // Check for custom generator first
-      if (fieldGenerators[fieldName]) {
-        return fieldGenerators[fieldName](this.faker)
-      }
-
-      // Check for format specification
-      const format = fieldFormats[fieldName]
+  /**
+   * Time one session lifecycle phase and record it in the metrics
+   * @template T
+   * @param {'listTools' | 'terminate' | 'close'} phase - Session lifecycle phase
+   * @param {() => Promise<T>} fn - Performs the phase
+   * @param {{ rethrow?: boolean }} [options] - Whether a failure propagates (default: it is logged and swallowed)
+   * @returns {Promise<T | undefined>}
+   */
+  async timeSessionPhase(phase, fn, { rethrow = false } = {}) {
+    const startedAt = Date.now()
+    try {
+      const result = await fn()
+      this.metrics.recordSession(phase, { success: true, duration: Date.now() - startedAt })
+      return result
+    } catch (error) {
+      this.metrics.recordSession(phase, { success: false, duration: Date.now() - startedAt, error })
+      if (rethrow) throw error
+      logger.warn({ phase, error: error.message }, 'Session phase failed')
+    }
+  }
 
-      // Generate based on field name and type
-      if (fieldName.toLowerCase().includes('email')) {
-        return format ? this.faker.internet.email(format) : this.faker.internet.email()
-      }
-      if (fieldName.toLowerCase().includes('url')) {
-        return this.faker.internet.url()
-      }
-      if (fieldName.toLowerCase().includes('name')) {
-        return this.faker.person.fullName()
-      }
-      if (fieldName.toLowerCase().includes('phone')) {
-        return this.faker.phone.number()
-      }
-      if (fieldName.toLowerCase().includes('address')) {
-        return this.faker.location.streetAddress()
-      }
-      if (fieldName.toLowerCase().includes('city')) {
-        return this.faker.location.city()
-      }
-      if (fieldName.toLowerCase().includes('country')) {
-        return this.faker.location.country()
-      }
-      if (fieldName.toLowerCase().includes('date')) {
-        return this.faker.date.recent().toISOString()
-      }
+  /**
+   * End this client's session: explicitly terminate it on streamable HTTP servers (unless
+   * `terminateSession` is false), then close the transport. Forks leave the shared session open.
+   */
+  async closeSession() {
+    if (this.shared || !this.transport) {
+      return
+    }
+    const transport = this.transport
+    this.transport = null
+    if (this.config.terminateSession !== false && typeof transport.terminateSession === 'function' && transport.sessionId) {
+      await this.timeSessionPhase('terminate', () => transport.terminateSession())
     }
+    await this.timeSessionPhase('close', () => this.mcp.close())
+  }
 
-    // Fallback to type-based generation
-    switch (prop.type) {
-      case 'string':
-        return this.faker.lorem.word()
-      case 'number':
-        return this.faker.number.int({ min: 0, max: 1000 })
-      case 'boolean':
-        return this.faker.datatype.boolean()
-      case 'array':
-        return []
-      case 'object':
-        return this.generateRandomParams(prop, mockConfig)
-      default:
-        return null
+  /**
+   * Fail before the run starts when the server has nothing the mode can exercise
+   * @param {string} mode - Run mode
+   */
+  checkTargets(mode) {
+    if (mode === 'churn') {
+      return this.checkTargets(this.config.churn?.mode || 'random')
+    }
+    if (['random', 'all', 'fuzz'].includes(mode) && this.tools.length === 0) {
+      throw new Error('No matching tools found')
+    }
+    if (mode === 'readResource' && this.resources.length + this.resourceTemplates.length === 0) {
+      throw new Error('No resources or resource templates found')
+    }
+    if (mode === 'getPrompt' && this.prompts.length === 0) {
+      throw new Error('No prompts found')
     }
+    if (mode === 'complete' && this.completionTargets().length === 0) {
+      throw new Error('No prompt arguments or resource template variables to complete')
+    }
+  }
+
+  /**
+   * Generate a value for a single property of a tool's input schema
+   * @param {string} fieldName - Property name
+   * @param {Object} prop - JSON Schema of the property
+   * @param {MockDataConfig} [mockConfig] - Mock data configuration
+   * @param {Object} [root] - Root schema used to resolve $ref (default: `prop`)
+   * @returns {unknown}
+   */
+  generateValueForField(fieldName, prop, mockConfig = {}, root = prop) {
+    return new ParamGenerator(this.faker, mockConfig).generateField(fieldName, prop, root)
   }
 
+  /**
+   * Generate parameters that satisfy a tool's input schema
+   * @param {Object} schema - JSON Schema of the tool input
+   * @param {MockDataConfig} [mockConfig] - Mock data configuration
+   * @returns {Record<string, unknown>}
+   */
   generateRandomParams(schema, mockConfig = {}) {
-    const params = {}
-    if (!schema || !schema.properties) return params
+    return new ParamGenerator(this.faker, mockConfig).generateParams(schema)
+  }
 
-    for (const [key, prop] of Object.entries(schema.properties)) {
-      params[key] = this.generateValueForField(key, prop, mockConfig)
-    }
-    return params
+  /**
+   * SDK options for one request: its timeout, and a signal that cancels it when the run is stopped
+   * @param {string} name - Tool or operation name the request is recorded under
+   * @param {string|number} [timeout] - Timeout of the step, over `toolTimeouts[name]` and `timeout`
+   * @returns {import('@modelcontextprotocol/sdk/shared/protocol.js').RequestOptions}
+   */
+  requestOptions(name, timeout = this.config.toolTimeouts?.[name] ?? this.config.timeout) {
+    // AbortSignal.any([this.signal]) gives each request its own signal that aborts with the run's. The SDK adds an abort listener
+    // to the signal it is given and never removes it, so handing it the shared run signal would pile up one listener per request
+    const signal = this.signal && AbortSignal.any([this.signal])
+    return { ...(timeout !== undefined && { timeout: parseDuration(timeout) }), ...(signal && { signal }) }
+  }
+
+  /**
+   * Classify a failed request: 'cancelled' when the run was stopped, 'timeout' when no response came in time, else 'error'
+   * @param {Error} err - Error the request failed with
+   * @returns {'cancelled' | 'timeout' | 'error'}
+   */
+  failureTypeOf(err) {
+    if (this.signal?.aborted) return 'cancelled'
+    return err instanceof McpError && err.code === ErrorCode.RequestTimeout ? 'timeout' : 'error'
   }
 
-  async callTool(tool, params) {
+  /**
+   * Call a tool, check the response against its expectations and record the outcome
+   * @param {{ name: string, outputSchema?: object }} tool - Tool definition from listTools
+   * @param {Record<string, unknown>} params - Tool arguments
+   * @param {Object} [options] - Call options
+   * @param {import('./assertions.js').ExpectConfig} [options.expect] - Rules merged over `assertions[tool.name]`
+   * @param {string|number} [options.timeout] - Timeout for this call, over `toolTimeouts` and `timeout`
+   * @returns {Promise<any>} The tool result, or undefined when the call failed
+   */
+  async callTool(tool, params, options = {}) {
     const l = logger.child({ tool: tool.name })
     l.info({ tool: tool.name, params }, 'start tool call')
 
@@ -184,26 +477,89 @@ class MCPClient {
       success: false,
       duration: 0,
       error: null,
+      failureType: null,
+      assertion: null,
       result: null,
       args: params,
+      startedAt: callStart,
+      scenario: this.scenario,
+      progress: null,
+    }
+    // Passing onprogress makes the SDK send a progressToken, so servers can report progress
+    let lastProgress = callStart
+    const onprogress = () => {
+      const now = Date.now()
+      if (record.progress) {
+        record.progress.notifications++
+        record.progress.gaps.push(now - lastProgress)
+      } else {
+        record.progress = { notifications: 1, first: now - callStart, gaps: [] }
+      }
+      lastProgress = now
     }
     try {
-      const result = await this.mcp.callTool({
-        name: tool.name,
-        arguments: params,
-      })
+      // Plain request so output schema violations surface as assertion failures rather than SDK errors
+      const request = { method: 'tools/call', params: { name: tool.name, arguments: params } }
+      const result = await this.mcp.request(request, CallToolResultSchema, { ...this.requestOptions(tool.name, options.timeout), onprogress })
+      record.duration = Date.now() - callStart
       record.result = result?.content?.[0]?.text
       if (result.isError) {
         throw new Error(result?.content?.[0]?.text)
       }
+      const failures = await checkExpectations({
+        tool,
+        result,
+        duration: record.duration,
+        expect: { outputSchema: this.config.validateOutputSchema, ...this.config.assertions?.[tool.name], ...options.expect },
+      })
+      if (failures.length) {
+        throw new AssertionError(failures)
+      }
       l.info({ result }, 'finish tool call:')
       record.success = true
       return result
     } catch (err) {
       record.error = err
-      l.error({ error: err.message }, 'error tool call')
+      if (err instanceof AssertionError) {
+        record.failureType = 'assertion'
+        record.assertion = err.assertion
+        l.error({ error: err.message }, 'assertion failed')
+      } else {
+        record.failureType = this.failureTypeOf(err)
+        l.error({ error: err.message, failureType: record.failureType }, 'error tool call')
+      }
     } finally {
-      record.duration = Date.now() - callStart
+      record.duration = record.duration || Date.now() - callStart
+      this.metrics.record(record)
+      if (this.config.delayBetweenCalls) {
+        await new Promise((resolve) => setTimeout(resolve, this.config.delayBetweenCalls))
+      }
+    }
+  }
+
+  /**
+   * Send a request other than a tool call and record it in the metrics under its operation name
+   * @param {keyof typeof OPERATIONS} kind - Mode / step kind of the request
+   * @param {Record<string, unknown>} [params] - Request parameters, recorded as the call's args
+   * @param {Object} [options] - Request options
+   * @param {string|number} [options.timeout] - Timeout for this request, over `toolTimeouts` and `timeout`
+   * @returns {Promise<any>} The result, or undefined when the request failed
+   */
+  async measureRequest(kind, params = {}, options = {}) {
+    const { name, send } = OPERATIONS[kind]
+    const startedAt = Date.now()
+    const record = { toolName: name, success: false, duration: 0, error: null, failureType: null, result: null, args: params, startedAt, scenario: this.scenario }
+    try {
+      const result = await send(this.mcp, params, this.requestOptions(name, options.timeout))
+      record.duration = Date.now() - startedAt
+      record.success = true
+      return result
+    } catch (err) {
+      record.error = err
+      record.failureType = this.failureTypeOf(err)
+      logger.error({ operation: name, error: err.message, failureType: record.failureType }, 'error request')
+    } finally {
+      record.duration = record.duration || Date.now() - startedAt
       this.metrics.record(record)
       if (this.config.delayBetweenCalls) {
         await new Promise((resolve) => setTimeout(resolve, this.config.delayBetweenCalls))
@@ -211,63 +567,329 @@ class MCPClient {
     }
   }
 
-  async executeSequence(sequence) {
+  /**
+   * Prompt arguments and resource template variables that `complete` can target
+   * @returns {{ ref: { type: 'ref/prompt', name: string } | { type: 'ref/resource', uri: string }, name: string }[]}
+   */
+  completionTargets() {
+    return [
+      ...this.prompts.flatMap((prompt) => (prompt.arguments || []).map(({ name }) => ({ ref: { type: 'ref/prompt', name: prompt.name }, name }))),
+      ...this.resourceTemplates.flatMap((template) =>
+        new UriTemplate(template.uriTemplate).variableNames.map((name) => ({ ref: { type: 'ref/resource', uri: template.uriTemplate }, name }))
+      ),
+    ]
+  }
+
+  /**
+   * Expand a URI template, generating values for variables that weren't provided
+   * @param {string} uri - Resource URI or URI template
+   * @param {Record<string, unknown>} [variables] - Known template variables
+   * @returns {string}
+   */
+  expandUri(uri, variables = {}) {
+    if (!UriTemplate.isTemplate(uri)) {
+      return uri
+    }
+    const template = new UriTemplate(uri)
+    const generator = new ParamGenerator(this.faker, this.config.mockData)
+    const values = {}
+    for (const name of template.variableNames) {
+      values[name] = String(variables[name] ?? generator.generateField(name, { type: 'string' }, {}))
+    }
+    return template.expand(values)
+  }
+
+  /**
+   * Arguments for a prompt: provided values, then `paramOverrides[prompt.name]`, then generated strings
+   * @param {{ name: string, arguments?: { name: string, required?: boolean }[] }} prompt - Prompt definition from listPrompts
+   * @param {Record<string, unknown>} [provided] - Known argument values
+   * @param {('all'|'required')} [fields] - Which missing arguments to generate (default: `mockData.fields`, else 'all')
+   * @returns {Record<string, string>}
+   */
+  generatePromptArguments(prompt, provided = {}, fields = this.config.mockData?.fields || 'all') {
+    const generator = new ParamGenerator(this.faker, this.config.mockData)
+    const args = {}
+    for (const arg of prompt.arguments || []) {
+      if (fields === 'all' || arg.required) {
+        args[arg.name] = String(generator.generateField(arg.name, { type: 'string' }, {}))
+      }
+    }
+    return Object.fromEntries(Object.entries({ ...args, ...this.config.paramOverrides?.[prompt.name], ...provided }).map(([key, value]) => [key, String(value)]))
+  }
+
+  /**
+   * Send one resource, prompt, completion or ping request. Targets left out of `target` are picked at random
+   * from what the server listed, with generated URI template variables and prompt arguments.
+   * @param {keyof typeof OPERATIONS} kind - Mode / step kind of the request
+   * @param {Object} [target] - What to request, usually from a sequence step
+   * @param {string} [target.uri] - Resource URI or URI template for 'readResource'
+   * @param {string} [target.promptName] - Prompt for 'getPrompt'
+   * @param {ToolSequenceStep['ref']} [target.ref] - Completion reference for 'complete'
+   * @param {ToolSequenceStep['argument']} [target.argument] - Argument to complete for 'complete'
+   * @param {Record<string, unknown>} [target.inputs] - Template variables or prompt arguments
+   * @param {('all'|'required')} [target.fields] - Which missing prompt arguments to generate
+   * @param {string|number} [target.timeout] - Timeout for the request, over `toolTimeouts` and `timeout`
+   * @returns {Promise<any>} The result, or undefined when the request failed
+   */
+  async runOperation(kind, target = {}) {
+    const { inputs = {}, timeout } = target
+    switch (kind) {
+      case 'readResource': {
+        const uri = target.uri || this.faker.helpers.arrayElement([...this.resources.map((r) => r.uri), ...this.resourceTemplates.map((t) => t.uriTemplate)])
+        return this.measureRequest(kind, { uri: this.expandUri(uri, inputs) }, { timeout })
+      }
+      case 'getPrompt': {
+        const prompt = target.promptName ? this.prompts.find((p) => p.name === target.promptName) || { name: target.promptName } : this.faker.helpers.arrayElement(this.prompts)
+        return this.measureRequest(kind, { name: prompt.name, arguments: this.generatePromptArguments(prompt, inputs, target.fields) }, { timeout })
+      }
+      case 'complete': {
+        const { ref, name } = target.ref ? { ref: target.ref, name: target.argument?.name } : this.faker.helpers.arrayElement(this.completionTargets())
+        // A partial value, as if the user had typed nothing or a first letter
+        const value = target.argument?.value ?? this.faker.helpers.arrayElement(['', this.faker.string.alpha({ length: 1, casing: 'lower' })])
+        return this.measureRequest(kind, { ref, argument: { name, value } }, { timeout })
+      }
+      case 'listResources':
+      case 'listPrompts':
+      case 'ping':
+        return this.measureRequest(kind, {}, { timeout })
+      default:
+        throw new Error(`Unknown operation '${kind}'. Supported: ${Object.keys(OPERATIONS).join(', ')}`)
+    }
+  }
+
+  /**
+   * Run sequence steps in order, stopping at the first step that fails unless it sets `continueOnError`
+   * @param {ToolSequenceStep[]} sequence - Steps to run
+   * @param {Record<string, unknown>} [locals] - `forEach` variables, visible to jq expressions on top of the sequence context
+   */
+  async executeSequence(sequence, locals = {}) {
     logger.info('Executing tool sequence...')
 
     for (const step of sequence) {
-      const tool = this.tools.find((t) => t.name === step.toolName)
-      if (!tool) {
-        const errMsg = `Tool ${step.toolName} not found`
-        logger.error({ error: errMsg })
-        this.metrics.record({ toolName: step.toolName, success: false, duration: 0, error: new Error(errMsg) })
-        continue
+      await this.executeStep(step, locals)
+    }
+  }
+
+  /**
+   * Run one sequence step: once per `forEach` item, if its `when` condition holds, with `delay` before,
+   * `thinkTime` after and up to `retry` retries
+   * @param {ToolSequenceStep} step - Sequence step
+   * @param {Record<string, unknown>} [locals] - Enclosing `forEach` variables
+   */
+  async executeStep(step, locals = {}) {
+    if (!step.forEach) {
+      return this.executeStepOnce(step, locals)
+    }
+    const items = await jq.run(step.forEach, { ...this.sequenceContext, ...locals }, { input: 'json', output: 'json' })
+    if (!Array.isArray(items)) {
+      throw new Error(`forEach '${step.forEach}' must select an array. Got: ${JSON.stringify(items)}`)
+    }
+    const name = step.as || 'item'
+    const queue = items.values()
+    let failure = null
+    // Workers pull from one shared iterator, so at most `concurrency` items run at once
+    const worker = async () => {
+      for (const item of queue) {
+        if (failure) return
+        try {
+          await this.executeStepOnce(step, { ...locals, [name]: item })
+        } catch (error) {
+          failure ||= error
+        }
       }
+    }
+    await Promise.all(Array.from({ length: Math.min(step.concurrency || 1, items.length) }, worker))
+    if (failure) throw failure
+  }
 
-      // Build input parameters
-      /** @type {Record<string, unknown>} */
-      const params = {}
+  /**
+   * @param {ToolSequenceStep} step - Sequence step
+   * @param {Record<string, unknown>} locals - `forEach` variables
+   */
+  async executeStepOnce(step, locals) {
+    const label = stepLabel(step)
+    if (step.when !== undefined) {
+      const result = await jq.run(step.when, { ...this.sequenceContext, ...locals }, { input: 'json', output: 'json' })
+      // jq truthiness: only false and null (or no output) are false
+      if (result === false || result === null || result === undefined) {
+        logger.debug({ step: label, when: step.when }, 'Skipped sequence step')
+        return
+      }
+    }
+    if (step.delay !== undefined) {
+      await sleep(parseDuration(step.delay))
+    }
 
-      // Add static inputs (shallow merge)
-      if (step.staticInputs) {
-        Object.assign(params, step.staticInputs)
+    const attempts = 1 + (step.retry || 0)
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.executeStepBody(step, locals)
+        break
+      } catch (error) {
+        if (attempt < attempts) {
+          const wait = backoffDelay(step.backoff, attempt)
+          logger.warn({ step: label, attempt, error: error.message, retryIn: wait }, 'Retrying sequence step')
+          await sleep(wait)
+          continue
+        }
+        if (!step.continueOnError) {
+          logger.error({ msg: 'Error in sequence step', step: label, error: error.message })
+          throw error
+        }
+        logger.warn({ step: label, error: error.message }, 'Sequence step failed, continuing')
+        break
       }
+    }
+
+    if (step.thinkTime !== undefined) {
+      const { min, max } = typeof step.thinkTime === 'object' ? step.thinkTime : { min: step.thinkTime, max: step.thinkTime }
+      await sleep(this.faker.number.int({ min: parseDuration(min), max: parseDuration(max ?? min) }))
+    }
+  }
 
-      // Map input
-      if (step.inputMapping) {
-        await assignInputMapping({ target: params, mapping: step.inputMapping, context: this.sequenceContext })
+  /**
+   * Run what a step does, once: its parallel branches, its nested steps, or its request
+   * @param {ToolSequenceStep} step - Sequence step
+   * @param {Record<string, unknown>} locals - `forEach` variables
+   */
+  async executeStepBody(step, locals) {
+    if (step.parallel) {
+      const results = await Promise.allSettled(step.parallel.map((branch) => this.executeStep(branch, locals)))
+      const failed = results.find((result) => result.status === 'rejected')
+      if (failed) throw failed.reason
+      return
+    }
+    if (step.steps) {
+      for (const child of step.steps) {
+        await this.executeStep(child, locals)
       }
+      return
+    }
+    if (step.kind && step.kind !== 'callTool') {
+      return this.executeOperationStep(step, locals)
+    }
+    return this.executeToolStep(step, locals)
+  }
+
+  /**
+   * Call a step's tool with its static, mapped and generated inputs, mapping the first text content into the sequence context
+   * @param {ToolSequenceStep} step - Sequence step
+   * @param {Record<string, unknown>} [locals] - `forEach` variables
+   */
+  async executeToolStep(step, locals = {}) {
+    const tool = this.tools.find((t) => t.name === step.toolName)
+    if (!tool) {
+      const errMsg = `Tool ${step.toolName} not found`
+      this.metrics.record({ toolName: step.toolName, success: false, duration: 0, error: new Error(errMsg), scenario: this.scenario })
+      throw new Error(errMsg)
+    }
+
+    // Build input parameters
+    /** @type {Record<string, unknown>} */
+    const params = {}
 
-      // Generate random params for remaining required fields (shallow only)
-      const schema = tool.inputSchema
-      if (schema?.properties) {
-        for (const [key, prop] of Object.entries(schema.properties)) {
-          // TODO, add setting that randoms all fields or a set of fields
-          if (params[key] === undefined && prop.required) {
-            params[key] = this.generateValueForField(key, prop)
-          }
+    // Add static inputs (shallow merge)
+    if (step.staticInputs) {
+      Object.assign(params, step.staticInputs)
+    }
+
+    // Map input
+    if (step.inputMapping) {
+      await assignInputMapping({ target: params, mapping: step.inputMapping, context: { ...this.sequenceContext, ...locals } })
+    }
+
+    // Generate random params for top-level fields the step left unset (required ones only, unless mockData.fields is 'all')
+    const schema = tool.inputSchema
+    if (schema?.properties) {
+      const fields = this.config.mockData?.fields || 'required'
+      const required = Array.isArray(schema.required) ? schema.required : []
+      for (const [key, prop] of Object.entries(schema.properties)) {
+        if (params[key] === undefined && (fields === 'all' || required.includes(key))) {
+          params[key] = this.generateValueForField(key, prop, this.config.mockData, schema)
         }
       }
+    }
 
-      try {
-        const result = await this.callTool(tool, params)
-
-        if (typeof step.outputMapping === 'object' && step.outputMapping !== null) {
-          const outputType = step.outputType || 'json'
-          let outputToStore = result?.content?.[0]?.text
-          if (outputType === 'json' && outputToStore) {
-            try {
-              outputToStore = JSON.parse(outputToStore)
-            } catch (e) {
-              logger.error({ msg: 'Failed to parse JSON output for step', tool: tool.name, error: e.message })
-              throw e
-            }
-          }
-          await assignInputMapping({ target: this.sequenceContext, mapping: step.outputMapping, context: outputToStore })
-          logger.info({ msg: `Mapped result to keys`, tool: tool.name, sequenceContext: this.sequenceContext })
+    const result = await this.callTool(tool, params, { expect: step.expect, timeout: step.timeout })
+    if (!result) {
+      throw new Error(`Tool call ${tool.name} failed`)
+    }
+
+    if (typeof step.outputMapping === 'object' && step.outputMapping !== null) {
+      const outputType = step.outputType || 'json'
+      let outputToStore = result?.content?.[0]?.text
+      if (outputType === 'json' && outputToStore) {
+        try {
+          outputToStore = JSON.parse(outputToStore)
+        } catch (e) {
+          logger.error({ msg: 'Failed to parse JSON output for step', tool: tool.name, error: e.message })
+          throw e
         }
-      } catch (error) {
-        logger.error({ msg: 'Error in sequence step', tool: tool.name, error: error.message })
-        throw error
+      }
+      await assignInputMapping({ target: this.sequenceContext, mapping: step.outputMapping, context: outputToStore })
+      logger.info({ msg: `Mapped result to keys`, tool: tool.name, sequenceContext: this.sequenceContext })
+    }
+  }
+
+  /**
+   * Run a sequence step that isn't a tool call, mapping the whole result into the sequence context
+   * @param {ToolSequenceStep} step - Sequence step
+   * @param {Record<string, unknown>} [locals] - `forEach` variables
+   */
+  async executeOperationStep(step, locals = {}) {
+    const inputs = { ...step.staticInputs }
+    if (step.inputMapping) {
+      await assignInputMapping({ target: inputs, mapping: step.inputMapping, context: { ...this.sequenceContext, ...locals } })
+    }
+    const result = await this.runOperation(step.kind, { uri: step.uri, promptName: step.promptName, ref: step.ref, argument: step.argument, inputs, fields: this.config.mockData?.fields || 'required', timeout: step.timeout })
+    if (!result) {
+      throw new Error(`${OPERATIONS[step.kind].name} request failed`)
+    }
+    if (typeof step.outputMapping === 'object' && step.outputMapping !== null) {
+      await assignInputMapping({ target: this.sequenceContext, mapping: step.outputMapping, context: result })
+      logger.info({ msg: `Mapped result to keys`, operation: step.kind, sequenceContext: this.sequenceContext })
+    }
+  }
+
+  /**
+   * Take a row from a feeder, shaped by its `mapping`
+   * @param {string} name - Feeder name
+   * @param {import('./feeders.js').FeederConfig} feeder - Feeder configuration
+   * @returns {Promise<Record<string, unknown>>}
+   */
+  async takeRow(name, feeder) {
+    const row = this.feeders.get(name, feeder).take(this, this.faker)
+    if (!row) {
+      throw new Error(`Feeder '${name}' ran out of rows`)
+    }
+    if (!feeder.mapping) return row
+    const mapped = {}
+    await assignInputMapping({ target: mapped, mapping: feeder.mapping, context: row })
+    return mapped
+  }
+
+  /**
+   * Arguments from the feeders listing `tool`, one row each, converted to the types of its input schema
+   * @param {any} tool - Tool about to be called
+   * @returns {Promise<Record<string, unknown>>}
+   */
+  async fedArgs(tool) {
+    const args = {}
+    for (const [name, feeder] of Object.entries(this.config.feeders || {})) {
+      if (feeder.tools?.includes(tool.name)) {
+        Object.assign(args, await this.takeRow(name, feeder))
+      }
+    }
+    return coerceToSchema(args, tool.inputSchema)
+  }
+
+  /**
+   * Merge a row from every sequence feeder into the sequence context, before an iteration of the sequence
+   */
+  async seedSequenceContext() {
+    for (const [name, feeder] of Object.entries(this.config.feeders || {})) {
+      if (feeder.sequence) {
+        Object.assign(this.sequenceContext, await this.takeRow(name, feeder))
       }
     }
   }
@@ -281,12 +903,16 @@ class MCPClient {
       if (this.config.paramOverrides?.[tool.name]) {
         params = { ...params, ...this.config.paramOverrides[tool.name] }
       }
+      params = { ...params, ...(await this.fedArgs(tool)) }
 
       await this.callTool(tool, params)
     }
   }
   async runRandomToolCall() {
-    const randomTool = this.tools[Math.floor(Math.random() * this.tools.length)]
+    const { toolWeights } = this.config
+    const randomTool = toolWeights
+      ? this.faker.helpers.weightedArrayElement(this.tools.map((tool) => ({ weight: toolWeights[tool.name] ?? 1, value: tool })).filter(({ weight }) => weight > 0))
+      : this.faker.helpers.arrayElement(this.tools)
     let params = {}
     if (this.config.randomizeParams !== false) {
       params = this.generateRandomParams(randomTool.inputSchema, this.config.mockData)
@@ -295,53 +921,171 @@ class MCPClient {
     if (this.config.paramOverrides?.[randomTool.name]) {
       params = { ...params, ...this.config.paramOverrides[randomTool.name] }
     }
+    params = { ...params, ...(await this.fedArgs(randomTool)) }
 
     await this.callTool(randomTool, params)
   }
 
+  /**
+   * Send every fuzz case to every tool and record how the server reacted in `fuzzReport`.
+   * After a crash the client reconnects, unless it shares another client's connection.
+   */
+  async runFuzz() {
+    const options = this.config.fuzz || {}
+    const timeout = parseDuration(options.timeout ?? '10s')
+    const generator = new ParamGenerator(this.faker, this.config.mockData)
+    for (const tool of this.tools) {
+      for (const fuzzCase of buildFuzzCases(tool, generator, options)) {
+        const startedAt = Date.now()
+        let outcome
+        let message = null
+        try {
+          const result = await this.mcp.request({ method: 'tools/call', params: { name: tool.name, arguments: fuzzCase.args } }, CallToolResultSchema, this.requestOptions(tool.name, timeout))
+          outcome = result.isError ? 'rejected' : 'accepted'
+          message = result.content?.[0]?.text ?? null
+        } catch (err) {
+          outcome = classifyError(err)
+          message = err.message
+        }
+        this.fuzzReport.record(tool.name, fuzzCase, outcome, { message, duration: Date.now() - startedAt })
+        logger.debug({ tool: tool.name, category: fuzzCase.category, description: fuzzCase.description, outcome }, 'fuzz case')
+        if (outcome === 'crash' && !this.shared) {
+          logger.warn({ tool: tool.name, description: fuzzCase.description, error: message }, 'Server crashed, reconnecting')
+          await this.mcp.close().catch(() => {})
+          await this.connectToServer()
+        }
+      }
+    }
+  }
+
+  /**
+   * Send the AI client's prompt to its provider and record how long the model took to answer, which tools it
+   * called and the tokens it used. Tools the model calls go through callTool, so they are measured as calls too.
+   */
   async runAIClient() {
-    const { prompt, client, config } = this.config.aiClient || {}
+    const options = this.config.aiClient || {}
+    const { prompt, client = 'gemini' } = options
     if (!prompt) {
       throw new Error('Prompt is required')
     }
-    if (!config) {
-      throw new Error('Client is required')
+    const provider = aiProviders.get(client)
+    if (!provider) {
+      throw new Error(`Unsupported AI client: ${client}. Registered: ${[...aiProviders.keys()].join(', ')}`)
     }
-    let result
-    if (client === 'gemini') {
-      result = await runGeminiWithMCP(prompt, this.mcp, config)
-    } else if (client === 'chatgpt') {
-      result = await runOpenAIWithMCP(prompt, this.config.serverUrl, config)
-    } else {
-      throw new Error(`Unsupported AI client: ${client}`)
+    const context = {
+      tools: this.tools,
+      serverUrl: this.serverUrl,
+      callTool: (name, args) => this.callTool(this.tools.find((tool) => tool.name === name) || { name }, args),
+    }
+    const startedAt = Date.now()
+    try {
+      const result = await provider.run(prompt, options, context)
+      this.metrics.recordPrompt({ success: true, duration: Date.now() - startedAt, ...result })
+      logger.debug({ result: result.text, toolCalls: result.toolCalls }, 'AI client result')
+    } catch (error) {
+      // A provider that gave up part way, e.g. after maxTurns, reports what it did so far
+      this.metrics.recordPrompt({ model: options.model, ...error.result, success: false, duration: Date.now() - startedAt, error })
+      throw error
+    }
+  }
+
+  /**
+   * Re-issue every call of a recorded call log, either back to back or at the original offsets
+   * @param {import('./callLog.js').ReplayConfig} replay - Replay configuration
+   */
+  async runReplay(replay) {
+    if (!this.replayLog) {
+      this.replayLog = readCallLog(replay.file)
+      logger.info({ file: replay.file, calls: this.replayLog.calls.length }, 'Loaded replay file')
+    }
+    const kinds = Object.fromEntries(Object.entries(OPERATIONS).map(([kind, { name }]) => [name, kind]))
+    const replayCall = (call) =>
+      kinds[call.toolName] ? this.measureRequest(kinds[call.toolName], call.args) : this.callTool(this.tools.find((t) => t.name === call.toolName) || { name: call.toolName }, call.args)
+
+    if (!replay.preserveTiming) {
+      for (const call of this.replayLog.calls) {
+        await replayCall(call)
+      }
+      return
+    }
+
+    // Fire each call at its recorded offset without waiting for earlier ones, so overlapping calls overlap again
+    const start = Date.now()
+    const pending = []
+    for (const call of this.replayLog.calls) {
+      const wait = start + call.offset - Date.now()
+      if (wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, wait))
+      }
+      pending.push(replayCall(call))
+    }
+    await Promise.all(pending)
+  }
+
+  /**
+   * One session-churn iteration: open a session (or reuse the one still open), run
+   * `churn.callsPerSession` iterations of `churn.mode` on it, then terminate and close it
+   */
+  async runChurn() {
+    const { callsPerSession = 10, mode = 'random' } = this.config.churn || {}
+    if (!this.transport) {
+      await this.connectToServer()
+    }
+    try {
+      for (let i = 0; i < callsPerSession; i++) {
+        await this.runIteration(mode)
+      }
+    } finally {
+      await this.closeSession()
+    }
+  }
+
+  /**
+   * Run one iteration of a run mode
+   * @param {string} [mode] - Run mode (default: the configured or inferred mode)
+   */
+  async runIteration(mode = resolveMode(this.config)) {
+    switch (mode) {
+      case 'replay':
+        return this.runReplay(this.config.replay)
+      case 'sequence':
+        await this.seedSequenceContext()
+        return this.executeSequence(this.config.sequence)
+      case 'all':
+        return this.runAll()
+      case 'ai':
+        return this.runAIClient()
+      case 'random':
+        return this.runRandomToolCall()
+      case 'fuzz':
+        return this.runFuzz()
+      case 'churn':
+        return this.runChurn()
+      case 'listResources':
+      case 'readResource':
+      case 'listPrompts':
+      case 'getPrompt':
+      case 'complete':
+      case 'ping':
+        return this.runOperation(mode)
+      default:
+        throw new Error(`Unknown mode '${mode}'. Supported: ${RUN_MODES.join(', ')}`)
     }
-    logger.debug({ result }, 'AI client result')
   }
 
   async runLoadTest() {
-    if (this.tools.length === 0) {
+    if (this.tools.length === 0 && ['random', 'all', 'fuzz'].includes(resolveMode(this.config))) {
       throw new Error('No tools available')
     }
 
-    const numCalls = this.config.numCalls || 1
-    logger.info(`Starting load test with ${numCalls} calls`)
-    for (let i = 0; i < numCalls; i++) {
-      try {
-        // If sequence is defined, execute it
-        if (this.config.sequence) {
-          // For sequence, use the first tool name for per-tool stats
-          await this.executeSequence(this.config.sequence)
-        } else if (this.config.runAll) {
-          await this.runAll()
-        } else if (this.config.aiClient) {
-          await this.runAIClient()
-        } else {
-          await this.runRandomToolCall()
-        }
-      } catch (err) {
-        logger.error({ error: err.message }, `Failed call ${i + 1}/${this.config.numCalls}:`)
-      }
+    // Additional virtual users share this client's connection
+    let started = false
+    const createVU = async () => {
+      if (started) return this.fork()
+      started = true
+      return this
     }
+    await runLoadProfile({ config: this.config, createVU, metrics: this.metrics })
 
     this.metrics.printSummary()
 
@@ -349,20 +1093,122 @@ class MCPClient {
   }
 
   async cleanup() {
-    await this.mcp.close()
+    await this.closeSession()
+  }
+}
+/**
+ * Wrap a scenario's client so every iteration it starts is counted towards the scenario
+ * @param {MCPClient} client - Client with `scenario` set
+ * @param {Metrics} metrics - Metrics being collected
+ * @returns {import('./runner.js').VirtualUser}
+ */
+function countIterations(client, metrics) {
+  return {
+    runIteration: () => {
+      metrics.recordIteration(client.scenario)
+      return client.runIteration()
+    },
+    cleanup: () => client.cleanup(),
   }
 }
+
+/**
+ * Start live progress and metrics exporters configured for a run
+ * @param {Metrics} metrics - Metrics being collected
+ * @param {LoadTestConfig} config - Load test configuration
+ * @returns {Promise<() => Promise<void>>} Stops them all, making a final Pushgateway push
+ */
+async function startMonitoring(metrics, config) {
+  const stops = []
+  if (config.progress) {
+    stops.push(startProgress(metrics, config.progress === true ? {} : config.progress))
+  }
+  if (config.prometheus?.port !== undefined) {
+    const server = await startMetricsServer(metrics, config.prometheus)
+    stops.push(server.close)
+  }
+  if (config.prometheus?.pushgateway) {
+    stops.push(startPushgateway(metrics, config.prometheus).stop)
+  }
+  return async () => {
+    await Promise.all(stops.map((stop) => stop()))
+  }
+}
+
+/**
+ * Print the summary, write the call log and reports, and check thresholds and the baseline once the load is over
+ * @param {Metrics} metrics - Metrics collected during the run
+ * @param {LoadTestConfig} config - Load test configuration
+ * @param {Object} [options] - How the run went
+ * @param {FuzzReport} [options.fuzzReport] - Fuzz results, printed instead of the metrics in 'fuzz' mode
+ * @param {string | null} [options.interrupted] - What stopped the run early, e.g. 'SIGINT'
+ * @returns {Promise<object>} The metrics summary, with `interrupted` set when the run was stopped early
+ */
+async function finishRun(metrics, config, { fuzzReport, interrupted } = {}) {
+  if (interrupted) {
+    logger.warn({ reason: interrupted }, 'Run was stopped early, results are partial')
+  }
+  if (fuzzReport) {
+    fuzzReport.printSummary()
+  } else {
+    metrics.printSummary()
+  }
+  if (config.record) {
+    writeCallLog(config.record, buildCallLog(metrics, { serverUrl: config.serverUrl, seed: config.seed }))
+    logger.info({ file: config.record }, 'Wrote call log')
+  }
+  const summary = metrics.getSummary()
+  if (interrupted) {
+    summary.interrupted = interrupted
+  }
+  if (fuzzReport) {
+    summary.fuzz = fuzzReport.getSummary()
+  }
+  if (config.thresholds) {
+    summary.thresholds = evaluateThresholds(summary, config.thresholds)
+    printThresholds(summary.thresholds)
+  }
+  if (config.compare?.baseline) {
+    summary.comparison = compareRuns(loadResults(config.compare.baseline), summary, config.compare)
+    printComparison(summary.comparison)
+  }
+  if (config.reporters?.length) {
+    await writeReports(summary, config.reporters)
+  }
+  return summary
+}
+
 /**
  * Main entry point for running the MCP load test
  * @param {LoadTestConfig} config - Configuration options for the load test
- * @returns {Promise<void>}
+ * @returns {Promise<object | undefined>} The metrics summary, including `thresholds` results when configured
  */
 async function run(config) {
-  if (!config.serverUrl) {
-    logger.info('Usage: main({ serverUrl: "http://server-url", ...config })')
+  if (!config.serverUrl && !config.transport?.command) {
+    logger.info('Usage: run({ serverUrl: "http://server-url", ...config }) or run({ transport: { command: "server-binary" }, ...config })')
     return
   }
 
+  // Fail fast on malformed thresholds instead of after a long run
+  if (config.thresholds) {
+    parseThresholds(config.thresholds)
+  }
+
+  const shutdown = new Shutdown({ timeout: config.shutdownTimeout, signal: config.signal, handleSignals: config.handleSignals })
+  if (config.workers) {
+    // Workers apply the defaults themselves; the coordinator only merges and reports
+    const metrics = config.metrics || new Metrics({ maxDetails: config.maxDetails })
+    const stopMonitoring = await startMonitoring(metrics, config)
+    shutdown.listen()
+    try {
+      await runWorkers({ config, metrics, shutdown })
+    } finally {
+      await stopMonitoring()
+      shutdown.dispose()
+    }
+    return finishRun(metrics, config, { interrupted: shutdown.reason })
+  }
+
   /** @type {Partial<LoadTestConfig>} */
   const defaultConfig = {
     numCalls: 1,
@@ -381,20 +1227,126 @@ async function run(config) {
   // Merge provided config with defaults
   const mergedConfig = { ...defaultConfig, ...config }
 
-  const fakerInstance = new Faker(/** @type {import('@faker-js/faker').FakerOptions} */ (mergedConfig.fakerConfig))
-  const mcpClient = new MCPClient({
-    fakerInstance,
-    serverUrl: mergedConfig.serverUrl,
-    config: mergedConfig,
-    metrics: mergedConfig.metrics || new Metrics(),
+  // Each virtual user gets its own faker so seeded runs stay reproducible per virtual user
+  let vuCount = 0
+  const createFaker = () => {
+    const fakerInstance = new Faker(/** @type {import('@faker-js/faker').FakerOptions} */ (mergedConfig.fakerConfig))
+    if (mergedConfig.seed !== undefined) {
+      fakerInstance.seed(mergedConfig.seed + vuCount)
+    }
+    vuCount++
+    return fakerInstance
+  }
+  const metrics = mergedConfig.metrics || new Metrics({ maxDetails: mergedConfig.maxDetails })
+  const fuzzReport = new FuzzReport()
+  const fuzzing = resolveMode(mergedConfig) === 'fuzz'
+  const clients = []
+  // Each session takes the next credentials of its auth config, so virtual users act as different tenants
+  /** @type {Map<import('./auth.js').AuthConfig, { entries: import('./auth.js').AuthConfig[], next: number }>} */
+  const credentials = new Map()
+  const nextCredentials = (auth) => {
+    if (!auth) return undefined
+    if (!credentials.has(auth)) credentials.set(auth, { entries: loadCredentials(auth), next: 0 })
+    const pool = credentials.get(auth)
+    return pool.entries[pool.next++ % pool.entries.length]
+  }
+  // One pool for the run, so every virtual user takes from the same rows; a feeder with onEnd 'stop' stops the run when it runs out.
+  // Only the first one to run out stops it: a second stop would cancel the calls still in flight
+  const feeders = new FeederPool(() => {
+    if (!shutdown.stopped.aborted) shutdown.stop('end of data')
   })
+  const createClient = (clientConfig) => {
+    const client = new MCPClient({
+      fakerInstance: createFaker(),
+      serverUrl: mergedConfig.serverUrl,
+      config: clientConfig,
+      metrics,
+      fuzzReport,
+      auth: nextCredentials(clientConfig.auth),
+      signal: shutdown.cancelled,
+      feeders,
+    })
+    clients.push(client)
+    return client
+  }
 
+  /**
+   * Virtual users for one load profile. The first reuses `primary`, connected up front so a bad target fails
+   * the run before it starts; the rest open their own sessions, or fork the primary's with `shareConnection`.
+   * @param {MCPClient} primary - Connected client
+   * @param {(client: MCPClient) => import('./runner.js').VirtualUser} [toVU] - Wraps each client, e.g. to pick a scenario per iteration
+   */
+  const virtualUsers = (primary, toVU = (client) => client) => {
+    let primaryInUse = false
+    // Churning virtual users open and close their own sessions, so they can't share one
+    const sharing = primary.config.shareConnection && resolveMode(primary.config) !== 'churn'
+    return async () => {
+      if (!primaryInUse) {
+        primaryInUse = true
+        return toVU(primary)
+      }
+      const client = sharing ? primary.fork(createFaker()) : createClient(primary.config)
+      client.scenario = primary.scenario
+      if (sharing) {
+        clients.push(client)
+      } else {
+        await client.connectToServer()
+      }
+      return toVU(client)
+    }
+  }
+
+  /** @type {{ config: LoadTestConfig, createVU: () => Promise<import('./runner.js').VirtualUser> }[]} */
+  const profiles = []
+  if (mergedConfig.scenarios) {
+    const { independent, weighted } = resolveScenarios(mergedConfig)
+    for (const { name, config: scenarioConfig } of independent) {
+      const primary = createClient(scenarioConfig)
+      primary.scenario = name
+      profiles.push({ config: scenarioConfig, createVU: virtualUsers(primary, (client) => countIterations(client, metrics)) })
+    }
+    if (weighted.length) {
+      // One session per virtual user, with a fork per scenario picked at random for every iteration
+      const primary = createClient({ ...mergedConfig, toolNames: undefined })
+      const toVU = (client) => {
+        const choices = weighted.map(({ name, config: scenarioConfig, weight }) => {
+          const fork = client.fork(client.faker, scenarioConfig)
+          fork.scenario = name
+          fork.checkTargets(resolveMode(scenarioConfig))
+          return { weight, value: countIterations(fork, metrics) }
+        })
+        return { runIteration: () => client.faker.helpers.weightedArrayElement(choices).runIteration() }
+      }
+      profiles.push({ config: mergedConfig, createVU: virtualUsers(primary, toVU) })
+    }
+  } else {
+    profiles.push({ config: mergedConfig, createVU: virtualUsers(createClient(mergedConfig)) })
+  }
+
+  shutdown.listen()
   try {
-    await mcpClient.connectToServer()
-    return await mcpClient.runLoadTest()
+    feeders.load(mergedConfig.feeders)
+    for (const scenario of Object.values(mergedConfig.scenarios || {})) {
+      feeders.load(scenario.feeders)
+    }
+    // Connect every profile's first client before any traffic starts
+    for (const client of [...clients]) {
+      await client.connectToServer()
+    }
+    const stopMonitoring = await startMonitoring(metrics, mergedConfig)
+    try {
+      await Promise.all(profiles.map(({ config: profileConfig, createVU }) => runLoadProfile({ config: profileConfig, createVU, metrics, signal: shutdown.stopped })))
+      // Close sessions before summarizing so their terminate and close times are included
+      await Promise.all(clients.map((client) => client.cleanup()))
+    } finally {
+      await stopMonitoring()
+    }
+
+    return finishRun(metrics, mergedConfig, { fuzzReport: fuzzing ? fuzzReport : undefined, interrupted: shutdown.reason })
   } finally {
-    await mcpClient.cleanup()
+    shutdown.dispose()
+    await Promise.all(clients.map((client) => client.cleanup()))
   }
 }
 
-export { run, MCPClient, Metrics }
+export { run, MCPClient, Metrics, registerReporter, registerAIProvider, compareRuns, startMockServer, startRecordingProxy, inferSequence }
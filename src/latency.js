@@ -0,0 +1,56 @@
+import { parseDuration } from './runner.js'
+
+/**
+ * How long a mock tool or a stubbed client answer takes. A number or duration string is a fixed latency; durations inside
+ * a distribution are milliseconds or strings like '50ms'.
+ * - fixed: `value`
+ * - uniform: between `min` and `max`
+ * - normal: `mean` and `stddev`, never below 0
+ * - lognormal: `median` and `sigma` (the standard deviation of the log), for the long tail real servers have
+ * - exponential: `mean`
+ * @typedef {string|number|{ distribution: 'fixed'|'uniform'|'normal'|'lognormal'|'exponential', value?: string|number, min?: string|number, max?: string|number, mean?: string|number, stddev?: string|number, median?: string|number, sigma?: number }} LatencyConfig
+ */
+
+export const LATENCY_DISTRIBUTIONS = ['fixed', 'uniform', 'normal', 'lognormal', 'exponential']
+
+/**
+ * Build a sampler for a latency config
+ * @param {LatencyConfig} [latency] - Latency config
+ * @param {() => number} random - Uniform random number in [0, 1)
+ * @returns {() => number} Milliseconds to wait
+ */
+export function latencySampler(latency, random) {
+  if (latency === undefined) return () => 0
+  if (typeof latency !== 'object') {
+    const value = parseDuration(latency)
+    return () => value
+  }
+  const ms = (key) => parseDuration(latency[key])
+  // Box-Muller transform; 1 - random() keeps the log away from 0
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())
+  switch (latency.distribution) {
+    case 'fixed': {
+      const value = ms('value')
+      return () => value
+    }
+    case 'uniform': {
+      const [min, max] = [ms('min'), ms('max')]
+      return () => min + random() * (max - min)
+    }
+    case 'normal': {
+      const [mean, stddev] = [ms('mean'), ms('stddev')]
+      return () => Math.max(0, mean + stddev * gaussian())
+    }
+    case 'lognormal': {
+      const median = ms('median')
+      const sigma = latency.sigma ?? 0.5
+      return () => median * Math.exp(sigma * gaussian())
+    }
+    case 'exponential': {
+      const mean = ms('mean')
+      return () => -mean * Math.log(1 - random())
+    }
+    default:
+      throw new Error(`Unknown latency distribution '${latency.distribution}'. Supported: ${LATENCY_DISTRIBUTIONS.join(', ')}`)
+  }
+}
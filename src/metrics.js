@@ -1,22 +1,93 @@
+import { Histogram } from './histogram.js'
+import { logger } from './logger.js'
+
+/** How many per-call details a Metrics instance keeps unless told otherwise */
+export const DEFAULT_MAX_DETAILS = 100000
+
+/**
+ * @typedef {{ total: number, success: number, failure: number, histogram: Histogram }} ToolStats
+ */
+
+/**
+ * @typedef {ToolStats & { iterations: number }} ScenarioStats
+ */
+
+/**
+ * @typedef {{ total: number, success: number, failure: number, histogram: Histogram, turns: number, toolCalls: Record<string, number>, tokens: { input: number, output: number }, models: Record<string, number> }} PromptStats
+ */
+
+/**
+ * @typedef {{ start: number, requests: number, success: number, failure: number, histogram: Histogram }} SeriesBucket
+ */
+
+/**
+ * @typedef {{ calls: number, notifications: number, first: Histogram, gaps: Histogram }} ProgressStats
+ */
+
+/**
+ * Progress notifications a call received: how many, how long after the call started the first one came, and the time between the others
+ * @typedef {{ notifications: number, first: number, gaps: number[] }} CallProgress
+ */
+
+function progressStats() {
+  return { calls: 0, notifications: 0, first: new Histogram(), gaps: new Histogram() }
+}
+
+function summarizeProgress({ calls, notifications, first, gaps }) {
+  const { count: firstCount, ...timeToFirst } = first.stats()
+  const { count: gapCount, ...gap } = gaps.stats()
+  return { calls, notifications, perCall: calls ? notifications / calls : 0, timeToFirst, gap }
+}
+
 // Metrics class for load testing
 export class Metrics {
-  constructor() {
+  /**
+   * @param {Object} [options] - Metrics options
+   * @param {number} [options.bucketSize] - Width in milliseconds of the time series buckets (default: 1000)
+   * @param {number} [options.maxDetails] - Per-call details to keep for the call log and reports, past which a random sample of all calls is kept; 0 keeps none.
+   *   Every call counts towards the statistics either way (default: 100000)
+   */
+  constructor({ bucketSize = 1000, maxDetails = DEFAULT_MAX_DETAILS } = {}) {
     /** @type {number} */
     this.total = 0
     /** @type {number} */
     this.success = 0
     /** @type {number} */
     this.failure = 0
-    /** @type {number[]} */
-    this.responseTimes = []
+    /** @type {Histogram} */
+    this.histogram = new Histogram()
     /** @type {Record<string, number>} */
     this.errors = {}
-    /** @type {Record<string, { total: number, success: number, failure: number, responseTimes: number[] }>} */
+    /** @type {Record<string, number>} */
+    this.failureTypes = {}
+    /** @type {Record<string, number>} */
+    this.assertionFailures = {}
+    /** @type {Record<string, ToolStats>} */
     this.perTool = {}
     /** @type {number} */
+    this.bucketSize = bucketSize
+    /** @type {Map<number, SeriesBucket>} */
+    this.series = new Map()
+    /** @type {Record<string, ToolStats>} */
+    this.sessions = {}
+    /** @type {Record<string, ScenarioStats>} */
+    this.perScenario = {}
+    /** @type {PromptStats} */
+    this.prompts = { total: 0, success: 0, failure: 0, histogram: new Histogram(), turns: 0, toolCalls: {}, tokens: { input: 0, output: 0 }, models: {} }
+    /** @type {ProgressStats & { perTool: Record<string, ProgressStats> }} */
+    this.progress = { ...progressStats(), perTool: {} }
+    /** @type {Record<string, number>} */
+    this.serverMessages = {}
+    /** @type {number} */
+    this.dropped = 0
+    /** @type {number} */
     this.startTime = Date.now()
-    /** @type {{args: Record<string, unknown>, result: unknown | null, error: Error | null}[]} */
+    /** @type {{toolName: string, scenario?: string, startedAt: number, duration: number, success: boolean, failureType: string | null, args: Record<string, unknown>, result: unknown | null, error: Error | null, progress?: CallProgress}[]} */
     this.details = []
+    /** @type {number} */
+    this.maxDetails = maxDetails
+    /** @type {number} */
+    this.detailsSeen = 0
   }
 
   /**
@@ -27,24 +98,59 @@ export class Metrics {
     *   success: boolean,
     *   duration: number,
     *   error?: Error|null,
+    *   failureType?: string|null,
+    *   assertion?: string|null,
     *   result?: string | null,
-    *   args?: Record<string, unknown>
-    * }} params
+    *   args?: Record<string, unknown>,
+    *   startedAt?: number,
+    *   scenario?: string,
+    *   progress?: CallProgress | null
+    * }} params - `startedAt` is the epoch milliseconds the call started (default: now minus duration).
+    *   `failureType` classifies failures ('error', 'assertion', ...; default: 'error') and `assertion` names the failed rule.
+    *   `scenario` names the scenario the call was made in, if any. `progress` describes the progress notifications received, if any
     */
-  record({ toolName, success, duration, error = null, result = null, args = {} }) {
+  record({ toolName, success, duration, error = null, failureType = null, assertion = null, result = null, args = {}, startedAt = Date.now() - duration, scenario, progress = null }) {
     this.total++
-    this.details.push({ args, result, error })
+    this.keepDetail(() => ({ toolName, ...(scenario && { scenario }), startedAt, duration, success, failureType: success ? null : failureType || 'error', args, result, error, ...(progress && { progress }) }))
+    if (progress) {
+      this.recordProgress(toolName, progress)
+    }
+    if (scenario) {
+      const stats = this.scenarioStats(scenario)
+      stats.total++
+      stats[success ? 'success' : 'failure']++
+      stats.histogram.record(duration)
+    }
     if (!this.perTool[toolName]) {
-      this.perTool[toolName] = { total: 0, success: 0, failure: 0, responseTimes: [] }
+      this.perTool[toolName] = { total: 0, success: 0, failure: 0, histogram: new Histogram() }
     }
     this.perTool[toolName].total++
-    this.perTool[toolName].responseTimes.push(duration)
+    this.perTool[toolName].histogram.record(duration)
+    this.histogram.record(duration)
+
+    // Bucket by completion time so the series shows when responses arrived
+    const bucketIndex = Math.floor((startedAt + duration - this.startTime) / this.bucketSize)
+    let bucket = this.series.get(bucketIndex)
+    if (!bucket) {
+      bucket = { start: bucketIndex * this.bucketSize, requests: 0, success: 0, failure: 0, histogram: new Histogram() }
+      this.series.set(bucketIndex, bucket)
+    }
+    bucket.requests++
+    bucket[success ? 'success' : 'failure']++
+    bucket.histogram.record(duration)
+
     if (success) {
       this.success++
       this.perTool[toolName].success = (this.perTool[toolName].success || 0) + 1
     } else {
       this.failure++
       this.perTool[toolName].failure = (this.perTool[toolName].failure || 0) + 1
+      const type = failureType || 'error'
+      this.failureTypes[type] = (this.failureTypes[type] || 0) + 1
+      if (assertion) {
+        const key = `${toolName}: ${assertion}`
+        this.assertionFailures[key] = (this.assertionFailures[key] || 0) + 1
+      }
       if (error) {
         const errMsg = typeof error === 'object' && error !== null && 'message' in error ? error.message : String(error)
         this.errors[errMsg] = (this.errors[errMsg] || 0) + 1
@@ -52,39 +158,223 @@ export class Metrics {
     }
   }
 
+  /**
+   * Keep a call's details: every one of the first `maxDetails` calls, then a uniform random sample of all calls so far (reservoir sampling),
+   * so a long run's details still span the whole run
+   * @param {() => object} detail - Builds the details, only called when they are kept
+   */
+  keepDetail(detail) {
+    const seen = this.detailsSeen++
+    if (seen < this.maxDetails) {
+      this.details.push(detail())
+      return
+    }
+    if (seen === this.maxDetails && this.maxDetails > 0) {
+      logger.warn({ maxDetails: this.maxDetails }, 'More calls than maxDetails: keeping the details of a random sample of them for the call log and reports')
+    }
+    const slot = Math.floor(Math.random() * (seen + 1))
+    if (slot < this.maxDetails) {
+      this.details[slot] = detail()
+    }
+  }
+
+  /**
+   * Add a call's progress notifications to the run's and its tool's progress stats
+   * @param {string} toolName - Tool called
+   * @param {CallProgress} progress - Progress notifications the call received
+   */
+  recordProgress(toolName, { notifications, first, gaps }) {
+    if (!this.progress.perTool[toolName]) {
+      this.progress.perTool[toolName] = progressStats()
+    }
+    for (const stats of [this.progress, this.progress.perTool[toolName]]) {
+      stats.calls++
+      stats.notifications += notifications
+      stats.first.record(first)
+      for (const gap of gaps) {
+        stats.gaps.record(gap)
+      }
+    }
+  }
+
+  /**
+   * Count a message the server sent on its own, outside of a response: a notification such as a log message
+   * or `notifications/tools/list_changed`, or a request such as `sampling/createMessage`
+   * @param {string} method - JSON-RPC method of the message
+   */
+  recordServerMessage(method) {
+    this.serverMessages[method] = (this.serverMessages[method] || 0) + 1
+  }
+
+  /**
+   * Stats for a scenario, created on first use
+   * @param {string} scenario - Scenario name
+   * @returns {ScenarioStats}
+   */
+  scenarioStats(scenario) {
+    if (!this.perScenario[scenario]) {
+      this.perScenario[scenario] = { total: 0, success: 0, failure: 0, iterations: 0, histogram: new Histogram() }
+    }
+    return this.perScenario[scenario]
+  }
+
+  /**
+   * Count an iteration started by a scenario, so the traffic mix can be checked against the weights
+   * @param {string} scenario - Scenario name
+   */
+  recordIteration(scenario) {
+    this.scenarioStats(scenario).iterations++
+  }
+
+  /**
+   * Record one phase of opening or closing a session. Kept apart from tool calls, so
+   * handshakes don't count towards request totals, throughput or latency percentiles.
+   * @param {'connect' | 'initialize' | 'listTools' | 'terminate' | 'close'} phase - Session lifecycle phase
+   * @param {{ success: boolean, duration: number, error?: Error }} result - Outcome of the phase
+   */
+  recordSession(phase, { success, duration, error }) {
+    if (!this.sessions[phase]) {
+      this.sessions[phase] = { total: 0, success: 0, failure: 0, histogram: new Histogram() }
+    }
+    const stats = this.sessions[phase]
+    stats.total++
+    stats[success ? 'success' : 'failure']++
+    stats.histogram.record(duration)
+    if (!success && error) {
+      const errMsg = `${phase}: ${error.message || String(error)}`
+      this.errors[errMsg] = (this.errors[errMsg] || 0) + 1
+    }
+  }
+
+  /**
+   * Record one AI client prompt, run to a final answer or failure. Kept apart from tool calls like session
+   * phases; the tool calls the model made are recorded as calls too.
+   * @param {{ success: boolean, duration: number, model?: string, toolCalls?: string[], turns?: number, usage?: { input: number, output: number }, error?: Error }} result - Outcome of the prompt
+   */
+  recordPrompt({ success, duration, model, toolCalls = [], turns = 0, usage, error }) {
+    const stats = this.prompts
+    stats.total++
+    stats[success ? 'success' : 'failure']++
+    stats.histogram.record(duration)
+    stats.turns += turns
+    for (const tool of toolCalls) {
+      stats.toolCalls[tool] = (stats.toolCalls[tool] || 0) + 1
+    }
+    stats.tokens.input += usage?.input || 0
+    stats.tokens.output += usage?.output || 0
+    if (model) {
+      stats.models[model] = (stats.models[model] || 0) + 1
+    }
+    if (!success && error) {
+      const errMsg = `prompt: ${error.message || String(error)}`
+      this.errors[errMsg] = (this.errors[errMsg] || 0) + 1
+    }
+  }
+
+  /**
+   * Record an iteration that was scheduled but never started because no virtual user was free
+   */
+  recordDropped() {
+    this.dropped++
+  }
+
+  /**
+   * Throughput and latency over the most recent time buckets, for live progress
+   * @param {number} [windowMs] - How far back to look (default: 10000)
+   * @returns {{ requests: number, failure: number, throughput: number, p95: number }}
+   */
+  getRecent(windowMs = 10000) {
+    const elapsed = Date.now() - this.startTime
+    const from = elapsed - windowMs
+    const histogram = new Histogram()
+    let requests = 0
+    let failure = 0
+    for (const bucket of this.series.values()) {
+      if (bucket.start + this.bucketSize <= from) continue
+      histogram.merge(bucket.histogram)
+      requests += bucket.requests
+      failure += bucket.failure
+    }
+    const seconds = Math.max(1, Math.min(windowMs, elapsed)) / 1000
+    return { requests, failure, throughput: requests / seconds, p95: histogram.percentile(95) }
+  }
+
   /**
    * Get a summary of the collected metrics
    * @returns {object}
    */
   getSummary() {
     const totalTime = (Date.now() - this.startTime) / 1000
-    const avg = this.responseTimes.length > 0 ? this.responseTimes.reduce((a, b) => a + b, 0) / this.responseTimes.length : 0
-    const sorted = [...this.responseTimes].sort((a, b) => a - b)
-    const median = sorted.length > 0 ? (sorted.length % 2 === 0 ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2 : sorted[Math.floor(sorted.length / 2)]) : 0
-    const p95 = sorted.length > 0 ? sorted[Math.ceil(sorted.length * 0.95) - 1] : 0
+    const latency = this.histogram.stats()
     const perToolStats = {}
-    for (const [tool, statRawOrig = {}] of Object.entries(this.perTool)) {
-      const { total = 0, success = 0, failure = 0, responseTimes = [] } = statRawOrig
-      const toolAvg = responseTimes.length > 0 ? responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length : 0
-      perToolStats[tool] = {
-        total,
-        success,
-        failure,
-        avg: toolAvg,
-      }
+    for (const [tool, { total, success, failure, histogram }] of Object.entries(this.perTool)) {
+      const { count, ...toolLatency } = histogram.stats()
+      perToolStats[tool] = { total, success, failure, ...toolLatency }
+    }
+    const perScenarioStats = {}
+    for (const [scenario, { total, success, failure, iterations, histogram }] of Object.entries(this.perScenario)) {
+      const { count, ...scenarioLatency } = histogram.stats()
+      perScenarioStats[scenario] = { iterations, total, success, failure, ...scenarioLatency }
+    }
+    const sessionPhases = {}
+    for (const [phase, { total, success, failure, histogram }] of Object.entries(this.sessions)) {
+      const { count, ...phaseLatency } = histogram.stats()
+      sessionPhases[phase] = { total, success, failure, ...phaseLatency }
     }
+    const { count: prompts, ...promptLatency } = this.prompts.histogram.stats()
+    const toolCalls = Object.values(this.prompts.toolCalls).reduce((sum, count) => sum + count, 0)
+    const { input, output } = this.prompts.tokens
+    const ai = {
+      prompts,
+      success: this.prompts.success,
+      failure: this.prompts.failure,
+      ...promptLatency,
+      turns: prompts ? this.prompts.turns / prompts : 0,
+      toolCalls: { total: toolCalls, perPrompt: prompts ? toolCalls / prompts : 0, perTool: this.prompts.toolCalls },
+      tokens: { input, output, total: input + output, perPrompt: prompts ? (input + output) / prompts : 0 },
+      models: this.prompts.models,
+    }
+    const progressPerTool = {}
+    for (const [tool, stats] of Object.entries(this.progress.perTool)) {
+      progressPerTool[tool] = summarizeProgress(stats)
+    }
+    const opened = this.sessions.initialize?.success || 0
+    const closed = this.sessions.close?.success || 0
+    const timeSeries = [...this.series.values()]
+      .sort((a, b) => a.start - b.start)
+      .map(({ start, requests, success, failure, histogram }) => {
+        const { avg, p50, p95, p99, max } = histogram.stats()
+        return { start, requests, success, failure, throughput: requests / (this.bucketSize / 1000), avg, p50, p95, p99, max }
+      })
     return {
       total: this.total,
       success: this.success,
       failure: this.failure,
-      avg,
-      median,
-      p95,
+      dropped: this.dropped,
+      avg: latency.avg,
+      median: latency.p50,
+      min: latency.min,
+      max: latency.max,
+      p50: latency.p50,
+      p90: latency.p90,
+      p95: latency.p95,
+      p99: latency.p99,
+      p999: latency.p999,
       throughput: totalTime > 0 ? this.total / totalTime : 0,
       errors: this.errors,
+      failureTypes: this.failureTypes,
+      assertionFailures: this.assertionFailures,
       perTool: perToolStats,
+      perScenario: perScenarioStats,
+      sessions: { opened, closed, open: opened - closed, phases: sessionPhases },
+      ai,
+      progress: { ...summarizeProgress(this.progress), perTool: progressPerTool },
+      serverMessages: this.serverMessages,
+      timeSeries,
+      startTime: this.startTime,
       totalTime,
       details: this.details,
+      detailsTruncated: this.details.length < this.detailsSeen,
     }
   }
 
@@ -97,15 +387,61 @@ export class Metrics {
     console.log(`Total requests: ${summary.total}`)
     console.log(`Success: ${summary.success}`)
     console.log(`Failure: ${summary.failure}`)
+    if (summary.dropped > 0) {
+      console.log(`Dropped iterations: ${summary.dropped}`)
+    }
     console.log(`Avg response time: ${summary.avg.toFixed(2)} ms`)
     console.log(`Median response time: ${summary.median.toFixed(2)} ms`)
     console.log(`95th percentile response time: ${summary.p95.toFixed(2)} ms`)
+    console.log(
+      `Latency: min=${summary.min.toFixed(2)}, p90=${summary.p90.toFixed(2)}, p99=${summary.p99.toFixed(2)}, p99.9=${summary.p999.toFixed(2)}, max=${summary.max.toFixed(2)} ms`
+    )
     console.log(`Throughput: ${summary.throughput.toFixed(2)} req/sec`)
     console.log('Errors:', summary.errors)
+    if (Object.keys(summary.failureTypes).some((type) => type !== 'error')) {
+      console.log('Failure types:', summary.failureTypes)
+    }
+    if (Object.keys(summary.assertionFailures).length > 0) {
+      console.log('Assertion failures:', summary.assertionFailures)
+    }
+    if (Object.keys(summary.sessions.phases).length > 0) {
+      console.log(`Sessions: opened=${summary.sessions.opened}, closed=${summary.sessions.closed}`)
+      for (const [phase, { total, failure, avg, p95, max }] of Object.entries(summary.sessions.phases)) {
+        console.log(`  ${phase}: total=${total}, failure=${failure}, avg=${avg.toFixed(2)} ms, p95=${p95.toFixed(2)} ms, max=${max.toFixed(2)} ms`)
+      }
+    }
+    if (summary.ai.prompts > 0) {
+      const { ai } = summary
+      console.log(`AI prompts: total=${ai.prompts}, success=${ai.success}, failure=${ai.failure}, avg=${ai.avg.toFixed(2)} ms, p95=${ai.p95.toFixed(2)} ms, max=${ai.max.toFixed(2)} ms`)
+      console.log(`  turns/prompt=${ai.turns.toFixed(2)}, tool calls/prompt=${ai.toolCalls.perPrompt.toFixed(2)}, tokens: input=${ai.tokens.input}, output=${ai.tokens.output}, per prompt=${ai.tokens.perPrompt.toFixed(0)}`)
+      if (ai.toolCalls.total > 0) {
+        console.log('  tools called:', ai.toolCalls.perTool)
+      }
+    }
+    if (summary.progress.calls > 0) {
+      const { progress } = summary
+      const line = ({ calls, notifications, perCall, timeToFirst, gap }) =>
+        `calls=${calls}, notifications=${notifications}, per call=${perCall.toFixed(2)}, first: avg=${timeToFirst.avg.toFixed(2)} ms, p95=${timeToFirst.p95.toFixed(2)} ms, gap: avg=${gap.avg.toFixed(2)} ms, p95=${gap.p95.toFixed(2)} ms, max=${gap.max.toFixed(2)} ms`
+      console.log(`Progress: ${line(progress)}`)
+      for (const [tool, stats] of Object.entries(progress.perTool)) {
+        console.log(`  ${tool}: ${line(stats)}`)
+      }
+    }
+    if (Object.keys(summary.serverMessages).length > 0) {
+      console.log('Server messages:', summary.serverMessages)
+    }
+    if (Object.keys(summary.perScenario).length > 0) {
+      console.log('Per-scenario stats:')
+      for (const [scenario, { iterations, total, success, failure, avg, p95, p99 }] of Object.entries(summary.perScenario)) {
+        console.log(
+          `  ${scenario}: iterations=${iterations}, calls=${total}, success=${success}, failure=${failure}, avg=${avg.toFixed(2)} ms, p95=${p95.toFixed(2)} ms, p99=${p99.toFixed(2)} ms`
+        )
+      }
+    }
     console.log('Per-tool stats:')
     for (const [tool, statRawOrig = {}] of Object.entries(summary.perTool)) {
-      const { total = 0, success = 0, failure = 0, avg = 0 } = statRawOrig
-      console.log(`  ${tool}: total=${total}, success=${success}, failure=${failure}, avg=${avg.toFixed(2)} ms`)
+      const { total = 0, success = 0, failure = 0, avg = 0, p95 = 0, p99 = 0 } = statRawOrig
+      console.log(`  ${tool}: total=${total}, success=${success}, failure=${failure}, avg=${avg.toFixed(2)} ms, p95=${p95.toFixed(2)} ms, p99=${p99.toFixed(2)} ms`)
     }
   }
 }
@@ -0,0 +1,272 @@
+import { setTimeout as sleep } from 'node:timers/promises'
+import Ajv from 'ajv'
+import addFormats from 'ajv-formats'
+import { Faker, en } from '@faker-js/faker'
+import { Server } from '@modelcontextprotocol/sdk/server/index.js'
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
+import { CallToolRequestSchema, ErrorCode, ListToolsRequestSchema, McpError } from '@modelcontextprotocol/sdk/types.js'
+import { logger } from './logger.js'
+import { parseDuration } from './runner.js'
+import { latencySampler } from './latency.js'
+import { serveStreamableHttp } from './streamableHttp.js'
+
+/**
+ * @typedef {Object} SlowStreamConfig
+ * @property {number} chunks - Notifications sent before the result: progress notifications when the request has a progressToken, log messages otherwise
+ * @property {string|number} [interval] - Time between notifications (default: '100ms')
+ */
+
+/**
+ * Options every tool inherits from the top level of the mock server config and can override
+ * @typedef {Object} MockFaults
+ * @property {import('./latency.js').LatencyConfig} [latency] - Time taken before responding (default: 0)
+ * @property {number} [errorRate] - Share of calls answered with a JSON-RPC internal error, from 0 to 1 (default: 0)
+ * @property {number} [isErrorRate] - Share of calls answered with a tool result that sets `isError` (default: 0)
+ * @property {number} [dropRate] - Share of calls whose connection is dropped instead of answered (default: 0).
+ *   Over stdio the server process exits, as it would on a crash.
+ * @property {SlowStreamConfig} [stream] - Stream notifications slowly before the result
+ */
+
+/**
+ * A tool served by the mock server. Also takes every MockFaults option, overriding the top-level value.
+ * @typedef {Object} MockToolConfig
+ * @property {string} name - Tool name
+ * @property {string} [description] - Tool description
+ * @property {Object} [inputSchema] - JSON Schema of the arguments (default: any object)
+ * @property {Object} [outputSchema] - JSON Schema of `structuredContent`; object responses are also returned as structuredContent
+ * @property {string|Object} [response] - Text, or a value returned as JSON text (default: the arguments, as JSON)
+ * @property {boolean} [validateInput] - Reject arguments that don't match inputSchema with a -32602 invalid params error (default: true)
+ */
+
+/**
+ * Also takes every MockFaults option, as the default of every tool
+ * @typedef {Object} MockServerConfig
+ * @property {string} [name] - Server name reported on initialize (default: 'benchmark-mcp-mock')
+ * @property {string} [version] - Server version reported on initialize (default: '1.0.0')
+ * @property {MockToolConfig[]} [tools] - Tools served (default: echo and add)
+ * @property {number} [port] - Port to serve streamable HTTP on (default: 3000)
+ * @property {string} [host] - Interface to listen on (default: all interfaces)
+ * @property {string} [path] - Path of the MCP endpoint (default: '/mcp')
+ * @property {boolean} [jsonResponse] - Answer HTTP requests with plain JSON instead of an SSE stream (default: false).
+ *   Slow streams need SSE. A call dropped mid-stream leaves the client waiting for its request timeout, while with plain JSON it fails at once.
+ * @property {number} [seed] - Seed latency and fault rolls so runs are reproducible
+ */
+
+const FAULT_KEYS = ['latency', 'errorRate', 'isErrorRate', 'dropRate', 'stream']
+
+const DEFAULT_TOOLS = [
+  {
+    name: 'echo',
+    description: 'Return the message it was given',
+    inputSchema: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] },
+  },
+  {
+    name: 'add',
+    description: 'Add two numbers',
+    inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] },
+  },
+]
+
+const ajv = new Ajv({ strict: false, allErrors: true })
+addFormats(ajv)
+
+/**
+ * Check a mock server config for mistakes before serving it
+ * @param {MockServerConfig} config - Mock server configuration
+ * @returns {string[]} Problems found, empty when the config is valid
+ */
+export function validateMockConfig(config) {
+  const errors = []
+  const checkFaults = (faults, at) => {
+    for (const key of ['errorRate', 'isErrorRate', 'dropRate']) {
+      if (faults[key] !== undefined && !(faults[key] >= 0 && faults[key] <= 1)) {
+        errors.push(`${at}${key} must be between 0 and 1. Got: ${faults[key]}`)
+      }
+    }
+    try {
+      latencySampler(faults.latency, Math.random)
+    } catch (error) {
+      errors.push(`${at}latency: ${error.message}`)
+    }
+    if (faults.stream) {
+      if (!(Number.isInteger(faults.stream.chunks) && faults.stream.chunks >= 0)) {
+        errors.push(`${at}stream.chunks must be a non-negative integer. Got: ${faults.stream.chunks}`)
+      }
+      if (faults.stream.interval !== undefined) {
+        try {
+          parseDuration(faults.stream.interval)
+        } catch (error) {
+          errors.push(`${at}stream.interval: ${error.message}`)
+        }
+      }
+    }
+  }
+  checkFaults(config, '')
+  if (config.jsonResponse && [config, ...(Array.isArray(config.tools) ? config.tools : [])].some((faults) => faults.stream?.chunks)) {
+    errors.push('stream needs SSE responses, so it cannot be combined with jsonResponse')
+  }
+  if (config.tools !== undefined && !Array.isArray(config.tools)) {
+    errors.push('tools must be an array')
+    return errors
+  }
+  const names = new Set()
+  for (const [i, tool] of (config.tools || []).entries()) {
+    const at = `tools[${i}]`
+    if (!tool.name) {
+      errors.push(`${at} is missing name`)
+    } else if (names.has(tool.name)) {
+      errors.push(`${at} repeats the tool name '${tool.name}'`)
+    }
+    names.add(tool.name)
+    checkFaults(tool, `${at}.`)
+    const { errorRate = config.errorRate || 0, isErrorRate = config.isErrorRate || 0, dropRate = config.dropRate || 0 } = tool
+    if (errorRate + isErrorRate + dropRate > 1) {
+      errors.push(`${at} has errorRate, isErrorRate and dropRate adding up to more than 1`)
+    }
+    for (const key of ['inputSchema', 'outputSchema']) {
+      if (tool[key] === undefined) continue
+      try {
+        ajv.compile(tool[key])
+      } catch (error) {
+        errors.push(`${at}.${key}: ${error.message}`)
+      }
+    }
+  }
+  return errors
+}
+
+/**
+ * Build an MCP server that serves the configured tools, with their latency and faults
+ * @param {MockServerConfig} config - Mock server configuration
+ * @param {Object} options
+ * @param {() => number} options.random - Uniform random number in [0, 1), shared so a seed covers every session
+ * @param {(requestId: string|number) => void} options.drop - Drop the connection a request arrived on
+ * @returns {Server}
+ */
+function createMockServer(config, { random, drop }) {
+  const server = new Server({ name: config.name || 'benchmark-mcp-mock', version: config.version || '1.0.0' }, { capabilities: { tools: {}, logging: {} } })
+  const tools = new Map(
+    (config.tools || DEFAULT_TOOLS).map((tool) => {
+      const faults = Object.fromEntries(FAULT_KEYS.map((key) => [key, tool[key] ?? config[key]]))
+      const validate = tool.validateInput === false ? null : ajv.compile(tool.inputSchema || { type: 'object' })
+      return [tool.name, { tool, faults, validate, sampleLatency: latencySampler(faults.latency, random) }]
+    })
+  )
+
+  server.setRequestHandler(ListToolsRequestSchema, () => ({
+    tools: [...tools.values()].map(({ tool }) => ({
+      name: tool.name,
+      ...(tool.description && { description: tool.description }),
+      inputSchema: tool.inputSchema || { type: 'object' },
+      ...(tool.outputSchema && { outputSchema: tool.outputSchema }),
+    })),
+  }))
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args = {} } = request.params
+    const entry = tools.get(name)
+    if (!entry) {
+      throw new McpError(ErrorCode.InvalidParams, `Tool ${name} not found`)
+    }
+    const { tool, faults, validate, sampleLatency } = entry
+    if (validate && !validate(args)) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid arguments for tool ${name}: ${ajv.errorsText(validate.errors)}`)
+    }
+
+    await sleep(sampleLatency(), undefined, { signal: extra.signal })
+    if (faults.stream?.chunks) {
+      const { chunks, interval = 100 } = faults.stream
+      const progressToken = request.params._meta?.progressToken
+      for (let chunk = 1; chunk <= chunks; chunk++) {
+        await extra.sendNotification(
+          progressToken !== undefined
+            ? { method: 'notifications/progress', params: { progressToken, progress: chunk, total: chunks } }
+            : { method: 'notifications/message', params: { level: 'info', logger: name, data: `chunk ${chunk} of ${chunks}` } }
+        )
+        await sleep(parseDuration(interval), undefined, { signal: extra.signal })
+      }
+    }
+
+    // One roll per call, so the rates are exact shares rather than overlapping chances
+    const roll = random()
+    const { dropRate = 0, errorRate = 0, isErrorRate = 0 } = faults
+    if (roll < dropRate) {
+      drop(extra.requestId)
+      throw new McpError(ErrorCode.ConnectionClosed, 'Connection dropped by mock server')
+    }
+    if (roll < dropRate + errorRate) {
+      throw new Error(`Injected error in tool ${name}`)
+    }
+    if (roll < dropRate + errorRate + isErrorRate) {
+      return { content: [{ type: 'text', text: `Injected failure in tool ${name}` }], isError: true }
+    }
+
+    const response = tool.response ?? args
+    return {
+      content: [{ type: 'text', text: typeof response === 'string' ? response : JSON.stringify(response) }],
+      ...(tool.outputSchema && typeof response === 'object' && { structuredContent: response }),
+    }
+  })
+
+  // Responses to dropped or cancelled requests have nowhere to go
+  server.onerror = (error) => logger.debug({ error: error.message }, 'Mock server error')
+  return server
+}
+
+function createRandom(seed) {
+  if (seed === undefined) return Math.random
+  const faker = new Faker({ locale: [en] })
+  faker.seed(seed)
+  return () => faker.number.float()
+}
+
+/**
+ * Serve a mock MCP server over streamable HTTP until closed. Each session gets its own server.
+ * @param {MockServerConfig} [config] - Mock server configuration
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export async function startMockServer(config = {}) {
+  const { port = 3000, host, path = '/mcp' } = config
+  const random = createRandom(config.seed)
+  // Sockets of each session's requests in flight, so a dropped call can cut its own connection
+  /** @type {WeakMap<import('@modelcontextprotocol/sdk/server/streamableHttp.js').StreamableHTTPServerTransport, Map<string|number, import('node:net').Socket>>} */
+  const inFlight = new WeakMap()
+
+  const { url, close } = await serveStreamableHttp({
+    port,
+    host,
+    path,
+    jsonResponse: config.jsonResponse,
+    connect: async (session) => {
+      const sockets = new Map()
+      inFlight.set(session, sockets)
+      await createMockServer(config, { random, drop: (requestId) => sockets.get(requestId)?.destroy() }).connect(session)
+    },
+    onRequest: (session, res, messages) => {
+      const sockets = inFlight.get(session)
+      for (const message of messages) {
+        if (message?.method && message.id !== undefined) {
+          sockets.set(message.id, res.socket)
+          res.once('close', () => sockets.delete(message.id))
+        }
+      }
+    },
+    onError: (error) => logger.debug({ error: error.message }, 'Mock server request failed'),
+  })
+  logger.info({ url, tools: (config.tools || DEFAULT_TOOLS).length }, 'Serving mock MCP server')
+  return { url, close }
+}
+
+/**
+ * Serve a mock MCP server over stdin and stdout. Logging must stay off stdout, which carries the protocol.
+ * @param {MockServerConfig} [config] - Mock server configuration
+ * @returns {Promise<{ close: () => Promise<void> }>}
+ */
+export async function serveMockStdio(config = {}) {
+  const server = createMockServer(config, {
+    random: createRandom(config.seed),
+    drop: () => process.exit(1),
+  })
+  await server.connect(new StdioServerTransport())
+  return { close: () => server.close() }
+}
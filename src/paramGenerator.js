@@ -0,0 +1,346 @@
+import { logger } from './logger.js'
+
+/**
+ * @typedef {Object} GenerateOptions
+ * @property {('all'|'required')} [fields] - Generate every property, or only the ones listed in `required` (default: 'all')
+ */
+
+const MAX_DEPTH = 6
+const DEFAULT_MAX_ITEMS = 3
+const PATTERN_ATTEMPTS = 5
+// Relative distance kept from exclusive bounds of non-integer numbers, far below the 2 decimals generated
+const EXCLUSIVE_NUDGE = 1e-9
+/** Patterns already warned about, so a tool called in a loop warns once */
+const unsatisfiedPatterns = new Set()
+
+/**
+ * Generates values that satisfy a tool's JSON Schema, using faker for realistic data.
+ * Handles $ref/$defs, allOf/oneOf/anyOf, enum/const/default, string formats, patterns
+ * and length limits, numeric ranges, arrays of any item schema and nested objects.
+ */
+export class ParamGenerator {
+  /**
+   * @param {import('@faker-js/faker').Faker} faker - Faker instance for generating mock data
+   * @param {import('./index.js').MockDataConfig} [mockConfig] - Mock data configuration
+   */
+  constructor(faker, mockConfig = {}) {
+    this.faker = faker
+    this.mockConfig = mockConfig
+  }
+
+  /**
+   * Generate an object of parameters for a tool input schema
+   * @param {Object} schema - JSON Schema of the tool input (an object schema)
+   * @param {GenerateOptions} [options] - Generation options
+   * @returns {Record<string, unknown>}
+   */
+  generateParams(schema, options = {}) {
+    if (!schema) return {}
+    const value = this.generateValue(schema, { root: schema, fields: options.fields || this.mockConfig.fields || 'all', depth: 0 })
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {}
+  }
+
+  /**
+   * Generate a value for a single named property
+   * @param {string} fieldName - Property name, used for custom generators and name heuristics
+   * @param {Object} prop - JSON Schema of the property
+   * @param {Object} [root] - Root schema used to resolve $ref (default: `prop`)
+   * @param {GenerateOptions} [options] - Generation options
+   * @returns {unknown}
+   */
+  generateField(fieldName, prop, root = prop, options = {}) {
+    return this.generateValue(prop, { root, fields: options.fields || this.mockConfig.fields || 'all', depth: 0, fieldName })
+  }
+
+  generateValue(rawSchema, ctx) {
+    const { fieldGenerators = {}, fakerEnabled = true, preferDefaults = false } = this.mockConfig
+    if (ctx.fieldName && fakerEnabled && fieldGenerators[ctx.fieldName]) {
+      return fieldGenerators[ctx.fieldName](this.faker)
+    }
+
+    const schema = this.resolve(rawSchema, ctx.root)
+    if (!schema || typeof schema !== 'object') {
+      return null
+    }
+    if ('const' in schema) {
+      return schema.const
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length) {
+      return this.faker.helpers.arrayElement(schema.enum)
+    }
+    if (preferDefaults && 'default' in schema) {
+      return schema.default
+    }
+
+    switch (this.pickType(schema)) {
+      case 'string':
+        return this.generateString(schema, ctx)
+      case 'integer':
+        return this.generateNumber(schema, true)
+      case 'number':
+        return this.generateNumber(schema, false)
+      case 'boolean':
+        return this.faker.datatype.boolean()
+      case 'array':
+        return this.generateArray(schema, ctx)
+      case 'object':
+        return this.generateObject(schema, ctx)
+      case 'null':
+        return null
+      default:
+        return 'default' in schema ? schema.default : null
+    }
+  }
+
+  /**
+   * Follow $ref pointers and flatten allOf/oneOf/anyOf into one concrete schema
+   */
+  resolve(schema, root, seen = new Set()) {
+    if (!schema || typeof schema !== 'object') return schema
+    let resolved = schema
+    if (typeof resolved.$ref === 'string') {
+      const ref = resolved.$ref
+      if (seen.has(ref)) return {}
+      seen.add(ref)
+      const { $ref, ...siblings } = resolved
+      resolved = { ...this.resolve(resolvePointer(root, ref), root, seen), ...siblings }
+    }
+    if (Array.isArray(resolved.allOf)) {
+      const { allOf, ...rest } = resolved
+      resolved = allOf.map((part) => this.resolve(part, root, seen)).reduce(mergeSchemas, rest)
+    }
+    const choices = resolved.oneOf || resolved.anyOf
+    if (Array.isArray(choices) && choices.length) {
+      const { oneOf, anyOf, ...rest } = resolved
+      const nonNull = choices.filter((choice) => this.resolve(choice, root, new Set(seen))?.type !== 'null')
+      const choice = this.faker.helpers.arrayElement(nonNull.length ? nonNull : choices)
+      resolved = mergeSchemas(rest, this.resolve(choice, root, seen))
+    }
+    return resolved
+  }
+
+  pickType(schema) {
+    if (Array.isArray(schema.type)) {
+      return schema.type.find((type) => type !== 'null') || 'null'
+    }
+    if (schema.type) return schema.type
+    if (schema.properties) return 'object'
+    if (schema.items || schema.prefixItems) return 'array'
+    if (schema.minimum !== undefined || schema.maximum !== undefined) return 'number'
+    if (schema.format || schema.pattern || schema.minLength !== undefined) return 'string'
+    return undefined
+  }
+
+  generateString(schema, ctx) {
+    const { fieldFormats = {}, fakerEnabled = true } = this.mockConfig
+    let value
+    if (schema.pattern) {
+      // Fitting the length can break the pattern, so keep the first candidate that still matches after it.
+      // Padding repeats the last character, which keeps patterns ending in a repeated class such as [a-z]+ matching
+      for (let attempt = 0; attempt < PATTERN_ATTEMPTS; attempt++) {
+        const candidate = this.generateFromPattern(schema.pattern)
+        if (candidate === undefined) break
+        const fitted = fitLength(candidate, schema, () => candidate.at(-1) ?? this.faker.string.alpha(1))
+        if (new RegExp(schema.pattern, 'u').test(fitted)) return fitted
+      }
+      if (!unsatisfiedPatterns.has(schema.pattern)) {
+        unsatisfiedPatterns.add(schema.pattern)
+        logger.warn(
+          { pattern: schema.pattern, minLength: schema.minLength, maxLength: schema.maxLength },
+          'Could not generate a string matching the pattern and length, sending one that does not match'
+        )
+      }
+    }
+    if (value === undefined && schema.format) {
+      value = this.generateFormat(schema.format)
+    }
+    if (value === undefined && fakerEnabled && ctx.fieldName) {
+      value = this.generateFromName(ctx.fieldName, fieldFormats[ctx.fieldName])
+    }
+    if (value === undefined) {
+      value = this.faker.lorem.word()
+    }
+    return fitLength(String(value), schema, () => this.faker.string.alpha(1))
+  }
+
+  /**
+   * Generate a string from a regex pattern. faker doesn't understand anchors or shorthand
+   * classes, so rewrite those first and discard results that still don't match.
+   */
+  generateFromPattern(pattern) {
+    const simplified = pattern
+      .replace(/^\^/, '')
+      .replace(/(?<!\\)\$$/, '')
+      .replace(/\\d/g, '[0-9]')
+      .replace(/\\w/g, '[a-zA-Z0-9_]')
+      .replace(/\\s/g, ' ')
+    try {
+      const value = this.faker.helpers.fromRegExp(simplified)
+      return new RegExp(pattern, 'u').test(value) ? value : undefined
+    } catch {
+      return undefined
+    }
+  }
+
+  generateFormat(format) {
+    switch (format) {
+      case 'email':
+      case 'idn-email':
+        return this.faker.internet.email()
+      case 'uri':
+      case 'url':
+      case 'iri':
+        return this.faker.internet.url()
+      case 'uuid':
+        return this.faker.string.uuid()
+      case 'date-time':
+        return this.faker.date.recent().toISOString()
+      case 'date':
+        return this.faker.date.recent().toISOString().slice(0, 10)
+      case 'time':
+        return this.faker.date.recent().toISOString().slice(11, 19) + 'Z'
+      case 'ipv4':
+        return this.faker.internet.ipv4()
+      case 'ipv6':
+        return this.faker.internet.ipv6()
+      case 'hostname':
+      case 'idn-hostname':
+        return this.faker.internet.domainName()
+      default:
+        return undefined
+    }
+  }
+
+  generateFromName(fieldName, format) {
+    const name = fieldName.toLowerCase()
+    if (name.includes('email')) {
+      return format ? this.faker.internet.email(format) : this.faker.internet.email()
+    }
+    if (name.includes('url')) {
+      return this.faker.internet.url()
+    }
+    if (name.includes('name')) {
+      return this.faker.person.fullName()
+    }
+    if (name.includes('phone')) {
+      return this.faker.phone.number()
+    }
+    if (name.includes('address')) {
+      return this.faker.location.streetAddress()
+    }
+    if (name.includes('city')) {
+      return this.faker.location.city()
+    }
+    if (name.includes('country')) {
+      return this.faker.location.country()
+    }
+    if (name.includes('date')) {
+      return this.faker.date.recent().toISOString()
+    }
+    return undefined
+  }
+
+  generateNumber(schema, integer) {
+    const lower = schema.minimum ?? (typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : undefined)
+    const upper = schema.maximum ?? (typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum : undefined)
+    // With only an upper bound below zero, generate just under it rather than clamping to it
+    let min = lower ?? (upper !== undefined && upper < 0 ? upper - 1000 : 0)
+    let max = upper ?? Math.max(min, 0) + 1000
+    const step = schema.multipleOf || (integer ? 1 : 0)
+    // Without a step, move off an exclusive bound by an amount relative to it: a fixed epsilon is lost in rounding above 2
+    const nudge = (bound) => step || Math.max(Math.abs(bound), 1) * EXCLUSIVE_NUDGE
+    if (typeof schema.exclusiveMinimum === 'number' && min <= schema.exclusiveMinimum) {
+      min = schema.exclusiveMinimum + nudge(schema.exclusiveMinimum)
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && max >= schema.exclusiveMaximum) {
+      max = schema.exclusiveMaximum - nudge(schema.exclusiveMaximum)
+    }
+    if (max < min) max = min
+    if (step) {
+      const low = Math.ceil(min / step)
+      const high = Math.floor(max / step)
+      // Multiplying by a fractional step leaves float noise (3 * 0.1 is 0.30000000000000004), so round to the step's precision
+      return roundTo((high < low ? low : this.faker.number.int({ min: low, max: high })) * step, decimalsOf(step))
+    }
+    return this.faker.number.float({ min, max, fractionDigits: 2 })
+  }
+
+  generateArray(schema, ctx) {
+    if (ctx.depth >= MAX_DEPTH) return []
+    const min = schema.minItems ?? (ctx.fields === 'required' ? 0 : 1)
+    const max = Math.max(min, Math.min(schema.maxItems ?? Infinity, min + DEFAULT_MAX_ITEMS))
+    const length = this.faker.number.int({ min, max })
+    const prefixItems = Array.isArray(schema.prefixItems) ? schema.prefixItems : Array.isArray(schema.items) ? schema.items : []
+    const itemCtx = { ...ctx, depth: ctx.depth + 1, fieldName: undefined }
+    const values = []
+    for (let i = 0; i < Math.max(length, prefixItems.length); i++) {
+      const itemSchema = prefixItems[i] || (Array.isArray(schema.items) ? schema.additionalItems : schema.items) || {}
+      let value = this.generateValue(itemSchema, itemCtx)
+      if (schema.uniqueItems) {
+        // Retry a few times for a fresh value, then give up on this slot
+        for (let attempt = 0; attempt < 5 && values.some((v) => JSON.stringify(v) === JSON.stringify(value)); attempt++) {
+          value = this.generateValue(itemSchema, itemCtx)
+        }
+        if (values.some((v) => JSON.stringify(v) === JSON.stringify(value))) continue
+      }
+      values.push(value)
+    }
+    return values
+  }
+
+  generateObject(schema, ctx) {
+    const params = {}
+    const required = Array.isArray(schema.required) ? schema.required : []
+    const onlyRequired = ctx.fields === 'required' || ctx.depth >= MAX_DEPTH
+    for (const [key, prop] of Object.entries(schema.properties || {})) {
+      if (onlyRequired && !required.includes(key)) continue
+      params[key] = this.generateValue(prop, { ...ctx, depth: ctx.depth + 1, fieldName: key })
+    }
+    return params
+  }
+}
+
+function resolvePointer(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local $ref pointers are supported. Got: '${ref}'`)
+  }
+  const path = ref.slice(1).split('/').filter(Boolean)
+  let node = root
+  for (const segment of path) {
+    node = node?.[decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~')]
+  }
+  if (node === undefined) {
+    throw new Error(`Could not resolve $ref '${ref}'`)
+  }
+  return node
+}
+
+function mergeSchemas(base, extra) {
+  if (!extra || typeof extra !== 'object') return base
+  return {
+    ...base,
+    ...extra,
+    properties: base.properties || extra.properties ? { ...base.properties, ...extra.properties } : undefined,
+    required: base.required || extra.required ? [...new Set([...(base.required || []), ...(extra.required || [])])] : undefined,
+  }
+}
+
+function fitLength(value, schema, pad) {
+  let result = value
+  if (schema.maxLength !== undefined && result.length > schema.maxLength) {
+    result = result.slice(0, schema.maxLength)
+  }
+  while (schema.minLength !== undefined && result.length < schema.minLength) {
+    result += pad()
+  }
+  return result
+}
+
+function decimalsOf(step) {
+  const [digits, exponent = '0'] = String(step).split('e')
+  return Math.max((digits.split('.')[1] || '').length - Number(exponent), 0)
+}
+
+function roundTo(value, decimals) {
+  return decimals ? Number(value.toFixed(Math.min(decimals, 100))) : value
+}
@@ -0,0 +1,47 @@
+/**
+ * @typedef {Object} ProgressConfig
+ * @property {number} [interval] - Milliseconds between updates (default: 1000 on a terminal, 10000 otherwise)
+ * @property {number} [window] - Milliseconds of recent calls the rate and p95 are computed over (default: 10000)
+ */
+
+/**
+ * One progress line: calls so far, current rate, rolling p95 and errors
+ * @param {import('./metrics.js').Metrics} metrics - Metrics being collected
+ * @param {number} window - Rolling window in milliseconds
+ * @returns {string}
+ */
+export function formatProgress(metrics, window) {
+  const elapsed = (Date.now() - metrics.startTime) / 1000
+  const recent = metrics.getRecent(window)
+  const parts = [
+    `calls ${metrics.total} (ok ${metrics.success}, errors ${metrics.failure})`,
+    `${recent.throughput.toFixed(1)} req/s`,
+    `p95 ${recent.p95.toFixed(2)} ms`,
+  ]
+  if (metrics.dropped > 0) {
+    parts.push(`dropped ${metrics.dropped}`)
+  }
+  return `[${elapsed.toFixed(1)}s] ${parts.join(' | ')}`
+}
+
+/**
+ * Print live progress to stderr until stopped. On a terminal the line is redrawn in place.
+ * @param {import('./metrics.js').Metrics} metrics - Metrics being collected
+ * @param {ProgressConfig} [options] - Progress options
+ * @returns {() => void} Stops the updates and prints a final line
+ */
+export function startProgress(metrics, options = {}) {
+  const stream = process.stderr
+  const { interval = stream.isTTY ? 1000 : 10000, window = 10000 } = options
+  const draw = () => {
+    const line = formatProgress(metrics, window)
+    stream.write(stream.isTTY ? `\r${line}\x1b[K` : `${line}\n`)
+  }
+  const timer = setInterval(draw, interval)
+  timer.unref()
+  return () => {
+    clearInterval(timer)
+    draw()
+    if (stream.isTTY) stream.write('\n')
+  }
+}
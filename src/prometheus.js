@@ -0,0 +1,199 @@
+import http from 'node:http'
+import { logger } from './logger.js'
+import { parseDuration } from './runner.js'
+
+/**
+ * @typedef {Object} PushgatewayConfig
+ * @property {string} url - Base URL of a Pushgateway-compatible server, e.g. 'http://localhost:9091'
+ * @property {string} [job] - Job name metrics are grouped under (default: 'benchmark-mcp')
+ * @property {string|number} [interval] - How often to push during the run ('15s', or milliseconds); a final push is made when the run ends (default: '10s')
+ */
+
+/**
+ * @typedef {Object} PrometheusConfig
+ * @property {number} [port] - Serve metrics over HTTP on this port while the run lasts
+ * @property {string} [host] - Interface to listen on (default: all interfaces)
+ * @property {string} [path] - Path metrics are served on (default: '/metrics')
+ * @property {string} [prefix] - Prefix of every metric name (default: 'mcp_benchmark')
+ * @property {Record<string, string>} [labels] - Labels added to every series, e.g. { run: 'nightly' }
+ * @property {number[]} [buckets] - Latency histogram bucket bounds in milliseconds (default: 5 to 10000)
+ * @property {PushgatewayConfig} [pushgateway] - Push metrics periodically instead of, or as well as, serving them
+ */
+
+const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function labelSet(labels) {
+  const entries = Object.entries(labels)
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : ''
+}
+
+/**
+ * Render the current metrics in the Prometheus text exposition format
+ * @param {import('./metrics.js').Metrics} metrics - Metrics being collected
+ * @param {PrometheusConfig} [options] - Naming, labels and buckets
+ * @returns {string}
+ */
+export function renderPrometheus(metrics, { prefix = 'mcp_benchmark', labels = {}, buckets = DEFAULT_BUCKETS } = {}) {
+  const lines = []
+  const family = (name, type, help) => {
+    lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`)
+  }
+  const sample = (name, extra, value) => {
+    lines.push(`${prefix}_${name}${labelSet({ ...labels, ...extra })} ${value}`)
+  }
+
+  family('calls_total', 'counter', 'Tool calls completed, by tool and outcome')
+  for (const [tool, stats] of Object.entries(metrics.perTool)) {
+    sample('calls_total', { tool, status: 'success' }, stats.success)
+    sample('calls_total', { tool, status: 'failure' }, stats.failure)
+  }
+
+  family('scenario_calls_total', 'counter', 'Calls completed in each scenario, by outcome')
+  for (const [scenario, stats] of Object.entries(metrics.perScenario)) {
+    sample('scenario_calls_total', { scenario, status: 'success' }, stats.success)
+    sample('scenario_calls_total', { scenario, status: 'failure' }, stats.failure)
+  }
+
+  family('scenario_iterations_total', 'counter', 'Iterations started by each scenario')
+  for (const [scenario, { iterations }] of Object.entries(metrics.perScenario)) {
+    sample('scenario_iterations_total', { scenario }, iterations)
+  }
+
+  family('failures_total', 'counter', 'Failed tool calls, by failure type')
+  for (const [type, count] of Object.entries(metrics.failureTypes)) {
+    sample('failures_total', { type }, count)
+  }
+
+  family('dropped_iterations_total', 'counter', 'Iterations not started because every virtual user was busy')
+  sample('dropped_iterations_total', {}, metrics.dropped)
+
+  family('call_duration_seconds', 'histogram', 'Tool call latency')
+  for (const [tool, { histogram }] of Object.entries(metrics.perTool)) {
+    const counts = histogram.cumulative(buckets)
+    buckets.forEach((bound, i) => sample('call_duration_seconds_bucket', { tool, le: bound / 1000 }, counts[i]))
+    sample('call_duration_seconds_bucket', { tool, le: '+Inf' }, histogram.count)
+    sample('call_duration_seconds_sum', { tool }, histogram.sum / 1000)
+    sample('call_duration_seconds_count', { tool }, histogram.count)
+  }
+
+  family('session_phase_duration_seconds', 'histogram', 'Time spent opening and closing sessions, by phase (connect, initialize, listTools, terminate, close)')
+  for (const [phase, { histogram }] of Object.entries(metrics.sessions)) {
+    const counts = histogram.cumulative(buckets)
+    buckets.forEach((bound, i) => sample('session_phase_duration_seconds_bucket', { phase, le: bound / 1000 }, counts[i]))
+    sample('session_phase_duration_seconds_bucket', { phase, le: '+Inf' }, histogram.count)
+    sample('session_phase_duration_seconds_sum', { phase }, histogram.sum / 1000)
+    sample('session_phase_duration_seconds_count', { phase }, histogram.count)
+  }
+
+  family('session_phase_failures_total', 'counter', 'Failed session phases')
+  for (const [phase, { failure }] of Object.entries(metrics.sessions)) {
+    sample('session_phase_failures_total', { phase }, failure)
+  }
+
+  family('progress_notifications_total', 'counter', 'Progress notifications received during tool calls, by tool')
+  for (const [tool, { notifications }] of Object.entries(metrics.progress.perTool)) {
+    sample('progress_notifications_total', { tool }, notifications)
+  }
+
+  family('time_to_first_progress_seconds', 'histogram', 'Time from a tool call to its first progress notification')
+  for (const [tool, { first }] of Object.entries(metrics.progress.perTool)) {
+    const counts = first.cumulative(buckets)
+    buckets.forEach((bound, i) => sample('time_to_first_progress_seconds_bucket', { tool, le: bound / 1000 }, counts[i]))
+    sample('time_to_first_progress_seconds_bucket', { tool, le: '+Inf' }, first.count)
+    sample('time_to_first_progress_seconds_sum', { tool }, first.sum / 1000)
+    sample('time_to_first_progress_seconds_count', { tool }, first.count)
+  }
+
+  family('server_messages_total', 'counter', 'Notifications and requests the server sent on its own, by method')
+  for (const [method, count] of Object.entries(metrics.serverMessages)) {
+    sample('server_messages_total', { method }, count)
+  }
+
+  const { prompts } = metrics
+  family('ai_prompts_total', 'counter', 'AI client prompts run, by outcome')
+  sample('ai_prompts_total', { status: 'success' }, prompts.success)
+  sample('ai_prompts_total', { status: 'failure' }, prompts.failure)
+
+  family('ai_prompt_duration_seconds', 'histogram', 'Time for the model to reach a final answer, tool calls included')
+  const promptCounts = prompts.histogram.cumulative(buckets)
+  buckets.forEach((bound, i) => sample('ai_prompt_duration_seconds_bucket', { le: bound / 1000 }, promptCounts[i]))
+  sample('ai_prompt_duration_seconds_bucket', { le: '+Inf' }, prompts.histogram.count)
+  sample('ai_prompt_duration_seconds_sum', {}, prompts.histogram.sum / 1000)
+  sample('ai_prompt_duration_seconds_count', {}, prompts.histogram.count)
+
+  family('ai_tool_calls_total', 'counter', 'Tool calls made by the AI model, by tool')
+  for (const [tool, count] of Object.entries(prompts.toolCalls)) {
+    sample('ai_tool_calls_total', { tool }, count)
+  }
+
+  family('ai_tokens_total', 'counter', 'Tokens used by AI client prompts, by type (input, output)')
+  sample('ai_tokens_total', { type: 'input' }, prompts.tokens.input)
+  sample('ai_tokens_total', { type: 'output' }, prompts.tokens.output)
+
+  family('run_start_time_seconds', 'gauge', 'Unix time the run started')
+  sample('run_start_time_seconds', {}, metrics.startTime / 1000)
+
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Serve metrics for scraping until closed
+ * @param {import('./metrics.js').Metrics} metrics - Metrics being collected
+ * @param {PrometheusConfig} options - Port, host and path plus rendering options
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export async function startMetricsServer(metrics, options) {
+  const { port, host, path = '/metrics' } = options
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== path) {
+      res.writeHead(404).end()
+      return
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPE }).end(renderPrometheus(metrics, options))
+  })
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, resolve)
+  })
+  const address = /** @type {import('node:net').AddressInfo} */ (server.address())
+  const url = `http://${host || 'localhost'}:${address.port}${path}`
+  logger.info({ url }, 'Serving Prometheus metrics')
+  return {
+    url,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  }
+}
+
+/**
+ * Push metrics to a Pushgateway on an interval until stopped
+ * @param {import('./metrics.js').Metrics} metrics - Metrics being collected
+ * @param {PrometheusConfig} options - Must include `pushgateway`
+ * @returns {{ stop: () => Promise<void> }} `stop` makes the final push
+ */
+export function startPushgateway(metrics, options) {
+  const { url, job = 'benchmark-mcp', interval = '10s' } = options.pushgateway
+  const target = `${url.replace(/\/+$/, '')}/metrics/job/${encodeURIComponent(job)}`
+  const push = async () => {
+    try {
+      const res = await fetch(target, { method: 'PUT', headers: { 'Content-Type': CONTENT_TYPE }, body: renderPrometheus(metrics, options) })
+      if (!res.ok) {
+        logger.warn({ url: target, status: res.status }, 'Pushgateway rejected metrics')
+      }
+    } catch (err) {
+      logger.warn({ url: target, error: err.message }, 'Failed to push metrics')
+    }
+  }
+  const timer = setInterval(push, parseDuration(interval))
+  timer.unref()
+  return {
+    stop: async () => {
+      clearInterval(timer)
+      await push()
+    },
+  }
+}
@@ -0,0 +1,135 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js'
+import { Server } from '@modelcontextprotocol/sdk/server/index.js'
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
+import { ResultSchema } from '@modelcontextprotocol/sdk/types.js'
+import { connectClient } from './transports.js'
+import { createAuthProvider, loadCredentials } from './auth.js'
+import { Recording } from './recorder.js'
+import { parseDuration } from './runner.js'
+import { serveStreamableHttp } from './streamableHttp.js'
+import { logger } from './logger.js'
+
+/**
+ * @typedef {Object} ProxyOptions
+ * @property {string} output - File the recorded config is written to, YAML or JSON by extension; rewritten whenever a session ends
+ * @property {number} [port] - Port to serve streamable HTTP on (default: 7800)
+ * @property {string} [host] - Interface to listen on (default: '127.0.0.1')
+ * @property {string} [path] - Path of the MCP endpoint (default: '/mcp')
+ * @property {number} [minLength] - Shortest string argument worth looking for in earlier results (default: 3)
+ */
+
+/**
+ * The server part of a load test config, which is what the recorded config points at
+ * @param {import('./index.js').LoadTestConfig} config - Load test configuration
+ * @returns {Pick<import('./index.js').LoadTestConfig, 'serverUrl' | 'transport'>}
+ */
+function targetOf({ serverUrl, transport }) {
+  return { ...(serverUrl && { serverUrl }), ...(transport && { transport }) }
+}
+
+/**
+ * Open a session on the real server and serve it back to one client, passing every request, notification and progress update through.
+ * Tool calls are captured into `calls` on the way.
+ * @param {import('./index.js').LoadTestConfig} config - How to reach the real server: serverUrl or transport, headers, auth and timeout
+ * @param {import('./recorder.js').CapturedCall[]} calls - Where the session's tool calls are captured
+ * @returns {Promise<Server>} A server to connect to the client's transport
+ */
+async function createProxyServer(config, calls) {
+  const { client } = await connectClient({
+    createClient: () => new Client({ name: 'benchmark-mcp-proxy', version: '1.0.0' }),
+    serverUrl: config.serverUrl,
+    headers: config.headers,
+    transport: config.transport,
+    authProvider: config.auth && createAuthProvider(loadCredentials(config.auth)[0]),
+  })
+  const server = new Server(client.getServerVersion() || { name: 'benchmark-mcp-proxy', version: '1.0.0' }, {
+    capabilities: client.getServerCapabilities(),
+    instructions: client.getInstructions(),
+  })
+
+  server.fallbackRequestHandler = async (request, extra) => {
+    const progressToken = request.params?._meta?.progressToken
+    const options = {
+      signal: extra.signal,
+      ...(config.timeout !== undefined && { timeout: parseDuration(config.timeout) }),
+      ...(progressToken !== undefined && {
+        onprogress: (progress) => extra.sendNotification({ method: 'notifications/progress', params: { ...progress, progressToken } }),
+        resetTimeoutOnProgress: true,
+      }),
+    }
+    if (request.method !== 'tools/call') {
+      return client.request({ method: request.method, params: request.params }, ResultSchema, options)
+    }
+    // Captured as the call starts, so the sequence keeps the order the client sent the calls in rather than the order they finished
+    const call = { toolName: request.params.name, args: request.params.arguments || {}, success: false, startedAt: Date.now(), duration: 0 }
+    calls.push(call)
+    try {
+      const result = await client.request({ method: request.method, params: request.params }, ResultSchema, options)
+      Object.assign(call, { result, success: !result.isError })
+      return result
+    } finally {
+      call.duration = Date.now() - call.startedAt
+      logger.info({ tool: call.toolName, success: call.success, duration: call.duration }, 'Recorded tool call')
+    }
+  }
+  // Log messages, list changes and the like pass through as they are; cancellations abort the forwarded request's signal
+  client.fallbackNotificationHandler = (notification) => server.notification(notification)
+  server.fallbackNotificationHandler = (notification) => client.notification(notification)
+  server.onclose = () => client.close()
+  server.onerror = (error) => logger.debug({ error: error.message }, 'Recording proxy error')
+  return server
+}
+
+/**
+ * Serve a recording proxy over streamable HTTP until closed. Each client session gets its own session on the real server,
+ * and its tool calls become a sequence in the recorded config, with `inputMapping` inferred where a call's arguments
+ * come from an earlier result.
+ * @param {import('./index.js').LoadTestConfig} config - How to reach the real server: serverUrl or transport, headers, auth and timeout
+ * @param {ProxyOptions} options - Where to listen and write the recording
+ * @returns {Promise<{ url: string, recording: Recording, close: () => Promise<void> }>}
+ */
+export async function startRecordingProxy(config, { output, port = 7800, host = '127.0.0.1', path = '/mcp', minLength } = {}) {
+  const recording = new Recording(targetOf(config), { minLength })
+  const save = () => {
+    recording.write(output)
+    logger.info({ output, sessions: recording.sessions.length }, 'Wrote recorded config')
+  }
+  const { url, close } = await serveStreamableHttp({
+    port,
+    host,
+    path,
+    connect: async (session) => (await createProxyServer(config, recording.startSession())).connect(session),
+    onSessionClosed: save,
+    onError: (error) => logger.warn({ error: error.message }, 'Recording proxy request failed'),
+    // The real server couldn't be reached or failed the request
+    errorStatus: 502,
+  })
+  logger.info({ url, output }, 'Recording proxy waiting for clients')
+  return {
+    url,
+    recording,
+    close: async () => {
+      await close()
+      save()
+    },
+  }
+}
+
+/**
+ * Serve a recording proxy over stdin and stdout, for clients that launch their servers. Logging must stay off stdout, which carries the protocol.
+ * @param {import('./index.js').LoadTestConfig} config - How to reach the real server: serverUrl or transport, headers, auth and timeout
+ * @param {ProxyOptions} options - Where to write the recording
+ * @returns {Promise<{ recording: Recording, close: () => Promise<void> }>}
+ */
+export async function serveRecordingProxyStdio(config, { output, minLength } = {}) {
+  const recording = new Recording(targetOf(config), { minLength })
+  const server = await createProxyServer(config, recording.startSession())
+  await server.connect(new StdioServerTransport())
+  return {
+    recording,
+    close: async () => {
+      await server.close()
+      recording.write(output)
+    },
+  }
+}
@@ -0,0 +1,200 @@
+import fs from 'fs'
+import YAML from 'yaml'
+
+/**
+ * A tool call seen by the recording proxy
+ * @typedef {Object} CapturedCall
+ * @property {string} toolName - Name of the tool that was called
+ * @property {Record<string, unknown>} args - Arguments the tool was called with
+ * @property {any} [result] - The tool result, unless the call failed with an error
+ * @property {boolean} success - Whether the call succeeded
+ * @property {number} startedAt - Epoch milliseconds the call started
+ * @property {number} duration - How long the call took, in milliseconds
+ */
+
+/**
+ * @typedef {Object} InferOptions
+ * @property {number} [minLength] - Shortest string argument worth looking for in earlier results (default: 3)
+ */
+
+// Numbers this small are too likely to match by chance, such as a limit of 10 and a count of 10
+const MIN_MAPPED_NUMBER = 100
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+/**
+ * The output a sequence step maps from: the first text content, parsed as JSON when it is JSON
+ * @param {any} result - Tool result
+ * @returns {{ type: 'json'|'text', value: unknown } | undefined}
+ */
+function stepOutput(result) {
+  const text = result?.content?.[0]?.text
+  if (typeof text !== 'string' || result.isError) return undefined
+  try {
+    return { type: 'json', value: JSON.parse(text) }
+  } catch {
+    return { type: 'text', value: text }
+  }
+}
+
+/**
+ * Every scalar inside a value, with the keys and indexes leading to it
+ * @param {unknown} value - Value to walk
+ * @param {(string|number)[]} [path] - Path of `value` itself
+ * @returns {Generator<[(string|number)[], unknown]>}
+ */
+function* leaves(value, path = []) {
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) yield* leaves(value[i], [...path, i])
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) yield* leaves(child, [...path, key])
+  } else {
+    yield [path, value]
+  }
+}
+
+function worthMapping(value, minLength) {
+  if (typeof value === 'string') return value.length >= minLength
+  return typeof value === 'number' && Math.abs(value) >= MIN_MAPPED_NUMBER
+}
+
+/**
+ * jq path expression for a path inside a value, e.g. `.items[0].id`
+ * @param {(string|number)[]} path - Keys and indexes
+ * @returns {string}
+ */
+export function jqPath(path) {
+  if (!path.length) return '.'
+  const expression = path.map((key) => (typeof key === 'number' ? `[${key}]` : IDENTIFIER.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`)).join('')
+  return expression.startsWith('[') ? `.${expression}` : expression
+}
+
+/**
+ * jq expression that builds `value`, with the leaves in `mapped` replaced by their expressions
+ * @param {unknown} value - Argument value
+ * @param {(string|number)[]} path - Path of the value in the arguments
+ * @param {Map<string, string>} mapped - Expressions by JSON-encoded argument path
+ * @returns {string}
+ */
+function buildExpression(value, path, mapped) {
+  const expression = mapped.get(JSON.stringify(path))
+  if (expression) return expression
+  if (Array.isArray(value)) {
+    return `[${value.map((item, i) => buildExpression(item, [...path, i], mapped)).join(', ')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.entries(value).map(([key, child]) => `${JSON.stringify(key)}: ${buildExpression(child, [...path, key], mapped)}`).join(', ')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * Turn recorded tool calls into sequence steps. Every argument value that also appears in an earlier call's result
+ * is mapped from it: the earlier step gets an `outputMapping` storing the value in the sequence context, and the
+ * later step an `inputMapping` reading it back. The rest of the arguments become `staticInputs`.
+ * @param {CapturedCall[]} calls - Calls in the order they were made
+ * @param {InferOptions} [options] - Inference options
+ * @returns {import('./index.js').ToolSequenceStep[]}
+ */
+export function inferSequence(calls, { minLength = 3 } = {}) {
+  /** @type {import('./index.js').ToolSequenceStep[]} */
+  const steps = []
+  const outputs = calls.map((call) => stepOutput(call.result))
+  // Sequence context keys, by the step and output path they are mapped from
+  const keys = new Map()
+  const used = new Set()
+  const contextKey = (index, path, argPath) => {
+    const source = `${index}:${jqPath(path)}`
+    if (keys.has(source)) return keys.get(source)
+    const name = [...argPath].reverse().find((key) => typeof key === 'string' && IDENTIFIER.test(key)) || 'value'
+    let key = name
+    for (let n = 2; used.has(key); n++) key = `${name}${n}`
+    used.add(key)
+    keys.set(source, key)
+    const step = steps[index]
+    step.outputMapping = { ...step.outputMapping, [key]: jqPath(path) }
+    if (outputs[index].type === 'text') step.outputType = 'text'
+    return key
+  }
+
+  calls.forEach((call, i) => {
+    /** @type {Map<string, string>} */
+    const mapped = new Map()
+    const mappedArgs = new Set()
+    for (const [argPath, value] of leaves(call.args || {})) {
+      if (!argPath.length || !worthMapping(value, minLength)) continue
+      // The most recent result holding the value is the likeliest source
+      for (let j = i - 1; j >= 0; j--) {
+        const found = outputs[j] && [...leaves(outputs[j].value)].find(([, candidate]) => candidate === value)
+        if (found) {
+          mapped.set(JSON.stringify(argPath), `.${contextKey(j, found[0], argPath)}`)
+          mappedArgs.add(argPath[0])
+          break
+        }
+      }
+    }
+    /** @type {import('./index.js').ToolSequenceStep} */
+    const step = { toolName: call.toolName }
+    for (const [name, value] of Object.entries(call.args || {})) {
+      if (mappedArgs.has(name)) {
+        step.inputMapping = { ...step.inputMapping, [name]: buildExpression(value, [name], mapped) }
+      } else {
+        step.staticInputs = { ...step.staticInputs, [name]: value }
+      }
+    }
+    // The recorded session carried on past the failure, so the load test should too
+    if (!call.success) step.continueOnError = true
+    steps.push(step)
+  })
+  return steps
+}
+
+/**
+ * Tool calls captured by the recording proxy, one list per client session
+ */
+export class Recording {
+  /**
+   * @param {Pick<import('./index.js').LoadTestConfig, 'serverUrl' | 'transport'>} target - Server the calls went to, written into the config
+   * @param {InferOptions} [options] - Inference options
+   */
+  constructor(target, options = {}) {
+    this.target = target
+    this.options = options
+    /** @type {CapturedCall[][]} */
+    this.sessions = []
+  }
+
+  /**
+   * Start recording a client session
+   * @returns {CapturedCall[]} The session's calls, to push captured calls onto
+   */
+  startSession() {
+    const calls = []
+    this.sessions.push(calls)
+    return calls
+  }
+
+  /**
+   * A load test config replaying the recorded sessions: a `sequence` for a single session,
+   * or a scenario per session, picked with equal weights
+   * @returns {import('./index.js').LoadTestConfig}
+   */
+  toConfig() {
+    const sessions = this.sessions.filter((calls) => calls.length)
+    if (sessions.length <= 1) {
+      return { ...this.target, sequence: inferSequence(sessions[0] || [], this.options) }
+    }
+    return {
+      ...this.target,
+      scenarios: Object.fromEntries(sessions.map((calls, i) => [`session-${i + 1}`, { sequence: inferSequence(calls, this.options) }])),
+    }
+  }
+
+  /**
+   * Write the config, as YAML when the file ends in .yaml or .yml and as JSON otherwise
+   * @param {string} file - Destination path
+   */
+  write(file) {
+    const config = this.toConfig()
+    fs.writeFileSync(file, /\.ya?ml$/i.test(file) ? YAML.stringify(config) : `${JSON.stringify(config, null, 2)}\n`)
+  }
+}
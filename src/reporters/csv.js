@@ -0,0 +1,32 @@
+const COLUMNS = ['startedAt', 'offsetMs', 'toolName', 'durationMs', 'success', 'failureType', 'error']
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * One row per call with its timing and outcome, in start order
+ * @type {import('./index.js').Reporter}
+ */
+export default {
+  extension: 'csv',
+  render(summary) {
+    const details = [...summary.details].sort((a, b) => a.startedAt - b.startedAt)
+    const first = details[0]?.startedAt ?? 0
+    const rows = details.map((detail) =>
+      [
+        new Date(detail.startedAt).toISOString(),
+        detail.startedAt - first,
+        detail.toolName,
+        detail.duration,
+        detail.success,
+        detail.failureType,
+        detail.error ? detail.error.message || String(detail.error) : '',
+      ]
+        .map(escapeCsv)
+        .join(',')
+    )
+    return [COLUMNS.join(','), ...rows].join('\n') + '\n'
+  },
+}
@@ -0,0 +1,218 @@
+const MAX_POINTS = 5000
+const WIDTH = 900
+const HEIGHT = 260
+const PAD = { top: 16, right: 16, bottom: 32, left: 56 }
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function niceMax(value) {
+  if (value <= 0) return 1
+  const magnitude = 10 ** Math.floor(Math.log10(value))
+  return Math.ceil(value / magnitude) * magnitude
+}
+
+function axes(xMax, yMax, xLabel, yLabel) {
+  const plotW = WIDTH - PAD.left - PAD.right
+  const plotH = HEIGHT - PAD.top - PAD.bottom
+  const ticks = [0, 0.25, 0.5, 0.75, 1]
+  return [
+    `<line x1="${PAD.left}" y1="${PAD.top + plotH}" x2="${PAD.left + plotW}" y2="${PAD.top + plotH}" class="axis"/>`,
+    `<line x1="${PAD.left}" y1="${PAD.top}" x2="${PAD.left}" y2="${PAD.top + plotH}" class="axis"/>`,
+    ...ticks.map((t) => {
+      const y = PAD.top + plotH - t * plotH
+      return `<line x1="${PAD.left}" y1="${y}" x2="${PAD.left + plotW}" y2="${y}" class="grid"/><text x="${PAD.left - 6}" y="${y + 4}" text-anchor="end">${+(yMax * t).toFixed(1)}</text>`
+    }),
+    ...ticks.map((t) => `<text x="${PAD.left + t * plotW}" y="${PAD.top + plotH + 16}" text-anchor="middle">${+(xMax * t).toFixed(1)}</text>`),
+    `<text x="${PAD.left + plotW / 2}" y="${HEIGHT - 2}" text-anchor="middle">${xLabel}</text>`,
+    `<text x="12" y="${PAD.top + plotH / 2}" text-anchor="middle" transform="rotate(-90 12 ${PAD.top + plotH / 2})">${yLabel}</text>`,
+  ].join('')
+}
+
+function latencyChart(details, first, timeSeries, seriesOrigin) {
+  const step = Math.max(1, Math.ceil(details.length / MAX_POINTS))
+  const points = details.filter((_, i) => i % step === 0)
+  const xMax = niceMax(Math.max(0, ...points.map((d) => (d.startedAt - first) / 1000)))
+  const yMax = niceMax(Math.max(0, ...points.map((d) => d.duration)))
+  const plotW = WIDTH - PAD.left - PAD.right
+  const plotH = HEIGHT - PAD.top - PAD.bottom
+  // p95 per time bucket, drawn over the individual samples
+  const p95Line = timeSeries
+    .map((bucket) => {
+      const x = PAD.left + ((seriesOrigin + bucket.start - first) / 1000 / xMax) * plotW
+      const y = PAD.top + plotH - (Math.min(bucket.p95, yMax) / yMax) * plotH
+      return `${Math.max(PAD.left, x).toFixed(1)},${y.toFixed(1)}`
+    })
+    .join(' ')
+  const dots = points
+    .map((d) => {
+      const x = PAD.left + ((d.startedAt - first) / 1000 / xMax) * plotW
+      const y = PAD.top + plotH - (d.duration / yMax) * plotH
+      return `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="2" class="${d.success ? 'ok' : 'fail'}"><title>${escapeHtml(d.toolName)}: ${d.duration} ms</title></circle>`
+    })
+    .join('')
+  return `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img">${axes(xMax, yMax, 'seconds since start', 'latency (ms)')}${dots}<polyline points="${p95Line}" class="p95"/></svg>`
+}
+
+function throughputChart(details, first) {
+  const buckets = []
+  for (const d of details) {
+    const second = Math.floor((d.startedAt - first) / 1000)
+    buckets[second] = buckets[second] || { ok: 0, fail: 0 }
+    buckets[second][d.success ? 'ok' : 'fail']++
+  }
+  const seconds = Math.max(1, buckets.length)
+  const yMax = niceMax(Math.max(0, ...buckets.map((b) => (b ? b.ok + b.fail : 0))))
+  const plotW = WIDTH - PAD.left - PAD.right
+  const plotH = HEIGHT - PAD.top - PAD.bottom
+  const barW = plotW / seconds
+  const bars = buckets
+    .map((b, i) => {
+      if (!b) return ''
+      const x = PAD.left + i * barW
+      const okH = (b.ok / yMax) * plotH
+      const failH = (b.fail / yMax) * plotH
+      const base = PAD.top + plotH
+      return (
+        `<rect x="${x.toFixed(1)}" y="${(base - okH).toFixed(1)}" width="${Math.max(1, barW - 1).toFixed(1)}" height="${okH.toFixed(1)}" class="ok"><title>${i}s: ${b.ok} ok</title></rect>` +
+        `<rect x="${x.toFixed(1)}" y="${(base - okH - failH).toFixed(1)}" width="${Math.max(1, barW - 1).toFixed(1)}" height="${failH.toFixed(1)}" class="fail"><title>${i}s: ${b.fail} failed</title></rect>`
+      )
+    })
+    .join('')
+  return `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img">${axes(seconds, yMax, 'seconds since start', 'calls / second')}${bars}</svg>`
+}
+
+function table(headers, rows) {
+  if (!rows.length) return '<p class="muted">None</p>'
+  return `<table><thead><tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${rows
+    .map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('')}</tbody></table>`
+}
+
+/**
+ * Self-contained HTML page with summary cards, latency and throughput charts over time,
+ * per-scenario and per-tool breakdowns, errors, thresholds, baseline comparison and fuzz results. Charts are inline SVG, no scripts or external assets.
+ * @type {import('./index.js').Reporter}
+ */
+export default {
+  extension: 'html',
+  render(summary) {
+    const details = [...summary.details].sort((a, b) => a.startedAt - b.startedAt)
+    const first = details[0]?.startedAt ?? 0
+    const maxAvg = Math.max(1, ...Object.values(summary.perTool).map((s) => s.avg))
+
+    const cards = [
+      ['Requests', summary.total],
+      ['Success', summary.success],
+      ['Failure', summary.failure],
+      ['Avg', `${summary.avg.toFixed(2)} ms`],
+      ['Median', `${summary.median.toFixed(2)} ms`],
+      ['p95', `${summary.p95.toFixed(2)} ms`],
+      ['p99', `${summary.p99.toFixed(2)} ms`],
+      ['Throughput', `${summary.throughput.toFixed(2)} req/s`],
+      ['Duration', `${summary.totalTime.toFixed(2)} s`],
+      ['Max', `${summary.max.toFixed(2)} ms`],
+      ['Failure rate', `${summary.total ? ((summary.failure / summary.total) * 100).toFixed(2) : '0.00'}%`],
+    ]
+    const perTool = Object.entries(summary.perTool).map(
+      ([tool, s]) =>
+        `<tr><td>${escapeHtml(tool)}</td><td>${s.total}</td><td>${s.success}</td><td>${s.failure}</td><td>${s.avg.toFixed(2)} ms</td><td>${s.p95.toFixed(2)} ms</td><td>${s.p99.toFixed(2)} ms</td><td class="barcell"><span class="bar" style="width:${((s.avg / maxAvg) * 100).toFixed(1)}%"></span></td></tr>`
+    )
+    const thresholds = summary.thresholds
+      ? `<h2>Thresholds: ${summary.thresholds.passed ? 'passed' : 'failed'}</h2>${table(
+          ['Result', 'Metric', 'Condition', 'Actual'],
+          summary.thresholds.results.map((r) => [r.passed ? 'PASS' : 'FAIL', r.scope === 'global' ? r.metric : `${r.scope}.${r.metric}`, r.condition, r.actual === null ? 'n/a' : +r.actual.toFixed(4)])
+        )}`
+      : ''
+
+    const comparison = summary.comparison
+      ? `<h2>Comparison: ${summary.comparison.passed ? 'no regressions' : `${summary.comparison.regressions} regressions`}</h2>${table(
+          ['Verdict', 'Metric', 'Baseline', 'Current', 'Change', 'p-value'],
+          summary.comparison.results.map((r) => [
+            r.verdict,
+            r.scope === 'global' ? r.metric : `${r.scope}.${r.metric}`,
+            r.baseline === null ? 'n/a' : +r.baseline.toFixed(4),
+            r.current === null ? 'n/a' : +r.current.toFixed(4),
+            r.change === null ? '' : `${r.change > 0 ? '+' : ''}${(r.change * 100).toFixed(1)}${r.metric === 'errorRate' ? ' pts' : '%'}`,
+            r.pValue === null ? 'n/a' : +r.pValue.toFixed(4),
+          ])
+        )}`
+      : ''
+
+    // Reports re-rendered from JSON files written before scenarios existed have no perScenario
+    const scenarios = Object.entries(summary.perScenario || {})
+    const perScenario = scenarios.length
+      ? `<h2>Per scenario</h2>${table(
+          ['Scenario', 'Iterations', 'Calls', 'Success', 'Failure', 'Avg', 'p95', 'p99'],
+          scenarios.map(([scenario, s]) => [scenario, s.iterations, s.total, s.success, s.failure, `${s.avg.toFixed(2)} ms`, `${s.p95.toFixed(2)} ms`, `${s.p99.toFixed(2)} ms`])
+        )}`
+      : ''
+
+    const fuzz = summary.fuzz
+      ? `<h2>Fuzz: ${summary.fuzz.passed} of ${summary.fuzz.total} cases handled well</h2>${table(
+          ['Tool', 'Cases', 'Passed', 'Failed', 'Outcomes'],
+          Object.entries(summary.fuzz.tools).map(([tool, s]) => [
+            tool,
+            s.total,
+            s.passed,
+            s.failed,
+            Object.entries(s.outcomes)
+              .map(([outcome, count]) => `${outcome} ${count}`)
+              .join(', '),
+          ])
+        )}<h3>Badly handled inputs</h3>${table(
+          ['Tool', 'Category', 'Input', 'Outcome', 'Response'],
+          Object.entries(summary.fuzz.tools).flatMap(([tool, s]) => s.failures.map((f) => [tool, f.category, f.description, f.outcome, f.message ?? '']))
+        )}`
+      : ''
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>MCP Load Test Report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; color: #222; }
+.cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 0.75rem; }
+.card { border: 1px solid #ddd; border-radius: 6px; padding: 0.75rem; }
+.card .label { color: #666; font-size: 0.85rem; }
+.card .value { font-size: 1.3rem; font-weight: 600; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #eee; }
+.barcell { width: 35%; }
+.bar { display: inline-block; height: 0.8rem; background: #4a7bd0; }
+svg { width: 100%; height: auto; font-size: 11px; }
+svg .axis { stroke: #999; }
+svg .grid { stroke: #eee; }
+svg .ok { fill: #4a7bd0; }
+svg .fail { fill: #d04a4a; }
+svg .p95 { fill: none; stroke: #e0a030; stroke-width: 2; }
+.muted { color: #888; }
+</style>
+</head>
+<body>
+<h1>MCP Load Test Report</h1>
+<p class="muted">Generated ${escapeHtml(new Date().toISOString())}</p>
+<div class="cards">${cards.map(([label, value]) => `<div class="card"><div class="label">${label}</div><div class="value">${escapeHtml(value)}</div></div>`).join('')}</div>
+${thresholds}
+${comparison}
+${fuzz}
+<h2>Latency over time</h2>
+<p class="muted">Dots are individual calls (red: failed); the line is the p95 of each time bucket.</p>
+${latencyChart(details, first, summary.timeSeries || [], summary.startTime ?? first)}
+<h2>Calls per second</h2>
+${throughputChart(details, first)}
+${perScenario}
+<h2>Per tool</h2>
+<table><thead><tr><th>Tool</th><th>Total</th><th>Success</th><th>Failure</th><th>Avg</th><th>p95</th><th>p99</th><th>Avg latency</th></tr></thead><tbody>${perTool.join('')}</tbody></table>
+<h2>Errors</h2>
+${table(
+  ['Error', 'Count'],
+  Object.entries(summary.errors).map(([message, count]) => [message, count])
+)}
+</body>
+</html>
+`
+  },
+}
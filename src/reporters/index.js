@@ -0,0 +1,76 @@
+import fs from 'fs'
+import { logger } from '../logger.js'
+import jsonReporter from './json.js'
+import junitReporter from './junit.js'
+import csvReporter from './csv.js'
+import htmlReporter from './html.js'
+
+/**
+ * @typedef {Object} Reporter
+ * @property {string} extension - File extension used for the default output path
+ * @property {(summary: any, options: ReporterOptions) => string | undefined | Promise<string | undefined>} render - Build the report; return undefined if the reporter delivers it itself
+ */
+
+/**
+ * @typedef {Object} ReporterOptions
+ * @property {string} type - Name of a registered reporter ('json', 'junit', 'csv', 'html' or a custom one)
+ * @property {string} [output] - File to write (default: `benchmark-report.<extension>`)
+ */
+
+/** @type {Map<string, Reporter>} */
+const reporters = new Map([
+  ['json', jsonReporter],
+  ['junit', junitReporter],
+  ['csv', csvReporter],
+  ['html', htmlReporter],
+])
+
+/**
+ * Register a custom reporter, or replace a built-in one
+ * @param {string} name - Name used in the `reporters` config
+ * @param {Reporter} reporter - Reporter implementation
+ */
+export function registerReporter(name, reporter) {
+  if (typeof reporter?.render !== 'function') {
+    throw new Error(`Reporter '${name}' must have a render function`)
+  }
+  reporters.set(name, { extension: 'txt', ...reporter })
+}
+
+/**
+ * Normalize a reporters config entry: 'json' or 'json:out.json' or { type, output }
+ * @param {string | ReporterOptions} entry - Reporter config entry
+ * @returns {ReporterOptions}
+ */
+export function parseReporterOption(entry) {
+  if (typeof entry !== 'string') {
+    return entry
+  }
+  const [type, ...rest] = entry.split(':')
+  return rest.length ? { type, output: rest.join(':') } : { type }
+}
+
+/**
+ * Render and write every configured report
+ * @param {any} summary - Summary from Metrics.getSummary(), with thresholds when evaluated
+ * @param {(string | ReporterOptions)[]} entries - Reporters to run
+ * @returns {Promise<string[]>} Paths of the files written
+ */
+export async function writeReports(summary, entries) {
+  const written = []
+  for (const options of entries.map(parseReporterOption)) {
+    const reporter = reporters.get(options.type)
+    if (!reporter) {
+      throw new Error(`Unknown reporter '${options.type}'. Registered: ${[...reporters.keys()].join(', ')}`)
+    }
+    const content = await reporter.render(summary, options)
+    if (content === undefined) continue
+    const output = options.output || `benchmark-report.${reporter.extension}`
+    fs.writeFileSync(output, content)
+    logger.info({ reporter: options.type, output }, 'Wrote report')
+    written.push(output)
+  }
+  return written
+}
+
+export { reporters }
@@ -0,0 +1,11 @@
+/**
+ * Summary and every call as JSON. Errors are reduced to their messages so they serialize.
+ * @type {import('./index.js').Reporter}
+ */
+export default {
+  extension: 'json',
+  render(summary) {
+    const details = summary.details.map((detail) => ({ ...detail, error: detail.error ? detail.error.message || String(detail.error) : null }))
+    return JSON.stringify({ ...summary, details }, null, 2)
+  },
+}
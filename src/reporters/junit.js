@@ -0,0 +1,127 @@
+function escapeXml(value) {
+  // Control characters aren't allowed in XML 1.0, even escaped
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+function errorMessage(error) {
+  return error ? error.message || String(error) : 'unknown error'
+}
+
+/**
+ * One testcase per tool (a failing call fails the tool), plus one per threshold when thresholds were evaluated,
+ * one per compared metric when compared against a baseline and one per tool and fuzz category in fuzz mode
+ * @type {import('./index.js').Reporter}
+ */
+export default {
+  extension: 'xml',
+  render(summary) {
+    const suites = []
+
+    const toolCases = Object.entries(summary.perTool).map(([tool, stats]) => {
+      const calls = summary.details.filter((detail) => detail.toolName === tool)
+      const seconds = calls.reduce((sum, detail) => sum + detail.duration, 0) / 1000
+      if (!stats.failure) {
+        return { xml: `    <testcase classname="mcp.tools" name="${escapeXml(tool)}" time="${seconds.toFixed(3)}"/>`, failed: false }
+      }
+      const counts = {}
+      for (const detail of calls.filter((d) => !d.success)) {
+        const message = errorMessage(detail.error)
+        counts[message] = (counts[message] || 0) + 1
+      }
+      const body = Object.entries(counts)
+        .map(([message, count]) => `${count}x ${message}`)
+        .join('\n')
+      return {
+        xml: [
+          `    <testcase classname="mcp.tools" name="${escapeXml(tool)}" time="${seconds.toFixed(3)}">`,
+          `      <failure message="${escapeXml(`${stats.failure} of ${stats.total} calls failed`)}">${escapeXml(body)}</failure>`,
+          '    </testcase>',
+        ].join('\n'),
+        failed: true,
+      }
+    })
+    suites.push({ name: 'tools', cases: toolCases, time: summary.totalTime })
+
+    if (summary.thresholds) {
+      const thresholdCases = summary.thresholds.results.map(({ scope, metric, condition, actual, passed }) => {
+        const name = escapeXml(`${scope === 'global' ? metric : `${scope}.${metric}`} ${condition}`)
+        if (passed) {
+          return { xml: `    <testcase classname="mcp.thresholds" name="${name}" time="0"/>`, failed: false }
+        }
+        return {
+          xml: [
+            `    <testcase classname="mcp.thresholds" name="${name}" time="0">`,
+            `      <failure message="${escapeXml(`actual: ${actual === null ? 'n/a' : actual}`)}"/>`,
+            '    </testcase>',
+          ].join('\n'),
+          failed: true,
+        }
+      })
+      suites.push({ name: 'thresholds', cases: thresholdCases, time: 0 })
+    }
+
+    if (summary.comparison) {
+      const comparisonCases = summary.comparison.results.map(({ scope, metric, baseline, current, pValue, verdict }) => {
+        const name = escapeXml(scope === 'global' ? metric : `${scope}.${metric}`)
+        if (verdict !== 'regression') {
+          return { xml: `    <testcase classname="mcp.comparison" name="${name}" time="0"/>`, failed: false }
+        }
+        return {
+          xml: [
+            `    <testcase classname="mcp.comparison" name="${name}" time="0">`,
+            `      <failure message="${escapeXml(`regressed from ${baseline} to ${current}${pValue === null ? '' : ` (p=${pValue.toFixed(4)})`}`)}"/>`,
+            '    </testcase>',
+          ].join('\n'),
+          failed: true,
+        }
+      })
+      suites.push({ name: 'comparison', cases: comparisonCases, time: 0 })
+    }
+
+    if (summary.fuzz) {
+      const fuzzCases = Object.entries(summary.fuzz.tools).flatMap(([tool, stats]) =>
+        Object.entries(stats.categories).map(([category, { total, failed }]) => {
+          const name = escapeXml(`${tool} ${category}`)
+          if (!failed) {
+            return { xml: `    <testcase classname="mcp.fuzz" name="${name}" time="0"/>`, failed: false }
+          }
+          const body = stats.failures
+            .filter((failure) => failure.category === category)
+            .map((failure) => `${failure.description} -> ${failure.outcome}${failure.message ? `: ${failure.message}` : ''}`)
+            .join('\n')
+          return {
+            xml: [
+              `    <testcase classname="mcp.fuzz" name="${name}" time="0">`,
+              `      <failure message="${escapeXml(`${failed} of ${total} cases handled badly`)}">${escapeXml(body)}</failure>`,
+              '    </testcase>',
+            ].join('\n'),
+            failed: true,
+          }
+        })
+      )
+      suites.push({ name: 'fuzz', cases: fuzzCases, time: 0 })
+    }
+
+    const tests = suites.reduce((sum, suite) => sum + suite.cases.length, 0)
+    const failures = suites.reduce((sum, suite) => sum + suite.cases.filter((c) => c.failed).length, 0)
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="benchmark-mcp" tests="${tests}" failures="${failures}" time="${summary.totalTime.toFixed(3)}">`,
+      ...suites.map((suite) =>
+        [
+          `  <testsuite name="${suite.name}" tests="${suite.cases.length}" failures="${suite.cases.filter((c) => c.failed).length}" time="${suite.time.toFixed(3)}">`,
+          ...suite.cases.map((c) => c.xml),
+          '  </testsuite>',
+        ].join('\n')
+      ),
+      '</testsuites>',
+      '',
+    ].join('\n')
+  },
+}
@@ -0,0 +1,255 @@
+import { setTimeout as sleep } from 'node:timers/promises'
+import { logger } from './logger.js'
+
+/**
+ * A connected virtual user. `cleanup` closes its session when the runner gives up on it
+ * @typedef {{ runIteration: () => Promise<void>, cleanup?: () => Promise<void> }} VirtualUser
+ */
+
+/**
+ * @typedef {Object} Stage
+ * @property {string|number} duration - How long the stage lasts ('30s', '2m', or milliseconds)
+ * @property {number} target - Number of virtual users to reach by the end of the stage
+ */
+
+/**
+ * @typedef {Object} ArrivalRateConfig
+ * @property {number} rate - Iterations to start per second, regardless of how long they take
+ * @property {string|number} duration - How long to keep starting iterations ('30s', '2m', or milliseconds)
+ * @property {number} [preAllocatedVUs] - Virtual users to connect before the run starts (default: 1)
+ * @property {number} [maxVUs] - Upper bound on virtual users; iterations are dropped when all are busy (default: 100)
+ */
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 }
+const STAGE_TICK_MS = 100
+
+/**
+ * Parse a duration into milliseconds
+ * @param {string|number} value - Milliseconds, or a string like '500ms', '30s', '5m', '1h'
+ * @returns {number}
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value
+  }
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)$/.exec(String(value).trim())
+  if (!match) {
+    throw new Error(`Invalid duration '${value}'. Use milliseconds or a string like '500ms', '30s', '5m', '1h'`)
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]]
+}
+
+// Sleep that ends early, without throwing, when the run is stopped
+function pause(ms, signal) {
+  return sleep(ms, undefined, { signal }).catch(() => {})
+}
+
+async function startVU(createVU) {
+  try {
+    return await createVU()
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to start virtual user')
+    return null
+  }
+}
+
+async function runOne(client, vu, label) {
+  try {
+    await client.runIteration()
+  } catch (err) {
+    logger.error({ vu, error: err.message }, `Failed call ${label}:`)
+  }
+}
+
+/**
+ * Drive a set of virtual users in parallel until the iteration budget or the deadline is spent.
+ * Virtual users pull iteration numbers from one shared counter so `numCalls` stays the total for the run.
+ * @param {Object} params - Runner parameters
+ * @param {VirtualUser[]} params.clients - One client per virtual user
+ * @param {number} [params.numCalls] - Total number of iterations across all virtual users (default: unlimited)
+ * @param {number} [params.deadline] - Epoch milliseconds after which no new iteration starts (default: none)
+ * @param {AbortSignal} [params.signal] - Stops new iterations from starting when aborted
+ * @returns {Promise<void>}
+ */
+export async function runVirtualUsers({ clients, numCalls = Infinity, deadline = Infinity, signal }) {
+  let next = 0
+  await Promise.all(
+    clients.map(async (client, vu) => {
+      while (next < numCalls && Date.now() < deadline && !signal?.aborted) {
+        const i = next++
+        await runOne(client, vu, Number.isFinite(numCalls) ? `${i + 1}/${numCalls}` : `${i + 1}`)
+      }
+    })
+  )
+}
+
+/**
+ * Ramp the number of looping virtual users linearly through a list of stages, starting from zero.
+ * Virtual users above the current target finish their iteration and are parked for reuse.
+ * @param {Object} params - Runner parameters
+ * @param {Stage[]} params.stages - Stages to run through in order
+ * @param {() => Promise<VirtualUser>} params.createVU - Creates a connected virtual user
+ * @param {AbortSignal} [params.signal] - Stops the ramp and parks every virtual user when aborted
+ * @returns {Promise<void>}
+ */
+export async function runStages({ stages, createVU, signal }) {
+  const plan = []
+  let elapsed = 0
+  let from = 0
+  for (const stage of stages) {
+    const duration = parseDuration(stage.duration)
+    plan.push({ start: elapsed, end: elapsed + duration, from, to: stage.target })
+    elapsed += duration
+    from = stage.target
+  }
+  const totalMs = elapsed
+
+  const targetAt = (t) => {
+    const stage = plan.find((s) => t < s.end) || plan[plan.length - 1]
+    const progress = stage.end > stage.start ? Math.min(1, (t - stage.start) / (stage.end - stage.start)) : 1
+    return Math.round(stage.from + (stage.to - stage.from) * progress)
+  }
+
+  /** @type {{ stopped: boolean, done: Promise<void> }[]} */
+  const active = []
+  /** @type {VirtualUser[]} */
+  const idle = []
+  const running = new Set()
+  let iteration = 0
+  let nextVU = 0
+
+  const spawn = () => {
+    const entry = { stopped: false, done: Promise.resolve() }
+    const vu = nextVU++
+    entry.done = (async () => {
+      const client = idle.pop() || (await startVU(createVU))
+      if (!client) return
+      while (!entry.stopped) {
+        await runOne(client, vu, `${++iteration}`)
+      }
+      idle.push(client)
+    })()
+    running.add(entry.done)
+    entry.done.finally(() => running.delete(entry.done))
+    active.push(entry)
+  }
+
+  const start = Date.now()
+  for (let t = 0; t < totalMs && !signal?.aborted; t = Date.now() - start) {
+    const target = targetAt(t)
+    while (active.length < target) {
+      spawn()
+    }
+    while (active.length > target) {
+      const entry = active.pop()
+      if (entry) entry.stopped = true
+    }
+    await pause(Math.min(STAGE_TICK_MS, totalMs - t), signal)
+  }
+  for (const entry of active) {
+    entry.stopped = true
+  }
+  await Promise.all(running)
+}
+
+/**
+ * Start iterations at a constant rate (open model), independent of how quickly the server answers.
+ * Iterations are handed to idle virtual users, new ones are connected up to `maxVUs`,
+ * and iterations that find no free virtual user are dropped and counted.
+ * @param {Object} params - Runner parameters
+ * @param {ArrivalRateConfig} params.arrivalRate - Arrival rate settings
+ * @param {() => Promise<VirtualUser>} params.createVU - Creates a connected virtual user
+ * @param {{ recordDropped: () => void }} params.metrics - Metrics instance used to count dropped iterations
+ * @param {AbortSignal} [params.signal] - Stops new iterations from starting when aborted
+ * @returns {Promise<void>}
+ */
+export async function runArrivalRate({ arrivalRate, createVU, metrics, signal }) {
+  const { rate, preAllocatedVUs = 1, maxVUs = 100 } = arrivalRate
+  if (!(rate > 0)) {
+    throw new Error(`arrivalRate.rate must be a positive number. Got: ${rate}`)
+  }
+  const durationMs = parseDuration(arrivalRate.duration)
+  const interval = 1000 / rate
+
+  // Virtual users that fail to connect are left out, as they are when started later on
+  const preallocated = await Promise.all(Array.from({ length: Math.min(preAllocatedVUs, maxVUs) }, () => startVU(createVU)))
+  /** @type {VirtualUser[]} */
+  const idle = preallocated.filter((vu) => vu !== null)
+  /** @type {Set<VirtualUser>} */
+  const allocatedVUs = new Set(idle)
+  let allocated = idle.length
+  const inFlight = new Set()
+
+  try {
+    const start = Date.now()
+    for (let i = 0; i * interval < durationMs; i++) {
+      const wait = start + i * interval - Date.now()
+      if (wait > 0) {
+        await pause(wait, signal)
+      }
+      if (signal?.aborted) {
+        break
+      }
+      let client = idle.pop()
+      if (!client && allocated >= maxVUs) {
+        logger.warn({ iteration: i + 1, maxVUs }, 'Dropped iteration, all virtual users are busy')
+        metrics.recordDropped()
+        continue
+      }
+      if (!client) {
+        allocated++
+      }
+      const task = (async () => {
+        const vu = client || (await startVU(createVU))
+        if (!vu) {
+          allocated--
+          metrics.recordDropped()
+          return
+        }
+        allocatedVUs.add(vu)
+        await runOne(vu, undefined, `${i + 1}`)
+        idle.push(vu)
+      })()
+      inFlight.add(task)
+      task.finally(() => inFlight.delete(task))
+    }
+    await Promise.all(inFlight)
+  } catch (err) {
+    // Don't leave the sessions of the virtual users started so far open
+    await Promise.allSettled([...inFlight])
+    await Promise.allSettled([...allocatedVUs].map((vu) => vu.cleanup?.()))
+    throw err
+  }
+}
+
+/**
+ * Run the load profile described by the config: a constant arrival rate, ramping stages,
+ * a fixed duration, or a fixed number of iterations, in that order of precedence.
+ * @param {Object} params - Runner parameters
+ * @param {import('./index.js').LoadTestConfig} params.config - Load test configuration
+ * @param {() => Promise<VirtualUser>} params.createVU - Creates a connected virtual user
+ * @param {{ recordDropped: () => void }} params.metrics - Metrics instance used to count dropped iterations
+ * @param {AbortSignal} [params.signal] - Stops new iterations from starting when aborted; iterations in flight carry on
+ * @returns {Promise<void>}
+ */
+export async function runLoadProfile({ config, createVU, metrics, signal }) {
+  if (config.arrivalRate) {
+    logger.info(config.arrivalRate, 'Starting constant arrival rate load test')
+    return runArrivalRate({ arrivalRate: config.arrivalRate, createVU, metrics, signal })
+  }
+  if (config.stages?.length) {
+    logger.info({ stages: config.stages }, 'Starting staged load test')
+    return runStages({ stages: config.stages, createVU, signal })
+  }
+
+  const concurrency = Math.max(1, config.concurrency || 1)
+  const clients = await Promise.all(Array.from({ length: concurrency }, () => createVU()))
+  if (config.duration !== undefined) {
+    const durationMs = parseDuration(config.duration)
+    logger.info({ concurrency, duration: config.duration }, `Starting load test for ${durationMs} ms`)
+    return runVirtualUsers({ clients, deadline: Date.now() + durationMs, signal })
+  }
+  const numCalls = config.numCalls || 1
+  logger.info({ concurrency }, `Starting load test with ${numCalls} calls`)
+  return runVirtualUsers({ clients, numCalls, signal })
+}
@@ -0,0 +1,44 @@
+/**
+ * A named slice of the traffic in a run. Every LoadTestConfig option that shapes an iteration
+ * (mode, sequence, runAll, aiClient, toolNames, toolWeights, paramOverrides, ...) can be set and
+ * overrides the top-level value.
+ * @typedef {Object} ScenarioConfig
+ * @property {number} [weight] - Relative chance of being picked for an iteration, among the scenarios sharing the run's load profile (default: 1)
+ * @property {number} [numCalls] - Setting any load profile option (numCalls, concurrency, duration, stages, arrivalRate) runs the scenario
+ *   with its own virtual users, at the same time as the others, instead of sharing the run's load profile
+ * @property {number} [concurrency] - Virtual users of the scenario, with numCalls or duration to say how long they run
+ * @property {string|number} [duration]
+ * @property {import('./runner.js').Stage[]} [stages]
+ * @property {import('./runner.js').ArrivalRateConfig} [arrivalRate]
+ */
+
+/**
+ * @typedef {Object} ResolvedScenario
+ * @property {string} name - Scenario name
+ * @property {import('./index.js').LoadTestConfig} config - Top-level config with the scenario's options applied
+ * @property {number} weight - Relative chance of being picked, for weighted scenarios
+ */
+
+export const PROFILE_KEYS = ['numCalls', 'concurrency', 'duration', 'stages', 'arrivalRate']
+
+/**
+ * Split `scenarios` into those run with their own load profile and those picked by weight on every
+ * iteration of the run's load profile
+ * @param {import('./index.js').LoadTestConfig} config - Top-level config with `scenarios`
+ * @returns {{ independent: ResolvedScenario[], weighted: ResolvedScenario[] }}
+ */
+export function resolveScenarios(config) {
+  const { scenarios = {}, ...base } = config
+  const independent = []
+  const weighted = []
+  for (const [name, { weight = 1, ...scenario }] of Object.entries(scenarios)) {
+    if (PROFILE_KEYS.some((key) => scenario[key] !== undefined)) {
+      // The scenario's own profile replaces the run's, rather than mixing with it
+      const inherited = Object.fromEntries(Object.entries(base).filter(([key]) => !PROFILE_KEYS.includes(key)))
+      independent.push({ name, config: { ...inherited, ...scenario }, weight })
+    } else {
+      weighted.push({ name, config: { ...base, ...scenario }, weight })
+    }
+  }
+  return { independent, weighted }
+}
@@ -0,0 +1,96 @@
+import { setTimeout as sleep } from 'node:timers/promises'
+import { CreateMessageRequestSchema, ElicitRequestSchema } from '@modelcontextprotocol/sdk/types.js'
+import { latencySampler } from './latency.js'
+
+/**
+ * Answers `sampling/createMessage` requests with a canned reply instead of asking a model
+ * @typedef {Object} SamplingStubConfig
+ * @property {string} [text] - Text of every reply (default: 'Stub reply from benchmark-mcp')
+ * @property {string} [model] - Model the reply claims to come from (default: 'benchmark-mcp-stub')
+ * @property {import('./latency.js').LatencyConfig} [latency] - Time taken before replying, as a model would (default: 0)
+ */
+
+/**
+ * Answers `elicitation/create` requests without a user
+ * @typedef {Object} ElicitationStubConfig
+ * @property {'accept'|'decline'|'cancel'} [action] - How every request is answered (default: 'accept')
+ * @property {Record<string, unknown>} [content] - Content of accepted answers (default: generated from the requested schema)
+ * @property {import('./latency.js').LatencyConfig} [latency] - Time taken before answering, as a user would (default: 0)
+ */
+
+/**
+ * Requests the benchmark answers for servers that send them. Each is off unless configured; `true` uses the defaults.
+ * @typedef {Object} ServerRequestsConfig
+ * @property {boolean | SamplingStubConfig} [sampling] - Declare the sampling capability and answer with a stub
+ * @property {boolean | ElicitationStubConfig} [elicitation] - Declare the elicitation capability and answer with a stub
+ */
+
+export const ELICITATION_ACTIONS = ['accept', 'decline', 'cancel']
+
+/**
+ * Client capabilities to declare on initialize for the configured stubs
+ * @param {ServerRequestsConfig} [config] - Stubs to answer with
+ * @returns {{ sampling?: {}, elicitation?: {} }}
+ */
+export function clientCapabilities(config = {}) {
+  return { ...(config.sampling && { sampling: {} }), ...(config.elicitation && { elicitation: {} }) }
+}
+
+/**
+ * Check the stubs for mistakes before the run
+ * @param {ServerRequestsConfig} config - Stubs to answer with
+ * @returns {string[]} Problems found, empty when the config is valid
+ */
+export function validateServerRequests(config) {
+  const errors = []
+  for (const key of ['sampling', 'elicitation']) {
+    const stub = config[key]
+    if (stub === undefined || typeof stub === 'boolean') continue
+    if (typeof stub !== 'object' || stub === null) {
+      errors.push(`serverRequests.${key} must be true, false or an object. Got: ${JSON.stringify(stub)}`)
+      continue
+    }
+    try {
+      latencySampler(stub.latency, Math.random)
+    } catch (error) {
+      errors.push(`serverRequests.${key}.latency: ${error.message}`)
+    }
+  }
+  const action = typeof config.elicitation === 'object' && config.elicitation?.action
+  if (action && !ELICITATION_ACTIONS.includes(action)) {
+    errors.push(`Unknown serverRequests.elicitation.action '${action}'. Supported: ${ELICITATION_ACTIONS.join(', ')}`)
+  }
+  return errors
+}
+
+/**
+ * Answer the server's sampling and elicitation requests on `client` with the configured stubs.
+ * The client must have been created with `clientCapabilities(config)`.
+ * @param {import('@modelcontextprotocol/sdk/client/index.js').Client} client - SDK client, before it connects
+ * @param {ServerRequestsConfig} [config] - Stubs to answer with
+ * @param {Object} context - What the stubs need from the virtual user
+ * @param {(schema: object) => Record<string, unknown>} context.generate - Generates content matching a JSON schema
+ * @param {(method: string) => void} context.record - Counts a request from the server
+ * @param {() => number} context.random - Uniform random number in [0, 1) for latency, from the virtual user's faker so seeded runs wait the same
+ */
+export function registerStubs(client, config = {}, { generate, record, random }) {
+  if (config.sampling) {
+    const { text = 'Stub reply from benchmark-mcp', model = 'benchmark-mcp-stub', latency } = config.sampling === true ? {} : config.sampling
+    const delay = latencySampler(latency, random)
+    client.setRequestHandler(CreateMessageRequestSchema, async (request) => {
+      record(request.method)
+      await sleep(delay())
+      return { role: 'assistant', model, stopReason: 'endTurn', content: { type: 'text', text } }
+    })
+  }
+  if (config.elicitation) {
+    const { action = 'accept', content, latency } = config.elicitation === true ? {} : config.elicitation
+    const delay = latencySampler(latency, random)
+    client.setRequestHandler(ElicitRequestSchema, async (request) => {
+      record(request.method)
+      await sleep(delay())
+      if (action !== 'accept') return { action }
+      return { action, content: content ?? generate(request.params.requestedSchema ?? { type: 'object' }) }
+    })
+  }
+}
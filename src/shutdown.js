@@ -0,0 +1,97 @@
+import { parseDuration } from './runner.js'
+import { logger } from './logger.js'
+
+const SIGNALS = ['SIGINT', 'SIGTERM']
+
+/** @type {Set<Shutdown>} */
+const listening = new Set()
+
+/**
+ * Stop every run in progress in this process or thread, as a signal would: the first call stops them
+ * and the next cancels their in-flight calls. Workers use it to stop when the coordinator says so.
+ * @param {string} reason - What stopped the runs
+ */
+export function stopRuns(reason) {
+  for (const shutdown of listening) {
+    shutdown.stop(reason)
+  }
+}
+
+/**
+ * Stops a run in two steps when the process gets SIGINT or SIGTERM, or when `signal` aborts.
+ * `stopped` aborts at once, so no new iterations start; `cancelled` aborts `timeout` later, or on a second stop,
+ * and cancels the calls still in flight.
+ */
+export class Shutdown {
+  /**
+   * @param {Object} [options] - Shutdown options
+   * @param {string|number} [options.timeout] - How long in-flight calls may finish before they're cancelled (default: '10s')
+   * @param {AbortSignal} [options.signal] - Stops the run when aborted, like a signal would
+   * @param {boolean} [options.handleSignals] - Listen for SIGINT and SIGTERM (default: true)
+   */
+  constructor({ timeout = '10s', signal, handleSignals = true } = {}) {
+    this.stopController = new AbortController()
+    this.cancelController = new AbortController()
+    /** @type {AbortSignal} */
+    this.stopped = this.stopController.signal
+    /** @type {AbortSignal} */
+    this.cancelled = this.cancelController.signal
+    /** @type {string | null} */
+    this.reason = null
+    /** @type {number} */
+    this.timeout = parseDuration(timeout)
+    /** @type {NodeJS.Timeout | undefined} */
+    this.timer = undefined
+    this.onSignal = (name) => this.stop(name)
+    this.onAbort = () => this.stop('abort')
+    this.signals = handleSignals ? SIGNALS : []
+    this.signal = signal
+  }
+
+  /**
+   * Start listening for signals, until `dispose`
+   */
+  listen() {
+    listening.add(this)
+    for (const name of this.signals) {
+      process.on(name, this.onSignal)
+    }
+    if (this.signal?.aborted) this.stop('abort')
+    this.signal?.addEventListener('abort', this.onAbort)
+  }
+
+  /**
+   * Stop starting iterations, or cancel in-flight calls if the run is already stopping
+   * @param {string} reason - What stopped the run, e.g. 'SIGINT'
+   */
+  stop(reason) {
+    if (this.stopped.aborted) {
+      logger.warn({ reason }, 'Cancelling in-flight calls')
+      this.cancel()
+      return
+    }
+    this.reason = reason
+    logger.warn({ reason, timeout: this.timeout }, 'Stopping run: no new iterations, waiting for in-flight calls. Send again to cancel them')
+    this.stopController.abort(new Error(`Run stopped by ${reason}`))
+    this.timer = setTimeout(() => this.cancel(), this.timeout)
+  }
+
+  cancel() {
+    clearTimeout(this.timer)
+    if (!this.cancelled.aborted) {
+      this.cancelController.abort(new Error(`Run stopped by ${this.reason}`))
+    }
+  }
+
+  /**
+   * Stop listening and waiting once the run is over
+   */
+  dispose() {
+    listening.delete(this)
+    clearTimeout(this.timer)
+    for (const name of this.signals) {
+      process.off(name, this.onSignal)
+    }
+    this.signal?.removeEventListener('abort', this.onAbort)
+  }
+}
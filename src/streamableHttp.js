@@ -0,0 +1,97 @@
+import http from 'node:http'
+import { randomUUID } from 'node:crypto'
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js'
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js'
+
+/**
+ * @typedef {Object} StreamableHttpOptions
+ * @property {number} port - Port to listen on; 0 picks a free one
+ * @property {string} [host] - Interface to listen on (default: all interfaces)
+ * @property {string} [path] - Path of the MCP endpoint (default: '/mcp')
+ * @property {boolean} [jsonResponse] - Answer with plain JSON instead of an SSE stream (default: false)
+ * @property {(transport: StreamableHTTPServerTransport) => Promise<void>} connect - Connect a new session's transport to the server that answers it
+ * @property {(transport: StreamableHTTPServerTransport, res: http.ServerResponse, messages: any[]) => void} [onRequest] - Called with the JSON-RPC messages of each request before it is handled
+ * @property {(transport: StreamableHTTPServerTransport) => void} [onSessionClosed] - Called once a session that was initialized closes
+ * @property {(error: Error) => void} [onError] - Called when a request fails, e.g. to log it
+ * @property {number} [errorStatus] - HTTP status of a request that fails after its body was read (default: 500)
+ */
+
+function sendError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }))
+}
+
+async function readBody(req) {
+  let text = ''
+  for await (const chunk of req) text += chunk
+  return JSON.parse(text)
+}
+
+/**
+ * Serve MCP over streamable HTTP until closed, giving each session its own transport. Requests for unknown sessions get a 404,
+ * as the spec asks, so clients start a new session.
+ * @param {StreamableHttpOptions} options - Where to listen and how to answer sessions
+ * @returns {Promise<{ url: string, sessions: Map<string, StreamableHTTPServerTransport>, close: () => Promise<void> }>}
+ */
+export async function serveStreamableHttp({ port, host, path = '/mcp', jsonResponse, connect, onRequest, onSessionClosed, onError, errorStatus = 500 }) {
+  /** @type {Map<string, StreamableHTTPServerTransport>} */
+  const sessions = new Map()
+
+  const server = http.createServer(async (req, res) => {
+    if (new URL(req.url, 'http://localhost').pathname !== path) {
+      res.writeHead(404).end()
+      return
+    }
+    let body
+    try {
+      if (req.method === 'POST') {
+        body = await readBody(req)
+      }
+    } catch (error) {
+      onError?.(error)
+      sendError(res, 400, ErrorCode.ParseError, error.message)
+      return
+    }
+    try {
+      const sessionId = req.headers['mcp-session-id']
+      let transport = sessionId ? sessions.get(sessionId) : undefined
+      if (sessionId && !transport) {
+        sendError(res, 404, -32001, 'Session not found')
+        return
+      }
+      if (!transport) {
+        const session = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          enableJsonResponse: jsonResponse,
+          onsessioninitialized: (id) => sessions.set(id, session),
+        })
+        session.onclose = () => {
+          if (session.sessionId && sessions.delete(session.sessionId)) onSessionClosed?.(session)
+        }
+        await connect(session)
+        transport = session
+      }
+      onRequest?.(transport, res, [].concat(body ?? []))
+      await transport.handleRequest(req, res, body)
+    } catch (error) {
+      onError?.(error)
+      if (!res.headersSent) {
+        sendError(res, errorStatus, ErrorCode.InternalError, error.message)
+      }
+    }
+  })
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, resolve)
+  })
+  const address = /** @type {import('node:net').AddressInfo} */ (server.address())
+  return {
+    url: `http://${host || 'localhost'}:${address.port}${path}`,
+    sessions,
+    close: async () => {
+      await Promise.all([...sessions.values()].map((transport) => transport.close()))
+      server.closeAllConnections()
+      await new Promise((resolve) => server.close(() => resolve()))
+    },
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Conditions are strings such as '< 500', '<= 1%' or '> 20'. A trailing % divides the value by 100,
+ * which is how rate metrics (errorRate, successRate) are expressed.
+ * @typedef {string | string[]} ThresholdCondition
+ */
+
+/**
+ * Global metric names (e.g. p95, avg, errorRate, throughput) mapped to their conditions,
+ * plus `perTool` and `perScenario` for conditions on individual tools and scenarios
+ * @typedef {Object} ThresholdsConfig
+ * @property {Record<string, Record<string, ThresholdCondition>>} [perTool] - Conditions for individual tools, keyed by tool name
+ * @property {Record<string, Record<string, ThresholdCondition>>} [perScenario] - Conditions for individual scenarios, keyed by scenario name
+ */
+
+/**
+ * @typedef {Object} ThresholdResult
+ * @property {string} scope - 'global', the tool name, or 'scenario:' followed by the scenario name
+ * @property {string} metric - Metric the condition applies to
+ * @property {string} condition - The condition as written in the config
+ * @property {number|null} actual - Measured value, null if the tool or scenario never ran
+ * @property {boolean} passed - Whether the condition held
+ */
+
+/**
+ * @typedef {Object} ThresholdsOutcome
+ * @property {boolean} passed - True when every condition held
+ * @property {ThresholdResult[]} results - One entry per condition
+ */
+
+const OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+}
+
+const LATENCY_METRICS = ['avg', 'min', 'max', 'p50', 'p90', 'p95', 'p99', 'p999']
+const GLOBAL_METRICS = ['total', 'success', 'failure', 'dropped', 'errorRate', 'successRate', 'median', 'throughput', ...LATENCY_METRICS]
+const TOOL_METRICS = ['total', 'success', 'failure', 'errorRate', 'successRate', ...LATENCY_METRICS]
+const SCENARIO_METRICS = ['iterations', ...TOOL_METRICS]
+const SCENARIO_SCOPE = 'scenario:'
+
+/**
+ * Parse one condition string
+ * @param {string} condition - e.g. '< 500' or '<= 1%'
+ * @returns {{ op: string, value: number }}
+ */
+export function parseCondition(condition) {
+  const match = /^\s*(<=|>=|==|!=|<|>)\s*(-?\d+(?:\.\d+)?)\s*(%?)\s*$/.exec(String(condition))
+  if (!match) {
+    throw new Error(`Invalid threshold condition '${condition}'. Expected an operator and a number, e.g. '< 500' or '< 1%'`)
+  }
+  return { op: match[1], value: match[3] ? Number(match[2]) / 100 : Number(match[2]) }
+}
+
+/**
+ * Flatten a thresholds config into a list of checks, validating metric names and conditions
+ * @param {ThresholdsConfig | string[]} thresholds - Thresholds config, or strings such as 'p95 < 500'
+ * @returns {{ scope: string, metric: string, condition: string, op: string, value: number }[]}
+ */
+export function parseThresholds(thresholds) {
+  const checks = []
+  const add = (scope, metric, conditions, allowed) => {
+    if (!allowed.includes(metric)) {
+      const target = scope.startsWith(SCENARIO_SCOPE) ? ` for scenario ${scope.slice(SCENARIO_SCOPE.length)}` : ` for tool ${scope}`
+      throw new Error(`Unknown threshold metric '${metric}'${scope === 'global' ? '' : target}. Supported: ${allowed.join(', ')}`)
+    }
+    for (const condition of Array.isArray(conditions) ? conditions : [conditions]) {
+      checks.push({ scope, metric, condition, ...parseCondition(condition) })
+    }
+  }
+
+  if (Array.isArray(thresholds)) {
+    for (const expression of thresholds) {
+      const match = /^\s*(\w+)\s*(.+)$/.exec(expression)
+      if (!match) {
+        throw new Error(`Invalid threshold '${expression}'. Expected a metric and a condition, e.g. 'p95 < 500'`)
+      }
+      add('global', match[1], match[2], GLOBAL_METRICS)
+    }
+    return checks
+  }
+
+  for (const [metric, conditions] of Object.entries(thresholds || {})) {
+    if (metric === 'perTool' || metric === 'perScenario') continue
+    add('global', metric, conditions, GLOBAL_METRICS)
+  }
+  for (const [tool, metrics] of Object.entries(thresholds?.perTool || {})) {
+    for (const [metric, conditions] of Object.entries(metrics)) {
+      add(tool, metric, conditions, TOOL_METRICS)
+    }
+  }
+  for (const [scenario, metrics] of Object.entries(thresholds?.perScenario || {})) {
+    for (const [metric, conditions] of Object.entries(metrics)) {
+      add(`${SCENARIO_SCOPE}${scenario}`, metric, conditions, SCENARIO_METRICS)
+    }
+  }
+  return checks
+}
+
+function withRates(stats) {
+  const total = stats.total || 0
+  return {
+    ...stats,
+    errorRate: total > 0 ? stats.failure / total : 0,
+    successRate: total > 0 ? stats.success / total : 0,
+  }
+}
+
+/**
+ * Evaluate thresholds against a metrics summary
+ * @param {ReturnType<import('./metrics.js').Metrics['getSummary']>} summary - Summary from Metrics.getSummary()
+ * @param {ThresholdsConfig | string[]} thresholds - Thresholds config
+ * @returns {ThresholdsOutcome}
+ */
+export function evaluateThresholds(summary, thresholds) {
+  const results = parseThresholds(thresholds).map(({ scope, metric, condition, op, value }) => {
+    const stats =
+      scope === 'global' ? summary : scope.startsWith(SCENARIO_SCOPE) ? summary.perScenario?.[scope.slice(SCENARIO_SCOPE.length)] : summary.perTool?.[scope]
+    if (!stats) {
+      // A tool or scenario that never ran can't prove it met its limits
+      return { scope, metric, condition, actual: null, passed: false }
+    }
+    const actual = withRates(stats)[metric]
+    return { scope, metric, condition, actual, passed: OPERATORS[op](actual, value) }
+  })
+  return { passed: results.every((r) => r.passed), results }
+}
+
+/**
+ * Print a pass/fail table for evaluated thresholds
+ * @param {ThresholdsOutcome} outcome - Result of evaluateThresholds
+ */
+export function printThresholds(outcome) {
+  if (!outcome.results.length) return
+  const format = (metric, actual) => {
+    if (actual === null) return 'n/a'
+    if (metric.endsWith('Rate')) return `${(actual * 100).toFixed(2)}%`
+    return Number.isInteger(actual) ? String(actual) : actual.toFixed(2)
+  }
+  console.log('\n--- Thresholds ---')
+  for (const { scope, metric, condition, actual, passed } of outcome.results) {
+    const name = scope === 'global' ? metric : `${scope}.${metric}`
+    console.log(`  ${passed ? 'PASS' : 'FAIL'}  ${name} ${condition} (actual: ${format(metric, actual)})`)
+  }
+  console.log(outcome.passed ? 'All thresholds passed' : 'Some thresholds failed')
+}
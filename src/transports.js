@@ -0,0 +1,147 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js'
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js'
+import { getDefaultEnvironment, StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js'
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js'
+import { logger } from './logger.js'
+
+// What a server without a streamable HTTP endpoint answers the initialize POST with. Other failures would fail over SSE too
+const LEGACY_SERVER_STATUSES = [404, 405]
+
+/**
+ * @typedef {Object} TransportConfig
+ * @property {('streamable-http'|'sse'|'stdio')} [type] - Transport to use. Defaults to 'stdio' when `command` is set, otherwise streamable HTTP with SSE fallback
+ * @property {boolean} [fallback] - Fall back to SSE when the server answers the streamable HTTP connection with 404 or 405 (default: true unless `type` is set)
+ * @property {string} [command] - For stdio, the executable that starts the server
+ * @property {string[]} [args] - For stdio, arguments passed to `command`
+ * @property {Record<string, string>} [env] - For stdio, extra environment variables merged over the default inherited ones
+ * @property {string} [cwd] - For stdio, working directory of the server process
+ */
+
+/**
+ * Resolve which transport type a config asks for
+ * @param {TransportConfig} [transport] - Transport configuration
+ * @returns {'streamable-http'|'sse'|'stdio'}
+ */
+export function resolveTransportType(transport = {}) {
+  if (transport.type) {
+    return transport.type
+  }
+  return transport.command ? 'stdio' : 'streamable-http'
+}
+
+/**
+ * Create a transport instance of the given type
+ * @param {'streamable-http'|'sse'|'stdio'} type - Transport type
+ * @param {Object} params - Connection parameters
+ * @param {string} [params.serverUrl] - URL of the MCP server, for HTTP transports
+ * @param {Record<string, string>} [params.headers] - Headers sent with every HTTP request
+ * @param {TransportConfig} [params.transport] - Transport configuration
+ * @param {import('@modelcontextprotocol/sdk/client/auth.js').OAuthClientProvider} [params.authProvider] - OAuth provider, for HTTP transports
+ * @returns {import('@modelcontextprotocol/sdk/shared/transport.js').Transport}
+ */
+export function createTransport(type, { serverUrl, headers, transport = {}, authProvider }) {
+  if (type === 'stdio') {
+    if (!transport.command) {
+      throw new Error('transport.command is required for the stdio transport')
+    }
+    return new StdioClientTransport({
+      command: transport.command,
+      args: transport.args || [],
+      env: { ...getDefaultEnvironment(), ...transport.env },
+      cwd: transport.cwd,
+    })
+  }
+
+  if (!serverUrl) {
+    throw new Error(`serverUrl is required for the ${type} transport`)
+  }
+  const opts = {}
+  if (headers) {
+    opts.requestInit = { headers }
+  }
+  if (authProvider) {
+    opts.authProvider = authProvider
+  }
+  if (type === 'sse') {
+    return new SSEClientTransport(new URL(serverUrl), opts)
+  }
+  if (type === 'streamable-http') {
+    return new StreamableHTTPClientTransport(new URL(serverUrl), opts)
+  }
+  throw new Error(`Unsupported transport type: ${type}`)
+}
+
+/**
+ * @typedef {(phase: 'connect' | 'initialize', result: { success: boolean, duration: number, startedAt: number, error?: Error }) => void} PhaseListener
+ */
+
+/**
+ * Connect a client, reporting how long the transport took to start and how long the
+ * initialize handshake took. Streamable HTTP opens its connection lazily, so for it
+ * network setup is part of initialize.
+ * @param {Client} client - Unconnected client
+ * @param {import('@modelcontextprotocol/sdk/shared/transport.js').Transport} transport - Transport to connect over
+ * @param {PhaseListener} [onPhase] - Called when each phase succeeds or fails
+ */
+async function connectTimed(client, transport, onPhase = () => {}) {
+  let phase = 'connect'
+  let phaseStart = Date.now()
+  const start = transport.start.bind(transport)
+  transport.start = async () => {
+    await start()
+    onPhase('connect', { success: true, duration: Date.now() - phaseStart, startedAt: phaseStart })
+    phase = 'initialize'
+    phaseStart = Date.now()
+  }
+  try {
+    await client.connect(transport)
+  } catch (error) {
+    onPhase(phase, { success: false, duration: Date.now() - phaseStart, startedAt: phaseStart, error })
+    throw error
+  }
+  onPhase('initialize', { success: true, duration: Date.now() - phaseStart, startedAt: phaseStart })
+}
+
+/**
+ * Connect a new MCP client using the configured transport. When no transport type is
+ * forced, a streamable HTTP connection the server answers with 404 or 405 is retried over the
+ * legacy HTTP+SSE transport, as servers that predate streamable HTTP do.
+ * @param {Object} params - Connection parameters
+ * @param {() => Client} params.createClient - Creates a fresh, unconnected MCP client
+ * @param {string} [params.serverUrl] - URL of the MCP server, for HTTP transports
+ * @param {Record<string, string>} [params.headers] - Headers sent with every HTTP request
+ * @param {TransportConfig} [params.transport] - Transport configuration
+ * @param {import('@modelcontextprotocol/sdk/client/auth.js').OAuthClientProvider} [params.authProvider] - OAuth provider, for HTTP transports
+ * @param {PhaseListener} [params.onPhase] - Called with the duration of each connection phase
+ * @returns {Promise<{ client: Client, transport: import('@modelcontextprotocol/sdk/shared/transport.js').Transport, type: string }>}
+ */
+export async function connectClient({ createClient, serverUrl, headers, transport = {}, authProvider, onPhase }) {
+  const type = resolveTransportType(transport)
+  const fallback = transport.fallback ?? !transport.type
+  const client = createClient()
+  const primary = createTransport(type, { serverUrl, headers, transport, authProvider })
+  const retryable = type === 'streamable-http' && fallback
+  // Phases of an attempt that may be retried over SSE are held back, so a discarded attempt isn't reported as a failed session
+  const phases = []
+  try {
+    await connectTimed(client, primary, retryable ? (...phase) => phases.push(phase) : onPhase)
+    for (const phase of phases) onPhase?.(...phase)
+    return { client, transport: primary, type }
+  } catch (err) {
+    if (!retryable || !LEGACY_SERVER_STATUSES.includes(err?.code)) {
+      for (const phase of phases) onPhase?.(...phase)
+      throw err
+    }
+    logger.warn({ serverUrl, status: err.code, error: err.message }, 'Server has no streamable HTTP endpoint, falling back to SSE')
+    await client.close().catch(() => {})
+    // A client that failed to connect can't be reused, start over with a fresh one
+    const sseClient = createClient()
+    const sse = createTransport('sse', { serverUrl, headers, transport, authProvider })
+    try {
+      await connectTimed(sseClient, sse, onPhase)
+    } catch (sseErr) {
+      throw new Error(`Could not connect over streamable HTTP (${err.message}) nor SSE (${sseErr.message})`, { cause: err })
+    }
+    return { client: sseClient, transport: sse, type: 'sse' }
+  }
+}
@@ -0,0 +1,223 @@
+import http from 'node:http'
+import path from 'node:path'
+import { createHash, timingSafeEqual } from 'node:crypto'
+import { run } from './index.js'
+import { Metrics } from './metrics.js'
+import { validateConfig } from './config.js'
+import { toSample } from './distributed.js'
+import { logger } from './logger.js'
+import { parseReporterOption, reporters } from './reporters/index.js'
+
+const FLUSH_INTERVAL_MS = 250
+
+/**
+ * Metrics that send every sample on to the coordinator instead of aggregating it, in batches
+ */
+class ForwardingMetrics extends Metrics {
+  /**
+   * @param {(message: { type: 'samples', samples: [string, ...unknown[]][] }) => void} send - Sends a batch to the coordinator
+   */
+  constructor(send) {
+    super()
+    this.send = send
+    /** @type {[string, ...unknown[]][]} */
+    this.pending = []
+    this.timer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS)
+  }
+
+  record(params) {
+    this.pending.push(toSample('record', [params]))
+  }
+
+  recordSession(phase, result) {
+    this.pending.push(toSample('recordSession', [phase, result]))
+  }
+
+  recordPrompt(result) {
+    this.pending.push(toSample('recordPrompt', [result]))
+  }
+
+  recordDropped() {
+    this.pending.push(toSample('recordDropped', []))
+  }
+
+  recordIteration(scenario) {
+    this.pending.push(toSample('recordIteration', [scenario]))
+  }
+
+  recordServerMessage(method) {
+    this.pending.push(toSample('recordServerMessage', [method]))
+  }
+
+  // The coordinator prints the merged summary
+  printSummary() {}
+
+  flush() {
+    if (this.pending.length) {
+      this.send({ type: 'samples', samples: this.pending })
+      this.pending = []
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.flush()
+  }
+}
+
+/**
+ * Run a worker's share of the load: a 'ready' message, then samples, then 'done' or 'error', all through `send`
+ * @param {import('./index.js').LoadTestConfig} config - The worker's config, as split by the coordinator
+ * @param {(message: { type: 'ready' | 'samples' | 'done' | 'error', samples?: [string, ...unknown[]][], message?: string }) => void} send - Sends a message to the coordinator
+ * @param {AbortSignal} [signal] - Stops the run when aborted
+ * @returns {Promise<void>}
+ */
+export async function runWorker(config, send, signal) {
+  send({ type: 'ready' })
+  const metrics = new ForwardingMetrics(send)
+  try {
+    const errors = validateConfig(config)
+    if (errors.length) {
+      throw new Error(`Invalid config: ${errors.join('; ')}`)
+    }
+    // The coordinator handles signals and tells workers when to stop
+    await run({ ...config, metrics, signal, handleSignals: false })
+    metrics.stop()
+    send({ type: 'done' })
+  } catch (error) {
+    metrics.stop()
+    send({ type: 'error', message: error.message })
+  }
+}
+
+/**
+ * @typedef {Object} WorkerServerOptions
+ * @property {string} token - Secret coordinators must send as `Authorization: Bearer <token>`
+ * @property {number} [port] - Port to listen on (default: 7700)
+ * @property {string} [host] - Interface to listen on (default: '127.0.0.1')
+ * @property {boolean} [allowCommands] - Run configs whose `transport.command` launches a local server; anyone holding the token can then start processes (default: false)
+ * @property {string} [dir] - Directory that the files a config names are read from and written to (default: the working directory)
+ */
+
+// Hashing first makes the comparison constant-time whatever the token lengths
+function sameToken(a, b) {
+  const digest = (value) => createHash('sha256').update(value).digest()
+  return timingSafeEqual(digest(a), digest(b))
+}
+
+/**
+ * Stdio commands a config would launch, in the run or any of its scenarios
+ * @param {import('./index.js').LoadTestConfig} config - Config from a coordinator
+ * @returns {string[]}
+ */
+function commandsOf(config) {
+  return [config, ...Object.values(config.scenarios || {})].map((options) => options?.transport?.command).filter(Boolean)
+}
+
+/**
+ * Resolve the files a coordinator's config reads or writes inside the worker's directory: feeders, call logs, credentials,
+ * baselines, the call record and reports, in the run and any of its scenarios. Absolute paths and `..` are refused, as they
+ * would let anyone holding the token read or overwrite any file the worker can
+ * @param {import('./index.js').LoadTestConfig} config - Config from a coordinator
+ * @param {string} dir - The worker's directory
+ * @returns {{ config: import('./index.js').LoadTestConfig, errors: string[] }}
+ */
+export function confineFiles(config, dir) {
+  const errors = []
+  const inDir = (where, file) => {
+    if (typeof file !== 'string') return file
+    if (path.isAbsolute(file) || file.split(/[\\/]/).includes('..')) {
+      errors.push(`${where} must be a relative path inside the worker's directory. Got: ${file}`)
+      return file
+    }
+    return path.join(dir, file)
+  }
+  const confine = (options, prefix) => {
+    if (!options || typeof options !== 'object') return options
+    const confined = { ...options }
+    if (options.feeders && typeof options.feeders === 'object') {
+      confined.feeders = Object.fromEntries(
+        Object.entries(options.feeders).map(([name, feeder]) => [name, feeder?.file === undefined ? feeder : { ...feeder, file: inDir(`${prefix}feeders.${name}.file`, feeder.file) }])
+      )
+    }
+    if (options.replay?.file !== undefined) confined.replay = { ...options.replay, file: inDir(`${prefix}replay.file`, options.replay.file) }
+    if (options.auth?.credentialsFile !== undefined) confined.auth = { ...options.auth, credentialsFile: inDir(`${prefix}auth.credentialsFile`, options.auth.credentialsFile) }
+    if (options.compare?.baseline !== undefined) confined.compare = { ...options.compare, baseline: inDir(`${prefix}compare.baseline`, options.compare.baseline) }
+    if (options.record !== undefined) confined.record = inDir(`${prefix}record`, options.record)
+    if (Array.isArray(options.reporters)) {
+      // Reports without an output would land in the working directory, so give them their default name inside the worker's
+      confined.reporters = options.reporters.map((entry, index) => {
+        const { output = `benchmark-report.${reporters.get(parseReporterOption(entry).type)?.extension}`, ...reporter } = parseReporterOption(entry)
+        return { ...reporter, output: inDir(`${prefix}reporters[${index}]`, output) }
+      })
+    }
+    return confined
+  }
+  const confined = confine(config, '')
+  if (config?.scenarios && typeof config.scenarios === 'object') {
+    confined.scenarios = Object.fromEntries(Object.entries(config.scenarios).map(([name, scenario]) => [name, confine(scenario, `scenarios.${name}.`)]))
+  }
+  return { config: confined, errors }
+}
+
+/**
+ * Serve load tests to remote coordinators until closed. A coordinator POSTs `{ config }` to `/run` with the shared token
+ * and reads the samples back as newline-delimited JSON; disconnecting stops the run.
+ * @param {WorkerServerOptions} options - Token and where to listen
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export async function startWorkerServer({ token, port = 7700, host = '127.0.0.1', allowCommands = false, dir = process.cwd() }) {
+  if (!token) {
+    throw new Error('A worker needs a token, so only coordinators that know it can run load tests on it')
+  }
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'POST' || new URL(req.url, 'http://localhost').pathname !== '/run') {
+      res.writeHead(404).end()
+      return
+    }
+    const [scheme, sent] = (req.headers.authorization || '').split(' ')
+    if (scheme !== 'Bearer' || !sent || !sameToken(sent, token)) {
+      logger.warn({ coordinator: req.socket.remoteAddress }, 'Rejected coordinator without a valid token')
+      res.writeHead(401).end('Missing or wrong worker token')
+      return
+    }
+    let config
+    try {
+      let body = ''
+      for await (const chunk of req) body += chunk
+      config = JSON.parse(body).config
+    } catch (error) {
+      res.writeHead(400).end(`Invalid request: ${error.message}`)
+      return
+    }
+    const commands = commandsOf(config)
+    if (commands.length && !allowCommands) {
+      res.writeHead(403).end(`This worker doesn't launch stdio servers (${commands.join(', ')}). Start it with --allow-commands to allow them`)
+      return
+    }
+    const confined = confineFiles(config, path.resolve(dir))
+    if (confined.errors.length) {
+      res.writeHead(403).end(`This worker only uses files inside its directory: ${confined.errors.join('; ')}`)
+      return
+    }
+    config = confined.config
+    logger.info({ coordinator: req.socket.remoteAddress }, 'Running load test for coordinator')
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' })
+    // A coordinator that disconnects is stopping or has failed, so the run stops too
+    const stop = new AbortController()
+    res.on('close', () => stop.abort())
+    await runWorker(config, (message) => res.write(`${JSON.stringify(message)}\n`), stop.signal)
+    res.end()
+  })
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, resolve)
+  })
+  const address = /** @type {import('node:net').AddressInfo} */ (server.address())
+  const url = `http://${host}:${address.port}`
+  logger.info({ url }, 'Worker waiting for coordinators')
+  return {
+    url,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  }
+}
@@ -0,0 +1,16 @@
+import { parentPort } from 'node:worker_threads'
+import { runWorker } from './worker.js'
+import { stopRuns } from './shutdown.js'
+
+// Entry point of local workers, started by the coordinator as a child process or a worker thread
+const send = parentPort ? (message) => parentPort.postMessage(message) : (message) => process.send(message)
+const channel = parentPort || process
+channel.on('message', (message) => {
+  if (message.type === 'run') runWorker(message.config, send)
+  // The first stop lets in-flight calls drain, the second cancels them
+  if (message.type === 'stop') stopRuns('coordinator')
+})
+if (!parentPort) {
+  // Ctrl-C reaches the whole process group; the coordinator tells workers when to stop
+  process.on('SIGINT', () => {})
+}
@@ -0,0 +1,125 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { run, registerAIProvider } from '../src/index.js'
+import { validateConfig } from '../src/config.js'
+import { MaxTurnsError, toolResultText } from '../src/aiClients/common.js'
+import runOpenAICompatible from '../src/aiClients/openai-compatible-client.js'
+import { startTestServer } from './helpers.js'
+
+let server
+
+// A Chat Completions API answering with the given messages in turn, keeping every request body
+async function startChatStub(replies) {
+  const requests = []
+  const stub = http.createServer(async (req, res) => {
+    let body = ''
+    for await (const chunk of req) body += chunk
+    requests.push({ url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) })
+    const message = replies[Math.min(requests.length, replies.length) - 1]
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ model: 'stub-1', choices: [{ message }], usage: { prompt_tokens: 10, completion_tokens: 5 } }))
+  })
+  await new Promise((resolve) => stub.listen(0, '127.0.0.1', resolve))
+  const { port } = /** @type {import('node:net').AddressInfo} */ (stub.address())
+  return { baseUrl: `http://127.0.0.1:${port}/v1/`, requests, close: () => new Promise((resolve) => stub.close(resolve)) }
+}
+
+const callEcho = (message) => ({ role: 'assistant', content: null, tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'echo', arguments: JSON.stringify({ message }) } }] })
+
+before(async () => {
+  server = await startTestServer()
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await server.close()
+})
+
+describe('registerAIProvider', () => {
+  it('needs a run function', () => {
+    assert.throws(() => registerAIProvider('broken', {}), /AI provider 'broken' must have a run function/)
+  })
+
+  it('makes the provider available to runs, with its tool calls measured', async () => {
+    registerAIProvider('scripted', {
+      run: async (prompt, options, { tools, callTool }) => {
+        const result = await callTool('echo', { message: prompt })
+        return { text: toolResultText(result), model: options.model, toolCalls: ['echo'], turns: tools.length, usage: { input: 3, output: 1 } }
+      },
+    })
+    const summary = await run({ serverUrl: server.url, mode: 'ai', numCalls: 3, delayBetweenCalls: 0, aiClient: { client: 'scripted', model: 'script-1', prompt: 'hello' } })
+    assert.equal(summary.perTool.echo.success, 3)
+    assert.deepEqual(
+      { prompts: summary.ai.prompts, success: summary.ai.success, turns: summary.ai.turns, toolCalls: summary.ai.toolCalls, models: summary.ai.models },
+      { prompts: 3, success: 3, turns: 2, toolCalls: { total: 3, perPrompt: 1, perTool: { echo: 3 } }, models: { 'script-1': 3 } }
+    )
+    assert.deepEqual(summary.ai.tokens, { input: 9, output: 3, total: 12, perPrompt: 4 })
+  })
+
+  it('records what a failed prompt did before it gave up', async () => {
+    registerAIProvider('stuck', {
+      run: async () => {
+        throw new MaxTurnsError(2, { text: '', toolCalls: ['echo', 'echo'], turns: 2, usage: { input: 4, output: 2 } })
+      },
+    })
+    const summary = await run({ serverUrl: server.url, mode: 'ai', numCalls: 1, aiClient: { client: 'stuck', model: 'stuck-1', prompt: 'loop' } })
+    assert.equal(summary.ai.failure, 1)
+    assert.deepEqual(summary.ai.toolCalls.perTool, { echo: 2 })
+    assert.deepEqual(summary.ai.models, { 'stuck-1': 1 })
+    assert.deepEqual(summary.errors, { 'prompt: No final answer after 2 turns': 1 })
+  })
+})
+
+describe('openai-compatible client', () => {
+  it('calls the tools the model asks for until it answers', async () => {
+    const stub = await startChatStub([callEcho('hi'), { role: 'assistant', content: 'The server said hi' }])
+    try {
+      const summary = await run({
+        serverUrl: server.url,
+        mode: 'ai',
+        toolNames: ['echo'],
+        aiClient: { client: 'openai-compatible', model: 'stub', prompt: 'Say hi', config: { baseUrl: stub.baseUrl, key: 'sk-test', parameters: { temperature: 0 } } },
+      })
+      assert.equal(summary.perTool.echo.success, 1)
+      assert.deepEqual({ success: summary.ai.success, turns: summary.ai.turns, models: summary.ai.models }, { success: 1, turns: 2, models: { 'stub-1': 1 } })
+      const [first, second] = stub.requests
+      assert.equal(first.url, '/v1/chat/completions')
+      assert.equal(first.authorization, 'Bearer sk-test')
+      assert.equal(first.body.temperature, 0)
+      assert.deepEqual(
+        first.body.tools.map((tool) => tool.function.name),
+        ['echo']
+      )
+      assert.deepEqual(second.body.messages.at(-1), { role: 'tool', tool_call_id: 'call-1', content: '{"message":"hi"}' })
+    } finally {
+      await stub.close()
+    }
+  })
+
+  it('gives up after maxTurns, and tells the model about malformed arguments', async () => {
+    const malformed = { role: 'assistant', tool_calls: [{ id: 'bad', type: 'function', function: { name: 'echo', arguments: '{message' } }] }
+    const stub = await startChatStub([malformed])
+    const callTool = mock.fn()
+    try {
+      await assert.rejects(
+        runOpenAICompatible('loop', { model: 'stub', maxTurns: 2, config: { baseUrl: stub.baseUrl } }, { tools: [], callTool }),
+        (error) => error instanceof MaxTurnsError && error.result.turns === 2 && error.result.usage.input === 20
+      )
+      assert.equal(callTool.mock.callCount(), 0)
+      assert.match(stub.requests[1].body.messages.at(-1).content, /^Invalid tool arguments/)
+      await assert.rejects(runOpenAICompatible('x', { config: { baseUrl: stub.baseUrl } }, { tools: [], callTool }), /model is required/)
+    } finally {
+      await stub.close()
+    }
+  })
+})
+
+describe('aiClient validation', () => {
+  it('checks the provider, registered ones included, and maxTurns', () => {
+    assert.deepEqual(validateConfig({ serverUrl: 'http://localhost/mcp', aiClient: { prompt: 'hi', client: 'nope', maxTurns: 0 } }), [
+      "Unknown AI client 'nope'. Registered: gemini, chatgpt, openai-compatible, scripted, stuck",
+      'aiClient.maxTurns must be a positive integer. Got: 0',
+    ])
+  })
+})
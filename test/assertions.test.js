@@ -0,0 +1,93 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { run } from '../src/index.js'
+import { AssertionError, checkExpectations, getToolOutput } from '../src/assertions.js'
+import { TOOLS, skipWithoutJq, startTestServer } from './helpers.js'
+
+const text = (value) => ({ content: [{ type: 'text', text: typeof value === 'string' ? value : JSON.stringify(value) }] })
+const tool = { name: 'quote', outputSchema: { type: 'object', properties: { price: { type: 'number' } }, required: ['price'] } }
+
+describe('getToolOutput', () => {
+  it('prefers structuredContent, then parsed JSON text, then the raw text', () => {
+    assert.deepEqual(getToolOutput({ structuredContent: { a: 1 }, ...text({ b: 2 }) }), { a: 1 })
+    assert.deepEqual(getToolOutput(text({ b: 2 })), { b: 2 })
+    assert.equal(getToolOutput(text('plain')), 'plain')
+    assert.equal(getToolOutput({ content: [] }), null)
+  })
+})
+
+describe('checkExpectations', () => {
+  it('validates structuredContent against the outputSchema', async () => {
+    assert.deepEqual(await checkExpectations({ tool, result: { structuredContent: { price: 3 } }, duration: 1 }), [])
+    const [invalid] = await checkExpectations({ tool, result: { structuredContent: { price: 'free' } }, duration: 1 })
+    assert.equal(invalid.assertion, 'outputSchema')
+    assert.match(invalid.message, /must be number/)
+    const [missing] = await checkExpectations({ tool, result: text('{}'), duration: 1 })
+    assert.match(missing.message, /returned no structuredContent/)
+  })
+
+  it('skips the outputSchema when turned off', async () => {
+    assert.deepEqual(await checkExpectations({ tool, result: text('{}'), duration: 1, expect: { outputSchema: false } }), [])
+  })
+
+  it('checks latency and content type', async () => {
+    const failures = await checkExpectations({ tool: { name: 'echo' }, result: text('not json'), duration: 80, expect: { maxLatency: 50, contentType: 'json' } })
+    assert.deepEqual(
+      failures.map((failure) => failure.assertion),
+      ['maxLatency: 50', 'contentType: json']
+    )
+    assert.deepEqual(await checkExpectations({ tool: { name: 'echo' }, result: text('{}'), duration: 10, expect: { maxLatency: 50, contentType: 'json' } }), [])
+  })
+
+  it('requires every jq expression to be truthy', { skip: skipWithoutJq }, async () => {
+    const result = text({ items: [1, 2] })
+    assert.deepEqual(await checkExpectations({ tool: { name: 'echo' }, result, duration: 1, expect: { jq: ['.items | length == 2', '.items[0] == 1'] } }), [])
+    const failures = await checkExpectations({ tool: { name: 'echo' }, result, duration: 1, expect: { jq: '.missing' } })
+    assert.deepEqual(failures, [{ assertion: 'jq: .missing', message: 'evaluated to null' }])
+  })
+
+  it('names every failed rule in the error', () => {
+    const error = new AssertionError([
+      { assertion: 'maxLatency: 50', message: 'took 80 ms' },
+      { assertion: 'outputSchema', message: 'bad' },
+    ])
+    assert.equal(error.assertion, 'maxLatency: 50')
+    assert.equal(error.message, 'maxLatency: 50 (took 80 ms); outputSchema (bad)')
+  })
+})
+
+describe('assertions during a run', () => {
+  let server
+
+  before(async () => {
+    server = await startTestServer({
+      tools: [
+        ...TOOLS,
+        { ...tool, inputSchema: { type: 'object' }, handler: () => ({ ...text('{}'), structuredContent: { price: 'free' } }) },
+      ],
+    })
+    mock.method(console, 'log', () => {})
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await server.close()
+  })
+
+  it('fails calls whose structuredContent breaks the outputSchema', async () => {
+    const summary = await run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['quote'], numCalls: 3 })
+    assert.equal(summary.failure, 3)
+    assert.deepEqual(summary.failureTypes, { assertion: 3 })
+    assert.deepEqual(summary.assertionFailures, { 'quote: outputSchema': 3 })
+  })
+
+  it('lets validateOutputSchema turn the check off', async () => {
+    const summary = await run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['quote'], numCalls: 2, validateOutputSchema: false })
+    assert.equal(summary.success, 2)
+  })
+
+  it('applies the assertions configured for a tool', async () => {
+    const summary = await run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['echo'], numCalls: 2, assertions: { echo: { contentType: 'image' } } })
+    assert.deepEqual(summary.assertionFailures, { 'echo: contentType: image': 2 })
+  })
+})
@@ -0,0 +1,177 @@
+import { after, before, beforeEach, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { run } from '../src/index.js'
+import { validateConfig } from '../src/config.js'
+import { loadCredentials, validateAuth } from '../src/auth.js'
+import { TOOLS, startTestServer } from './helpers.js'
+
+const CLIENTS = { a: 'secret-a', b: 'secret-b' }
+
+let server
+let dir
+/** Access tokens the server accepts, mapped to the client they were issued to */
+const accessTokens = new Map()
+/** Refresh tokens the authorization server accepts, mapped to their client */
+const refreshTokens = new Map([['refresh-c', 'c']])
+/** Grants requested from the token endpoint, as `grant_type client_id` */
+const grants = []
+/** Clients whose tokens reached the MCP endpoint */
+const callers = new Set()
+let issued = 0
+
+const sendJson = (res, status, body) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body))
+
+// Issues tokens for client credentials (basic or post authentication) and refresh tokens
+async function token(req, res) {
+  let body = ''
+  for await (const chunk of req) body += chunk
+  const params = new URLSearchParams(body)
+  const [basicId, basicSecret] = req.headers.authorization?.startsWith('Basic ')
+    ? Buffer.from(req.headers.authorization.slice(6), 'base64').toString().split(':').map(decodeURIComponent)
+    : []
+  const clientId = basicId ?? params.get('client_id')
+  const grant = params.get('grant_type')
+  grants.push(`${grant} ${clientId}`)
+  if (grant === 'client_credentials' && CLIENTS[clientId] !== (basicSecret ?? params.get('client_secret'))) {
+    return sendJson(res, 401, { error: 'invalid_client' })
+  }
+  if (grant === 'refresh_token' && refreshTokens.get(params.get('refresh_token')) !== clientId) {
+    return sendJson(res, 400, { error: 'invalid_grant' })
+  }
+  const accessToken = `access-${clientId}-${++issued}`
+  accessTokens.set(accessToken, clientId)
+  sendJson(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 3600, ...(grant === 'refresh_token' && { refresh_token: params.get('refresh_token') }) })
+}
+
+// Serves protected resource and authorization server metadata and the token endpoint, and refuses MCP requests without a valid token
+function authorize(req, res) {
+  const origin = new URL(server.url).origin
+  const { pathname } = new URL(req.url, origin)
+  if (pathname.startsWith('/.well-known/oauth-protected-resource')) {
+    sendJson(res, 200, { resource: server.url, authorization_servers: [origin] })
+  } else if (pathname === '/.well-known/oauth-authorization-server') {
+    sendJson(res, 200, {
+      issuer: origin,
+      authorization_endpoint: `${origin}/authorize`,
+      token_endpoint: `${origin}/token`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['client_credentials', 'refresh_token'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    })
+  } else if (pathname === '/token') {
+    token(req, res)
+  } else if (pathname.startsWith('/.well-known/')) {
+    res.writeHead(404).end()
+  } else {
+    const client = accessTokens.get(req.headers.authorization?.replace(/^Bearer /, ''))
+    if (client) {
+      callers.add(client)
+      return false
+    }
+    res.writeHead(401, { 'WWW-Authenticate': `Bearer resource_metadata="${origin}/.well-known/oauth-protected-resource/mcp"` }).end()
+  }
+  return true
+}
+
+// Runs with credentials issued by the test server's authorization server, so the SDK only sends them there
+function load({ auth, ...config }) {
+  return run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['echo'], auth: { issuer: new URL(server.url).origin, ...auth }, ...config })
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-mcp-auth-'))
+  server = await startTestServer({
+    handle: authorize,
+    // Revoking every token makes the next request get a 401, like an expired token would
+    tools: [
+      ...TOOLS,
+      {
+        name: 'revoke',
+        inputSchema: { type: 'object' },
+        handler: () => {
+          accessTokens.clear()
+          return { content: [{ type: 'text', text: 'revoked' }] }
+        },
+      },
+    ],
+  })
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await server.close()
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+beforeEach(() => {
+  grants.length = 0
+  callers.clear()
+})
+
+describe('client credentials', () => {
+  it('get a token before the first request', async () => {
+    const summary = await load({ numCalls: 3, auth: { type: 'client-credentials', clientId: 'a', clientSecret: 'secret-a' } })
+    assert.equal(summary.success, 3)
+    assert.deepEqual(grants, ['client_credentials a'])
+    assert.deepEqual([...callers], ['a'])
+  })
+
+  it('come from the credentials file, one entry per virtual user', async () => {
+    const file = path.join(dir, 'tenants.yaml')
+    fs.writeFileSync(file, '- clientId: a\n  clientSecret: secret-a\n- clientId: b\n  clientSecret: secret-b\n')
+    const summary = await load({ numCalls: 4, concurrency: 2, auth: { type: 'client-credentials', credentialsFile: file } })
+    assert.equal(summary.success, 4)
+    assert.deepEqual(grants.sort(), ['client_credentials a', 'client_credentials b'])
+    assert.deepEqual([...callers].sort(), ['a', 'b'])
+  })
+
+  it('get a new token when the server rejects the current one', async () => {
+    const summary = await load({
+      numCalls: 1,
+      toolNames: undefined,
+      sequence: [{ toolName: 'revoke' }, { toolName: 'echo', staticInputs: { message: 'after' } }],
+      auth: { type: 'client-credentials', clientId: 'b', clientSecret: 'secret-b' },
+    })
+    assert.equal(summary.success, 2)
+    assert.deepEqual(grants, ['client_credentials b', 'client_credentials b'])
+  })
+
+  it('fail the run when the authorization server refuses them', async () => {
+    await assert.rejects(load({ numCalls: 1, auth: { type: 'client-credentials', clientId: 'a', clientSecret: 'wrong' } }))
+    assert.equal(callers.size, 0)
+  })
+})
+
+describe('refresh tokens', () => {
+  it('replace an access token the server refuses', async () => {
+    const summary = await load({ numCalls: 2, auth: { type: 'oauth', clientId: 'c', accessToken: 'expired', refreshToken: 'refresh-c' } })
+    assert.equal(summary.success, 2)
+    assert.deepEqual(grants, ['refresh_token c'])
+    assert.deepEqual([...callers], ['c'])
+  })
+})
+
+describe('validateAuth', () => {
+  it('checks every set of credentials', () => {
+    const file = path.join(dir, 'bad.json')
+    fs.writeFileSync(file, JSON.stringify([{ clientId: 'a' }, { type: 'oauth' }]))
+    assert.deepEqual(validateAuth({ type: 'client-credentials', credentialsFile: file }), [
+      `${file}[0] is missing clientSecret`,
+      `${file}[1] is missing clientId`,
+      `${file}[1] needs accessToken or refreshToken`,
+    ])
+    assert.deepEqual(validateAuth({ type: 'basic', clientId: 'a' }), ["auth has unknown type 'basic'. Supported: client-credentials, oauth"])
+    assert.deepEqual(validateConfig({ transport: { command: 'server' }, auth: { type: 'oauth', clientId: 'a', refreshToken: 'r' } }), ['auth only applies to HTTP transports'])
+  })
+
+  it('rejects missing and empty credentials files', () => {
+    const empty = path.join(dir, 'empty.json')
+    fs.writeFileSync(empty, '[]')
+    assert.throws(() => loadCredentials({ credentialsFile: empty }), /must contain a non-empty list/)
+    assert.throws(() => loadCredentials({ credentialsFile: path.join(dir, 'none.json') }), /Credentials file not found/)
+  })
+})
@@ -0,0 +1,79 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { run } from '../src/index.js'
+import { readCallLog } from '../src/callLog.js'
+import { startTestServer } from './helpers.js'
+
+let server
+let dir
+
+// Runs against the test server and returns the calls it recorded
+async function record(name, config) {
+  const file = path.join(dir, name)
+  await run({ serverUrl: server.url, delayBetweenCalls: 0, record: file, ...config })
+  return readCallLog(file)
+}
+
+const callsOf = (log) => log.calls.map(({ toolName, args }) => ({ toolName, args }))
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-mcp-calllog-'))
+  server = await startTestServer()
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await server.close()
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+describe('seeded runs', () => {
+  it('pick the same tools and arguments for the same seed', async () => {
+    const first = await record('first.json', { numCalls: 6, seed: 42 })
+    const second = await record('second.json', { numCalls: 6, seed: 42 })
+    assert.equal(first.seed, 42)
+    assert.equal(first.calls.length, 6)
+    assert.deepEqual(callsOf(second), callsOf(first))
+  })
+
+  it('pick different arguments for a different seed', async () => {
+    const first = await record('seed-1.json', { numCalls: 6, seed: 1 })
+    const second = await record('seed-2.json', { numCalls: 6, seed: 2 })
+    assert.notDeepEqual(callsOf(second), callsOf(first))
+  })
+})
+
+describe('replay', () => {
+  it('re-issues the recorded calls with the same arguments', async () => {
+    const original = await record('original.json', { numCalls: 5, seed: 7 })
+    const replayed = await record('replayed.json', { replay: { file: path.join(dir, 'original.json') } })
+    assert.deepEqual(callsOf(replayed), callsOf(original))
+  })
+
+  it('keeps the recorded offsets with preserveTiming', async () => {
+    const file = path.join(dir, 'timed.json')
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        version: 1,
+        calls: [
+          { toolName: 'echo', args: { message: 'a' }, offset: 0 },
+          { toolName: 'echo', args: { message: 'b' }, offset: 150 },
+        ],
+      })
+    )
+    const replayed = await record('timed-replay.json', { replay: { file, preserveTiming: true } })
+    assert.ok(replayed.calls[1].offset >= 140, `second call started after ${replayed.calls[1].offset}ms`)
+  })
+
+  it('rejects missing and malformed call logs', () => {
+    assert.throws(() => readCallLog(path.join(dir, 'missing.json')), /Replay file not found/)
+    const file = path.join(dir, 'bad.json')
+    fs.writeFileSync(file, JSON.stringify({ version: 2, calls: [] }))
+    assert.throws(() => readCallLog(file), /Unsupported replay file format/)
+  })
+})
@@ -0,0 +1,173 @@
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFile } from 'node:child_process'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseTarget, resolveConfig } from '../src/cli.js'
+import { startTestServer } from './helpers.js'
+
+const BIN = fileURLToPath(new URL('../bin/benchmark-mcp.js', import.meta.url))
+
+let server
+let dir
+
+// Runs the CLI in its own process, resolving with its exit code and output
+function cli(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BIN, ...args], { cwd: dir, env: { ...process.env, LOG_LEVEL: 'silent', ...env } }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr })
+    })
+  })
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-mcp-cli-'))
+  server = await startTestServer()
+})
+
+after(async () => {
+  await server.close()
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+describe('parseTarget', () => {
+  it('reads URLs as the server URL and anything else as a stdio command', () => {
+    assert.deepEqual(parseTarget('https://example.com/mcp'), { serverUrl: 'https://example.com/mcp' })
+    assert.deepEqual(parseTarget('node server.js --port 3000'), { transport: { type: 'stdio', command: 'node', args: ['server.js', '--port', '3000'] } })
+  })
+
+  it('keeps quoted arguments together, and takes an argv array as is', () => {
+    assert.deepEqual(parseTarget(`node "my server.js" --name='a b' x\\ y "say \\"hi\\""`).transport.args, ['my server.js', '--name=a b', 'x y', 'say "hi"'])
+    assert.deepEqual(parseTarget(['npx', '-y', 'https://x']), { transport: { type: 'stdio', command: 'npx', args: ['-y', 'https://x'] } })
+    assert.throws(() => parseTarget('node "server.js'), /Unterminated quote/)
+  })
+})
+
+describe('resolveConfig', () => {
+  it('lets flags override the config file, and the target replace its server', () => {
+    const file = path.join(dir, 'base.yaml')
+    fs.writeFileSync(file, 'transport:\n  command: old-server\nnumCalls: 100\nheaders:\n  X-Team: a\nthresholds:\n  - p95 < 500\n')
+    const config = resolveConfig({ calls: '5', header: ['X-Run: b'], threshold: ['errorRate < 1%'] }, { target: 'http://localhost:3000/mcp', configFile: file })
+    assert.deepEqual(config, {
+      serverUrl: 'http://localhost:3000/mcp',
+      numCalls: 5,
+      headers: { 'X-Team': 'a', 'X-Run': 'b' },
+      thresholds: ['p95 < 500', 'errorRate < 1%'],
+    })
+  })
+
+  it('sets any field with --set, parsing JSON values', () => {
+    const config = resolveConfig({ set: ['mockData.fields=required', 'toolWeights={"echo":2}'] }, { target: 'http://localhost/mcp' })
+    assert.deepEqual(config.mockData, { fields: 'required' })
+    assert.deepEqual(config.toolWeights, { echo: 2 })
+  })
+
+  it('rejects malformed flags', () => {
+    assert.throws(() => resolveConfig({ calls: 'many' }), /--calls expects a number. Got: 'many'/)
+    assert.throws(() => resolveConfig({ header: ['nocolon'] }), /--header expects 'Name: value'/)
+  })
+})
+
+describe('benchmark-mcp', () => {
+  it('makes --calls calls in total, shared by the --concurrency virtual users', async () => {
+    const { code } = await cli(['run', server.url, '--calls', '9', '--concurrency', '3', '--delay', '0', '--tools', 'echo', '--reporter', 'json:report.json'])
+    assert.equal(code, 0)
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'))
+    assert.equal(report.total, 9)
+    assert.equal(report.perTool.echo.success, 9)
+  })
+
+  it('reads a YAML config with environment variables', async () => {
+    fs.writeFileSync(path.join(dir, 'load.yaml'), 'serverUrl: ${TARGET}\nnumCalls: 4\ndelayBetweenCalls: 0\ntoolNames: [echo]\nreporters: ["json:yaml-report.json"]\n')
+    const { code } = await cli(['run', 'load.yaml'], { TARGET: server.url })
+    assert.equal(code, 0)
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'yaml-report.json'), 'utf8')).total, 4)
+  })
+
+  it('exits with 1 when a threshold is breached', async () => {
+    const { code } = await cli(['run', server.url, '-n', '2', '--delay', '0', '--threshold', 'total > 2'])
+    assert.equal(code, 1)
+  })
+
+  it('prints the resolved config with secrets masked on --dry-run', async () => {
+    const { code, stdout } = await cli(['run', server.url, '--dry-run', '-H', 'Authorization: Bearer abc'])
+    assert.equal(code, 0)
+    assert.deepEqual(JSON.parse(stdout), { serverUrl: server.url, headers: { Authorization: '***' } })
+  })
+
+  it('lists the tools of a server', async () => {
+    const { code, stdout } = await cli(['list-tools', server.url])
+    assert.equal(code, 0)
+    assert.equal(stdout, 'echo(message)\nadd(a, b)\n')
+  })
+
+  it('compares two saved reports, exiting with 1 on a regression', async () => {
+    await cli(['run', server.url, '-n', '30', '--delay', '0', '--tools', 'echo', '-r', 'json:baseline.json'])
+    const baseline = JSON.parse(fs.readFileSync(path.join(dir, 'baseline.json'), 'utf8'))
+    fs.writeFileSync(path.join(dir, 'failing.json'), JSON.stringify({ ...baseline, failure: 30, perTool: { echo: { ...baseline.perTool.echo, failure: 30 } } }))
+    const same = await cli(['compare', 'baseline.json', 'baseline.json', '--json'])
+    assert.equal(same.code, 0)
+    assert.equal(JSON.parse(same.stdout).regressions, 0)
+    const { code, stdout } = await cli(['compare', 'baseline.json', 'failing.json', '--json'])
+    assert.equal(code, 1)
+    assert.deepEqual(
+      JSON.parse(stdout)
+        .results.filter((result) => result.verdict === 'regression')
+        .map((result) => `${result.scope} ${result.metric}`),
+      ['global errorRate', 'echo errorRate']
+    )
+  })
+
+  it('serves a mock server over stdio', async () => {
+    fs.writeFileSync(path.join(dir, 'mock.yaml'), 'tools:\n  - name: ping\n  - name: lookup\n    inputSchema: { type: object, properties: { id: { type: string } } }\n')
+    const { code, stdout } = await cli(['list-tools', `${process.execPath} ${BIN} mock mock.yaml --transport stdio`])
+    assert.equal(code, 0)
+    assert.equal(stdout, 'ping()\nlookup(id?)\n')
+  })
+
+  it('launches stdio servers with spaces in their arguments, quoted or after --', async () => {
+    fs.writeFileSync(path.join(dir, 'mock server.yaml'), 'tools:\n  - name: ping\n')
+    const quoted = await cli(['list-tools', `"${process.execPath}" "${BIN}" mock 'mock server.yaml' --transport stdio`])
+    assert.equal(quoted.stdout, 'ping()\n')
+    const argv = await cli(['list-tools', '--', process.execPath, BIN, 'mock', 'mock server.yaml', '--transport', 'stdio'])
+    assert.equal(argv.code, 0)
+    assert.equal(argv.stdout, 'ping()\n')
+  })
+
+  it('writes the partial report and exits like the signal would when interrupted', async () => {
+    const child = execFile(process.execPath, [BIN, 'run', server.url, '--duration', '30s', '--delay', '0', '--tools', 'echo', '-r', 'json:partial.json'], { cwd: dir, env: { ...process.env, LOG_LEVEL: 'silent' } })
+    const exited = new Promise((resolve) => child.on('exit', resolve))
+    // Once the run is under way
+    setTimeout(() => child.kill('SIGINT'), 2500)
+    assert.equal(await exited, 130)
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'partial.json'), 'utf8'))
+    assert.equal(report.interrupted, 'SIGINT')
+    assert.ok(report.total > 0)
+  })
+
+  it('forwards a client to the server through the recording proxy', async () => {
+    const { code, stdout } = await cli(['list-tools', `${process.execPath} ${BIN} proxy ${server.url} --transport stdio -o proxied.yaml`])
+    assert.equal(code, 0)
+    assert.equal(stdout, 'echo(message)\nadd(a, b)\n')
+    // Written once the client closes the proxy's stdin
+    assert.match(fs.readFileSync(path.join(dir, 'proxied.yaml'), 'utf8'), /serverUrl: /)
+    const missing = await cli(['proxy'])
+    assert.equal(missing.code, 1)
+    assert.match(missing.stderr, /proxy needs the server to forward to/)
+  })
+
+  it('refuses to start a worker without a token', async () => {
+    const { code, stderr } = await cli(['worker', '--port', '0'], { BENCHMARK_MCP_WORKER_TOKEN: '' })
+    assert.equal(code, 1)
+    assert.match(stderr, /worker needs a token shared with its coordinators/)
+  })
+
+  it('validates config files without connecting', async () => {
+    fs.writeFileSync(path.join(dir, 'invalid.json'), JSON.stringify({ serverUrl: 'http://localhost/mcp', concurrency: -2 }))
+    const { code, stderr } = await cli(['validate', 'invalid.json'])
+    assert.equal(code, 1)
+    assert.match(stderr, /concurrency must be a non-negative number. Got: -2/)
+  })
+})
@@ -0,0 +1,142 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { run } from '../src/index.js'
+import { Metrics } from '../src/metrics.js'
+import { compareRuns, loadResults, mannWhitneyU, parseTolerance, proportionTest } from '../src/compare.js'
+import { TOOLS, startTestServer } from './helpers.js'
+
+// A run of `count` calls whose durations spread evenly around `median`, failing `failures` of them
+function summaryOf({ median, count = 200, failures = 0, toolName = 'echo' }) {
+  const metrics = new Metrics()
+  for (let i = 0; i < count; i++) {
+    metrics.record({ toolName, success: i >= failures, duration: median * (0.8 + (0.4 * i) / count) })
+  }
+  return metrics.getSummary()
+}
+
+// Throughput depends on how long the test took to record the calls, so it is left out
+const METRICS = ['p50', 'p95', 'p99', 'errorRate']
+
+function verdicts(comparison, scope) {
+  return Object.fromEntries(comparison.results.filter((result) => result.scope === scope).map((result) => [result.metric, result.verdict]))
+}
+
+describe('parseTolerance', () => {
+  it('reads fractions and percentages', () => {
+    assert.equal(parseTolerance(0.2), 0.2)
+    assert.equal(parseTolerance('15%'), 0.15)
+    assert.throws(() => parseTolerance('-1'), /Invalid tolerance/)
+  })
+})
+
+describe('mannWhitneyU', () => {
+  it('finds no difference between identical samples', () => {
+    const sample = Array.from({ length: 30 }, (_, i) => i)
+    assert.ok(mannWhitneyU(sample, sample) > 0.99)
+  })
+
+  it('finds a shifted sample significantly different', () => {
+    const sample = Array.from({ length: 30 }, (_, i) => i)
+    assert.ok(mannWhitneyU(sample, sample.map((value) => value + 20)) < 0.001)
+  })
+
+  it('declines to test small samples', () => {
+    assert.equal(mannWhitneyU([1, 2], [3, 4]), null)
+  })
+})
+
+describe('proportionTest', () => {
+  it('tells a real change in error rate from noise', () => {
+    assert.ok(proportionTest(1, 1000, 100, 1000) < 0.001)
+    assert.ok(proportionTest(10, 1000, 11, 1000) > 0.5)
+    assert.equal(proportionTest(0, 100, 0, 100), 1)
+  })
+})
+
+describe('compareRuns', () => {
+  it('passes a run like its baseline', () => {
+    const comparison = compareRuns(summaryOf({ median: 50 }), summaryOf({ median: 50 }), { metrics: METRICS })
+    assert.equal(comparison.passed, true)
+    assert.deepEqual(verdicts(comparison, 'echo'), { p50: 'unchanged', p95: 'unchanged', p99: 'unchanged', errorRate: 'unchanged' })
+  })
+
+  it('flags slower latency and more errors as regressions', () => {
+    const comparison = compareRuns(summaryOf({ median: 50 }), summaryOf({ median: 80, failures: 40 }), { metrics: METRICS })
+    assert.equal(comparison.passed, false)
+    assert.deepEqual(verdicts(comparison, 'echo'), { p50: 'regression', p95: 'regression', p99: 'regression', errorRate: 'regression' })
+  })
+
+  it('reports faster latency as an improvement', () => {
+    const comparison = compareRuns(summaryOf({ median: 80 }), summaryOf({ median: 50 }), { metrics: ['p50'] })
+    assert.equal(comparison.passed, true)
+    assert.equal(comparison.improvements, 2)
+  })
+
+  it('allows changes within the tolerance', () => {
+    const comparison = compareRuns(summaryOf({ median: 50 }), summaryOf({ median: 60 }), { tolerance: '25%', metrics: ['p50', 'p95'] })
+    assert.equal(comparison.passed, true)
+  })
+
+  it('marks tools that only ran on one side', () => {
+    const current = summaryOf({ median: 50 })
+    current.perTool.add = current.perTool.echo
+    const comparison = compareRuns(summaryOf({ median: 50 }), current, { metrics: ['p50'] })
+    assert.deepEqual(verdicts(comparison, 'add'), { p50: 'added' })
+  })
+
+  it('rejects unknown metrics', () => {
+    assert.throws(() => compareRuns(summaryOf({ median: 50 }), summaryOf({ median: 50 }), { metrics: ['p42'] }), /Unknown compare metric 'p42'/)
+  })
+})
+
+describe('loadResults', () => {
+  it('rejects files that are not JSON reports', () => {
+    const file = path.join(os.tmpdir(), `benchmark-mcp-not-a-report-${process.pid}.json`)
+    fs.writeFileSync(file, '{"calls": []}')
+    try {
+      assert.throws(() => loadResults(file), /is not a JSON report written with --reporter json/)
+      assert.throws(() => loadResults(`${file}.missing`), /Results file not found/)
+    } finally {
+      fs.rmSync(file)
+    }
+  })
+})
+
+describe('comparing during a run', () => {
+  let server
+  let dir
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-mcp-compare-'))
+    server = await startTestServer({ tools: [...TOOLS, { name: 'fail', inputSchema: { type: 'object' }, handler: () => ({ content: [{ type: 'text', text: 'nope' }], isError: true }) }] })
+    mock.method(console, 'log', () => {})
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await server.close()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  // Saves a baseline in which every call to the tool succeeded, taking about a second
+  function baseline(toolName) {
+    const file = path.join(dir, `${toolName}-baseline.json`)
+    fs.writeFileSync(file, JSON.stringify(summaryOf({ median: 1000, toolName })))
+    return file
+  }
+
+  it('reports the comparison with the baseline in the summary', async () => {
+    const summary = await run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['echo'], numCalls: 50, compare: { baseline: baseline('echo'), metrics: ['p50', 'errorRate'] } })
+    assert.equal(summary.comparison.passed, true)
+    assert.deepEqual(verdicts(summary.comparison, 'echo'), { p50: 'improvement', errorRate: 'unchanged' })
+  })
+
+  it('fails the comparison when the run regressed', async () => {
+    const summary = await run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['fail'], numCalls: 50, compare: { baseline: baseline('fail'), metrics: ['errorRate'] } })
+    assert.equal(summary.comparison.passed, false)
+    assert.deepEqual(verdicts(summary.comparison, 'fail'), { errorRate: 'regression' })
+  })
+})
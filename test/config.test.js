@@ -0,0 +1,91 @@
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { interpolateEnv, loadConfigFile, maskSecrets, resolveMode, validateConfig } from '../src/config.js'
+
+let dir
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-mcp-config-'))
+})
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+describe('interpolateEnv', () => {
+  it('substitutes variables and defaults in every string', () => {
+    const env = { HOST: 'example.com', TOKEN: 's3cret' }
+    assert.deepEqual(interpolateEnv({ serverUrl: 'https://${HOST}/mcp', headers: { Authorization: 'Bearer ${TOKEN}' }, tags: ['${ENV:-dev}'], numCalls: 5 }, env), {
+      serverUrl: 'https://example.com/mcp',
+      headers: { Authorization: 'Bearer s3cret' },
+      tags: ['dev'],
+      numCalls: 5,
+    })
+  })
+
+  it('names every missing variable', () => {
+    assert.throws(() => interpolateEnv({ a: '${ONE}', b: ['${TWO}'] }, {}), /Missing environment variables referenced in config: ONE, TWO/)
+  })
+})
+
+describe('loadConfigFile', () => {
+  it('reads YAML and JSON by extension', () => {
+    const yaml = path.join(dir, 'load.yaml')
+    fs.writeFileSync(yaml, 'serverUrl: ${URL}\nnumCalls: 10\ntoolNames:\n  - echo\n')
+    assert.deepEqual(loadConfigFile(yaml, { URL: 'http://localhost:3000/mcp' }), { serverUrl: 'http://localhost:3000/mcp', numCalls: 10, toolNames: ['echo'] })
+    const json = path.join(dir, 'load.json')
+    fs.writeFileSync(json, '{ "numCalls": 3 }')
+    assert.deepEqual(loadConfigFile(json), { numCalls: 3 })
+  })
+
+  it('reports missing and malformed files', () => {
+    assert.throws(() => loadConfigFile(path.join(dir, 'missing.yaml')), /Config file not found/)
+    const bad = path.join(dir, 'bad.json')
+    fs.writeFileSync(bad, '{ numCalls: }')
+    assert.throws(() => loadConfigFile(bad), /Error parsing config file .*bad\.json/)
+  })
+})
+
+describe('maskSecrets', () => {
+  it('masks values under secret-looking keys only', () => {
+    assert.deepEqual(maskSecrets({ headers: { Authorization: 'Bearer x', Accept: 'json' }, apiKey: 'k', numCalls: 3, list: [{ token: 1 }] }), {
+      headers: { Authorization: '***', Accept: 'json' },
+      apiKey: '***',
+      numCalls: 3,
+      list: [{ token: '***' }],
+    })
+  })
+})
+
+describe('resolveMode', () => {
+  it('prefers the explicit mode, then replay, sequence, runAll and aiClient', () => {
+    assert.equal(resolveMode({ mode: 'all', sequence: [] }), 'all')
+    assert.equal(resolveMode({ replay: { file: 'x' }, sequence: [] }), 'replay')
+    assert.equal(resolveMode({ sequence: [], runAll: true }), 'sequence')
+    assert.equal(resolveMode({ runAll: true }), 'all')
+    assert.equal(resolveMode({}), 'random')
+  })
+})
+
+describe('validateConfig', () => {
+  it('accepts a complete config', () => {
+    assert.deepEqual(validateConfig({ serverUrl: 'http://localhost/mcp', numCalls: 5, duration: '10s', thresholds: ['p95 < 500'], reporters: ['json'] }), [])
+  })
+
+  it('lists every problem at once', () => {
+    assert.deepEqual(
+      validateConfig({ numCalls: -1, duration: 'soon', mode: 'sequence', sequence: [{}], thresholds: ['p42 < 1'], reporters: ['pdf'] }),
+      [
+        'serverUrl or transport.command is required',
+        'numCalls must be a non-negative number. Got: -1',
+        "Invalid duration 'soon'. Use milliseconds or a string like '500ms', '30s', '5m', '1h'",
+        'sequence[0] is missing toolName',
+        "Unknown threshold metric 'p42'. Supported: total, success, failure, dropped, errorRate, successRate, median, throughput, avg, min, max, p50, p90, p95, p99, p999",
+        "Unknown reporter 'pdf'. Registered: json, junit, csv, html",
+      ]
+    )
+  })
+})
@@ -0,0 +1,181 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { run } from '../src/index.js'
+import { Metrics } from '../src/metrics.js'
+import { validateConfig } from '../src/config.js'
+import { applySamples, resolveWorkers, splitConfig, toSample } from '../src/distributed.js'
+import { confineFiles, startWorkerServer } from '../src/worker.js'
+import { startTestServer } from './helpers.js'
+
+let server
+
+before(async () => {
+  server = await startTestServer()
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await server.close()
+})
+
+describe('resolveWorkers', () => {
+  it('lists local workers before remote ones', () => {
+    assert.deepEqual(resolveWorkers(2), [{ type: 'process' }, { type: 'process' }])
+    assert.deepEqual(resolveWorkers({ count: 1, type: 'thread', remote: ['http://w1:7700'], token: 't' }), [{ type: 'thread' }, { url: 'http://w1:7700', token: 't' }])
+    assert.deepEqual(resolveWorkers({ remote: ['http://w1:7700'], token: 't' }), [{ url: 'http://w1:7700', token: 't' }])
+  })
+})
+
+describe('splitConfig', () => {
+  it('divides calls and virtual users, seeding each worker apart and keeping reporting on the coordinator', () => {
+    const configs = splitConfig({ serverUrl: 'http://localhost/mcp', numCalls: 10, concurrency: 3, seed: 5, reporters: ['json'], thresholds: ['p95 < 10'], workers: 2 }, 2)
+    assert.deepEqual(configs, [
+      { serverUrl: 'http://localhost/mcp', concurrency: 2, numCalls: 5, seed: 5 },
+      { serverUrl: 'http://localhost/mcp', concurrency: 1, numCalls: 5, seed: 1000005 },
+    ])
+  })
+
+  it('uses no more workers than the load can keep busy', () => {
+    assert.equal(splitConfig({ numCalls: 2, concurrency: 8 }, 4).length, 2)
+    assert.equal(splitConfig({ duration: '1m', concurrency: 3 }, 8).length, 3)
+  })
+
+  it('divides arrival rates, stages and scenarios with their own profile', () => {
+    const [first, second] = splitConfig(
+      {
+        arrivalRate: { rate: 10, duration: '1m', preAllocatedVUs: 3, maxVUs: 10 },
+        scenarios: { browse: { weight: 2 }, soak: { stages: [{ duration: '1m', target: 5 }] } },
+      },
+      2
+    )
+    assert.deepEqual(first.arrivalRate, { rate: 5, duration: '1m', preAllocatedVUs: 2, maxVUs: 5 })
+    assert.deepEqual(second.scenarios, { browse: { weight: 2 }, soak: { stages: [{ duration: '1m', target: 2 }] } })
+  })
+})
+
+describe('confineFiles', () => {
+  it('resolves the files a config names inside the directory, refusing absolute paths and ..', () => {
+    const dir = path.join(os.tmpdir(), 'worker')
+    const { config, errors } = confineFiles(
+      {
+        record: 'calls.json',
+        reporters: ['json', 'html:out/report.html'],
+        feeders: { users: { file: 'users.csv' } },
+        scenarios: { admin: { replay: { file: '/etc/passwd' }, auth: { type: 'oauth', credentialsFile: 'creds/../../keys.json' } } },
+      },
+      dir
+    )
+    assert.equal(config.record, path.join(dir, 'calls.json'))
+    assert.deepEqual(config.reporters, [
+      { type: 'json', output: path.join(dir, 'benchmark-report.json') },
+      { type: 'html', output: path.join(dir, 'out/report.html') },
+    ])
+    assert.equal(config.feeders.users.file, path.join(dir, 'users.csv'))
+    assert.deepEqual(errors, [
+      "scenarios.admin.replay.file must be a relative path inside the worker's directory. Got: /etc/passwd",
+      "scenarios.admin.auth.credentialsFile must be a relative path inside the worker's directory. Got: creds/../../keys.json",
+    ])
+  })
+})
+
+describe('samples', () => {
+  it('carry metrics calls and their errors to the coordinator', () => {
+    const metrics = new Metrics()
+    const samples = [
+      toSample('record', [{ toolName: 'echo', success: false, duration: 5, error: new Error('boom') }]),
+      toSample('recordSession', ['initialize', { success: true, duration: 2 }]),
+      toSample('recordDropped', []),
+    ]
+    applySamples(metrics, JSON.parse(JSON.stringify(samples)))
+    const summary = metrics.getSummary()
+    assert.deepEqual({ total: summary.total, dropped: summary.dropped, opened: summary.sessions.opened }, { total: 1, dropped: 1, opened: 1 })
+    assert.deepEqual(summary.errors, { boom: 1 })
+    assert.throws(() => applySamples(metrics, [['reset']]), /Unknown metrics sample 'reset'/)
+  })
+})
+
+describe('distributed runs', () => {
+  it('split calls across local worker threads and merge their metrics', async () => {
+    const summary = await run({ serverUrl: server.url, numCalls: 12, concurrency: 4, delayBetweenCalls: 0, toolNames: ['echo'], workers: { count: 2, type: 'thread' } })
+    assert.equal(summary.total, 12)
+    assert.equal(summary.perTool.echo.success, 12)
+    assert.equal(summary.sessions.opened, 4)
+  })
+
+  it('split calls across local worker processes', async () => {
+    const summary = await run({ serverUrl: server.url, numCalls: 6, concurrency: 2, delayBetweenCalls: 0, toolNames: ['echo'], workers: 2 })
+    assert.equal(summary.perTool.echo.success, 6)
+  })
+
+  it('send a share to remote workers, failing the run when one fails', async () => {
+    const worker = await startWorkerServer({ port: 0, token: 'secret' })
+    try {
+      const summary = await run({ serverUrl: server.url, numCalls: 4, concurrency: 2, delayBetweenCalls: 0, workers: { count: 1, type: 'thread', remote: [worker.url], token: 'secret' } })
+      assert.equal(summary.total, 4)
+      await assert.rejects(
+        run({ serverUrl: server.url, numCalls: 1, mode: 'getPrompt', workers: { remote: [worker.url], token: 'secret' } }),
+        /Worker 1 \(http:\/\/127\.0\.0\.1:\d+\) failed: No prompts found/
+      )
+      assert.equal((await fetch(`${worker.url}/status`)).status, 404)
+      assert.equal((await fetch(`${worker.url}/run`, { method: 'POST', headers: { Authorization: 'Bearer secret' }, body: '{' })).status, 400)
+    } finally {
+      await worker.close()
+    }
+  })
+
+  it('only run for coordinators with the worker token', async () => {
+    await assert.rejects(startWorkerServer({ port: 0 }), /A worker needs a token/)
+    const worker = await startWorkerServer({ port: 0, token: 'secret' })
+    try {
+      const body = JSON.stringify({ config: { serverUrl: server.url, numCalls: 1 } })
+      assert.equal((await fetch(`${worker.url}/run`, { method: 'POST', body })).status, 401)
+      assert.equal((await fetch(`${worker.url}/run`, { method: 'POST', headers: { Authorization: 'Bearer guess' }, body })).status, 401)
+      await assert.rejects(run({ serverUrl: server.url, numCalls: 1, workers: { remote: [worker.url], token: 'wrong' } }), /Worker answered 401: Missing or wrong worker token/)
+    } finally {
+      await worker.close()
+    }
+  })
+
+  it('refuse stdio commands on remote workers unless allowed', async () => {
+    const worker = await startWorkerServer({ port: 0, token: 'secret' })
+    try {
+      await assert.rejects(
+        run({ transport: { type: 'stdio', command: 'touch', args: ['pwned'] }, numCalls: 1, workers: { remote: [worker.url], token: 'secret' } }),
+        /Worker answered 403: This worker doesn't launch stdio servers \(touch\)/
+      )
+    } finally {
+      await worker.close()
+    }
+  })
+
+  it('read and write files only inside the worker directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-mcp-worker-'))
+    fs.writeFileSync(path.join(dir, 'messages.csv'), 'message\nfrom-worker-dir\n')
+    const worker = await startWorkerServer({ port: 0, token: 'secret', dir })
+    try {
+      const workers = { remote: [worker.url], token: 'secret' }
+      const summary = await run({ serverUrl: server.url, numCalls: 2, delayBetweenCalls: 0, toolNames: ['echo'], feeders: { messages: { file: 'messages.csv', tools: ['echo'] } }, workers })
+      assert.equal(summary.perTool.echo.success, 2)
+      await assert.rejects(
+        run({ serverUrl: server.url, numCalls: 1, toolNames: ['echo'], feeders: { messages: { file: '../messages.csv', tools: ['echo'] } }, workers }),
+        /Worker answered 403: This worker only uses files inside its directory: feeders\.messages\.file must be a relative path inside the worker's directory\. Got: \.\.\/messages\.csv/
+      )
+    } finally {
+      await worker.close()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('are validated', () => {
+    assert.deepEqual(validateConfig({ serverUrl: 'http://localhost/mcp', mode: 'fuzz', workers: { count: 0, type: 'fiber', remote: ['nope'] } }), [
+      "Unknown worker type 'fiber'. Supported: process, thread",
+      'Invalid URL',
+      'workers.remote needs the token the workers were started with: set workers.token or BENCHMARK_MCP_WORKER_TOKEN',
+      "mode 'fuzz' can't be split across workers",
+    ])
+  })
+})
@@ -0,0 +1,7 @@
+import { it } from 'node:test'
+import assert from 'node:assert/strict'
+import * as benchmark from '../src/index.js'
+
+it('exports the public API declared in index.d.ts', () => {
+  assert.deepEqual(Object.keys(benchmark).sort(), ['MCPClient', 'Metrics', 'compareRuns', 'inferSequence', 'registerAIProvider', 'registerReporter', 'run', 'startMockServer', 'startRecordingProxy'])
+})
@@ -0,0 +1,203 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { Faker, en } from '@faker-js/faker'
+import { run } from '../src/index.js'
+import { splitConfig } from '../src/distributed.js'
+import { Feeder, FeederPool, coerceToSchema, loadRows, parseCsv, parseJsonl, validateFeeders } from '../src/feeders.js'
+import { TOOLS, skipWithoutJq, startTestServer } from './helpers.js'
+
+let dir
+let csv
+let jsonl
+let numbers
+let server
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-mcp-feeders-'))
+  csv = path.join(dir, 'users.csv')
+  jsonl = path.join(dir, 'orders.jsonl')
+  numbers = path.join(dir, 'numbers.csv')
+  fs.writeFileSync(csv, 'name,age\nada,36\ngrace,45\nalan,41\n')
+  fs.writeFileSync(jsonl, '{"id":1}\n\n{"id":2}\n')
+  fs.writeFileSync(numbers, 'a,b\n1,2\n3,4\n')
+  server = await startTestServer({
+    tools: [
+      ...TOOLS,
+      {
+        name: 'slow',
+        inputSchema: { type: 'object' },
+        handler: async () => {
+          await sleep(200)
+          return { content: [{ type: 'text', text: 'done' }] }
+        },
+      },
+    ],
+  })
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await server.close()
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+describe('parseCsv', () => {
+  it('reads quoted fields with delimiters, quotes and line breaks', () => {
+    const rows = parseCsv('﻿a,b\r\n"x, y","say ""hi""\nagain"\n')
+    assert.deepEqual(rows, [{ a: 'x, y', b: 'say "hi"\nagain' }])
+  })
+
+  it('leaves out empty cells and blank lines', () => {
+    assert.deepEqual(parseCsv('a;b\n1;\n\n;2', ';'), [{ a: '1' }, { b: '2' }])
+  })
+
+  it('rejects an unterminated quote', () => {
+    assert.throws(() => parseCsv('a\n"open'), /unterminated quoted field/)
+  })
+})
+
+describe('parseJsonl', () => {
+  it('reports the line of malformed JSON', () => {
+    assert.throws(() => parseJsonl('{"a":1}\n{oops}'), /^Error: line 2:/)
+  })
+})
+
+describe('loadRows', () => {
+  it('keeps only its partition of the rows', () => {
+    assert.deepEqual(loadRows({ file: csv }).map((row) => row.name), ['ada', 'grace', 'alan'])
+    assert.deepEqual(loadRows({ file: csv, partition: { index: 1, count: 2 } }).map((row) => row.name), ['grace'])
+    assert.deepEqual(loadRows({ file: jsonl }), [{ id: 1 }, { id: 2 }])
+  })
+})
+
+describe('validateFeeders', () => {
+  it('accepts a valid feeder', () => {
+    assert.deepEqual(validateFeeders({ users: { file: csv, tools: ['echo'] } }), [])
+  })
+
+  it('reports every problem', () => {
+    const errors = validateFeeders({ users: { file: path.join(dir, 'missing.txt'), strategy: 'shuffle', onEnd: 'loop', delimiter: '""' } })
+    assert.equal(errors.length, 6)
+    assert.ok(errors.some((error) => error.includes('Feeder file not found')))
+    assert.ok(errors.some((error) => error.includes('feeds nothing')))
+  })
+})
+
+describe('coerceToSchema', () => {
+  it('converts strings to the types the schema asks for', () => {
+    const schema = { properties: { age: { type: 'integer' }, admin: { type: 'boolean' }, tags: { type: 'array' }, name: { type: 'string' } } }
+    assert.deepEqual(coerceToSchema({ age: '36', admin: 'true', tags: '["a"]', name: '42', extra: 'x' }, schema), { age: 36, admin: true, tags: ['a'], name: '42', extra: 'x' })
+    assert.deepEqual(coerceToSchema({ age: 'old' }, schema), { age: 'old' })
+  })
+})
+
+describe('Feeder', () => {
+  const faker = new Faker({ locale: [en] })
+
+  it('hands out rows in order across virtual users and recycles them', () => {
+    const feeder = new Feeder('users', { file: csv })
+    const taken = [{}, {}, {}, {}].map((owner) => feeder.take(owner, faker).name)
+    assert.deepEqual(taken, ['ada', 'grace', 'alan', 'ada'])
+  })
+
+  it('keeps one row per virtual user with the unique strategy', () => {
+    const feeder = new Feeder('users', { file: csv, strategy: 'unique' })
+    const [first, second] = [{}, {}]
+    assert.equal(feeder.take(first, faker).name, 'ada')
+    assert.equal(feeder.take(second, faker).name, 'grace')
+    assert.equal(feeder.take(first, faker).name, 'ada')
+  })
+
+  it('stops once the rows run out with onEnd stop, telling only once', () => {
+    const exhausted = []
+    const feeder = new Feeder('orders', { file: jsonl, onEnd: 'stop' }, (name) => exhausted.push(name))
+    const owner = {}
+    assert.deepEqual([feeder.take(owner, faker), feeder.take(owner, faker)], [{ id: 1 }, { id: 2 }])
+    assert.equal(feeder.take(owner, faker), undefined)
+    assert.equal(feeder.take(owner, faker), undefined)
+    assert.deepEqual(exhausted, ['orders'])
+  })
+
+  it('picks the same random rows for the same seed', () => {
+    const pick = () => {
+      const seeded = new Faker({ locale: [en] })
+      seeded.seed(3)
+      const feeder = new Feeder('users', { file: csv, strategy: 'random' })
+      return Array.from({ length: 5 }, () => feeder.take({}, seeded).name)
+    }
+    assert.deepEqual(pick(), pick())
+  })
+
+  it('fails when its partition has no rows', () => {
+    assert.throws(() => new Feeder('orders', { file: jsonl, partition: { index: 2, count: 3 } }), /no rows .* for worker 3 of 3/)
+  })
+})
+
+describe('FeederPool', () => {
+  it('loads each feeder once and shares it', () => {
+    const config = { file: csv }
+    const pool = new FeederPool()
+    pool.load({ users: config })
+    assert.equal(pool.get('users', config), pool.get('users', config))
+  })
+})
+
+describe('runs with feeders', () => {
+  const load = (config) => run({ serverUrl: server.url, delayBetweenCalls: 0, ...config })
+
+  it('take tool arguments from the rows, converted to the input schema', async () => {
+    const summary = await load({ numCalls: 3, toolNames: ['add'], feeders: { numbers: { file: numbers, tools: ['add'] } } })
+    assert.equal(summary.perTool.add.success, 3)
+    assert.deepEqual(
+      summary.details.map(({ args }) => args),
+      [
+        { a: 1, b: 2 },
+        { a: 3, b: 4 },
+        { a: 1, b: 2 },
+      ]
+    )
+  })
+
+  it('seed the sequence context', { skip: skipWithoutJq }, async () => {
+    const summary = await load({ numCalls: 2, sequence: [{ toolName: 'echo', inputMapping: { message: '.name' } }], feeders: { users: { file: csv, sequence: true } } })
+    assert.deepEqual(
+      summary.details.map(({ args }) => args.message),
+      ['ada', 'grace']
+    )
+  })
+
+  it('stop once a feeder with onEnd stop runs out, keeping the results so far', async () => {
+    const summary = await load({ numCalls: 10, toolNames: ['echo'], feeders: { users: { file: csv, tools: ['echo'], onEnd: 'stop' } } })
+    assert.equal(summary.interrupted, 'end of data')
+    assert.equal(summary.perTool.echo.success, 3)
+  })
+
+  it('let in-flight calls finish when a second feeder runs out', async () => {
+    // The third virtual user empties orders and the fourth users, while the first two are still calling
+    const summary = await load({
+      numCalls: 4,
+      concurrency: 4,
+      toolNames: ['slow'],
+      feeders: { users: { file: csv, tools: ['slow'], onEnd: 'stop' }, orders: { file: jsonl, tools: ['slow'], onEnd: 'stop' } },
+    })
+    assert.equal(summary.interrupted, 'end of data')
+    assert.equal(summary.perTool.slow.success, 2)
+    assert.equal(summary.failureTypes.cancelled, undefined)
+  })
+
+  it('are partitioned across workers', () => {
+    const configs = splitConfig({ numCalls: 4, concurrency: 2, feeders: { users: { file: csv, tools: ['echo'] } } }, 2)
+    assert.deepEqual(
+      configs.map(({ feeders }) => feeders.users.partition),
+      [
+        { index: 0, count: 2 },
+        { index: 1, count: 2 },
+      ]
+    )
+  })
+})
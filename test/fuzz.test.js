@@ -0,0 +1,128 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { Faker, en } from '@faker-js/faker'
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js'
+import { run } from '../src/index.js'
+import { ParamGenerator } from '../src/paramGenerator.js'
+import { FuzzReport, buildFuzzCases, classifyError, isRobust } from '../src/fuzz.js'
+import { startTestServer } from './helpers.js'
+
+const generator = () => new ParamGenerator(new Faker({ locale: [en], seed: 1 }))
+
+const TOOL = {
+  name: 'order',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      quantity: { type: 'integer', minimum: 1, maximum: 10 },
+      size: { type: 'string', enum: ['s', 'm', 'l'] },
+      note: { type: 'string', maxLength: 5 },
+    },
+    required: ['quantity'],
+    additionalProperties: false,
+  },
+}
+
+// Accepts only arguments matching the order schema, answering anything else with isError
+function placeOrder(args) {
+  const valid =
+    Object.keys(args).every((key) => ['quantity', 'size', 'note'].includes(key)) &&
+    Number.isInteger(args.quantity) &&
+    args.quantity >= 1 &&
+    args.quantity <= 10 &&
+    (args.size === undefined || ['s', 'm', 'l'].includes(args.size)) &&
+    (args.note === undefined || (typeof args.note === 'string' && args.note.length <= 5))
+  return { content: [{ type: 'text', text: valid ? 'ordered' : 'invalid order' }], isError: !valid }
+}
+
+describe('buildFuzzCases', () => {
+  it('breaks one thing at a time, expecting rejection where the schema forbids it', () => {
+    const cases = buildFuzzCases(TOOL, generator())
+    const described = Object.fromEntries(cases.map((fuzzCase) => [fuzzCase.description, fuzzCase]))
+    assert.deepEqual(described["'quantity' missing"].args.quantity, undefined)
+    assert.equal(described["'quantity' as string"].args.quantity, 'not-an-integer')
+    assert.equal(described["'quantity' above maximum 10"].args.quantity, 11)
+    assert.equal(described["'quantity' is fractional"].args.quantity, 1.5)
+    assert.equal(described["'size' outside its enum"].expectRejection, true)
+    assert.equal(described["'note' is 6 characters"].args.note, 'AAAAAA')
+    // The schema is closed, so an extra property must be refused; unicode within the limits may be accepted
+    assert.equal(described['unexpected extra property'].expectRejection, true)
+    assert.equal(described["'note' with null byte"].expectRejection, false)
+    assert.deepEqual(described['arguments as an array'].args.length, 1)
+  })
+
+  it('only builds the configured categories', () => {
+    const cases = buildFuzzCases(TOOL, generator(), { categories: ['missing-required', 'non-object'] })
+    assert.deepEqual(
+      cases.map((fuzzCase) => fuzzCase.category),
+      ['missing-required', 'non-object', 'non-object']
+    )
+  })
+})
+
+describe('classifyError', () => {
+  it('tells timeouts, crashes, protocol errors and malformed responses apart', () => {
+    assert.equal(classifyError(new McpError(ErrorCode.RequestTimeout, 'slow')), 'timeout')
+    assert.equal(classifyError(new McpError(ErrorCode.ConnectionClosed, 'gone')), 'crash')
+    assert.equal(classifyError(new McpError(ErrorCode.InvalidParams, 'bad')), 'protocol-error')
+    assert.equal(classifyError(Object.assign(new Error('parse'), { name: 'ZodError' })), 'invalid-response')
+    assert.equal(classifyError(new Error('socket hang up')), 'crash')
+  })
+})
+
+describe('isRobust', () => {
+  it('accepts refusals, and acceptance only of inputs that are allowed', () => {
+    assert.equal(isRobust({ expectRejection: true }, 'rejected'), true)
+    assert.equal(isRobust({ expectRejection: true }, 'protocol-error'), true)
+    assert.equal(isRobust({ expectRejection: true }, 'accepted'), false)
+    assert.equal(isRobust({ expectRejection: false }, 'accepted'), true)
+    assert.equal(isRobust({ expectRejection: false }, 'timeout'), false)
+  })
+})
+
+describe('FuzzReport', () => {
+  it('summarizes outcomes per tool and category, keeping the failures', () => {
+    const report = new FuzzReport()
+    report.record('order', { category: 'wrong-type', description: 'a', expectRejection: true }, 'rejected', { duration: 1 })
+    report.record('order', { category: 'wrong-type', description: 'b', expectRejection: true }, 'accepted', { message: 'x'.repeat(600), duration: 1 })
+    report.record('echo', { category: 'unicode', description: 'c', expectRejection: false }, 'crash', { duration: 1 })
+    const summary = report.getSummary()
+    assert.deepEqual({ total: summary.total, passed: summary.passed, failed: summary.failed }, { total: 3, passed: 1, failed: 2 })
+    assert.deepEqual(summary.tools.order.categories, { 'wrong-type': { total: 2, failed: 1 } })
+    assert.equal(summary.tools.order.failures[0].message.length, 500)
+    assert.deepEqual(summary.outcomes, { rejected: 1, accepted: 1, crash: 1 })
+  })
+})
+
+describe('fuzz mode', () => {
+  let server
+
+  before(async () => {
+    server = await startTestServer({
+      tools: [
+        { ...TOOL, handler: placeOrder },
+        { ...TOOL, name: 'lenient' },
+        { name: 'hang', inputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] }, handler: () => new Promise(() => {}) },
+      ],
+    })
+    mock.method(console, 'log', () => {})
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await server.close()
+  })
+
+  it('reports a validating tool as robust and a lenient one as not', async () => {
+    const summary = await run({ serverUrl: server.url, mode: 'fuzz', toolNames: ['order', 'lenient'], delayBetweenCalls: 0, fuzz: { oversizedLength: 1000 } })
+    assert.equal(summary.fuzz.tools.order.failed, 0)
+    assert.ok(summary.fuzz.tools.order.total > 20)
+    assert.ok(summary.fuzz.tools.lenient.failed > 0)
+    assert.ok(summary.fuzz.tools.lenient.failures.every((failure) => failure.outcome === 'accepted' && failure.expectRejection))
+  })
+
+  it('classifies tools that never answer as timeouts', async () => {
+    const summary = await run({ serverUrl: server.url, mode: 'fuzz', toolNames: ['hang'], fuzz: { categories: ['missing-required'], timeout: '100ms' } })
+    assert.deepEqual(summary.fuzz.outcomes, { timeout: 1 })
+  })
+})
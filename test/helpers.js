@@ -0,0 +1,134 @@
+import fs from 'node:fs'
+import http from 'node:http'
+import path from 'node:path'
+import { randomUUID } from 'node:crypto'
+import { createRequire } from 'node:module'
+import { Server } from '@modelcontextprotocol/sdk/server/index.js'
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js'
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js'
+import { CallToolRequestSchema, ErrorCode, ListToolsRequestSchema, McpError } from '@modelcontextprotocol/sdk/types.js'
+
+// node-jq downloads jq when it is installed; where that failed, the cases evaluating jq are skipped instead of crashing the run
+const jqBinary = process.env.JQ_PATH ?? process.env.npm_config_jq_path ?? path.join(path.dirname(createRequire(import.meta.url).resolve('node-jq')), '..', 'bin', 'jq')
+export const skipWithoutJq = !fs.existsSync(jqBinary) && 'jq is not installed'
+
+/**
+ * A tool served by the test server
+ * @typedef {Object} TestTool
+ * @property {string} name - Tool name
+ * @property {Object} inputSchema - JSON Schema of the arguments
+ * @property {(args: Record<string, unknown>, extra: object) => unknown} [handler] - Answers a call (default: the arguments, as JSON text)
+ */
+
+const json = (value) => ({ content: [{ type: 'text', text: JSON.stringify(value) }] })
+
+/** @type {TestTool[]} */
+export const TOOLS = [
+  { name: 'echo', inputSchema: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] } },
+  { name: 'add', inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] }, handler: ({ a, b }) => json({ sum: a + b }) },
+]
+
+/**
+ * An MCP server answering tool calls with the given tools
+ * @param {Object} [options]
+ * @param {TestTool[]} [options.tools] - Tools served (default: echo and add)
+ * @param {(server: Server) => void} [options.setup] - Registers more handlers, e.g. for resources or prompts
+ * @param {object} [options.capabilities] - Capabilities over `tools`
+ * @returns {Server}
+ */
+export function createTestServer({ tools = TOOLS, setup, capabilities } = {}) {
+  const server = new Server({ name: 'benchmark-mcp-test', version: '1.0.0' }, { capabilities: { tools: {}, ...capabilities } })
+  server.setRequestHandler(ListToolsRequestSchema, () => ({ tools: tools.map(({ handler, ...tool }) => tool) }))
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const tool = tools.find((candidate) => candidate.name === request.params.name)
+    if (!tool) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${request.params.name}`)
+    }
+    const args = request.params.arguments ?? {}
+    return tool.handler ? tool.handler(args, extra) : json(args)
+  })
+  setup?.(server)
+  return server
+}
+
+/**
+ * Serve a test server over streamable HTTP on a free port, one server per session
+ * @param {Parameters<typeof createTestServer>[0] & { handle?: (req: http.IncomingMessage, res: http.ServerResponse) => boolean }} [options] -
+ *   `handle` may answer a request itself, e.g. to refuse it, by returning true
+ * @returns {Promise<{ url: string, sessionsOpened: () => number, close: () => Promise<void> }>}
+ */
+export async function startTestServer({ handle, ...options } = {}) {
+  /** @type {Map<string, StreamableHTTPServerTransport>} */
+  const sessions = new Map()
+  let opened = 0
+
+  return listen(sessions, () => opened, async (req, res) => {
+    if (handle?.(req, res)) return
+    const sessionId = req.headers['mcp-session-id']
+    let transport = sessionId ? sessions.get(sessionId) : undefined
+    if (sessionId && !transport) {
+      res.writeHead(404).end()
+      return
+    }
+    if (!transport) {
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          opened++
+          sessions.set(id, transport)
+        },
+      })
+      const session = transport
+      session.onclose = () => sessions.delete(session.sessionId)
+      await createTestServer(options).connect(transport)
+    }
+    await transport.handleRequest(req, res)
+  })
+}
+
+/**
+ * Serve a test server over the legacy SSE transport only, as older servers do: streamable HTTP POSTs to the endpoint get a 405
+ * @param {Parameters<typeof createTestServer>[0]} [options]
+ * @returns {Promise<{ url: string, sessionsOpened: () => number, close: () => Promise<void> }>}
+ */
+export async function startSseServer(options = {}) {
+  /** @type {Map<string, SSEServerTransport>} */
+  const sessions = new Map()
+  let opened = 0
+
+  return listen(sessions, () => opened, async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    if (req.method === 'GET' && url.pathname === '/mcp') {
+      const transport = new SSEServerTransport('/messages', res)
+      opened++
+      sessions.set(transport.sessionId, transport)
+      transport.onclose = () => sessions.delete(transport.sessionId)
+      await createTestServer(options).connect(transport)
+    } else if (req.method === 'POST' && url.pathname === '/messages' && sessions.has(url.searchParams.get('sessionId'))) {
+      await sessions.get(url.searchParams.get('sessionId')).handlePostMessage(req, res)
+    } else {
+      res.writeHead(req.method === 'POST' ? 405 : 404).end()
+    }
+  })
+}
+
+async function listen(sessions, opened, handler) {
+  const server = http.createServer(handler)
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  const { port } = /** @type {import('node:net').AddressInfo} */ (server.address())
+  return {
+    url: `http://127.0.0.1:${port}/mcp`,
+    sessionsOpened: opened,
+    close: async () => {
+      await Promise.all([...sessions.values()].map((transport) => transport.close()))
+      server.closeAllConnections()
+      await new Promise((resolve) => server.close(resolve))
+    },
+  }
+}
+
+// `node test/helpers.js --stdio` serves the default tools over stdio, for the stdio transport tests
+if (process.argv[2] === '--stdio') {
+  await createTestServer().connect(new StdioServerTransport())
+}
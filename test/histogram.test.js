@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { Histogram } from '../src/histogram.js'
+
+// Exact percentile by the nearest-rank method the histogram follows
+function exactPercentile(sorted, p) {
+  return sorted[Math.max(1, Math.ceil((p / 100) * sorted.length)) - 1]
+}
+
+describe('Histogram', () => {
+  it('reports zeros when empty', () => {
+    assert.deepEqual(new Histogram().stats(), { count: 0, min: 0, max: 0, avg: 0, p50: 0, p90: 0, p95: 0, p99: 0, p999: 0 })
+  })
+
+  it('keeps every percentile within 1% of the exact value', () => {
+    const histogram = new Histogram()
+    // A long-tailed spread from under a millisecond to several seconds, in a fixed order
+    const values = Array.from({ length: 20000 }, (_, i) => 0.2 + ((i * 7919) % 20000) ** 2 / 50000)
+    for (const value of values) histogram.record(value)
+    const sorted = [...values].sort((a, b) => a - b)
+    for (const p of [50, 90, 95, 99, 99.9]) {
+      const exact = exactPercentile(sorted, p)
+      const reported = histogram.percentile(p)
+      assert.ok(Math.abs(reported - exact) <= exact * 0.01, `p${p}: ${reported} is more than 1% off ${exact}`)
+    }
+    assert.equal(histogram.count, values.length)
+    assert.equal(histogram.min, sorted[0])
+    assert.equal(histogram.max, sorted.at(-1))
+  })
+
+  it('reports small values exactly to the microsecond', () => {
+    const histogram = new Histogram()
+    for (const value of [0.001, 0.05, 0.1]) histogram.record(value)
+    assert.equal(histogram.percentile(50), 0.05)
+    assert.equal(histogram.percentile(100), 0.1)
+  })
+
+  it('merges into the same percentiles as recording everything in one', () => {
+    const whole = new Histogram()
+    const first = new Histogram()
+    const second = new Histogram()
+    for (let i = 1; i <= 1000; i++) {
+      whole.record(i * 1.5)
+      ;(i % 2 ? first : second).record(i * 1.5)
+    }
+    first.merge(second)
+    assert.deepEqual(first.stats(), whole.stats())
+  })
+
+  it('counts values at or below each bound', () => {
+    const histogram = new Histogram()
+    for (const value of [1, 5, 5, 20, 300]) histogram.record(value)
+    assert.deepEqual(histogram.cumulative([2, 10, 100, 1000]), [1, 3, 4, 5])
+  })
+})
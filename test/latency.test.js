@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { Faker, en } from '@faker-js/faker'
+import { latencySampler } from '../src/latency.js'
+
+const seeded = (seed = 1) => {
+  const faker = new Faker({ locale: [en], seed })
+  return () => faker.number.float()
+}
+
+const sample = (sampler, count = 2000) => Array.from({ length: count }, sampler)
+const median = (values) => values.sort((a, b) => a - b)[Math.floor(values.length / 2)]
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+
+describe('latencySampler', () => {
+  it('waits a fixed time for numbers and durations', () => {
+    assert.equal(latencySampler(undefined, Math.random)(), 0)
+    assert.equal(latencySampler('50ms', Math.random)(), 50)
+    assert.equal(latencySampler({ distribution: 'fixed', value: 20 }, Math.random)(), 20)
+  })
+
+  it('samples the configured distribution', () => {
+    const uniform = sample(latencySampler({ distribution: 'uniform', min: '10ms', max: '20ms' }, seeded()))
+    assert.ok(uniform.every((value) => value >= 10 && value < 20))
+    const normal = sample(latencySampler({ distribution: 'normal', mean: 5, stddev: 10 }, seeded()))
+    assert.ok(normal.every((value) => value >= 0))
+    const lognormal = median(sample(latencySampler({ distribution: 'lognormal', median: '100ms', sigma: 1 }, seeded())))
+    assert.ok(lognormal > 90 && lognormal < 110, `median ${lognormal}`)
+    const exponential = mean(sample(latencySampler({ distribution: 'exponential', mean: 40 }, seeded())))
+    assert.ok(exponential > 36 && exponential < 44, `mean ${exponential}`)
+  })
+
+  it('rejects unknown distributions', () => {
+    assert.throws(() => latencySampler({ distribution: 'pareto' }, Math.random), /Unknown latency distribution 'pareto'/)
+  })
+})
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { Metrics } from '../src/metrics.js'
+
+// Percentiles come from a histogram, exact to within 1%
+function assertNear(actual, expected) {
+  assert.ok(Math.abs(actual - expected) <= expected * 0.01, `${actual} is more than 1% off ${expected}`)
+}
+
+describe('Metrics', () => {
+  it('summarizes latency percentiles overall and per tool', () => {
+    const metrics = new Metrics()
+    for (let i = 1; i <= 100; i++) {
+      metrics.record({ toolName: i % 2 ? 'echo' : 'add', success: true, duration: i })
+    }
+    const summary = metrics.getSummary()
+    assert.equal(summary.min, 1)
+    assert.equal(summary.max, 100)
+    assertNear(summary.p50, 50)
+    assertNear(summary.p99, 99)
+    assert.equal(summary.median, summary.p50)
+    assert.deepEqual(
+      { min: summary.perTool.add.min, max: summary.perTool.add.max, total: summary.perTool.add.total },
+      { min: 2, max: 100, total: 50 }
+    )
+  })
+
+  it('buckets calls by when they completed', () => {
+    const metrics = new Metrics({ bucketSize: 100 })
+    const start = metrics.startTime
+    metrics.record({ toolName: 'echo', success: true, duration: 10, startedAt: start + 20 })
+    metrics.record({ toolName: 'echo', success: false, duration: 90, startedAt: start + 50 })
+    metrics.record({ toolName: 'echo', success: true, duration: 10, startedAt: start + 230 })
+    const series = metrics.getSummary().timeSeries
+    assert.deepEqual(
+      series.map(({ start, requests, success, failure, throughput }) => ({ start, requests, success, failure, throughput })),
+      [
+        { start: 0, requests: 1, success: 1, failure: 0, throughput: 10 },
+        { start: 100, requests: 1, success: 0, failure: 1, throughput: 10 },
+        { start: 200, requests: 1, success: 1, failure: 0, throughput: 10 },
+      ]
+    )
+    assert.equal(series[1].max, 90)
+  })
+
+  it('counts failures by type, assertion and message', () => {
+    const metrics = new Metrics()
+    metrics.record({ toolName: 'echo', success: false, duration: 1, error: new Error('boom') })
+    metrics.record({ toolName: 'echo', success: false, duration: 1, failureType: 'assertion', assertion: 'maxLatency: 5', error: new Error('slow') })
+    const summary = metrics.getSummary()
+    assert.deepEqual(summary.failureTypes, { error: 1, assertion: 1 })
+    assert.deepEqual(summary.assertionFailures, { 'echo: maxLatency: 5': 1 })
+    assert.deepEqual(summary.errors, { boom: 1, slow: 1 })
+  })
+
+  it('keeps every call\'s details up to maxDetails, then a random sample spanning the whole run', () => {
+    const metrics = new Metrics({ maxDetails: 100 })
+    for (let i = 0; i < 50; i++) {
+      metrics.record({ toolName: 'echo', success: true, duration: 1, args: { i } })
+    }
+    assert.equal(metrics.getSummary().details.length, 50)
+    assert.equal(metrics.getSummary().detailsTruncated, false)
+    for (let i = 50; i < 1000; i++) {
+      metrics.record({ toolName: 'echo', success: true, duration: 1, args: { i } })
+    }
+    const summary = metrics.getSummary()
+    assert.equal(summary.total, 1000)
+    assert.equal(summary.details.length, 100)
+    assert.equal(summary.detailsTruncated, true)
+    const late = summary.details.filter(({ args }) => args.i >= 500).length
+    assert.ok(late > 25 && late < 75, `${late} of 100 details from the second half`)
+  })
+
+  it('keeps no details with maxDetails 0', () => {
+    const metrics = new Metrics({ maxDetails: 0 })
+    metrics.record({ toolName: 'echo', success: true, duration: 1 })
+    const summary = metrics.getSummary()
+    assert.deepEqual({ total: summary.total, details: summary.details, detailsTruncated: summary.detailsTruncated }, { total: 1, details: [], detailsTruncated: true })
+  })
+})
@@ -0,0 +1,104 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { Client } from '@modelcontextprotocol/sdk/client/index.js'
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js'
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js'
+import { run } from '../src/index.js'
+import { startMockServer, validateMockConfig } from '../src/mockServer.js'
+
+describe('validateMockConfig', () => {
+  it('lists every problem', () => {
+    const errors = validateMockConfig({
+      errorRate: 0.6,
+      jsonResponse: true,
+      tools: [{ name: 'a', isErrorRate: 0.5, latency: { distribution: 'normal', mean: 'soon' } }, { name: 'a', stream: { chunks: 2 } }, { dropRate: 2 }],
+    })
+    assert.deepEqual(errors, [
+      'stream needs SSE responses, so it cannot be combined with jsonResponse',
+      "tools[0].latency: Invalid duration 'soon'. Use milliseconds or a string like '500ms', '30s', '5m', '1h'",
+      'tools[0] has errorRate, isErrorRate and dropRate adding up to more than 1',
+      "tools[1] repeats the tool name 'a'",
+      'tools[2] is missing name',
+      'tools[2].dropRate must be between 0 and 1. Got: 2',
+      'tools[2] has errorRate, isErrorRate and dropRate adding up to more than 1',
+    ])
+  })
+})
+
+describe('startMockServer', () => {
+  let server
+  let client
+
+  before(async () => {
+    server = await startMockServer({
+      port: 0,
+      host: '127.0.0.1',
+      seed: 1,
+      tools: [
+        { name: 'echo', inputSchema: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] } },
+        { name: 'slow', latency: '50ms' },
+        { name: 'broken', errorRate: 1 },
+        { name: 'refusing', isErrorRate: 1 },
+        { name: 'flaky', errorRate: 0.25, isErrorRate: 0.25 },
+        { name: 'lenient', inputSchema: { type: 'object', properties: { n: { type: 'number' } } }, validateInput: false },
+        { name: 'user', response: { id: 7 }, outputSchema: { type: 'object', properties: { id: { type: 'number' } } } },
+        { name: 'stream', stream: { chunks: 3, interval: '10ms' } },
+      ],
+    })
+    client = new Client({ name: 'mock-server-test', version: '1.0.0' })
+    await client.connect(new StreamableHTTPClientTransport(new URL(server.url)))
+    mock.method(console, 'log', () => {})
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await client.close()
+    await server.close()
+  })
+
+  it('echoes arguments by default, and returns configured responses as structured content', async () => {
+    assert.deepEqual(await client.callTool({ name: 'echo', arguments: { message: 'hi' } }), { content: [{ type: 'text', text: '{"message":"hi"}' }] })
+    const result = await client.callTool({ name: 'user', arguments: {} })
+    assert.deepEqual(result.structuredContent, { id: 7 })
+  })
+
+  it('rejects arguments that do not match the input schema, unless told not to validate', async () => {
+    await assert.rejects(client.callTool({ name: 'echo', arguments: { message: 5 } }), (error) => error.code === ErrorCode.InvalidParams && /must be string/.test(error.message))
+    await assert.rejects(client.callTool({ name: 'missing', arguments: {} }), /Tool missing not found/)
+    assert.deepEqual(await client.callTool({ name: 'lenient', arguments: { n: 'x' } }), { content: [{ type: 'text', text: '{"n":"x"}' }] })
+  })
+
+  it('streams progress before the result', async () => {
+    const progress = []
+    await client.callTool({ name: 'stream', arguments: {} }, undefined, { onprogress: ({ progress: done, total }) => progress.push(`${done}/${total}`) })
+    assert.deepEqual(progress, ['1/3', '2/3', '3/3'])
+  })
+
+  it('injects latency, errors and isError results into a run', async () => {
+    const load = (toolNames, numCalls = 10) => run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames, numCalls })
+    const slow = await load(['slow'], 3)
+    assert.ok(slow.perTool.slow.min >= 49, `min ${slow.perTool.slow.min}`)
+    assert.equal((await load(['broken'])).perTool.broken.failure, 10)
+    assert.equal((await load(['refusing'])).perTool.refusing.failure, 10)
+    const flaky = (await load(['flaky'], 200)).perTool.flaky
+    assert.ok(flaky.failure > 70 && flaky.failure < 130, `${flaky.failure} failures`)
+  })
+
+  it('serves only its path', async () => {
+    assert.equal((await fetch(server.url.replace('/mcp', '/other'), { method: 'POST' })).status, 404)
+  })
+})
+
+describe('dropped calls', () => {
+  it('fail at once with JSON responses', async () => {
+    const server = await startMockServer({ port: 0, host: '127.0.0.1', jsonResponse: true, tools: [{ name: 'drop', dropRate: 1 }] })
+    mock.method(console, 'log', () => {})
+    try {
+      const summary = await run({ serverUrl: server.url, delayBetweenCalls: 0, numCalls: 2 })
+      assert.equal(summary.perTool.drop.failure, 2)
+    } finally {
+      mock.restoreAll()
+      await server.close()
+    }
+  })
+})
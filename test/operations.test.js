@@ -0,0 +1,144 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import {
+  CompleteRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js'
+import { run } from '../src/index.js'
+import { readCallLog } from '../src/callLog.js'
+import { startTestServer } from './helpers.js'
+
+let server
+let dir
+const requests = []
+
+// Serves one resource, one resource template and a prompt, keeping every request's params
+function setup(mcp) {
+  const track = (schema, answer) =>
+    mcp.setRequestHandler(schema, (request) => {
+      requests.push(request)
+      return answer(request.params)
+    })
+  track(ListResourcesRequestSchema, () => ({ resources: [{ uri: 'notes://readme', name: 'readme' }] }))
+  track(ListResourceTemplatesRequestSchema, () => ({ resourceTemplates: [{ uriTemplate: 'notes://note/{id}', name: 'note' }] }))
+  track(ReadResourceRequestSchema, ({ uri }) => ({ contents: [{ uri, text: `contents of ${uri}` }] }))
+  track(ListPromptsRequestSchema, () => ({ prompts: [{ name: 'summarize', arguments: [{ name: 'topic', required: true }, { name: 'tone' }] }] }))
+  track(GetPromptRequestSchema, ({ name, arguments: args }) => ({ messages: [{ role: 'user', content: { type: 'text', text: `${name} ${args.topic}` } }] }))
+  track(CompleteRequestSchema, () => ({ completion: { values: ['alpha', 'beta'] } }))
+}
+
+function load(config) {
+  return run({ serverUrl: server.url, delayBetweenCalls: 0, ...config })
+}
+
+// The params of the requests with this method made by the last run
+const sent = (method) => requests.filter((request) => request.method === method).map((request) => request.params)
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-mcp-operations-'))
+  server = await startTestServer({ setup, capabilities: { resources: {}, prompts: {}, completions: {} } })
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await server.close()
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+describe('operation modes', () => {
+  it('reads resources and expands templates with generated variables', async () => {
+    requests.length = 0
+    const summary = await load({ mode: 'readResource', numCalls: 20, seed: 3 })
+    assert.deepEqual(Object.keys(summary.perTool), ['resources/read'])
+    assert.equal(summary.perTool['resources/read'].success, 20)
+    const uris = sent('resources/read').map(({ uri }) => uri)
+    assert.ok(uris.includes('notes://readme'))
+    assert.ok(uris.some((uri) => /^notes:\/\/note\/[^{}]+$/.test(uri)), uris.join(', '))
+  })
+
+  it('gets prompts with generated arguments, or only the required ones', async () => {
+    requests.length = 0
+    await load({ mode: 'getPrompt', numCalls: 2, paramOverrides: { summarize: { tone: 'dry' } } })
+    assert.deepEqual(
+      sent('prompts/get').map((params) => Object.keys(params.arguments).sort()),
+      [
+        ['tone', 'topic'],
+        ['tone', 'topic'],
+      ]
+    )
+    assert.equal(sent('prompts/get')[0].arguments.tone, 'dry')
+    requests.length = 0
+    await load({ mode: 'getPrompt', numCalls: 1, mockData: { fields: 'required' } })
+    assert.deepEqual(Object.keys(sent('prompts/get')[0].arguments), ['topic'])
+  })
+
+  it('completes prompt arguments and template variables', async () => {
+    requests.length = 0
+    const summary = await load({ mode: 'complete', numCalls: 10, seed: 1 })
+    assert.equal(summary.perTool['completion/complete'].success, 10)
+    const refs = new Set(sent('completion/complete').map(({ ref, argument }) => `${ref.type} ${ref.name || ref.uri} ${argument.name}`))
+    assert.deepEqual([...refs].sort(), ['ref/prompt summarize tone', 'ref/prompt summarize topic', 'ref/resource notes://note/{id} id'])
+  })
+
+  it('lists resources and prompts and pings', async () => {
+    for (const [mode, operation] of [
+      ['listResources', 'resources/list'],
+      ['listPrompts', 'prompts/list'],
+      ['ping', 'ping'],
+    ]) {
+      const summary = await load({ mode, numCalls: 2 })
+      assert.deepEqual(Object.keys(summary.perTool), [operation])
+      assert.equal(summary.success, 2)
+    }
+  })
+
+  it('fails before the run when the server has nothing to exercise', async () => {
+    const toolsOnly = await startTestServer()
+    try {
+      await assert.rejects(run({ serverUrl: toolsOnly.url, mode: 'getPrompt' }), /No prompts found/)
+      await assert.rejects(run({ serverUrl: toolsOnly.url, mode: 'readResource' }), /No resources or resource templates found/)
+    } finally {
+      await toolsOnly.close()
+    }
+  })
+})
+
+describe('operation steps', () => {
+  it('run in sequences with static inputs', async () => {
+    requests.length = 0
+    const summary = await load({
+      numCalls: 1,
+      sequence: [
+        { kind: 'readResource', uri: 'notes://note/{id}', staticInputs: { id: '42' } },
+        { kind: 'getPrompt', promptName: 'summarize', staticInputs: { topic: 'notes' } },
+        { kind: 'complete', ref: { type: 'ref/prompt', name: 'summarize' }, argument: { name: 'topic', value: 'no' } },
+        { toolName: 'echo', staticInputs: { message: 'done' } },
+      ],
+    })
+    assert.equal(summary.success, 4)
+    assert.deepEqual(sent('resources/read'), [{ uri: 'notes://note/42' }])
+    // Sequences fill in only the required prompt arguments
+    assert.deepEqual(sent('prompts/get'), [{ name: 'summarize', arguments: { topic: 'notes' } }])
+    assert.deepEqual(sent('completion/complete'), [{ ref: { type: 'ref/prompt', name: 'summarize' }, argument: { name: 'topic', value: 'no' } }])
+  })
+
+  it('are replayed from a call log', async () => {
+    const record = path.join(dir, 'operations.json')
+    await load({ mode: 'readResource', numCalls: 3, seed: 5, record })
+    const recorded = readCallLog(record).calls.map((call) => call.args.uri)
+    requests.length = 0
+    await load({ replay: { file: record } })
+    assert.deepEqual(
+      sent('resources/read').map(({ uri }) => uri),
+      recorded
+    )
+  })
+})
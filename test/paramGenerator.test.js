@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { Faker, en } from '@faker-js/faker'
+import { ParamGenerator } from '../src/paramGenerator.js'
+import { logger } from '../src/logger.js'
+
+function generator(mockConfig, seed = 1) {
+  const faker = new Faker({ locale: [en] })
+  faker.seed(seed)
+  return new ParamGenerator(faker, mockConfig)
+}
+
+// Generate many values so bound and pattern handling is checked beyond a lucky draw
+function samples(schema, count = 200) {
+  const params = generator()
+  return Array.from({ length: count }, () => params.generateField('value', schema))
+}
+
+describe('ParamGenerator', () => {
+  it('generates the same parameters for the same seed', () => {
+    const schema = { type: 'object', properties: { name: { type: 'string' }, count: { type: 'integer' }, tags: { type: 'array', items: { type: 'string' } } } }
+    assert.deepEqual(generator().generateParams(schema), generator().generateParams(schema))
+  })
+
+  it('keeps numbers within their bounds', () => {
+    for (const value of samples({ type: 'integer', minimum: 5, maximum: 10 })) {
+      assert.ok(Number.isInteger(value) && value >= 5 && value <= 10, `${value} is out of [5, 10]`)
+    }
+    for (const value of samples({ type: 'number', multipleOf: 0.5, minimum: 1, maximum: 3 })) {
+      assert.ok(value >= 1 && value <= 3 && (value * 2) % 1 === 0, `${value} is not a multiple of 0.5 in [1, 3]`)
+    }
+  })
+
+  it('rounds multiples of a fractional step to its precision', () => {
+    for (const value of samples({ type: 'number', multipleOf: 0.1, minimum: 0, maximum: 1 })) {
+      assert.ok(value >= 0 && value <= 1, `${value} is out of [0, 1]`)
+      assert.match(String(value), /^(0|1)(\.\d)?$/)
+    }
+  })
+
+  it('stays below a negative maximum', () => {
+    for (const value of samples({ type: 'integer', maximum: -5 })) {
+      assert.ok(value <= -5, `${value} is above -5`)
+    }
+    for (const value of samples({ type: 'number', exclusiveMaximum: -1 })) {
+      assert.ok(value < -1, `${value} is not below -1`)
+    }
+  })
+
+  it('never generates an exclusive bound', () => {
+    for (const value of samples({ type: 'number', exclusiveMinimum: 1000, maximum: 1000.01 })) {
+      assert.ok(value > 1000 && value <= 1000.01, `${value} is out of (1000, 1000.01]`)
+    }
+    for (const value of samples({ type: 'number', minimum: 41.99, exclusiveMaximum: 42 })) {
+      assert.ok(value >= 41.99 && value < 42, `${value} is out of [41.99, 42)`)
+    }
+    for (const value of samples({ type: 'integer', exclusiveMinimum: 2, exclusiveMaximum: 4 })) {
+      assert.equal(value, 3)
+    }
+  })
+
+  it('matches patterns, also after fitting the length', () => {
+    for (const value of samples({ type: 'string', pattern: '^[A-Z]{3}-\\d{4}$' })) {
+      assert.match(value, /^[A-Z]{3}-\d{4}$/)
+    }
+    for (const value of samples({ type: 'string', pattern: '^[a-z]+$', minLength: 4, maxLength: 6 })) {
+      assert.match(value, /^[a-z]{4,6}$/)
+    }
+  })
+
+  it('warns once about a pattern it cannot satisfy within the length', (t) => {
+    const warn = t.mock.method(logger, 'warn', () => {})
+    for (const value of samples({ type: 'string', pattern: '^[A-Z]{2}$', minLength: 5 }, 3)) {
+      assert.ok(value.length >= 5, `'${value}' is ${value.length} long`)
+    }
+    assert.equal(warn.mock.callCount(), 1)
+    assert.deepEqual(warn.mock.calls[0].arguments[0], { pattern: '^[A-Z]{2}$', minLength: 5, maxLength: undefined })
+  })
+
+  it('fits strings and arrays to their length limits', () => {
+    for (const value of samples({ type: 'string', minLength: 20, maxLength: 25 })) {
+      assert.ok(value.length >= 20 && value.length <= 25, `'${value}' is ${value.length} long`)
+    }
+    for (const value of samples({ type: 'array', items: { type: 'integer' }, minItems: 2, maxItems: 3 })) {
+      assert.ok(value.length >= 2 && value.length <= 3, `${value.length} items`)
+    }
+  })
+
+  it('generates values for formats and field names', () => {
+    const params = generator().generateParams({
+      type: 'object',
+      properties: { id: { type: 'string', format: 'uuid' }, email: { type: 'string' }, when: { type: 'string', format: 'date' } },
+    })
+    assert.match(params.id, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/)
+    assert.match(params.email, /@/)
+    assert.match(params.when, /^\d{4}-\d{2}-\d{2}$/)
+  })
+
+  it('resolves $ref, const and enum', () => {
+    const schema = {
+      type: 'object',
+      properties: { kind: { const: 'fixed' }, color: { $ref: '#/$defs/color' } },
+      $defs: { color: { enum: ['red', 'green'] } },
+    }
+    const params = generator().generateParams(schema)
+    assert.equal(params.kind, 'fixed')
+    assert.ok(['red', 'green'].includes(params.color))
+  })
+
+  it('generates only required fields when asked', () => {
+    const schema = { type: 'object', properties: { a: { type: 'string' }, b: { type: 'string' } }, required: ['a'] }
+    assert.deepEqual(Object.keys(generator().generateParams(schema, { fields: 'required' })), ['a'])
+    assert.deepEqual(Object.keys(generator({ fields: 'required' }).generateParams(schema)), ['a'])
+  })
+
+  it('uses custom field generators and defaults', () => {
+    const schema = { type: 'object', properties: { token: { type: 'string' }, size: { type: 'integer', default: 7 } } }
+    const params = generator({ fieldGenerators: { token: () => 'secret' }, preferDefaults: true }).generateParams(schema)
+    assert.deepEqual(params, { token: 'secret', size: 7 })
+  })
+})
@@ -0,0 +1,42 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { Metrics } from '../src/metrics.js'
+import { formatProgress, startProgress } from '../src/progress.js'
+
+function metricsOf() {
+  const metrics = new Metrics()
+  for (let i = 0; i < 9; i++) metrics.record({ toolName: 'echo', success: true, duration: 10 })
+  metrics.record({ toolName: 'echo', success: false, duration: 10 })
+  metrics.recordDropped()
+  return metrics
+}
+
+describe('formatProgress', () => {
+  it('shows calls, rate, rolling p95 and dropped iterations', () => {
+    assert.match(formatProgress(metricsOf(), 10000), /^\[\d+\.\ds\] calls 10 \(ok 9, errors 1\) \| \d+\.\d req\/s \| p95 10\.\d\d ms \| dropped 1$/)
+  })
+
+  it('leaves out calls older than the window', () => {
+    const metrics = new Metrics({ bucketSize: 100 })
+    metrics.startTime -= 5000
+    metrics.record({ toolName: 'echo', success: true, duration: 10, startedAt: metrics.startTime })
+    assert.equal(metrics.getRecent(1000).requests, 0)
+    assert.match(formatProgress(metrics, 1000), /0\.0 req\/s \| p95 0\.00 ms$/)
+  })
+})
+
+describe('startProgress', () => {
+  it('prints a line on every interval and a final one when stopped', async () => {
+    const write = mock.method(process.stderr, 'write', () => true)
+    try {
+      const stop = startProgress(metricsOf(), { interval: 20 })
+      await new Promise((resolve) => setTimeout(resolve, 70))
+      stop()
+      const lines = write.mock.calls.map((call) => String(call.arguments[0]))
+      assert.ok(lines.length >= 3, `${lines.length} lines`)
+      assert.ok(lines.every((line) => line.includes('calls 10 (ok 9, errors 1)')))
+    } finally {
+      write.mock.restore()
+    }
+  })
+})
@@ -0,0 +1,95 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { run } from '../src/index.js'
+import { Metrics } from '../src/metrics.js'
+import { renderPrometheus, startMetricsServer, startPushgateway } from '../src/prometheus.js'
+import { startTestServer } from './helpers.js'
+
+function metricsOf() {
+  const metrics = new Metrics()
+  metrics.record({ toolName: 'echo', success: true, duration: 3 })
+  metrics.record({ toolName: 'echo', success: true, duration: 40 })
+  metrics.record({ toolName: 'echo', success: false, duration: 700, failureType: 'timeout' })
+  return metrics
+}
+
+// A stand-in Pushgateway that keeps every request it receives
+async function startPushgatewayStub() {
+  const pushes = []
+  const server = http.createServer(async (req, res) => {
+    let body = ''
+    for await (const chunk of req) body += chunk
+    pushes.push({ method: req.method, url: req.url, body })
+    res.writeHead(200).end()
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  const { port } = /** @type {import('node:net').AddressInfo} */ (server.address())
+  return { url: `http://127.0.0.1:${port}`, pushes, close: () => new Promise((resolve) => server.close(resolve)) }
+}
+
+describe('renderPrometheus', () => {
+  it('writes counters and a cumulative latency histogram per tool', () => {
+    const text = renderPrometheus(metricsOf(), { buckets: [10, 100, 1000], labels: { run: 'ci "nightly"' } })
+    const lines = text.split('\n')
+    assert.ok(lines.includes('# TYPE mcp_benchmark_calls_total counter'))
+    assert.ok(lines.includes('mcp_benchmark_calls_total{run="ci \\"nightly\\"",tool="echo",status="success"} 2'))
+    assert.ok(lines.includes('mcp_benchmark_failures_total{run="ci \\"nightly\\"",type="timeout"} 1'))
+    assert.deepEqual(
+      lines.filter((line) => line.startsWith('mcp_benchmark_call_duration_seconds_bucket')).map((line) => line.replace(/^.*le="([^"]+)"\} /, '$1 ')),
+      ['0.01 1', '0.1 2', '1 3', '+Inf 3']
+    )
+    assert.ok(text.endsWith('\n'))
+  })
+
+  it('names metrics with the prefix', () => {
+    assert.match(renderPrometheus(new Metrics(), { prefix: 'load' }), /^load_dropped_iterations_total 0$/m)
+  })
+})
+
+describe('startMetricsServer', () => {
+  it('serves the metrics on the path and nothing else', async () => {
+    const server = await startMetricsServer(metricsOf(), { port: 0, host: '127.0.0.1' })
+    try {
+      const response = await fetch(server.url)
+      assert.equal(response.status, 200)
+      assert.match(response.headers.get('content-type'), /^text\/plain; version=0.0.4/)
+      assert.match(await response.text(), /mcp_benchmark_calls_total\{tool="echo",status="failure"\} 1/)
+      assert.equal((await fetch(server.url.replace('/metrics', '/other'))).status, 404)
+    } finally {
+      await server.close()
+    }
+  })
+})
+
+describe('startPushgateway', () => {
+  let gateway
+
+  before(async () => {
+    gateway = await startPushgatewayStub()
+  })
+
+  after(() => gateway.close())
+
+  it('pushes under the job on an interval and once more when stopped', async () => {
+    const pusher = startPushgateway(metricsOf(), { pushgateway: { url: `${gateway.url}/`, job: 'nightly run', interval: '50ms' } })
+    await new Promise((resolve) => setTimeout(resolve, 130))
+    await pusher.stop()
+    assert.ok(gateway.pushes.length >= 3, `${gateway.pushes.length} pushes`)
+    assert.equal(gateway.pushes[0].method, 'PUT')
+    assert.equal(gateway.pushes[0].url, '/metrics/job/nightly%20run')
+  })
+
+  it('pushes the final metrics of a run', async () => {
+    const server = await startTestServer()
+    mock.method(console, 'log', () => {})
+    gateway.pushes.length = 0
+    try {
+      await run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['echo'], numCalls: 3, prometheus: { pushgateway: { url: gateway.url } } })
+      assert.match(gateway.pushes.at(-1).body, /mcp_benchmark_calls_total\{tool="echo",status="success"\} 3/)
+    } finally {
+      mock.restoreAll()
+      await server.close()
+    }
+  })
+})
@@ -0,0 +1,71 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { Client } from '@modelcontextprotocol/sdk/client/index.js'
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js'
+import { run, startMockServer, startRecordingProxy } from '../src/index.js'
+import { skipWithoutJq } from './helpers.js'
+
+let dir
+let server
+let proxy
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-mcp-proxy-'))
+  server = await startMockServer({
+    port: 0,
+    host: '127.0.0.1',
+    tools: [
+      { name: 'slow', inputSchema: { type: 'object', properties: { id: { type: 'string' } } }, latency: '200ms', response: { id: 'order-1234' } },
+      { name: 'fast', inputSchema: { type: 'object', properties: { id: { type: 'string' } } } },
+    ],
+  })
+  proxy = await startRecordingProxy({ serverUrl: server.url }, { output: path.join(dir, 'recording.json'), port: 0 })
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await proxy.close()
+  await server.close()
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+describe('recording proxy', () => {
+  it('records the session as a sequence config, in the order the client made the calls', async () => {
+    const client = new Client({ name: 'test', version: '1.0.0' })
+    const transport = new StreamableHTTPClientTransport(new URL(proxy.url))
+    await client.connect(transport)
+    // fast finishes first, but was sent second
+    await Promise.all([client.callTool({ name: 'slow', arguments: {} }), client.callTool({ name: 'fast', arguments: { id: 'x' } })])
+    await client.callTool({ name: 'fast', arguments: { id: 'order-1234' } })
+    await transport.terminateSession()
+    await client.close()
+
+    const config = JSON.parse(fs.readFileSync(path.join(dir, 'recording.json'), 'utf8'))
+    assert.equal(config.serverUrl, server.url)
+    assert.deepEqual(config.sequence, [
+      { toolName: 'slow', outputMapping: { id: '.id' } },
+      { toolName: 'fast', staticInputs: { id: 'x' } },
+      { toolName: 'fast', inputMapping: { id: '.id' } },
+    ])
+  })
+
+  it('writes configs that replay the session', { skip: skipWithoutJq }, async () => {
+    const config = JSON.parse(fs.readFileSync(path.join(dir, 'recording.json'), 'utf8'))
+    const summary = await run({ ...config, numCalls: 1 })
+    assert.equal(summary.perTool.fast.success, 2)
+    assert.equal(summary.details.at(-1).args.id, 'order-1234')
+  })
+
+  it('answers requests for unknown sessions with a 404', async () => {
+    const response = await fetch(proxy.url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream', 'mcp-session-id': 'unknown' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }),
+    })
+    assert.equal(response.status, 404)
+  })
+})
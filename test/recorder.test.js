@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { inferSequence, jqPath } from '../src/recorder.js'
+
+function call(toolName, args, output, { success = true, isError = false } = {}) {
+  const text = typeof output === 'string' ? output : JSON.stringify(output)
+  return { toolName, args, result: { content: [{ type: 'text', text }], ...(isError && { isError }) }, success, startedAt: 0, duration: 1 }
+}
+
+describe('jqPath', () => {
+  it('writes identifiers as keys and the rest as quoted keys or indexes', () => {
+    assert.equal(jqPath([]), '.')
+    assert.equal(jqPath(['items', 0, 'id']), '.items[0].id')
+    assert.equal(jqPath(['x-id']), '.["x-id"]')
+    assert.equal(jqPath([2]), '.[2]')
+  })
+})
+
+describe('inferSequence', () => {
+  it('maps arguments from the earlier results they appear in', () => {
+    const steps = inferSequence([
+      call('create', { name: 'widget' }, { item: { id: 'w-123' } }),
+      call('get', { id: 'w-123', verbose: true }, { id: 'w-123', price: 250 }),
+      call('buy', { order: { id: 'w-123', amount: 250, qty: 10 } }, 'bought'),
+    ])
+    // The most recent result holding a value is its source, so buy reads the id get returned
+    assert.deepEqual(steps, [
+      { toolName: 'create', staticInputs: { name: 'widget' }, outputMapping: { id: '.item.id' } },
+      { toolName: 'get', inputMapping: { id: '.id' }, staticInputs: { verbose: true }, outputMapping: { id2: '.id', amount: '.price' } },
+      { toolName: 'buy', inputMapping: { order: '{"id": .id2, "amount": .amount, "qty": 10}' } },
+    ])
+  })
+
+  it('maps text results as a whole', () => {
+    const steps = inferSequence([call('token', {}, 'tok-abcdef'), call('whoami', { auth: 'tok-abcdef' }, { user: 'ada' })])
+    assert.deepEqual(steps[0], { toolName: 'token', outputMapping: { auth: '.' }, outputType: 'text' })
+    assert.deepEqual(steps[1].inputMapping, { auth: '.auth' })
+  })
+
+  it('leaves short strings, small numbers and error results unmapped', () => {
+    const steps = inferSequence([
+      call('list', {}, { limit: 10, id: 'ab', secret: 'kept-out' }, { isError: true }),
+      call('page', { limit: 10, id: 'ab', secret: 'kept-out' }, {}),
+    ])
+    assert.deepEqual(steps[1], { toolName: 'page', staticInputs: { limit: 10, id: 'ab', secret: 'kept-out' } })
+    assert.equal(steps[0].outputMapping, undefined)
+  })
+
+  it('carries on past calls that failed', () => {
+    const steps = inferSequence([call('flaky', {}, 'boom', { success: false, isError: true })])
+    assert.equal(steps[0].continueOnError, true)
+  })
+})
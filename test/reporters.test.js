@@ -0,0 +1,114 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { run, registerReporter } from '../src/index.js'
+import { Metrics } from '../src/metrics.js'
+import { evaluateThresholds } from '../src/thresholds.js'
+import { parseReporterOption, reporters, writeReports } from '../src/reporters/index.js'
+import { startTestServer } from './helpers.js'
+
+let dir
+
+// Two echo calls, one of them failing with a message that needs escaping, and one add call
+function summaryOf() {
+  const metrics = new Metrics()
+  metrics.record({ toolName: 'echo', success: true, duration: 12, startedAt: 1000, args: { message: 'hi' }, result: 'hi' })
+  metrics.record({ toolName: 'echo', success: false, duration: 30, startedAt: 1010, failureType: 'error', error: new Error('bad "input", <rejected>') })
+  metrics.record({ toolName: 'add', success: true, duration: 5, startedAt: 1020 })
+  const summary = metrics.getSummary()
+  summary.thresholds = evaluateThresholds(summary, ['errorRate < 10%'])
+  return summary
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-mcp-reporters-'))
+})
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+describe('parseReporterOption', () => {
+  it('reads a type with an optional output path', () => {
+    assert.deepEqual(parseReporterOption('json'), { type: 'json' })
+    assert.deepEqual(parseReporterOption('junit:out/c:junit.xml'), { type: 'junit', output: 'out/c:junit.xml' })
+    assert.deepEqual(parseReporterOption({ type: 'csv', output: 'calls.csv' }), { type: 'csv', output: 'calls.csv' })
+  })
+})
+
+describe('built-in reporters', () => {
+  it('writes the summary and every call as JSON, with errors as messages', () => {
+    const report = JSON.parse(reporters.get('json').render(summaryOf(), { type: 'json' }))
+    assert.equal(report.total, 3)
+    assert.equal(report.details[1].error, 'bad "input", <rejected>')
+    assert.equal(report.thresholds.passed, false)
+  })
+
+  it('writes one CSV row per call in start order, quoting where needed', () => {
+    const lines = reporters.get('csv').render(summaryOf(), { type: 'csv' }).trim().split('\n')
+    assert.equal(lines[0], 'startedAt,offsetMs,toolName,durationMs,success,failureType,error')
+    assert.equal(lines.length, 4)
+    assert.match(lines[2], /^[^,]+,10,echo,30,false,error,"bad ""input"", <rejected>"$/)
+  })
+
+  it('writes a JUnit testcase per tool and per threshold', () => {
+    const xml = reporters.get('junit').render(summaryOf(), { type: 'junit' })
+    assert.match(xml, /<testsuites name="benchmark-mcp" tests="3" failures="2"/)
+    assert.match(xml, /<failure message="1 of 2 calls failed">1x bad &quot;input&quot;, &lt;rejected&gt;<\/failure>/)
+    assert.match(xml, /<testcase classname="mcp.tools" name="add" time="0.005"\/>/)
+    assert.match(xml, /<testcase classname="mcp.thresholds" name="errorRate &lt; 10%" time="0">/)
+  })
+
+  it('writes a self-contained HTML page with escaped content', () => {
+    const html = reporters.get('html').render(summaryOf(), { type: 'html' })
+    assert.match(html, /<h1>MCP Load Test Report<\/h1>/)
+    assert.doesNotMatch(html, /<rejected>/)
+    assert.doesNotMatch(html, /<script src=|<link /)
+  })
+})
+
+describe('writeReports', () => {
+  it('writes each report to its output, or a default name', async () => {
+    const cwd = process.cwd()
+    process.chdir(dir)
+    try {
+      const written = await writeReports(summaryOf(), ['json', { type: 'csv', output: 'calls.csv' }])
+      assert.deepEqual(written, ['benchmark-report.json', 'calls.csv'])
+      assert.ok(fs.existsSync(path.join(dir, 'benchmark-report.json')))
+    } finally {
+      process.chdir(cwd)
+    }
+  })
+
+  it('rejects unknown reporters', async () => {
+    await assert.rejects(writeReports(summaryOf(), ['pdf']), /Unknown reporter 'pdf'. Registered: json, junit, csv, html/)
+  })
+
+  it('runs registered reporters, and skips writing when they deliver the report themselves', async () => {
+    const delivered = []
+    registerReporter('count', { render: (summary) => `${summary.total} calls` })
+    registerReporter('upload', { render: (summary) => void delivered.push(summary.total) })
+    const output = path.join(dir, 'count.txt')
+    assert.deepEqual(await writeReports(summaryOf(), [{ type: 'count', output }, 'upload']), [output])
+    assert.equal(fs.readFileSync(output, 'utf8'), '3 calls')
+    assert.deepEqual(delivered, [3])
+    assert.throws(() => registerReporter('broken', {}), /must have a render function/)
+  })
+})
+
+describe('reports after a run', () => {
+  it('are written with the run summary', async () => {
+    const server = await startTestServer()
+    mock.method(console, 'log', () => {})
+    try {
+      const output = path.join(dir, 'run.xml')
+      await run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['echo'], numCalls: 3, reporters: [{ type: 'junit', output }] })
+      assert.match(fs.readFileSync(output, 'utf8'), /<testcase classname="mcp.tools" name="echo"/)
+    } finally {
+      mock.restoreAll()
+      await server.close()
+    }
+  })
+})
@@ -0,0 +1,76 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { run } from '../src/index.js'
+import { startTestServer } from './helpers.js'
+
+let server
+
+// Runs against the test server, returning the summary
+function load(config) {
+  return run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['echo'], ...config })
+}
+
+before(async () => {
+  server = await startTestServer()
+  // The summaries printed after each run aren't part of the test output
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await server.close()
+})
+
+describe('virtual users', () => {
+  it('makes numCalls calls in total across the virtual users', async () => {
+    const opened = server.sessionsOpened()
+    const summary = await load({ numCalls: 12, concurrency: 3 })
+    assert.equal(summary.total, 12)
+    assert.equal(summary.success, 12)
+    assert.equal(server.sessionsOpened() - opened, 3)
+  })
+
+  it('shares one session with shareConnection', async () => {
+    const opened = server.sessionsOpened()
+    const summary = await load({ numCalls: 6, concurrency: 3, shareConnection: true })
+    assert.equal(summary.success, 6)
+    assert.equal(server.sessionsOpened() - opened, 1)
+  })
+
+  it('keeps call details unless maxDetails turns them off', async () => {
+    const kept = await run({ serverUrl: server.url, numCalls: 3, delayBetweenCalls: 0, toolNames: ['echo'] })
+    assert.equal(kept.details.length, 3)
+    const none = await run({ serverUrl: server.url, numCalls: 3, delayBetweenCalls: 0, toolNames: ['echo'], maxDetails: 0 })
+    assert.deepEqual({ success: none.success, details: none.details }, { success: 3, details: [] })
+  })
+
+  it('calls only the tools named in toolNames', async () => {
+    const summary = await load({ numCalls: 4, toolNames: ['add'] })
+    assert.deepEqual(Object.keys(summary.perTool), ['add'])
+    assert.equal(summary.perTool.add.success, 4)
+  })
+})
+
+describe('load profiles', () => {
+  it('keeps calling for a duration', async () => {
+    const summary = await load({ duration: '300ms', concurrency: 2 })
+    assert.ok(summary.total > 2, `only ${summary.total} calls in 300ms`)
+    assert.equal(summary.failure, 0)
+    assert.ok(summary.totalTime >= 0.3, `stopped after ${summary.totalTime}s`)
+  })
+
+  it('ramps virtual users through stages', async () => {
+    const opened = server.sessionsOpened()
+    const summary = await load({ stages: [{ duration: '200ms', target: 3 }, { duration: '200ms', target: 0 }] })
+    assert.ok(summary.total > 0)
+    assert.equal(summary.failure, 0)
+    assert.equal(server.sessionsOpened() - opened, 3)
+  })
+
+  it('starts iterations at a constant arrival rate', async () => {
+    const summary = await load({ arrivalRate: { rate: 40, duration: '500ms', preAllocatedVUs: 2, maxVUs: 4 } })
+    // 20 arrivals, give or take the timer's jitter at either end
+    assert.ok(summary.total + summary.dropped >= 17 && summary.total + summary.dropped <= 21, `${summary.total} calls and ${summary.dropped} dropped`)
+    assert.equal(summary.failure, 0)
+  })
+})
@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { parseDuration, runArrivalRate, runStages, runVirtualUsers } from '../src/runner.js'
+
+// Virtual users whose iterations take `ms`, counting iterations and how many ran at once
+function fakeVUs(ms = 0) {
+  const stats = { created: 0, iterations: 0, running: 0, peak: 0, dropped: 0, closed: 0 }
+  const createVU = async () => {
+    stats.created++
+    return {
+      runIteration: async () => {
+        stats.iterations++
+        stats.peak = Math.max(stats.peak, ++stats.running)
+        await sleep(ms)
+        stats.running--
+      },
+      cleanup: async () => {
+        stats.closed++
+      },
+    }
+  }
+  const metrics = { recordDropped: () => stats.dropped++ }
+  return { stats, createVU, metrics }
+}
+
+describe('parseDuration', () => {
+  it('reads milliseconds and unit suffixes', () => {
+    assert.equal(parseDuration(250), 250)
+    assert.equal(parseDuration('500ms'), 500)
+    assert.equal(parseDuration('1.5s'), 1500)
+    assert.equal(parseDuration('2m'), 120000)
+    assert.equal(parseDuration('1h'), 3600000)
+  })
+
+  it('rejects anything else', () => {
+    assert.throws(() => parseDuration('soon'), /Invalid duration 'soon'/)
+    assert.throws(() => parseDuration('10'), /Invalid duration '10'/)
+  })
+})
+
+describe('runVirtualUsers', () => {
+  it('shares the iteration budget between the virtual users', async () => {
+    const { stats, createVU } = fakeVUs(5)
+    await runVirtualUsers({ clients: await Promise.all([createVU(), createVU(), createVU()]), numCalls: 10 })
+    assert.equal(stats.iterations, 10)
+    assert.equal(stats.peak, 3)
+  })
+
+  it('keeps going until the deadline', async () => {
+    const { stats, createVU } = fakeVUs(5)
+    const start = Date.now()
+    await runVirtualUsers({ clients: [await createVU()], deadline: start + 100 })
+    assert.ok(Date.now() - start >= 100)
+    assert.ok(stats.iterations > 1)
+  })
+
+  it('carries on past iterations that throw', async () => {
+    let calls = 0
+    const client = {
+      runIteration: async () => {
+        if (++calls === 1) throw new Error('boom')
+      },
+    }
+    await runVirtualUsers({ clients: [client], numCalls: 3 })
+    assert.equal(calls, 3)
+  })
+})
+
+describe('runStages', () => {
+  it('ramps up to the target and back down', async () => {
+    const { stats, createVU } = fakeVUs(10)
+    await runStages({ stages: [{ duration: '200ms', target: 3 }, { duration: '200ms', target: 0 }], createVU })
+    assert.equal(stats.peak, 3)
+    assert.equal(stats.running, 0)
+    // Virtual users parked on the way down are reused instead of reconnected
+    assert.equal(stats.created, 3)
+  })
+})
+
+describe('runArrivalRate', () => {
+  it('starts iterations at the rate whatever their duration', async () => {
+    const { stats, createVU, metrics } = fakeVUs(60)
+    await runArrivalRate({ arrivalRate: { rate: 50, duration: '200ms', preAllocatedVUs: 2 }, createVU, metrics })
+    assert.equal(stats.iterations, 10)
+    assert.equal(stats.dropped, 0)
+    assert.ok(stats.created > 2, `only ${stats.created} virtual users for overlapping iterations`)
+  })
+
+  it('drops iterations when every virtual user is busy', async () => {
+    const { stats, createVU, metrics } = fakeVUs(500)
+    await runArrivalRate({ arrivalRate: { rate: 50, duration: '200ms', preAllocatedVUs: 1, maxVUs: 2 }, createVU, metrics })
+    assert.equal(stats.iterations, 2)
+    assert.equal(stats.dropped, 8)
+  })
+
+  it('leaves out preallocated virtual users that fail to connect', async () => {
+    const { stats, createVU, metrics } = fakeVUs()
+    let attempts = 0
+    const flaky = () => (++attempts === 1 ? Promise.reject(new Error('refused')) : createVU())
+    await runArrivalRate({ arrivalRate: { rate: 50, duration: '100ms', preAllocatedVUs: 2, maxVUs: 2 }, createVU: flaky, metrics })
+    assert.equal(stats.iterations, 5)
+    assert.equal(stats.dropped, 0)
+  })
+
+  it('closes the virtual users it started when the run fails', async () => {
+    const { stats, createVU } = fakeVUs(500)
+    const metrics = {
+      recordDropped: () => {
+        throw new Error('metrics unavailable')
+      },
+    }
+    await assert.rejects(runArrivalRate({ arrivalRate: { rate: 50, duration: '200ms', preAllocatedVUs: 1, maxVUs: 2 }, createVU, metrics }), /metrics unavailable/)
+    assert.equal(stats.created, 2)
+    assert.equal(stats.closed, 2)
+    assert.equal(stats.running, 0)
+  })
+
+  it('rejects a rate that is not positive', async () => {
+    const { createVU, metrics } = fakeVUs()
+    await assert.rejects(runArrivalRate({ arrivalRate: { rate: 0, duration: '1s' }, createVU, metrics }), /arrivalRate.rate must be a positive number/)
+  })
+})
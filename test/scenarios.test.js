@@ -0,0 +1,85 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { run } from '../src/index.js'
+import { validateConfig } from '../src/config.js'
+import { resolveScenarios } from '../src/scenarios.js'
+import { startTestServer } from './helpers.js'
+
+let server
+
+function load(config) {
+  return run({ serverUrl: server.url, delayBetweenCalls: 0, ...config })
+}
+
+before(async () => {
+  server = await startTestServer()
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await server.close()
+})
+
+describe('resolveScenarios', () => {
+  it('runs scenarios with a load profile on their own and mixes the rest by weight', () => {
+    const { independent, weighted } = resolveScenarios({
+      serverUrl: 'http://localhost/mcp',
+      numCalls: 100,
+      concurrency: 4,
+      scenarios: { reads: { weight: 3, toolNames: ['echo'] }, soak: { duration: '1m', mode: 'ping' } },
+    })
+    assert.deepEqual(weighted, [{ name: 'reads', weight: 3, config: { serverUrl: 'http://localhost/mcp', numCalls: 100, concurrency: 4, toolNames: ['echo'] } }])
+    // The run's profile isn't mixed into a scenario that has its own
+    assert.deepEqual(independent, [{ name: 'soak', weight: 1, config: { serverUrl: 'http://localhost/mcp', duration: '1m', mode: 'ping' } }])
+  })
+})
+
+describe('scenarios', () => {
+  it('pick a weighted scenario for every iteration, with stats for each', async () => {
+    const summary = await load({
+      numCalls: 200,
+      concurrency: 2,
+      seed: 7,
+      scenarios: { reads: { weight: 3, toolNames: ['echo'] }, writes: { toolNames: ['add'] } },
+      thresholds: { perScenario: { reads: { iterations: '> 100' }, writes: { errorRate: '== 0' } } },
+    })
+    const { reads, writes } = summary.perScenario
+    assert.equal(reads.iterations + writes.iterations, 200)
+    assert.ok(reads.iterations > 120 && reads.iterations < 180, `${reads.iterations} reads`)
+    assert.equal(summary.perTool.echo.total, reads.total)
+    assert.equal(summary.perTool.add.total, writes.total)
+    assert.equal(summary.thresholds.passed, true)
+  })
+
+  it('run side by side when they have their own load profile', async () => {
+    const summary = await load({
+      scenarios: { steady: { numCalls: 4, toolNames: ['echo'] }, burst: { numCalls: 6, concurrency: 3, mode: 'ping' } },
+    })
+    assert.equal(summary.perScenario.steady.iterations, 4)
+    assert.equal(summary.perScenario.burst.iterations, 6)
+    assert.deepEqual(Object.keys(summary.perTool).sort(), ['echo', 'ping'])
+  })
+
+  it('are validated with their own mode and load profile', () => {
+    const errors = validateConfig({
+      serverUrl: 'http://localhost/mcp',
+      toolWeights: { echo: -1 },
+      scenarios: { probe: { mode: 'fuzz' }, churn: { mode: 'churn', weight: 0 }, busy: { concurrency: 3 }, steady: { concurrency: 2, duration: '1m' } },
+    })
+    assert.deepEqual(errors, [
+      'toolWeights.echo must be a non-negative number. Got: -1',
+      'scenarios.busy sets concurrency, so it needs its own numCalls or duration too',
+      "scenarios.probe can't use mode 'fuzz'",
+      "scenarios.churn needs its own load profile to use mode 'churn'",
+      'scenarios.churn.weight must be a positive number. Got: 0',
+    ])
+  })
+})
+
+describe('toolWeights', () => {
+  it('pick tools by weight, leaving out those weighing 0', async () => {
+    const summary = await load({ numCalls: 20, toolWeights: { add: 0 } })
+    assert.deepEqual(Object.keys(summary.perTool), ['echo'])
+  })
+})
@@ -0,0 +1,108 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { run } from '../src/index.js'
+import { validateConfig } from '../src/config.js'
+import { TOOLS, skipWithoutJq, startTestServer } from './helpers.js'
+
+const text = (value, isError = false) => ({ content: [{ type: 'text', text: JSON.stringify(value) }], isError })
+const NO_ARGS = { type: 'object', properties: {} }
+
+let server
+/** Tool calls the server received, in order, as `name` or `name:message` */
+const calls = []
+// `flaky` fails until this drops to 0
+let flakyFailures = 0
+
+function track(tool) {
+  return {
+    ...tool,
+    handler: async (args, extra) => {
+      calls.push(args.message === undefined ? tool.name : `${tool.name}:${args.message}`)
+      return tool.handler ? tool.handler(args, extra) : text(args)
+    },
+  }
+}
+
+function load(sequence) {
+  calls.length = 0
+  return run({ serverUrl: server.url, delayBetweenCalls: 0, numCalls: 1, sequence })
+}
+
+before(async () => {
+  server = await startTestServer({
+    tools: [
+      ...TOOLS,
+      { name: 'flaky', inputSchema: NO_ARGS, handler: () => text({ ok: flakyFailures <= 0 }, flakyFailures-- > 0) },
+      { name: 'fail', inputSchema: NO_ARGS, handler: () => text({}, true) },
+      { name: 'slow', inputSchema: NO_ARGS, handler: () => sleep(100).then(() => text({})) },
+      { name: 'list', inputSchema: NO_ARGS, handler: () => text({ items: [1, 2, 3] }) },
+    ].map(track),
+  })
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await server.close()
+})
+
+describe('sequence control flow', () => {
+  it('retries failed steps with backoff, recording every attempt', async () => {
+    flakyFailures = 2
+    const started = Date.now()
+    const summary = await load([{ toolName: 'flaky', retry: 2, backoff: { delay: '40ms', factor: 2 } }, { toolName: 'echo', staticInputs: { message: 'after' } }])
+    assert.ok(Date.now() - started >= 120)
+    assert.deepEqual(calls, ['flaky', 'flaky', 'flaky', 'echo:after'])
+    assert.deepEqual({ success: summary.perTool.flaky.success, failure: summary.perTool.flaky.failure }, { success: 1, failure: 2 })
+  })
+
+  it('stops the iteration at a step that still fails, unless it sets continueOnError', async () => {
+    await load([{ toolName: 'fail', retry: 1 }, { toolName: 'echo', staticInputs: { message: 'after' } }])
+    assert.deepEqual(calls, ['fail', 'fail'])
+    await load([{ toolName: 'fail', continueOnError: true }, { toolName: 'echo', staticInputs: { message: 'after' } }])
+    assert.deepEqual(calls, ['fail', 'echo:after'])
+  })
+
+  it('runs parallel branches at the same time, failing the group if one fails', async () => {
+    const started = Date.now()
+    await load([{ parallel: [{ toolName: 'slow' }, { toolName: 'slow' }, { toolName: 'slow' }] }])
+    assert.ok(Date.now() - started < 250, `${Date.now() - started}ms`)
+    assert.equal(calls.length, 3)
+    await load([{ parallel: [{ toolName: 'fail' }, { toolName: 'slow' }] }, { toolName: 'echo', staticInputs: { message: 'after' } }])
+    assert.deepEqual(calls.sort(), ['fail', 'slow'])
+  })
+
+  it('retries nested steps as a group', async () => {
+    flakyFailures = 1
+    await load([{ steps: [{ toolName: 'echo', staticInputs: { message: 'first' } }, { toolName: 'flaky' }], retry: 1 }])
+    assert.deepEqual(calls, ['echo:first', 'flaky', 'echo:first', 'flaky'])
+  })
+
+  it('waits for delay and think time', async () => {
+    const started = Date.now()
+    await load([{ toolName: 'echo', staticInputs: { message: 'a' }, delay: '60ms', thinkTime: { min: 40, max: 60 } }])
+    assert.ok(Date.now() - started >= 100)
+  })
+
+  it('loops over an array with forEach, skipping items failing when', { skip: skipWithoutJq }, async () => {
+    await load([
+      { toolName: 'list', outputMapping: { items: '.items' } },
+      { toolName: 'echo', forEach: '.items', as: 'n', when: '.n != 2', inputMapping: { message: '.n | tostring' }, concurrency: 2 },
+    ])
+    assert.deepEqual(calls.slice(1).sort(), ['echo:1', 'echo:3'])
+  })
+
+  it('validates nested steps, counts and durations', () => {
+    const errors = validateConfig({
+      serverUrl: 'http://localhost/mcp',
+      sequence: [{ parallel: [{ kind: 'callTool' }], steps: [] }, { toolName: 'echo', retry: -1, thinkTime: { min: 'soon', max: '1s' } }],
+    })
+    assert.deepEqual(errors, [
+      'sequence[0] sets both steps and parallel',
+      'sequence[0].parallel[0] is missing toolName',
+      'sequence[1].retry must be a non-negative integer. Got: -1',
+      "sequence[1]: Invalid duration 'soon'. Use milliseconds or a string like '500ms', '30s', '5m', '1h'",
+    ])
+  })
+})
@@ -0,0 +1,148 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { CreateMessageResultSchema, ElicitResultSchema } from '@modelcontextprotocol/sdk/types.js'
+import { run } from '../src/index.js'
+import { Metrics } from '../src/metrics.js'
+import { renderPrometheus } from '../src/prometheus.js'
+import { validateConfig } from '../src/config.js'
+import { TOOLS, startTestServer } from './helpers.js'
+
+const text = (value) => ({ content: [{ type: 'text', text: JSON.stringify(value) }] })
+
+const tools = [
+  ...TOOLS,
+  {
+    name: 'progress',
+    inputSchema: { type: 'object' },
+    handler: async (args, extra) => {
+      for (let progress = 1; progress <= 3; progress++) {
+        await sleep(10)
+        await extra.sendNotification({ method: 'notifications/progress', params: { progressToken: extra._meta.progressToken, progress, total: 3 } })
+      }
+      return text('done')
+    },
+  },
+  {
+    name: 'ask',
+    inputSchema: { type: 'object' },
+    handler: async (args, extra) => {
+      const reply = await extra.sendRequest({ method: 'sampling/createMessage', params: { messages: [{ role: 'user', content: { type: 'text', text: 'hi' } }], maxTokens: 10 } }, CreateMessageResultSchema)
+      return text({ model: reply.model, text: reply.content.text })
+    },
+  },
+  {
+    name: 'confirm',
+    inputSchema: { type: 'object' },
+    handler: async (args, extra) => {
+      const requestedSchema = { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] }
+      const answer = await extra.sendRequest({ method: 'elicitation/create', params: { message: 'Who are you?', requestedSchema } }, ElicitResultSchema)
+      return text(answer)
+    },
+  },
+  {
+    name: 'log',
+    inputSchema: { type: 'object' },
+    handler: async (args, extra) => {
+      await extra.sendNotification({ method: 'notifications/message', params: { level: 'info', data: 'hello' } })
+      return text('logged')
+    },
+  },
+  {
+    name: 'grow',
+    inputSchema: { type: 'object' },
+    handler: async (args, extra) => {
+      if (!tools.some(({ name }) => name === 'extra')) {
+        tools.push({ name: 'extra', inputSchema: { type: 'object' } })
+      }
+      await extra.sendNotification({ method: 'notifications/tools/list_changed' })
+      return text('grown')
+    },
+  },
+]
+
+let server
+
+before(async () => {
+  server = await startTestServer({ tools, capabilities: { tools: { listChanged: true }, logging: {} } })
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await server.close()
+})
+
+const load = (config) => run({ serverUrl: server.url, delayBetweenCalls: 0, ...config })
+const results = (summary) => summary.details.map(({ result }) => JSON.parse(result))
+
+describe('progress notifications', () => {
+  it('are counted and timed per call and per tool', async () => {
+    const metrics = new Metrics()
+    const summary = await load({ numCalls: 2, toolNames: ['progress'], metrics })
+    assert.deepEqual(
+      { calls: summary.progress.calls, notifications: summary.progress.notifications, perCall: summary.progress.perCall },
+      { calls: 2, notifications: 6, perCall: 3 }
+    )
+    assert.equal(summary.progress.perTool.progress.notifications, 6)
+    assert.ok(summary.progress.timeToFirst.min >= 9, `first after ${summary.progress.timeToFirst.min}ms`)
+    assert.equal(summary.details[0].progress.gaps.length, 2)
+    const text = renderPrometheus(metrics)
+    assert.match(text, /mcp_benchmark_progress_notifications_total\{tool="progress"\} 6/)
+    assert.match(text, /mcp_benchmark_time_to_first_progress_seconds_count\{tool="progress"\} 2/)
+  })
+
+  it('are left out of calls that got none', async () => {
+    const summary = await load({ numCalls: 1, toolNames: ['echo'] })
+    assert.equal(summary.progress.calls, 0)
+    assert.equal(summary.details[0].progress, undefined)
+  })
+})
+
+describe('server requests', () => {
+  it('get a canned sampling reply', async () => {
+    const summary = await load({ numCalls: 2, toolNames: ['ask'], serverRequests: { sampling: { text: 'canned', model: 'stub-model', latency: '10ms' } } })
+    assert.equal(summary.perTool.ask.success, 2)
+    assert.ok(summary.perTool.ask.min >= 9, `min ${summary.perTool.ask.min}`)
+    assert.deepEqual(results(summary)[0], { model: 'stub-model', text: 'canned' })
+    assert.deepEqual(summary.serverMessages, { 'sampling/createMessage': 2 })
+  })
+
+  it('fail when the stub is not configured, as the client lacks the capability', async () => {
+    const summary = await load({ numCalls: 1, toolNames: ['ask'] })
+    assert.equal(summary.perTool.ask.failure, 1)
+  })
+
+  it('get an elicitation answer generated from the requested schema, or the configured action', async () => {
+    const accepted = await load({ numCalls: 1, toolNames: ['confirm'], serverRequests: { elicitation: true } })
+    const [answer] = results(accepted)
+    assert.equal(answer.action, 'accept')
+    assert.equal(typeof answer.content.name, 'string')
+    const declined = await load({ numCalls: 1, toolNames: ['confirm'], serverRequests: { elicitation: { action: 'decline' } } })
+    assert.deepEqual(results(declined)[0], { action: 'decline' })
+    const fixed = await load({ numCalls: 1, toolNames: ['confirm'], serverRequests: { elicitation: { content: { name: 'Ada' } } } })
+    assert.deepEqual(results(fixed)[0], { action: 'accept', content: { name: 'Ada' } })
+  })
+
+  it('are validated', () => {
+    assert.deepEqual(validateConfig({ serverUrl: 'http://localhost/mcp', serverRequests: { sampling: 'yes', elicitation: { action: 'ignore', latency: { distribution: 'pareto' } } } }), [
+      'serverRequests.sampling must be true, false or an object. Got: "yes"',
+      "serverRequests.elicitation.latency: Unknown latency distribution 'pareto'. Supported: fixed, uniform, normal, lognormal, exponential",
+      "Unknown serverRequests.elicitation.action 'ignore'. Supported: accept, decline, cancel",
+    ])
+  })
+})
+
+describe('server notifications', () => {
+  it('are counted by method', async () => {
+    const summary = await load({ numCalls: 2, toolNames: ['log'] })
+    assert.deepEqual(summary.serverMessages, { 'notifications/message': 2 })
+  })
+
+  it('refresh the tools on list_changed, so later steps can call new ones', async () => {
+    const summary = await load({ numCalls: 1, sequence: [{ toolName: 'grow' }, { toolName: 'extra', delay: 100 }] })
+    assert.equal(summary.perTool.grow.success, 1)
+    assert.equal(summary.perTool.extra.success, 1)
+    assert.deepEqual(summary.serverMessages, { 'notifications/tools/list_changed': 1 })
+  })
+})
@@ -0,0 +1,90 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { run } from '../src/index.js'
+import { validateConfig } from '../src/config.js'
+import { Metrics } from '../src/metrics.js'
+import { renderPrometheus } from '../src/prometheus.js'
+import { startTestServer } from './helpers.js'
+
+let server
+let terminated = 0
+
+function load(config) {
+  return run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['echo'], ...config })
+}
+
+before(async () => {
+  server = await startTestServer({
+    // Counts session terminations, letting the server answer them
+    handle: (req) => {
+      if (req.method === 'DELETE') terminated++
+      return false
+    },
+  })
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await server.close()
+})
+
+describe('session phases', () => {
+  it('are recorded apart from tool calls', () => {
+    const metrics = new Metrics()
+    metrics.recordSession('initialize', { success: true, duration: 20 })
+    metrics.recordSession('initialize', { success: true, duration: 40 })
+    metrics.recordSession('close', { success: true, duration: 1 })
+    metrics.recordSession('terminate', { success: false, duration: 5, error: new Error('gone') })
+    const summary = metrics.getSummary()
+    assert.equal(summary.total, 0)
+    assert.deepEqual({ ...summary.sessions, phases: undefined }, { opened: 2, closed: 1, open: 1, phases: undefined })
+    assert.equal(summary.sessions.phases.initialize.total, 2)
+    assert.equal(summary.sessions.phases.terminate.failure, 1)
+    assert.deepEqual(summary.errors, { 'terminate: gone': 1 })
+    assert.match(renderPrometheus(metrics), /^mcp_benchmark_session_phase_failures_total\{phase="terminate"\} 1$/m)
+  })
+
+  it('are timed once per virtual user, and the session is terminated at the end', async () => {
+    terminated = 0
+    const summary = await load({ numCalls: 4, concurrency: 2 })
+    assert.deepEqual(Object.keys(summary.sessions.phases).sort(), ['close', 'connect', 'initialize', 'listTools', 'terminate'])
+    assert.deepEqual({ opened: summary.sessions.opened, closed: summary.sessions.closed, open: summary.sessions.open }, { opened: 2, closed: 2, open: 0 })
+    assert.equal(terminated, 2)
+    assert.equal(summary.total, 4)
+  })
+
+  it('leave sessions unterminated when terminateSession is false', async () => {
+    terminated = 0
+    const summary = await load({ numCalls: 1, terminateSession: false })
+    assert.equal(summary.sessions.phases.terminate, undefined)
+    assert.equal(summary.sessions.closed, 1)
+    assert.equal(terminated, 0)
+  })
+})
+
+describe('session churn', () => {
+  it('opens and closes a session every iteration', async () => {
+    const before = server.sessionsOpened()
+    terminated = 0
+    const summary = await load({ mode: 'churn', numCalls: 4, concurrency: 2, shareConnection: true, churn: { callsPerSession: 3 } })
+    assert.equal(server.sessionsOpened() - before, 4)
+    assert.equal(terminated, 4)
+    assert.equal(summary.total, 12)
+    assert.equal(summary.sessions.phases.listTools.total, 4)
+    assert.deepEqual({ opened: summary.sessions.opened, closed: summary.sessions.closed, open: summary.sessions.open }, { opened: 4, closed: 4, open: 0 })
+  })
+
+  it('only connects with callsPerSession 0', async () => {
+    const summary = await load({ mode: 'churn', numCalls: 3, churn: { callsPerSession: 0 } })
+    assert.equal(summary.total, 0)
+    assert.equal(summary.sessions.opened, 3)
+  })
+
+  it('is validated', () => {
+    assert.deepEqual(validateConfig({ serverUrl: 'http://localhost/mcp', mode: 'churn', churn: { callsPerSession: -1, mode: 'fuzz' } }), [
+      'churn.callsPerSession must be a non-negative integer. Got: -1',
+      "churn.mode can't be 'fuzz'",
+    ])
+  })
+})
@@ -0,0 +1,138 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { run } from '../src/index.js'
+import { validateConfig } from '../src/config.js'
+import { Shutdown, stopRuns } from '../src/shutdown.js'
+import { TOOLS, startTestServer } from './helpers.js'
+
+let server
+/** Calls to the slow tool the server saw cancelled */
+let cancelled = 0
+
+before(async () => {
+  server = await startTestServer({
+    tools: [
+      ...TOOLS,
+      {
+        name: 'slow',
+        inputSchema: { type: 'object', properties: { ms: { type: 'number' } } },
+        handler: async ({ ms = 100 }, extra) => {
+          await sleep(ms, undefined, { signal: extra.signal }).catch(() => cancelled++)
+          return { content: [{ type: 'text', text: 'done' }] }
+        },
+      },
+    ],
+  })
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await server.close()
+})
+
+const load = (config) => run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['slow'], handleSignals: false, ...config })
+
+describe('timeouts', () => {
+  it('fail calls that take longer as timeouts, and cancel them on the server', async () => {
+    const before = cancelled
+    const summary = await load({ numCalls: 2, timeout: '50ms', paramOverrides: { slow: { ms: 300 } } })
+    assert.deepEqual(summary.failureTypes, { timeout: 2 })
+    await sleep(50)
+    assert.equal(cancelled - before, 2)
+  })
+
+  it('can be set per tool and per step', async () => {
+    const perTool = await load({ numCalls: 1, timeout: '20ms', toolTimeouts: { slow: '1s' }, paramOverrides: { slow: { ms: 50 } } })
+    assert.equal(perTool.perTool.slow.success, 1)
+    const perStep = await load({
+      numCalls: 1,
+      timeout: '1s',
+      sequence: [{ toolName: 'slow', staticInputs: { ms: 300 }, timeout: '50ms' }],
+    })
+    assert.deepEqual(perStep.failureTypes, { timeout: 1 })
+  })
+
+  it('are validated', () => {
+    assert.deepEqual(validateConfig({ serverUrl: 'http://localhost/mcp', timeout: 0, shutdownTimeout: 'soon', toolTimeouts: { slow: '-1s' }, sequence: [{ toolName: 'a', timeout: '0s' }] }), [
+      'timeout must be a positive duration. Got: 0',
+      "shutdownTimeout: Invalid duration 'soon'. Use milliseconds or a string like '500ms', '30s', '5m', '1h'",
+      "toolTimeouts.slow: Invalid duration '-1s'. Use milliseconds or a string like '500ms', '30s', '5m', '1h'",
+      'sequence[0].timeout must be a positive duration. Got: 0s',
+    ])
+  })
+})
+
+describe('stopping a run', () => {
+  it('lets in-flight calls finish and returns the results so far', async () => {
+    const controller = new AbortController()
+    const startedAt = Date.now()
+    setTimeout(() => controller.abort(), 300)
+    const summary = await load({ duration: '10s', concurrency: 2, paramOverrides: { slow: { ms: 50 } }, signal: controller.signal })
+    assert.ok(Date.now() - startedAt < 2000, `took ${Date.now() - startedAt}ms`)
+    assert.equal(summary.interrupted, 'abort')
+    assert.ok(summary.total > 0)
+    assert.equal(summary.failure, 0)
+  })
+
+  it('cancels the calls still in flight after shutdownTimeout', async () => {
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 100)
+    const startedAt = Date.now()
+    const summary = await load({ duration: '10s', concurrency: 2, shutdownTimeout: '100ms', paramOverrides: { slow: { ms: 5000 } }, signal: controller.signal })
+    assert.ok(Date.now() - startedAt < 2000, `took ${Date.now() - startedAt}ms`)
+    assert.deepEqual(summary.failureTypes, { cancelled: 2 })
+  })
+
+  it('stops before the first call when the signal is already aborted', async () => {
+    const summary = await load({ numCalls: 5, signal: AbortSignal.abort() })
+    assert.equal(summary.interrupted, 'abort')
+    assert.equal(summary.total, 0)
+  })
+
+  it('stops worker threads too', async () => {
+    const controller = new AbortController()
+    // Late enough for the threads to have started calling
+    setTimeout(() => controller.abort(), 3000)
+    const startedAt = Date.now()
+    const summary = await load({ duration: '30s', concurrency: 2, paramOverrides: { slow: { ms: 20 } }, workers: { count: 2, type: 'thread' }, signal: controller.signal })
+    assert.equal(summary.interrupted, 'abort')
+    assert.ok(summary.total > 0)
+    assert.ok(Date.now() - startedAt < 10000, `took ${Date.now() - startedAt}ms`)
+  })
+})
+
+describe('Shutdown', () => {
+  it('stops first, then cancels on the second stop', () => {
+    const shutdown = new Shutdown({ handleSignals: false })
+    shutdown.listen()
+    try {
+      stopRuns('SIGTERM')
+      assert.equal(shutdown.reason, 'SIGTERM')
+      assert.ok(shutdown.stopped.aborted)
+      assert.ok(!shutdown.cancelled.aborted)
+      stopRuns('SIGTERM')
+      assert.ok(shutdown.cancelled.aborted)
+      assert.match(shutdown.cancelled.reason.message, /Run stopped by SIGTERM/)
+    } finally {
+      shutdown.dispose()
+    }
+  })
+
+  it('cancels once the timeout is up', async () => {
+    const shutdown = new Shutdown({ timeout: 20, handleSignals: false })
+    shutdown.stop('test')
+    await sleep(40)
+    assert.ok(shutdown.cancelled.aborted)
+    shutdown.dispose()
+  })
+
+  it('is not stopped by stopRuns once disposed', () => {
+    const shutdown = new Shutdown({ handleSignals: false })
+    shutdown.listen()
+    shutdown.dispose()
+    stopRuns('SIGINT')
+    assert.ok(!shutdown.stopped.aborted)
+  })
+})
@@ -0,0 +1,102 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { run } from '../src/index.js'
+import { Metrics } from '../src/metrics.js'
+import { evaluateThresholds, parseCondition, parseThresholds } from '../src/thresholds.js'
+import { TOOLS, startTestServer } from './helpers.js'
+
+function summaryOf(calls) {
+  const metrics = new Metrics()
+  for (const call of calls) metrics.record(call)
+  return metrics.getSummary()
+}
+
+describe('parseCondition', () => {
+  it('reads the operator and value, dividing percentages by 100', () => {
+    assert.deepEqual(parseCondition('< 500'), { op: '<', value: 500 })
+    assert.deepEqual(parseCondition('<=1.5%'), { op: '<=', value: 0.015 })
+    assert.deepEqual(parseCondition('!= -2'), { op: '!=', value: -2 })
+  })
+
+  it('rejects conditions without an operator', () => {
+    assert.throws(() => parseCondition('500'), /Invalid threshold condition '500'/)
+  })
+})
+
+describe('parseThresholds', () => {
+  it('flattens global, per tool and per scenario conditions', () => {
+    const checks = parseThresholds({ p95: ['< 500', '> 0'], perTool: { echo: { errorRate: '< 1%' } }, perScenario: { browse: { iterations: '>= 1' } } })
+    assert.deepEqual(
+      checks.map(({ scope, metric, condition }) => `${scope} ${metric} ${condition}`),
+      ['global p95 < 500', 'global p95 > 0', 'echo errorRate < 1%', 'scenario:browse iterations >= 1']
+    )
+  })
+
+  it('reads expressions as global conditions', () => {
+    assert.deepEqual(parseThresholds(['p99 < 800']), [{ scope: 'global', metric: 'p99', condition: '< 800', op: '<', value: 800 }])
+  })
+
+  it('rejects unknown metrics', () => {
+    assert.throws(() => parseThresholds({ p42: '< 1' }), /Unknown threshold metric 'p42'/)
+    assert.throws(() => parseThresholds({ perTool: { echo: { throughput: '> 1' } } }), /for tool echo/)
+  })
+})
+
+describe('evaluateThresholds', () => {
+  const summary = summaryOf([
+    ...Array.from({ length: 9 }, (_, i) => ({ toolName: 'echo', success: true, duration: 10 + i })),
+    { toolName: 'echo', success: false, duration: 100 },
+  ])
+
+  it('passes when every condition holds', () => {
+    const outcome = evaluateThresholds(summary, { p50: '< 20', errorRate: '<= 10%', perTool: { echo: { total: '== 10' } } })
+    assert.equal(outcome.passed, true)
+    assert.deepEqual(
+      outcome.results.map((result) => result.actual),
+      [summary.p50, 0.1, 10]
+    )
+  })
+
+  it('fails on any broken condition', () => {
+    const outcome = evaluateThresholds(summary, ['max < 50', 'successRate > 80%'])
+    assert.equal(outcome.passed, false)
+    assert.deepEqual(
+      outcome.results.map((result) => result.passed),
+      [false, true]
+    )
+  })
+
+  it('fails conditions on tools that never ran', () => {
+    const outcome = evaluateThresholds(summary, { perTool: { add: { total: '>= 0' } } })
+    assert.deepEqual(outcome.results, [{ scope: 'add', metric: 'total', condition: '>= 0', actual: null, passed: false }])
+  })
+})
+
+describe('thresholds during a run', () => {
+  let server
+
+  before(async () => {
+    server = await startTestServer({ tools: [...TOOLS, { name: 'fail', inputSchema: { type: 'object' }, handler: () => ({ content: [{ type: 'text', text: 'nope' }], isError: true }) }] })
+    mock.method(console, 'log', () => {})
+  })
+
+  after(async () => {
+    mock.restoreAll()
+    await server.close()
+  })
+
+  it('passes thresholds the run meets', async () => {
+    const summary = await run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['echo'], numCalls: 10, thresholds: { errorRate: '== 0', perTool: { echo: { total: '== 10' } } } })
+    assert.equal(summary.thresholds.passed, true)
+  })
+
+  it('fails thresholds the run breaks', async () => {
+    const summary = await run({ serverUrl: server.url, delayBetweenCalls: 0, toolNames: ['fail'], numCalls: 10, thresholds: ['errorRate < 1%'] })
+    assert.equal(summary.failure, 10)
+    assert.deepEqual(summary.thresholds.results.map((result) => [result.actual, result.passed]), [[1, false]])
+  })
+
+  it('rejects malformed thresholds before the run starts', async () => {
+    await assert.rejects(run({ serverUrl: server.url, thresholds: ['p95 soon'] }), /Invalid threshold/)
+  })
+})
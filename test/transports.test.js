@@ -0,0 +1,107 @@
+import { after, before, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+import { Client } from '@modelcontextprotocol/sdk/client/index.js'
+import { run } from '../src/index.js'
+import { connectClient, resolveTransportType } from '../src/transports.js'
+import { startSseServer, startTestServer } from './helpers.js'
+
+const STDIO_SERVER = { command: process.execPath, args: [fileURLToPath(new URL('./helpers.js', import.meta.url)), '--stdio'] }
+
+let sseServer
+let httpServer
+
+const createClient = () => new Client({ name: 'test', version: '1.0.0' })
+
+before(async () => {
+  sseServer = await startSseServer()
+  httpServer = await startTestServer()
+  mock.method(console, 'log', () => {})
+})
+
+after(async () => {
+  mock.restoreAll()
+  await Promise.all([sseServer.close(), httpServer.close()])
+})
+
+describe('resolveTransportType', () => {
+  it('picks stdio for a command and streamable HTTP otherwise, unless told', () => {
+    assert.equal(resolveTransportType({ command: 'server' }), 'stdio')
+    assert.equal(resolveTransportType({}), 'streamable-http')
+    assert.equal(resolveTransportType({ type: 'sse', command: 'server' }), 'sse')
+  })
+})
+
+describe('connectClient', () => {
+  it('connects over streamable HTTP', async () => {
+    const { client, type } = await connectClient({ createClient, serverUrl: httpServer.url })
+    assert.equal(type, 'streamable-http')
+    await client.close()
+  })
+
+  it('falls back to SSE when the server has no streamable HTTP endpoint', async () => {
+    const { client, type } = await connectClient({ createClient, serverUrl: sseServer.url })
+    assert.equal(type, 'sse')
+    assert.deepEqual((await client.listTools()).tools.map((tool) => tool.name), ['echo', 'add'])
+    await client.close()
+  })
+
+  it('reports only the phases of the attempt that connected', async () => {
+    const phases = []
+    const onPhase = (phase, { success }) => phases.push(`${phase} ${success ? 'ok' : 'failed'}`)
+    const { client } = await connectClient({ createClient, serverUrl: sseServer.url, onPhase })
+    await client.close()
+    assert.deepEqual(phases, ['connect ok', 'initialize ok'])
+    phases.length = 0
+    const direct = await connectClient({ createClient, serverUrl: httpServer.url, onPhase })
+    await direct.client.close()
+    assert.deepEqual(phases, ['connect ok', 'initialize ok'])
+  })
+
+  it('does not fall back when the type is set', async () => {
+    await assert.rejects(connectClient({ createClient, serverUrl: sseServer.url, transport: { type: 'streamable-http' } }))
+  })
+
+  it('falls back only when the server has no streamable HTTP endpoint, and keeps the first error when SSE fails too', async () => {
+    const methods = []
+    const status = { code: 500 }
+    const refusing = await startTestServer({
+      handle: (req, res) => {
+        methods.push(req.method)
+        res.writeHead(status.code).end()
+        return true
+      },
+    })
+    try {
+      const phases = []
+      const onPhase = (phase, { success }) => phases.push(`${phase} ${success ? 'ok' : 'failed'}`)
+      await assert.rejects(connectClient({ createClient, serverUrl: refusing.url, onPhase }), (error) => error.code === 500)
+      assert.deepEqual(methods, ['POST'])
+      assert.deepEqual(phases, ['connect ok', 'initialize failed'])
+      status.code = 404
+      await assert.rejects(
+        connectClient({ createClient, serverUrl: refusing.url }),
+        (error) => /Could not connect over streamable HTTP \(.*\) nor SSE \(.*404.*\)/.test(error.message) && error.cause.code === 404
+      )
+    } finally {
+      await refusing.close()
+    }
+  })
+
+  it('requires a command for stdio and a URL for HTTP', async () => {
+    await assert.rejects(connectClient({ createClient, transport: { type: 'stdio' } }), /transport.command is required/)
+    await assert.rejects(connectClient({ createClient, transport: { type: 'sse' } }), /serverUrl is required for the sse transport/)
+  })
+})
+
+describe('run over each transport', () => {
+  it('calls tools on a stdio server it launches', async () => {
+    const summary = await run({ transport: STDIO_SERVER, numCalls: 4, concurrency: 2, delayBetweenCalls: 0, toolNames: ['echo'] })
+    assert.equal(summary.success, 4)
+  })
+
+  it('calls tools over legacy SSE', async () => {
+    const summary = await run({ serverUrl: sseServer.url, transport: { type: 'sse' }, numCalls: 4, delayBetweenCalls: 0, toolNames: ['echo'] })
+    assert.equal(summary.success, 4)
+  })
+})